@@ -0,0 +1,342 @@
+// action-api.js - Authenticated action API for the Lambda ({ action: '...', ... } requests)
+// Actions: trigger-call (one outbound VAPI call), bulk-trigger (a batch of calls),
+// process-call-queue (dial queued calls that are now inside calling hours),
+// list-reviews / review-field (low-confidence field values waiting for approval),
+// field-history (where each custom field value came from)
+import crypto from 'crypto';
+import { getHeader } from './vapi-signature.js';
+import { triggerOutboundCall, processCallQueue } from './outbound-call-manager.js';
+import { getContactById, findContactByPhone, createContact, normalizePhoneNumber } from './contact-manager.js';
+import { FieldReviewQueue } from './review-queue.js';
+import { CustomFieldsManager } from './custom-fields-manager.js';
+import { FieldProvenanceStore } from './field-provenance.js';
+
+const DEFAULT_BULK_LIMIT = 50;
+
+// Detect action API requests
+export function isActionRequest(payload) {
+    return typeof payload?.action === 'string' && payload.action.length > 0;
+}
+
+// Authenticate with ACTION_API_KEY via x-api-key or Authorization: Bearer
+export function authorizeActionRequest(event) {
+    const apiKey = process.env.ACTION_API_KEY;
+    if (!apiKey) {
+        console.error('❌ ACTION_API_KEY is not configured - action API disabled');
+        return { authorized: false, reason: 'Action API is not configured' };
+    }
+
+    const headers = event.headers || {};
+    const bearer = (getHeader(headers, 'authorization') || '').replace(/^Bearer\s+/i, '');
+    const provided = getHeader(headers, 'x-api-key') || bearer;
+
+    if (!provided) {
+        return { authorized: false, reason: 'Missing API key' };
+    }
+
+    const providedBuffer = Buffer.from(provided);
+    const expectedBuffer = Buffer.from(apiKey);
+    if (providedBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(providedBuffer, expectedBuffer)) {
+        return { authorized: false, reason: 'Invalid API key' };
+    }
+
+    return { authorized: true };
+}
+
+// Build a JSON response for the action API
+function actionResponse(statusCode, body) {
+    return {
+        statusCode,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    };
+}
+
+// Split "John Doe" into first/last names when explicit names are not provided
+function splitName(request) {
+    if (request.firstName || request.lastName) {
+        return { firstName: request.firstName || '', lastName: request.lastName || '' };
+    }
+    const parts = (request.name || '').trim().split(/\s+/).filter(Boolean);
+    return { firstName: parts[0] || '', lastName: parts.slice(1).join(' ') };
+}
+
+// Find the contact in GHL (by ID, then phone) or create it
+export async function resolveOrCreateContact(request, pitTokenManager) {
+    if (!pitTokenManager.pitToken) {
+        await pitTokenManager.getValidToken();
+    }
+    const accessToken = pitTokenManager.pitToken;
+
+    // 1. Existing contact by ID
+    if (request.contactId) {
+        try {
+            const contact = await getContactById(request.contactId, accessToken);
+            if (contact?.id) {
+                console.log(`👤 Using existing contact ${contact.id}`);
+                return { contact, created: false };
+            }
+        } catch (error) {
+            const status = error.response?.status;
+            if (![400, 404, 422].includes(status)) {
+                throw error;
+            }
+            console.log(`ℹ️ Contact ${request.contactId} not found in GHL - falling back to phone lookup`);
+        }
+    }
+
+    const phone = normalizePhoneNumber(request.phone);
+    if (!phone) {
+        throw new Error('Contact not found and no phone number provided to create it');
+    }
+
+    // 2. Existing contact by phone
+    const existing = await findContactByPhone(phone, accessToken);
+    if (existing?.id) {
+        console.log(`👤 Found existing contact by phone: ${existing.id}`);
+        return { contact: existing, created: false };
+    }
+
+    // 3. Create a new contact
+    const { firstName, lastName } = splitName(request);
+    const contactData = {
+        firstName,
+        lastName,
+        phone,
+        email: request.email || undefined,
+        address1: request.address || request.address1 || undefined,
+        city: request.city || undefined,
+        state: request.state || undefined,
+        postalCode: request.postalCode || undefined,
+        source: request.source || 'VAPI action API'
+    };
+    Object.keys(contactData).forEach(key => contactData[key] === undefined && delete contactData[key]);
+
+    const response = await createContact(contactData, accessToken);
+    const contact = response.contact || response;
+    console.log(`✅ Created new GHL contact: ${contact.id}`);
+    return { contact, created: true };
+}
+
+// Resolve the contact and start one outbound call (triggerCall: triggerOutboundCall unless injected); never throws
+// GHL being unreachable or erroring (5xx, 429, network) is reported as retryable
+async function startCallForRequest(request, { pitTokenManager, triggerCall = triggerOutboundCall }, reason) {
+    try {
+        const { contact, created } = await resolveOrCreateContact(request, pitTokenManager);
+        const callContact = { ...contact, phone: contact.phone || normalizePhoneNumber(request.phone) };
+        const result = await triggerCall(callContact, { reason, pitTokenManager });
+        return { ...result, contactCreated: created };
+    } catch (error) {
+        console.error('❌ Failed to start call:', error.response?.data || error.message);
+        const status = error.response?.status;
+        return {
+            success: false,
+            contactId: request.contactId || null,
+            phone: request.phone || null,
+            error: error.response?.data?.message || error.message,
+            retryable: status ? status >= 500 || status === 429 : !!(error.request || error.code)
+        };
+    }
+}
+
+// trigger-call: start one outbound VAPI call
+async function triggerCallAction(payload, context) {
+    if (!payload.contactId && !payload.phone) {
+        return actionResponse(400, { success: false, error: 'contactId or phone is required' });
+    }
+
+    const result = await startCallForRequest(payload, context, 'api:trigger-call');
+
+    if (result.queued) {
+        return actionResponse(202, {
+            success: true,
+            message: 'Outside calling hours - call queued',
+            contactId: result.contactId,
+            scheduledFor: result.scheduledFor,
+            timezone: result.timezone,
+            contactCreated: result.contactCreated
+        });
+    }
+
+    if (result.blocked) {
+        return actionResponse(409, {
+            success: false,
+            message: 'Call was not started',
+            contactId: result.contactId,
+            blocked: result.blocked,
+            error: result.error
+        });
+    }
+
+    if (!result.success) {
+        return actionResponse(502, {
+            success: false,
+            message: 'Call was not started',
+            contactId: result.contactId,
+            error: result.error,
+            retryable: result.retryable === true
+        });
+    }
+
+    return actionResponse(200, {
+        success: true,
+        message: 'Outbound VAPI call started',
+        callId: result.callId,
+        contactId: result.contactId,
+        contactCreated: result.contactCreated
+    });
+}
+
+// bulk-trigger: start a batch of outbound VAPI calls with per-contact results
+async function bulkTriggerAction(payload, context) {
+    const contacts = payload.contacts;
+    const limit = parseInt(process.env.BULK_TRIGGER_MAX) || DEFAULT_BULK_LIMIT;
+
+    if (!Array.isArray(contacts) || contacts.length === 0) {
+        return actionResponse(400, { success: false, error: 'contacts must be a non-empty array' });
+    }
+    if (contacts.length > limit) {
+        return actionResponse(400, { success: false, error: `Too many contacts (${contacts.length}) - limit is ${limit}` });
+    }
+
+    console.log(`📞 Bulk trigger: ${contacts.length} contacts`);
+
+    // Sequential on purpose - keeps us inside GHL and VAPI rate limits
+    const results = [];
+    for (const [index, request] of contacts.entries()) {
+        if (!request?.contactId && !request?.phone) {
+            results.push({ index, success: false, error: 'contactId or phone is required' });
+            continue;
+        }
+
+        const result = await startCallForRequest(request, context, 'api:bulk-trigger');
+        results.push({
+            index,
+            contactId: result.contactId,
+            phone: result.phone || request.phone || null,
+            success: result.success,
+            ...(result.success ? { callId: result.callId } : { error: result.error }),
+            ...(result.blocked ? { blocked: result.blocked } : {}),
+            ...(result.queued ? { queued: true, scheduledFor: result.scheduledFor } : {}),
+            ...(result.retryable === true && !result.success && !result.queued ? { retryable: true } : {})
+        });
+    }
+
+    const successful = results.filter(result => result.success).length;
+    const blocked = results.filter(result => result.blocked).length;
+    const queued = results.filter(result => result.queued).length;
+    const retryable = results.filter(result => result.retryable).length;
+    const summary = { total: results.length, successful, failed: results.length - successful - queued, blocked, queued, retryable };
+    console.log(`📊 Bulk trigger complete: ${summary.successful}/${summary.total} calls started`);
+
+    return actionResponse(200, {
+        success: summary.failed === 0,
+        message: `Started ${summary.successful} of ${summary.total} calls${summary.queued ? ` (${summary.queued} queued for calling hours)` : ''}`,
+        summary,
+        results
+    });
+}
+
+// process-call-queue: dial queued calls whose calling window has opened (run from a schedule)
+async function processCallQueueAction(payload, { pitTokenManager }) {
+    const result = await processCallQueue({ pitTokenManager });
+    return actionResponse(200, {
+        success: true,
+        message: `Started ${result.started} of ${result.processed} queued calls`,
+        ...result
+    });
+}
+
+// list-reviews: pending low-confidence values, for one contact (contactId) or all
+async function listReviewsAction(payload, { reviewQueue = new FieldReviewQueue() }) {
+    const pending = await reviewQueue.listPending(payload.contactId || null);
+    return actionResponse(200, { success: true, count: pending.length, pending });
+}
+
+// review-field: approve (write the value, or payload.value instead) or reject a held value
+async function reviewFieldAction(payload, { pitTokenManager, reviewQueue = new FieldReviewQueue(), customFieldsManager = null }) {
+    const { contactId, field, decision } = payload;
+    if (!contactId || !field) {
+        return actionResponse(400, { success: false, error: 'contactId and field are required' });
+    }
+    if (!['approve', 'reject'].includes(decision)) {
+        return actionResponse(400, { success: false, error: 'decision must be "approve" or "reject"' });
+    }
+
+    const entry = await reviewQueue.get(contactId, field);
+    if (entry?.status !== 'pending') {
+        return actionResponse(404, { success: false, error: `No pending review for ${field} on contact ${contactId}` });
+    }
+
+    const value = payload.value ?? entry.value;
+    if (decision === 'approve') {
+        try {
+            const manager = customFieldsManager || new CustomFieldsManager();
+            await manager.applyReviewedValue(contactId, field, value);
+        } catch (error) {
+            console.error(`❌ Could not apply reviewed value for ${field}:`, error.message);
+            return actionResponse(502, { success: false, error: error.message });
+        }
+    }
+
+    const resolved = await reviewQueue.resolve(contactId, field, decision, {
+        value,
+        reviewedBy: payload.reviewedBy || null,
+        pitTokenManager
+    });
+    return actionResponse(200, {
+        success: true,
+        message: decision === 'approve' ? `${field} written to contact ${contactId}` : `${field} rejected`,
+        review: resolved
+    });
+}
+
+// field-history: every recorded write for a contact, newest first; field (key or GHL name) narrows it
+async function fieldHistoryAction(payload, { provenance = new FieldProvenanceStore() }) {
+    if (!payload.contactId) {
+        return actionResponse(400, { success: false, error: 'contactId is required' });
+    }
+
+    const history = await provenance.history(payload.contactId, payload.field || null);
+    return actionResponse(200, {
+        success: true,
+        contactId: payload.contactId,
+        field: payload.field || null,
+        count: history.length,
+        history
+    });
+}
+
+// Registered actions
+export const actions = {
+    'trigger-call': triggerCallAction,
+    'bulk-trigger': bulkTriggerAction,
+    'process-call-queue': processCallQueueAction,
+    'list-reviews': listReviewsAction,
+    'review-field': reviewFieldAction,
+    'field-history': fieldHistoryAction
+};
+
+// Authenticate and route an action request
+export async function handleActionRequest(event, payload, context = {}) {
+    console.log(`⚙️ Action API request: ${payload.action}`);
+
+    const auth = authorizeActionRequest(event);
+    if (!auth.authorized) {
+        console.warn(`🚫 Rejected action request: ${auth.reason}`);
+        return actionResponse(401, { success: false, error: 'Unauthorized', message: auth.reason });
+    }
+
+    const action = actions[payload.action];
+    if (!action) {
+        return actionResponse(404, {
+            success: false,
+            error: `Unknown action: ${payload.action}`,
+            availableActions: Object.keys(actions)
+        });
+    }
+
+    return await action(payload, context);
+}
+
+export default { isActionRequest, handleActionRequest, actions };
@@ -0,0 +1,108 @@
+// agent-roster.js - On-call agent roster and business hours for live transfers
+// Hours specs look like "mon-fri 09:00-18:00; sat 10:00-14:00" and are evaluated in a timezone
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DEFAULT_BUSINESS_HOURS = 'mon-fri 09:00-18:00';
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+// "09:30" → minutes since midnight
+function parseClock(value) {
+    const match = `${value}`.trim().match(/^(\d{1,2}):?(\d{2})?$/);
+    if (!match) throw new Error(`Invalid time "${value}" (expected HH:MM)`);
+    return parseInt(match[1]) * 60 + parseInt(match[2] || '0');
+}
+
+// "mon-fri" / "sat" / "mon,wed" → day indexes (0 = Sunday)
+function parseDays(value) {
+    const days = new Set();
+    for (const part of value.toLowerCase().split(',')) {
+        const [from, to] = part.trim().split('-').map(day => DAY_NAMES.indexOf(day.substring(0, 3)));
+        if (from < 0 || (to !== undefined && to < 0)) {
+            throw new Error(`Invalid day range "${part}"`);
+        }
+        for (let day = from; ; day = (day + 1) % 7) {
+            days.add(day);
+            if (to === undefined || day === to) break;
+        }
+    }
+    return days;
+}
+
+// Parse an hours spec into [{ days: Set, start, end }] (minutes since midnight)
+export function parseHoursSpec(spec) {
+    return `${spec || ''}`
+        .split(';')
+        .map(rule => rule.trim())
+        .filter(Boolean)
+        .map(rule => {
+            const [days, times] = rule.split(/\s+/);
+            const [start, end] = (times || '').split('-');
+            if (!start || !end) throw new Error(`Invalid hours rule "${rule}" (expected "mon-fri 09:00-18:00")`);
+            return { days: parseDays(days), start: parseClock(start), end: parseClock(end) };
+        });
+}
+
+// Day of week and minutes since midnight for a moment in a timezone
+export function getLocalTime(date, timezone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+
+    return {
+        day: DAY_NAMES.indexOf(parts.weekday.toLowerCase().substring(0, 3)),
+        minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+    };
+}
+
+// Is the moment inside any rule of the hours spec?
+export function isWithinHours(spec, date, timezone) {
+    const { day, minutes } = getLocalTime(date, timezone);
+    return parseHoursSpec(spec).some(rule => rule.days.has(day) && minutes >= rule.start && minutes < rule.end);
+}
+
+// Business hours and timezone (BUSINESS_HOURS, BUSINESS_TIMEZONE)
+export function getBusinessHours() {
+    return {
+        hours: process.env.BUSINESS_HOURS || DEFAULT_BUSINESS_HOURS,
+        timezone: process.env.BUSINESS_TIMEZONE || process.env.GHL_CALENDAR_TIMEZONE || DEFAULT_TIMEZONE
+    };
+}
+
+// On-call roster from AGENT_ROSTER (JSON array, first available agent wins):
+// [{ "name": "Rich", "phone": "+15551234567", "hours": "mon-fri 09:00-18:00", "onCall": true }]
+// Agents without hours use business hours; "onCall": false takes an agent out of rotation
+export function getAgentRoster() {
+    if (!process.env.AGENT_ROSTER) return [];
+
+    try {
+        const roster = JSON.parse(process.env.AGENT_ROSTER);
+        return (Array.isArray(roster) ? roster : []).filter(agent => agent?.phone);
+    } catch (error) {
+        console.error('❌ AGENT_ROSTER is not valid JSON:', error.message);
+        return [];
+    }
+}
+
+// Find an agent who can take a transfer right now
+// Returns { available: true, agent } or { available: false, reason: 'outside_business_hours' | 'no_agent_on_call' }
+export function findAvailableAgent({ now = new Date(), roster = getAgentRoster(), businessHours = getBusinessHours() } = {}) {
+    if (!isWithinHours(businessHours.hours, now, businessHours.timezone)) {
+        return { available: false, reason: 'outside_business_hours' };
+    }
+
+    const agent = roster.find(candidate =>
+        candidate.onCall !== false &&
+        isWithinHours(candidate.hours || businessHours.hours, now, candidate.timezone || businessHours.timezone)
+    );
+
+    return agent
+        ? { available: true, agent }
+        : { available: false, reason: 'no_agent_on_call' };
+}
+
+export default { findAvailableAgent, getAgentRoster, getBusinessHours, isWithinHours, parseHoursSpec };
@@ -1,13 +1,13 @@
 // appointment-scheduler.js - Handles GHL appointment/calendar operations
 import axios from 'axios';
+import { getGHLBaseUrl } from './pit-token-manager.js';
 
-const GHL_BASE_URL = 'https://services.leadconnectorhq.com';
 const GHL_API_VERSION = '2021-07-28';
 
 // Function to create appointment in GHL
 export async function createAppointment(appointmentData, accessToken) {
     try {
-        const response = await axios.post(`${GHL_BASE_URL}/calendars/events`, appointmentData, {
+        const response = await axios.post(`${getGHLBaseUrl()}/calendars/events`, appointmentData, {
             headers: {
                 'Authorization': `Bearer ${accessToken}`,
                 'Version': GHL_API_VERSION,
@@ -23,13 +23,19 @@ export async function createAppointment(appointmentData, accessToken) {
 }
 
 // Function to get available calendar slots
-export async function getCalendarSlots(calendarId, startDate, endDate, accessToken) {
+// startDate/endDate are epoch milliseconds; timezone (IANA) controls how GHL buckets slots into days
+export async function getCalendarSlots(calendarId, startDate, endDate, accessToken, timezone = null) {
     try {
-        const response = await axios.get(`${GHL_BASE_URL}/calendars/${calendarId}/free-slots`, {
-            params: {
-                startDate,
-                endDate
-            },
+        const params = {
+            startDate,
+            endDate
+        };
+        if (timezone) {
+            params.timezone = timezone;
+        }
+        
+        const response = await axios.get(`${getGHLBaseUrl()}/calendars/${calendarId}/free-slots`, {
+            params,
             headers: {
                 'Authorization': `Bearer ${accessToken}`,
                 'Version': GHL_API_VERSION,
@@ -44,6 +50,43 @@ export async function getCalendarSlots(calendarId, startDate, endDate, accessTok
     }
 }
 
+// Function to get calendar details (name, timezone, slot duration)
+export async function getCalendarDetails(calendarId, accessToken) {
+    try {
+        const response = await axios.get(`${getGHLBaseUrl()}/calendars/${calendarId}`, {
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Version': GHL_API_VERSION,
+                'Content-Type': 'application/json'
+            }
+        });
+        
+        return response.data.calendar || response.data;
+    } catch (error) {
+        console.error('Error getting calendar details:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+// Function to flatten a free-slots response ({ "2025-09-15": { slots: [...] }, traceId }) into sorted start times
+export function parseFreeSlots(freeSlotsResponse) {
+    const slotTimes = [];
+    const days = freeSlotsResponse?._dates_ || freeSlotsResponse || {};
+    
+    for (const [day, dayData] of Object.entries(days)) {
+        if (!Array.isArray(dayData?.slots)) continue;
+        
+        for (const slot of dayData.slots) {
+            const startTime = typeof slot === 'string' ? slot : slot?.startTime || slot?.start;
+            if (startTime && !isNaN(new Date(startTime).getTime())) {
+                slotTimes.push({ day, startTime });
+            }
+        }
+    }
+    
+    return slotTimes.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+}
+
 // Function to process appointment request from VAPI call
 export async function processAppointmentRequest(callData, contactId, accessToken) {
     try {
@@ -0,0 +1,101 @@
+// call-dedup.js - Idempotent end-of-call processing keyed by VAPI call ID
+// VAPI retries webhooks and the handler re-invokes itself asynchronously, so the same
+// report can arrive more than once. Only the first delivery may write to GHL.
+import { createStateStore, pruneOlderThan, retentionExpiry } from './state-store.js';
+
+// A claim older than the Lambda timeout means the processing invocation died
+const STALE_CLAIM_MS = 15 * 60 * 1000;
+
+class CallDedupManager {
+    constructor(store = createStateStore('processed-calls')) {
+        this.store = store;
+    }
+
+    // Get the stored record for a call ({ status, result, ... }) or null
+    async getRecord(callId) {
+        if (!callId) return null;
+        return await this.store.get(callId);
+    }
+
+    // Try to claim a call for processing
+    // Returns { claimed: true } or { claimed: false, record } for duplicates
+    async claim(callId) {
+        if (!callId) {
+            console.log('⚠️ No call ID - idempotency check skipped');
+            return { claimed: true, untracked: true };
+        }
+
+        const record = {
+            callId,
+            status: 'processing',
+            startedAt: new Date().toISOString()
+        };
+
+        if (await this.store.putIfAbsent(callId, record, { expiresAt: retentionExpiry() })) {
+            console.log(`🔒 Claimed call ${callId} for processing`);
+            return { claimed: true };
+        }
+
+        const existing = await this.store.get(callId);
+
+        // Re-claim calls whose processing invocation never finished
+        if (existing?.status === 'processing' && Date.now() - new Date(existing.startedAt).getTime() > STALE_CLAIM_MS) {
+            console.log(`♻️ Re-claiming stale processing record for call ${callId}`);
+            await this.store.put(callId, record, { expiresAt: retentionExpiry() });
+            return { claimed: true };
+        }
+
+        console.log(`🔁 Duplicate delivery for call ${callId} (status: ${existing?.status || 'unknown'})`);
+        return { claimed: false, record: existing };
+    }
+
+    // Store the original result so repeat deliveries can return it
+    async complete(callId, result) {
+        if (!callId) return;
+        await this.store.put(callId, {
+            callId,
+            status: 'completed',
+            completedAt: new Date().toISOString(),
+            result
+        }, { expiresAt: retentionExpiry() });
+        console.log(`✅ Recorded processed call ${callId}`);
+    }
+
+    // Release a claim after a failure so VAPI retries can process the call
+    async release(callId) {
+        if (!callId) return;
+        await this.store.delete(callId);
+        console.log(`🔓 Released claim for call ${callId}`);
+    }
+
+    // Drop records older than maxAgeMs - retries only arrive within minutes, so old IDs are never checked again
+    async prune(maxAgeMs, { now = new Date() } = {}) {
+        return await pruneOlderThan(this.store, Math.max(maxAgeMs, STALE_CLAIM_MS), record => record?.completedAt || record?.startedAt, { now });
+    }
+}
+
+// Build the response returned for duplicate deliveries
+export function duplicateCallResponse(record) {
+    if (record?.status === 'completed') {
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                ...record.result,
+                duplicate: true,
+                originallyProcessedAt: record.completedAt
+            })
+        };
+    }
+
+    return {
+        statusCode: 202,
+        body: JSON.stringify({
+            message: 'Call report is already being processed',
+            callId: record?.callId || null,
+            duplicate: true
+        })
+    };
+}
+
+export default CallDedupManager;
+export { CallDedupManager };
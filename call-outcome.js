@@ -0,0 +1,73 @@
+// call-outcome.js - Was a call answered by a person, a voicemail box or nobody?
+// Unanswered calls skip field extraction (a voicemail greeting is not seller data) and only get
+// a short outcome note, an outcome tag and a call attempt
+import { getCallerText } from './opt-out-manager.js';
+import { buildTranscript } from './transcript-model.js';
+
+// VAPI endedReason values for calls nobody took
+const NO_ANSWER_END_REASONS = ['customer-did-not-answer', 'customer-busy'];
+const VOICEMAIL_END_REASONS = ['voicemail'];
+
+// Voicemail greetings and carrier messages heard on the "customer" side
+const VOICEMAIL_GREETING_PATTERNS = [
+    /\bleave (me |us )?(a |your )?(brief |short )?(message|name and number)\b/i,
+    /\b(after|at) the (tone|beep)\b/i,
+    /\bforwarded to an automated voice messaging system\b/i,
+    /\b(record|recording) your message\b/i,
+    /\bmailbox (is full|has not been set up)\b/i,
+    /\b(the person|the party|the number) you (are trying to reach|have dialed|called)\b/i,
+    /\bvoice ?mail\b.*\b(box|service|system)\b/i
+];
+
+// A real conversation can quote a greeting; a voicemail box doesn't say much more than one
+const MAX_VOICEMAIL_CALLER_WORDS = 80;
+
+// Tags added to the contact for each outcome (GHL_VOICEMAIL_TAG, GHL_NO_ANSWER_TAG)
+export function getOutcomeTag(outcome) {
+    if (outcome === 'voicemail') return (process.env.GHL_VOICEMAIL_TAG || 'voicemail').trim().toLowerCase();
+    if (outcome === 'no_answer') return (process.env.GHL_NO_ANSWER_TAG || 'no-answer').trim().toLowerCase();
+    return null;
+}
+
+// Did the assistant speak (i.e. leave a voicemail message)?
+function assistantSpoke(callData) {
+    return buildTranscript(callData).assistantTurns().length > 0;
+}
+
+// A person answers the assistant; a voicemail box only plays its greeting before the assistant speaks
+function customerRepliedToAssistant(callData) {
+    const turns = buildTranscript(callData).turns;
+    const firstAssistantTurn = turns.findIndex(turn => turn.speaker === 'assistant');
+    return firstAssistantTurn !== -1 && turns.slice(firstAssistantTurn + 1).some(turn => turn.speaker === 'customer');
+}
+
+// Classify a finished call
+// Returns { outcome: 'answered' | 'voicemail' | 'no_answer', source, endedReason, messageLeft }
+export function classifyCallOutcome(callData) {
+    const call = callData.call || {};
+    const endedReason = call.endedReason || callData.message?.endedReason || null;
+
+    if (NO_ANSWER_END_REASONS.includes(endedReason)) {
+        return { outcome: 'no_answer', source: 'ended_reason', endedReason, messageLeft: false };
+    }
+
+    if (VOICEMAIL_END_REASONS.includes(endedReason)) {
+        return { outcome: 'voicemail', source: 'ended_reason', endedReason, messageLeft: assistantSpoke(callData) };
+    }
+
+    // Voicemail that VAPI didn't flag: a greeting from a "caller" who says little else and never replies
+    if (customerRepliedToAssistant(callData)) {
+        return { outcome: 'answered', source: 'transcript', endedReason, messageLeft: false };
+    }
+
+    const callerText = getCallerText(callData);
+    const callerWords = callerText.split(/\s+/).filter(Boolean).length;
+    if (callerWords > 0 && callerWords <= MAX_VOICEMAIL_CALLER_WORDS &&
+        VOICEMAIL_GREETING_PATTERNS.some(pattern => pattern.test(callerText))) {
+        return { outcome: 'voicemail', source: 'transcript', endedReason, messageLeft: assistantSpoke(callData) };
+    }
+
+    return { outcome: 'answered', source: 'default', endedReason, messageLeft: false };
+}
+
+export default { classifyCallOutcome, getOutcomeTag };
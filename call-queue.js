@@ -0,0 +1,67 @@
+// call-queue.js - Outbound calls waiting for an allowed calling time
+// One pending call per contact; a later request replaces the earlier one
+import { createStateStore } from './state-store.js';
+
+// Contact fields kept with a queued call - DND status and tags are left out so
+// they are re-read from GHL when the call is finally dialed
+const QUEUED_CONTACT_FIELDS = ['id', 'firstName', 'lastName', 'name', 'email', 'phone', 'address1', 'city', 'state', 'postalCode', 'timezone'];
+
+function slimContact(contact) {
+    return Object.fromEntries(QUEUED_CONTACT_FIELDS.filter(field => contact[field]).map(field => [field, contact[field]]));
+}
+
+// Queue key: contact ID, else the phone digits
+function queueKey(contact) {
+    return contact.id || `phone-${`${contact.phone || ''}`.replace(/\D/g, '')}`;
+}
+
+class CallQueue {
+    constructor(store = createStateStore('call-queue')) {
+        this.store = store;
+    }
+
+    // Queue a call for scheduledFor (ISO time)
+    // failures counts earlier dial attempts of this call that failed (processCallQueue backs off on them)
+    async enqueue(contact, { reason, scheduledFor, timezone = null, source = 'calling_hours', failures = 0, lastError = null }) {
+        const key = queueKey(contact);
+        const existing = await this.store.get(key);
+        const entry = {
+            key,
+            contact: slimContact(contact),
+            reason,
+            source,
+            timezone,
+            scheduledFor,
+            failures,
+            ...(lastError ? { lastError } : {}),
+            queuedAt: existing?.queuedAt || new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        await this.store.put(key, entry);
+        console.log(`🗓️ Queued call for ${key} at ${scheduledFor} (${reason})`);
+        return entry;
+    }
+
+    // Calls whose scheduled time has arrived, oldest first
+    async getDue(now = new Date()) {
+        const entries = await this.store.list();
+        return entries
+            .map(entry => entry.value)
+            .filter(entry => entry?.scheduledFor && new Date(entry.scheduledFor) <= now)
+            .sort((a, b) => new Date(a.scheduledFor) - new Date(b.scheduledFor));
+    }
+
+    // All queued calls
+    async list() {
+        return (await this.store.list()).map(entry => entry.value);
+    }
+
+    // Remove a call before dialing it so overlapping queue runs can't dial twice
+    async remove(key) {
+        return await this.store.delete(key);
+    }
+}
+
+export default CallQueue;
+export { CallQueue };
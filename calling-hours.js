@@ -0,0 +1,167 @@
+// calling-hours.js - Calling-hours compliance for outbound calls (TCPA)
+// Works out the callee's local timezone (contact timezone → state → area code) and only
+// allows calls inside CALLING_HOURS there; otherwise finds the next allowed time
+import { isWithinHours, parseHoursSpec } from './agent-roster.js';
+
+// Conservative default: inside the TCPA 8am-9pm window with margin
+const DEFAULT_CALLING_HOURS = 'mon-fri 09:00-20:00; sat 10:00-17:00';
+
+// Unknown timezone: the call must be allowed on both coasts
+const FALLBACK_TIMEZONES = ['America/New_York', 'America/Los_Angeles'];
+
+// How far ahead to look for the next allowed time, and the step used
+const SEARCH_HORIZON_DAYS = 8;
+const SEARCH_STEP_MINUTES = 15;
+
+const STATE_TIMEZONES = {
+    AL: 'America/Chicago', AK: 'America/Anchorage', AZ: 'America/Phoenix', AR: 'America/Chicago',
+    CA: 'America/Los_Angeles', CO: 'America/Denver', CT: 'America/New_York', DE: 'America/New_York',
+    DC: 'America/New_York', FL: 'America/New_York', GA: 'America/New_York', HI: 'Pacific/Honolulu',
+    ID: 'America/Boise', IL: 'America/Chicago', IN: 'America/Indiana/Indianapolis', IA: 'America/Chicago',
+    KS: 'America/Chicago', KY: 'America/New_York', LA: 'America/Chicago', ME: 'America/New_York',
+    MD: 'America/New_York', MA: 'America/New_York', MI: 'America/Detroit', MN: 'America/Chicago',
+    MS: 'America/Chicago', MO: 'America/Chicago', MT: 'America/Denver', NE: 'America/Chicago',
+    NV: 'America/Los_Angeles', NH: 'America/New_York', NJ: 'America/New_York', NM: 'America/Denver',
+    NY: 'America/New_York', NC: 'America/New_York', ND: 'America/Chicago', OH: 'America/New_York',
+    OK: 'America/Chicago', OR: 'America/Los_Angeles', PA: 'America/New_York', RI: 'America/New_York',
+    SC: 'America/New_York', SD: 'America/Chicago', TN: 'America/Chicago', TX: 'America/Chicago',
+    UT: 'America/Denver', VT: 'America/New_York', VA: 'America/New_York', WA: 'America/Los_Angeles',
+    WV: 'America/New_York', WI: 'America/Chicago', WY: 'America/Denver', PR: 'America/Puerto_Rico'
+};
+
+const STATE_NAMES = {
+    alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA', colorado: 'CO',
+    connecticut: 'CT', delaware: 'DE', 'district of columbia': 'DC', florida: 'FL', georgia: 'GA',
+    hawaii: 'HI', idaho: 'ID', illinois: 'IL', indiana: 'IN', iowa: 'IA', kansas: 'KS', kentucky: 'KY',
+    louisiana: 'LA', maine: 'ME', maryland: 'MD', massachusetts: 'MA', michigan: 'MI', minnesota: 'MN',
+    mississippi: 'MS', missouri: 'MO', montana: 'MT', nebraska: 'NE', nevada: 'NV', 'new hampshire': 'NH',
+    'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND',
+    ohio: 'OH', oklahoma: 'OK', oregon: 'OR', pennsylvania: 'PA', 'rhode island': 'RI',
+    'south carolina': 'SC', 'south dakota': 'SD', tennessee: 'TN', texas: 'TX', utah: 'UT', vermont: 'VT',
+    virginia: 'VA', washington: 'WA', 'west virginia': 'WV', wisconsin: 'WI', wyoming: 'WY', 'puerto rico': 'PR'
+};
+
+// US area codes by state (NANP geographic codes)
+const STATE_AREA_CODES = {
+    AL: [205, 251, 256, 334, 659, 938], AK: [907], AZ: [480, 520, 602, 623, 928], AR: [327, 479, 501, 870],
+    CA: [209, 213, 279, 310, 323, 341, 350, 408, 415, 424, 442, 510, 530, 559, 562, 619, 626, 628, 650, 657,
+        661, 669, 707, 714, 747, 760, 805, 818, 820, 831, 840, 858, 909, 916, 925, 949, 951],
+    CO: [303, 719, 720, 970, 983], CT: [203, 475, 860, 959], DE: [302], DC: [202, 771],
+    FL: [239, 305, 321, 352, 386, 407, 448, 561, 656, 689, 727, 754, 772, 786, 813, 850, 863, 904, 941, 954],
+    GA: [229, 404, 470, 478, 678, 706, 762, 770, 912, 943], HI: [808], ID: [208, 986],
+    IL: [217, 224, 309, 312, 331, 447, 464, 618, 630, 708, 730, 773, 779, 815, 847, 872],
+    IN: [219, 260, 317, 463, 574, 765, 812, 930], IA: [319, 515, 563, 641, 712], KS: [316, 620, 785, 913],
+    KY: [270, 364, 502, 606, 859], LA: [225, 318, 337, 504, 985], ME: [207], MD: [227, 240, 301, 410, 443, 667],
+    MA: [339, 351, 413, 508, 617, 774, 781, 857, 978],
+    MI: [231, 248, 269, 313, 517, 586, 616, 679, 734, 810, 906, 947, 989], MN: [218, 320, 507, 612, 651, 763, 952],
+    MS: [228, 601, 662, 769], MO: [235, 314, 417, 557, 573, 636, 660, 816, 975], MT: [406], NE: [308, 402, 531],
+    NV: [702, 725, 775], NH: [603], NJ: [201, 551, 609, 640, 732, 848, 856, 862, 908, 973], NM: [505, 575],
+    NY: [212, 315, 329, 332, 347, 363, 516, 518, 585, 607, 624, 631, 646, 680, 716, 718, 838, 845, 914, 917, 929, 934],
+    NC: [252, 336, 472, 704, 743, 828, 910, 919, 980, 984], ND: [701],
+    OH: [216, 220, 234, 283, 326, 330, 380, 419, 436, 440, 513, 567, 614, 740, 937],
+    OK: [405, 539, 572, 580, 918], OR: [458, 503, 541, 971],
+    PA: [215, 223, 267, 272, 412, 445, 484, 570, 582, 610, 717, 724, 814, 835, 878], RI: [401],
+    SC: [803, 839, 843, 854, 864], SD: [605], TN: [423, 615, 629, 731, 865, 901, 931],
+    TX: [210, 214, 254, 281, 325, 346, 361, 409, 430, 432, 469, 512, 682, 713, 726, 737, 806, 817, 830, 832,
+        903, 915, 936, 940, 945, 956, 972, 979],
+    UT: [385, 435, 801], VT: [802], VA: [276, 434, 540, 571, 703, 757, 804, 826, 948], WA: [206, 253, 360, 425, 509, 564],
+    WV: [304, 681], WI: [262, 274, 414, 534, 608, 715, 920], WY: [307], PR: [787, 939]
+};
+
+// Area codes in a different timezone than the rest of their state
+const AREA_CODE_TIMEZONE_OVERRIDES = {
+    219: 'America/Chicago', // NW Indiana
+    270: 'America/Chicago', 364: 'America/Chicago', // Western Kentucky
+    423: 'America/New_York', 865: 'America/New_York', // East Tennessee
+    915: 'America/Denver' // El Paso
+};
+
+const AREA_CODE_STATES = Object.fromEntries(
+    Object.entries(STATE_AREA_CODES).flatMap(([state, codes]) => codes.map(code => [code, state]))
+);
+
+// Valid IANA timezone?
+function isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// "TX" / "Texas" → "TX"
+function normalizeState(state) {
+    const value = `${state || ''}`.trim();
+    if (!value) return null;
+    if (STATE_TIMEZONES[value.toUpperCase()]) return value.toUpperCase();
+    return STATE_NAMES[value.toLowerCase()] || null;
+}
+
+// Area code of a US number (+1XXXXXXXXXX, (XXX) XXX-XXXX, ...)
+export function getAreaCode(phone) {
+    const digits = `${phone || ''}`.replace(/\D/g, '');
+    if (digits.length === 11 && digits.startsWith('1')) return parseInt(digits.substring(1, 4));
+    if (digits.length === 10) return parseInt(digits.substring(0, 3));
+    return null;
+}
+
+// Work out the callee's timezone: contact timezone → state → area code
+// Returns { timezone, source } or { timezone: null, source: 'unknown' }
+export function resolveContactTimezone(contact) {
+    if (isValidTimezone(contact.timezone)) {
+        return { timezone: contact.timezone, source: 'contact' };
+    }
+
+    const state = normalizeState(contact.state);
+    if (state) {
+        return { timezone: STATE_TIMEZONES[state], source: 'state' };
+    }
+
+    const areaCode = getAreaCode(contact.phone);
+    if (areaCode && (AREA_CODE_TIMEZONE_OVERRIDES[areaCode] || AREA_CODE_STATES[areaCode])) {
+        return {
+            timezone: AREA_CODE_TIMEZONE_OVERRIDES[areaCode] || STATE_TIMEZONES[AREA_CODE_STATES[areaCode]],
+            source: 'area_code'
+        };
+    }
+
+    return { timezone: null, source: 'unknown' };
+}
+
+// Allowed local calling hours (CALLING_HOURS, same format as BUSINESS_HOURS)
+export function getCallingHours() {
+    const hours = process.env.CALLING_HOURS || DEFAULT_CALLING_HOURS;
+    parseHoursSpec(hours); // Throws on a malformed spec so misconfiguration is loud
+    return hours;
+}
+
+// Allowed in every timezone that applies to the callee?
+function isAllowedAt(date, hours, timezones) {
+    return timezones.every(timezone => isWithinHours(hours, date, timezone));
+}
+
+// Check whether a contact may be called now
+// Returns { allowed, timezone, timezoneSource, nextAllowedAt }
+export function checkCallingHours(contact, { now = new Date(), hours = getCallingHours() } = {}) {
+    const { timezone, source } = resolveContactTimezone(contact);
+    const timezones = timezone ? [timezone] : FALLBACK_TIMEZONES;
+
+    if (isAllowedAt(now, hours, timezones)) {
+        return { allowed: true, timezone, timezoneSource: source, nextAllowedAt: null };
+    }
+
+    // Step forward on quarter hours until the window opens (DST-safe)
+    const step = SEARCH_STEP_MINUTES * 60 * 1000;
+    const horizon = now.getTime() + SEARCH_HORIZON_DAYS * 24 * 60 * 60 * 1000;
+    for (let time = Math.ceil(now.getTime() / step) * step; time <= horizon; time += step) {
+        if (isAllowedAt(new Date(time), hours, timezones)) {
+            return { allowed: false, timezone, timezoneSource: source, nextAllowedAt: new Date(time).toISOString() };
+        }
+    }
+
+    throw new Error(`CALLING_HOURS "${hours}" never allows calls for ${timezones.join(', ')}`);
+}
+
+export default { checkCallingHours, resolveContactTimezone, getCallingHours, getAreaCode };
@@ -1,11 +1,12 @@
 // contact-manager.js - Handles all GHL contact operations
 import axios from 'axios';
 import jwt from 'jsonwebtoken';
+import { getGHLBaseUrl } from './pit-token-manager.js';
 
-const GHL_BASE_URL = 'https://services.leadconnectorhq.com';
 const GHL_API_VERSION = '2021-07-28';
 
 // Function to extract location ID from JWT access token
+// PIT tokens are opaque (not JWTs), so fall back to the configured GHL_LOCATION_ID
 function getLocationIdFromToken(accessToken) {
     try {
         const decoded = jwt.decode(accessToken);
@@ -14,18 +15,23 @@ function getLocationIdFromToken(accessToken) {
             console.log('Extracted location ID from token:', locationId);
             return locationId;
         }
-        console.error('No location ID found in token');
-        return null;
     } catch (error) {
         console.error('Error decoding access token:', error.message);
-        return null;
     }
+    
+    if (process.env.GHL_LOCATION_ID) {
+        console.log('Using configured location ID:', process.env.GHL_LOCATION_ID);
+        return process.env.GHL_LOCATION_ID;
+    }
+    
+    console.error('No location ID found in token or GHL_LOCATION_ID');
+    return null;
 }
 
 // Function to get contact by ID from GHL
 export async function getContactById(contactId, accessToken) {
     try {
-        const response = await axios.get(`${GHL_BASE_URL}/contacts/${contactId}`, {
+        const response = await axios.get(`${getGHLBaseUrl()}/contacts/${contactId}`, {
             headers: {
                 'Authorization': `Bearer ${accessToken}`,
                 'Version': GHL_API_VERSION,
@@ -46,7 +52,7 @@ export async function findContactByPhone(phoneNumber, accessToken) {
     const locationId = getLocationIdFromToken(accessToken);
     
     try {
-        const response = await axios.get(`${GHL_BASE_URL}/contacts/`, {
+        const response = await axios.get(`${getGHLBaseUrl()}/contacts/`, {
             params: {
                 locationId: locationId,
                 query: normalizedPhone,
@@ -78,7 +84,7 @@ export async function updateContact(contactId, updateData, accessToken) {
     };
     
     try {
-        const response = await axios.put(`${GHL_BASE_URL}/contacts/${contactId}`, payload, {
+        const response = await axios.put(`${getGHLBaseUrl()}/contacts/${contactId}`, payload, {
             headers: {
                 'Authorization': `Bearer ${accessToken}`,
                 'Version': GHL_API_VERSION,
@@ -103,7 +109,7 @@ export async function createContact(contactData, accessToken) {
     };
     
     try {
-        const response = await axios.post(`${GHL_BASE_URL}/contacts/`, payload, {
+        const response = await axios.post(`${getGHLBaseUrl()}/contacts/`, payload, {
             headers: {
                 'Authorization': `Bearer ${accessToken}`,
                 'Version': GHL_API_VERSION,
@@ -119,7 +125,7 @@ export async function createContact(contactData, accessToken) {
 }
 
 // Function to normalize phone numbers for matching
-function normalizePhoneNumber(phone) {
+export function normalizePhoneNumber(phone) {
     if (!phone) return null;
     
     // Remove all non-numeric characters
@@ -2,10 +2,18 @@
 // Integrates AI transcript extraction with GoHighLevel V2 API
 
 import { TranscriptAIExtractor } from './transcript-ai-extractor.js';
-import { PITTokenManager } from './pit-token-manager.js';
+import { PITTokenManager, getGHLBaseUrl } from './pit-token-manager.js';
+import { LiveAnswerStore } from './live-answers.js';
+import { getFieldDefinitions, findFieldDefinition } from './field-schema.js';
+import { parsePrice, parseSpokenNumber } from './price-parser.js';
+import { normalizeTimeline, callStartTime } from './field-normalizers.js';
+import { buildTranscript } from './transcript-model.js';
+import { FieldReviewQueue, splitByConfidence } from './review-queue.js';
+import { FieldProvenanceStore, normalizeFieldKey } from './field-provenance.js';
+import { resolveMerge, getMergePolicy } from './merge-policy.js';
+import { DryRunRecorder } from './dry-run.js';
 import axios from 'axios';
 
-const GHL_BASE_URL = 'https://services.leadconnectorhq.com';
 const GHL_API_VERSION = '2021-07-28';
 const GHL_LOCATION_ID = 'Tty8tmfsIBN4DdOVzgVa'; // Known location ID
 
@@ -15,6 +23,9 @@ class CustomFieldsManager {
         this.aiExtractor = new TranscriptAIExtractor();
         this.customFieldMappings = null;
         this.fieldCache = new Map();
+        this.liveAnswers = new LiveAnswerStore();
+        this.reviewQueue = new FieldReviewQueue();
+        this.provenance = new FieldProvenanceStore();
     }
 
     // Initialize the manager by loading custom field mappings
@@ -42,7 +53,7 @@ class CustomFieldsManager {
         try {
             console.log('📋 Loading custom field mappings...');
             
-            const response = await axios.get(`${GHL_BASE_URL}/locations/${GHL_LOCATION_ID}/customFields`, {
+            const response = await axios.get(`${getGHLBaseUrl()}/locations/${GHL_LOCATION_ID}/customFields`, {
                 headers: {
                     'Authorization': `Bearer ${this.pitTokenManager.pitToken}`,
                     'Version': GHL_API_VERSION,
@@ -88,20 +99,79 @@ class CustomFieldsManager {
             .replace(/\s+/g, ''); // Remove spaces
     }
 
-    // Create field name aliases for better AI mapping
+    // Field name aliases from field-schema.json (e.g. askingPrice -> Expectations when there is no Asking Price field)
     getFieldNameAliases() {
-        return {
-            'askingprice': 'expectations', // Map asking price to expectations field
-            'propertytype': 'latestcalltranscript', // No specific property type field, use transcript
-            'pricerange': 'expectations', // Map price range to expectations field  
-            'currentsituation': 'latestcalltranscript', // Current situation -> transcript
-            'appointmentbooked': 'appointmentbooked', // Direct mapping
-            'callattemptcounter': 'callattemptcounter' // Direct mapping
-        };
+        const aliases = {};
+        for (const field of getFieldDefinitions()) {
+            if (!field.alias) continue;
+            aliases[this.normalizeFieldName(field.key)] = this.normalizeFieldName(field.alias);
+            aliases[this.normalizeFieldName(field.ghlField)] = this.normalizeFieldName(field.alias);
+        }
+        return aliases;
+    }
+
+    // Find the GHL custom field for an extracted field name (direct match, schema ghlField, then alias)
+    resolveFieldMapping(fieldName) {
+        const normalizedName = this.normalizeFieldName(fieldName);
+        const fieldMapping = this.customFieldMappings?.[normalizedName];
+        if (fieldMapping) return fieldMapping;
+
+        const schemaField = findFieldDefinition(fieldName);
+        const ghlMapping = schemaField && this.customFieldMappings?.[this.normalizeFieldName(schemaField.ghlField)];
+        if (ghlMapping) return ghlMapping;
+
+        const aliasName = this.getFieldNameAliases()[normalizedName];
+        if (aliasName) {
+            const aliasMapping = this.customFieldMappings?.[aliasName];
+            if (aliasMapping) {
+                console.log(`🔗 Using field alias: ${fieldName} -> ${aliasMapping.fieldName}`);
+                return aliasMapping;
+            }
+        }
+        return null;
+    }
+
+    // Drop extracted values for fields the caller already answered live during this call
+    // Returns the protected field names
+    async protectLiveAnswers(contactId, callData, extractedData) {
+        try {
+            const call = callData.call || callData.message?.call || {};
+            const liveAnswers = await this.liveAnswers.getForCall(contactId, {
+                callId: call.id,
+                since: call.startedAt || callData.message?.startedAt
+            });
+            if (liveAnswers.length === 0) return [];
+
+            const liveFieldIds = new Set(liveAnswers
+                .map(answer => this.resolveFieldMapping(answer.fieldName)?.fieldId)
+                .filter(Boolean));
+
+            for (const fieldName of Object.keys(extractedData)) {
+                if (fieldName.startsWith('_')) continue;
+                const fieldId = this.resolveFieldMapping(fieldName)?.fieldId;
+                if (fieldId && liveFieldIds.has(fieldId)) {
+                    console.log(`🎙️ Keeping live answer for ${fieldName} - skipping post-call value "${extractedData[fieldName]?.value}"`);
+                    delete extractedData[fieldName];
+                }
+            }
+
+            return liveAnswers.map(answer => answer.fieldName);
+        } catch (error) {
+            console.error('⚠️ Could not load live answers:', error.message);
+            return [];
+        }
     }
 
     // Process VAPI call and update custom fields
-    async processVAPICall(callData, contactId) {
+    // options.dryRun reads from GHL as usual but returns the planned writes (plannedWrites) instead of sending them;
+    // options.recorder collects them into an existing DryRunRecorder
+    async processVAPICall(callData, contactId, options = {}) {
+        const recorder = options.recorder || (options.dryRun ? new DryRunRecorder() : null);
+        const result = await this.processCallFields(callData, contactId, recorder);
+        return recorder ? { ...result, dryRun: true, plannedWrites: recorder.writes } : result;
+    }
+
+    async processCallFields(callData, contactId, recorder = null) {
         try {
             console.log('🎯 Processing VAPI call for custom fields update...');
             console.log(`📞 Call ID: ${callData.call?.id || 'unknown'}`);
@@ -137,7 +207,15 @@ class CustomFieldsManager {
 
             // Use AI to extract data from transcript
             const extractedData = await this.aiExtractor.extractDataFromTranscript(transcript, callData, existingFieldData);
-            const fieldsToExtract = Object.keys(extractedData).filter(key => !key.startsWith('_'));
+            
+            // Answers the caller gave live (ghl_record_answer) win over post-call extraction
+            const liveProtectedFields = await this.protectLiveAnswers(contactId, callData, extractedData);
+            
+            // Values under their field's minimum confidence wait for review instead of being written
+            const { accepted, held } = splitByConfidence(extractedData);
+            const heldForReview = await this.queueForReview(contactId, callData, held, recorder);
+            
+            const fieldsToExtract = Object.keys(accepted).filter(key => !key.startsWith('_'));
             
             console.log(`🤖 AI extraction completed: ${fieldsToExtract.length} fields extracted`);
 
@@ -147,15 +225,29 @@ class CustomFieldsManager {
                     success: true,
                     message: 'No relevant data found in transcript',
                     fieldsUpdated: 0,
+                    heldForReview: heldForReview,
                     extractedData: extractedData
                 };
             }
 
-            // Map extracted data to custom fields and update contact
-            const updateResult = await this.updateContactCustomFields(contactId, extractedData);
+            // Map extracted data to custom fields and update contact (merge policies protect existing values)
+            const updateResult = await this.updateContactCustomFields(contactId, accepted, {
+                merge: true,
+                callId: callData.call?.id || callData.message?.call?.id || null,
+                callStartedAt: callStartTime(callData),
+                recorder,
+                deferProvenance: true
+            });
             
             // Check if appointment was booked and increment call counter
-            const additionalUpdates = await this.processAdditionalFields(callData, contactId);
+            const additionalUpdates = await this.processAdditionalFields(callData, contactId, recorder, { deferProvenance: true });
+
+            // Every write from the call goes into the contact's provenance document at once
+            const fieldWrites = updateResult.provenanceWrites || [];
+            const writes = [...fieldWrites, ...(additionalUpdates.provenanceWrites || [])];
+            const provenance = writes.length > 0
+                ? await this.recordProvenance(contactId, writes, { dryRun: !!recorder })
+                : { changes: [], error: null };
             
             console.log(`✅ Custom fields update completed: ${updateResult.fieldsUpdated} fields updated`);
             
@@ -164,8 +256,15 @@ class CustomFieldsManager {
                 message: `Successfully updated ${updateResult.fieldsUpdated + additionalUpdates.fieldsUpdated} custom fields`,
                 fieldsUpdated: updateResult.fieldsUpdated + additionalUpdates.fieldsUpdated,
                 updatedFields: [...updateResult.updatedFields, ...additionalUpdates.updatedFields],
+                liveProtectedFields: liveProtectedFields,
+                heldForReview: heldForReview,
+                keptFields: updateResult.keptFields,
+                fieldChanges: provenance.changes.slice(0, fieldWrites.length),
+                provenanceSaved: !recorder && writes.length > 0 && !provenance.error,
+                provenanceError: provenance.error,
                 extractedData: extractedData,
-                warnings: [...updateResult.warnings, ...additionalUpdates.warnings]
+                warnings: [...updateResult.warnings, ...additionalUpdates.warnings],
+                callAttempts: additionalUpdates.callAttempts
             };
             
         } catch (error) {
@@ -179,8 +278,44 @@ class CustomFieldsManager {
         }
     }
 
+    // Put held low-confidence values in the review queue; never fails the call
+    // Returns the held field names
+    async queueForReview(contactId, callData, held, recorder = null) {
+        if (held.length === 0) return [];
+        try {
+            const callId = callData.call?.id || callData.message?.call?.id || null;
+            await this.reviewQueue.enqueue(contactId, held, {
+                callId,
+                pitTokenManager: recorder ? recorder.wrap(this.pitTokenManager) : this.pitTokenManager,
+                dryRun: !!recorder
+            });
+        } catch (error) {
+            console.error('⚠️ Could not queue values for review:', error.message);
+        }
+        return held.map(item => item.fieldName);
+    }
+
+    // Write a value an admin approved from the review queue (no confidence threshold)
+    async applyReviewedValue(contactId, fieldName, value) {
+        if (!this.customFieldMappings) {
+            const initialized = await this.initialize();
+            if (!initialized) {
+                throw new Error('Failed to initialize Custom Fields Manager');
+            }
+        }
+
+        const result = await this.updateContactCustomFields(contactId, {
+            [fieldName]: { value, confidence: 100, source: 'review' }
+        });
+        if (result.fieldsUpdated === 0) {
+            throw new Error(result.warnings[0] || `Could not write ${fieldName}`);
+        }
+        return result;
+    }
+
     // Process additional fields like appointment booked and call counter
-    async processAdditionalFields(callData, contactId) {
+    // deferProvenance returns provenanceWrites instead of recording them (see updateContactCustomFields)
+    async processAdditionalFields(callData, contactId, recorder = null, { deferProvenance = false } = {}) {
         const additionalUpdates = {
             fieldsUpdated: 0,
             updatedFields: [],
@@ -209,12 +344,18 @@ class CustomFieldsManager {
             console.log(`✅ Incrementing call counter: ${currentCounter} -> ${newCounter}`);
 
             // Update these fields if mappings exist
-            const additionalUpdateResult = await this.updateContactCustomFields(contactId, additionalFields);
+            const additionalUpdateResult = await this.updateContactCustomFields(contactId, additionalFields, {
+                callId: callData.call?.id || callData.message?.call?.id || null,
+                recorder,
+                deferProvenance
+            });
             
             return {
                 fieldsUpdated: additionalUpdateResult.fieldsUpdated,
                 updatedFields: additionalUpdateResult.updatedFields,
-                warnings: additionalUpdateResult.warnings
+                provenanceWrites: additionalUpdateResult.provenanceWrites,
+                warnings: additionalUpdateResult.warnings,
+                callAttempts: newCounter
             };
 
         } catch (error) {
@@ -271,7 +412,7 @@ class CustomFieldsManager {
             console.log('📋 Retrieving existing field data for appending...');
             
             // Get current contact data
-            const response = await axios.get(`${GHL_BASE_URL}/contacts/${contactId}`, {
+            const response = await axios.get(`${getGHLBaseUrl()}/contacts/${contactId}`, {
                 headers: {
                     'Authorization': `Bearer ${this.pitTokenManager.pitToken}`,
                     'Version': GHL_API_VERSION,
@@ -303,11 +444,66 @@ class CustomFieldsManager {
         }
     }
 
+    // Get the contact and its mapped custom field values keyed by normalized field name
+    // e.g. { motivation: 'Relocating for work', latestcallsummary: '...' }
+    async getContactFieldValues(contactId) {
+        if (!this.customFieldMappings) {
+            const initialized = await this.initialize();
+            if (!initialized) {
+                throw new Error('Failed to initialize Custom Fields Manager');
+            }
+        }
+
+        const response = await axios.get(`${getGHLBaseUrl()}/contacts/${contactId}`, {
+            headers: {
+                'Authorization': `Bearer ${this.pitTokenManager.pitToken}`,
+                'Version': GHL_API_VERSION,
+                'Content-Type': 'application/json'
+            },
+            timeout: 15000
+        });
+
+        const contact = response.data.contact || response.data;
+        const valuesById = new Map((contact.customFields || []).map(field => [field.id, field.value ?? field.fieldValue]));
+
+        const fields = {};
+        for (const [normalizedName, mapping] of Object.entries(this.customFieldMappings)) {
+            const value = valuesById.get(mapping.fieldId);
+            if (value !== undefined && value !== null && `${value}`.trim() !== '') {
+                fields[normalizedName] = value;
+            }
+        }
+
+        return { contact, fields };
+    }
+
+    // Count a call that produced no extracted data (e.g. nobody answered)
+    // Returns the new callattemptcounter value
+    // options.recorder plans the write instead of sending it (dry runs); options.callId goes into the field history
+    async incrementCallCounter(contactId, { callId = null, recorder = null } = {}) {
+        if (!this.customFieldMappings) {
+            const initialized = await this.initialize();
+            if (!initialized) {
+                throw new Error('Failed to initialize Custom Fields Manager');
+            }
+        }
+
+        const currentCounter = await this.getCurrentCallCounter(contactId);
+        const newCounter = currentCounter + 1;
+        console.log(`✅ Incrementing call counter: ${currentCounter} -> ${newCounter}`);
+
+        await this.updateContactCustomFields(contactId, {
+            callattemptcounter: { value: newCounter.toString(), confidence: 100 }
+        }, { callId, recorder });
+
+        return newCounter;
+    }
+
     // Get current call attempt counter value
     async getCurrentCallCounter(contactId) {
         try {
             // Get current contact data to check existing counter
-            const response = await axios.get(`${GHL_BASE_URL}/contacts/${contactId}`, {
+            const response = await axios.get(`${getGHLBaseUrl()}/contacts/${contactId}`, {
                 headers: {
                     'Authorization': `Bearer ${this.pitTokenManager.pitToken}`,
                     'Version': GHL_API_VERSION,
@@ -399,15 +595,11 @@ class CustomFieldsManager {
             }
         }
 
-        // Check for transcript in artifact messages (VAPI sometimes puts it here)
-        if (callData.call?.artifact?.messages && Array.isArray(callData.call.artifact.messages)) {
-            console.log('🔍 Checking artifact messages for transcript...');
-            for (const message of callData.call.artifact.messages) {
-                if (message.content && typeof message.content === 'string' && message.content.includes('transcript')) {
-                    console.log('✅ Found potential transcript in artifact messages');
-                    return message.content;
-                }
-            }
+        // Build it from artifact messages (VAPI sometimes only sends those)
+        const conversation = buildTranscript(callData);
+        if (!conversation.isEmpty) {
+            console.log(`✅ Built transcript from ${conversation.turns.length} message turns`);
+            return conversation.toText();
         }
 
         console.log('❌ No transcript found in any expected location');
@@ -417,10 +609,130 @@ class CustomFieldsManager {
         return null;
     }
 
+    // Current custom field values on the contact, keyed by field ID
+    async getCustomFieldValuesById(contactId) {
+        const response = await axios.get(`${getGHLBaseUrl()}/contacts/${contactId}`, {
+            headers: {
+                'Authorization': `Bearer ${this.pitTokenManager.pitToken}`,
+                'Version': GHL_API_VERSION,
+                'Content-Type': 'application/json'
+            },
+            timeout: 15000
+        });
+
+        const contact = response.data.contact || response.data;
+        return new Map((contact.customFields || []).map(field => [field.id, field.value ?? field.fieldValue]));
+    }
+
+    // Current values for merge policies and history; null when the contact can't be read
+    async readCurrentValues(contactId) {
+        try {
+            return await this.getCustomFieldValuesById(contactId);
+        } catch (error) {
+            console.error('⚠️ Could not read current field values:', error.message);
+            return null;
+        }
+    }
+
+    // Apply each field's merge policy against the value already on the contact
+    // Drops (or rewrites, for append) entries in fieldUpdates; returns [{ fieldName, value, reason }] for kept values
+    async applyMergePolicies(contactId, fieldUpdates, currentValues) {
+        const kept = [];
+        let recorded = null;
+        for (const [fieldId, update] of fieldUpdates) {
+            const policy = getMergePolicy(update.fieldKey);
+            if (policy === 'overwrite') continue;
+
+            // Without the current values only overwrite fields are safe to write
+            if (!currentValues) {
+                kept.push({ fieldName: update.fieldName, value: update.value, reason: 'current value could not be read' });
+                fieldUpdates.delete(fieldId);
+                continue;
+            }
+
+            const currentValue = currentValues.get(fieldId);
+            const hasValue = currentValue !== undefined && currentValue !== null && `${currentValue}`.trim() !== '';
+            // One read of the contact's provenance document covers every field
+            if (hasValue && !recorded) recorded = await this.provenance.latest(contactId);
+            const provenance = hasValue ? recorded[normalizeFieldKey(update.fieldName)] || null : null;
+            const decision = resolveMerge(update.fieldKey, update, { currentValue: hasValue ? currentValue : null, provenance });
+
+            if (!decision.write) {
+                console.log(`🛡️ Keeping ${update.fieldName} = "${currentValue}" (${policy}: ${decision.reason})`);
+                kept.push({ fieldName: update.fieldName, value: update.value, reason: decision.reason });
+                fieldUpdates.delete(fieldId);
+            } else if (decision.value !== update.value) {
+                console.log(`➕ Appending to ${update.fieldName}: "${update.value}"`);
+                update.value = decision.value;
+            }
+        }
+        return kept;
+    }
+
+    // Where each written value came from, with the value it replaced - the input to provenance.recordAll
+    async provenanceWrites(contactId, fieldsWritten, { callId = null, currentValues = null } = {}) {
+        // Unreadable contact: the value we last wrote is the best guess at what was replaced
+        let recorded = {};
+        if (!currentValues) {
+            try {
+                recorded = await this.provenance.latest(contactId);
+            } catch (error) {
+                console.error(`⚠️ Could not read provenance for contact ${contactId}:`, error.message);
+            }
+        }
+
+        return fieldsWritten.map(field => ({
+            fieldName: field.fieldName,
+            value: field.value,
+            oldValue: currentValues
+                ? currentValues.get(field.id) ?? null
+                : recorded[normalizeFieldKey(field.fieldName)]?.value ?? null,
+            confidence: field.confidence,
+            source: field.source,
+            extractionMethod: field.extractionMethod,
+            matchedText: field.matchedText,
+            callId,
+            fieldKey: field.fieldKey
+        }));
+    }
+
+    // Store provenance writes with one write of the contact's document; never fails the GHL write
+    // Returns { changes, error } - the history entries and the storage error, if any; dryRun stores nothing
+    async recordProvenance(contactId, writes, { dryRun = false } = {}) {
+        if (dryRun) {
+            return { changes: this.provenance.historyEntries(contactId, writes), error: null };
+        }
+        try {
+            return { changes: await this.provenance.recordAll(contactId, writes), error: null };
+        } catch (error) {
+            console.error(`⚠️ Could not record provenance for contact ${contactId}:`, error.message);
+            return { changes: this.provenance.historyEntries(contactId, writes), error: error.message };
+        }
+    }
+
+    // PUT custom field values on the contact
+    async writeCustomFields(contactId, updatePayload) {
+        return await axios.put(`${getGHLBaseUrl()}/contacts/${contactId}`, updatePayload, {
+            headers: {
+                'Authorization': `Bearer ${this.pitTokenManager.pitToken}`,
+                'Version': GHL_API_VERSION,
+                'Content-Type': 'application/json'
+            },
+            timeout: 20000
+        });
+    }
+
     // Update contact custom fields with extracted data
-    async updateContactCustomFields(contactId, extractedData) {
+    // options.merge applies each field's merge policy against the contact's current values (post-call extraction);
+    // live answers, approved reviews and counters leave it off and overwrite
+    // options.recorder (DryRunRecorder) plans the PUT instead of sending it
+    // options.callStartedAt is what spoken timelines in date fields count from
+    // options.deferProvenance returns provenanceWrites for the caller to record with the call's other writes
+    async updateContactCustomFields(contactId, extractedData, options = {}) {
+        const { merge = false, callId = null, recorder = null, callStartedAt = new Date(), deferProvenance = false } = options;
         try {
             const warnings = [];
+            let keptFields = [];
             
             console.log('🔄 Mapping extracted data to custom fields...');
 
@@ -449,21 +761,7 @@ class CustomFieldsManager {
                     continue;
                 }
                 
-                let normalizedName = this.normalizeFieldName(fieldName);
-                let fieldMapping = this.customFieldMappings[normalizedName];
-                
-                // Try field aliases if direct mapping not found
-                if (!fieldMapping) {
-                    const aliases = this.getFieldNameAliases();
-                    const aliasName = aliases[normalizedName];
-                    if (aliasName) {
-                        const aliasNormalized = this.normalizeFieldName(aliasName);
-                        fieldMapping = this.customFieldMappings[aliasNormalized];
-                        if (fieldMapping) {
-                            console.log(`🔗 Using field alias: ${fieldName} -> ${aliasName}`);
-                        }
-                    }
-                }
+                const fieldMapping = this.resolveFieldMapping(fieldName);
                 
                 if (!fieldMapping) {
                     console.warn(`⚠️ No mapping found for extracted field: ${fieldName}`);
@@ -472,7 +770,7 @@ class CustomFieldsManager {
                 }
 
                 // Validate and format the value for the field type
-                const formattedValue = this.formatValueForField(fieldData.value, fieldMapping);
+                const formattedValue = this.formatValueForField(fieldData.value, fieldMapping, fieldName, { now: callStartedAt });
                 
                 if (formattedValue === null) {
                     console.warn(`⚠️ Invalid value for field ${fieldName}: "${fieldData.value}"`);
@@ -506,17 +804,31 @@ class CustomFieldsManager {
                     id: fieldMapping.fieldId,
                     value: formattedValue,
                     fieldName: fieldMapping.fieldName,
-                    confidence: fieldData.confidence || 0
+                    fieldKey: fieldName,
+                    confidence: fieldData.confidence || 0,
+                    source: fieldData.source || null,
+                    extractionMethod: fieldData.extractionMethod || null,
+                    matchedText: fieldData.matchedText || null
                 });
                 
                 console.log(`📝 Prepared update: ${fieldMapping.fieldName} = "${formattedValue}" (${fieldData.confidence}% confidence)`);
             }
             
+            const currentValues = fieldUpdates.size > 0 ? await this.readCurrentValues(contactId) : null;
+            if (merge && fieldUpdates.size > 0) {
+                keptFields = await this.applyMergePolicies(contactId, fieldUpdates, currentValues);
+            }
+            
             if (fieldUpdates.size === 0) {
                 console.log('ℹ️ No valid fields to update after mapping');
                 return {
                     fieldsUpdated: 0,
                     updatedFields: [],
+                    keptFields: keptFields,
+                    changes: [],
+                    provenanceWrites: [],
+                    provenanceSaved: false,
+                    provenanceError: null,
                     warnings: warnings
                 };
             }
@@ -535,16 +847,15 @@ class CustomFieldsManager {
             console.log(`🚀 Updating contact ${contactId} with ${fieldsToUpdate.length} custom fields...`);
             console.log('📦 API Payload:', JSON.stringify(updatePayload, null, 2));
 
-            const response = await axios.put(`${GHL_BASE_URL}/contacts/${contactId}`, updatePayload, {
-                headers: {
-                    'Authorization': `Bearer ${this.pitTokenManager.pitToken}`,
-                    'Version': GHL_API_VERSION,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 20000
-            });
+            const response = recorder
+                ? recorder.record('PUT', `/contacts/${contactId}`, updatePayload)
+                : await this.writeCustomFields(contactId, updatePayload);
 
-            console.log(`✅ Contact updated successfully (Status: ${response.status})`);
+            if (!recorder) console.log(`✅ Contact updated successfully (Status: ${response.status})`);
+            const writes = await this.provenanceWrites(contactId, fieldsToUpdate, { callId, currentValues });
+            const provenance = deferProvenance
+                ? { changes: this.provenance.historyEntries(contactId, writes), error: null }
+                : await this.recordProvenance(contactId, writes, { dryRun: !!recorder });
 
             return {
                 fieldsUpdated: fieldsToUpdate.length,
@@ -553,6 +864,11 @@ class CustomFieldsManager {
                     value: field.value,
                     confidence: field.confidence
                 })),
+                keptFields: keptFields,
+                changes: provenance.changes,
+                provenanceWrites: deferProvenance ? writes : [],
+                provenanceSaved: !recorder && !deferProvenance && !provenance.error,
+                provenanceError: provenance.error,
                 warnings: warnings
             };
             
@@ -584,7 +900,9 @@ class CustomFieldsManager {
     }
 
     // Format value according to field type requirements
-    formatValueForField(value, fieldMapping) {
+    // fieldName is the extracted field key; price fields read spoken amounts ("a million 50" → 1050000)
+    // now is the call's start, which spoken timelines in date fields count from
+    formatValueForField(value, fieldMapping, fieldName = null, { now = new Date() } = {}) {
         if (!value || value === '') {
             return null;
         }
@@ -596,8 +914,13 @@ class CustomFieldsManager {
                 return value.toString().substring(0, 5000).trim();
                 
             case 'number':
-                const num = parseFloat(value.toString().replace(/[^\d.-]/g, ''));
-                return isNaN(num) ? null : num.toString();
+            case 'numerical':
+            case 'monetory':
+            case 'monetary':
+                const isPrice = ['monetory', 'monetary'].includes(fieldMapping.dataType.toLowerCase()) ||
+                    findFieldDefinition(fieldName || fieldMapping.fieldName)?.normalization.normalizer === 'price';
+                const num = isPrice ? parsePrice(value.toString())?.amount : parseSpokenNumber(value.toString());
+                return num === null || num === undefined ? null : num.toString();
                 
             case 'select':
             case 'radio':
@@ -620,13 +943,13 @@ class CustomFieldsManager {
                 
             case 'date':
             case 'datetime':
-                // Try to parse and format date
-                try {
-                    const date = new Date(value);
-                    return date.toISOString().split('T')[0]; // YYYY-MM-DD format
-                } catch {
-                    return null;
+                // Only strict YYYY-MM-DD is written as-is; spoken timelines ("next spring") use their target date
+                const dateText = value.toString().trim();
+                if (/^\d{4}-\d{2}-\d{2}$/.test(dateText)) {
+                    const date = new Date(`${dateText}T00:00:00Z`);
+                    return !isNaN(date.getTime()) && date.toISOString().startsWith(dateText) ? dateText : null;
                 }
+                return normalizeTimeline(dateText, { now })?.targetDate || null;
                 
             case 'url':
                 // Basic URL validation
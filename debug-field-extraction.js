@@ -14,7 +14,7 @@ async function debugExtraction() {
     const mapper = new IntelligentFieldMapper();
     
     // Test each field individually
-    const fieldsToTest = ['motivation', 'nextDestination', 'concerns', 'Openness to Re-list'];
+    const fieldsToTest = ['motivation', 'nextDestination', 'concerns', 'opennessToRelist'];
     
     for (const fieldName of fieldsToTest) {
         console.log(`🧪 Testing field: ${fieldName}`);
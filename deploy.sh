@@ -52,7 +52,11 @@ check_env_vars() {
         print_warning "AWS_REGION not set, using us-east-1"
         export AWS_REGION="us-east-1"
     fi
-    
+
+    if [ -z "$STATE_TABLE_NAME" ]; then
+        export STATE_TABLE_NAME="vapi-ghl-integration-state"
+    fi
+
     # Check that JWT tokens are available (either in env vars or will be migrated to Parameter Store)
     if [ -z "$GHL_ACCESS_TOKEN" ] && [ -z "$GHL_REFRESH_TOKEN" ]; then
         print_warning "GHL OAuth2 tokens not found in environment variables. They should be stored in AWS Parameter Store."
@@ -97,6 +101,40 @@ create_package() {
     return 0
 }
 
+# Allow the Lambda role to read and write the state table
+put_state_table_policy() {
+    local role_name=$1
+    
+    print_status "Creating state table policy..."
+    cat > state-table-policy.json << EOF
+{
+    "Version": "2012-10-17",
+    "Statement": [
+        {
+            "Effect": "Allow",
+            "Action": [
+                "dynamodb:GetItem",
+                "dynamodb:PutItem",
+                "dynamodb:DeleteItem",
+                "dynamodb:Query"
+            ],
+            "Resource": [
+                "arn:aws:dynamodb:*:*:table/$STATE_TABLE_NAME"
+            ]
+        }
+    ]
+}
+EOF
+    
+    aws iam put-role-policy \
+        --role-name $role_name \
+        --policy-name "StateTableAccess" \
+        --policy-document file://state-table-policy.json \
+        --region $AWS_REGION
+    
+    rm -f state-table-policy.json
+}
+
 # Create IAM role for Lambda (if it doesn't exist)
 create_iam_role() {
     print_status "Checking for Lambda execution role..."
@@ -107,6 +145,8 @@ create_iam_role() {
     aws iam get-role --role-name $role_name --region $AWS_REGION 2>/dev/null
     if [ $? -eq 0 ]; then
         print_status "IAM role already exists"
+        # Roles created before the state table moved to DynamoDB need its policy too
+        put_state_table_policy $role_name
         echo "arn:aws:iam::$(aws sts get-caller-identity --query Account --output text):role/$role_name"
         return 0
     fi
@@ -157,7 +197,9 @@ EOF
             "Action": [
                 "ssm:GetParameter",
                 "ssm:GetParameters",
-                "ssm:PutParameter"
+                "ssm:GetParametersByPath",
+                "ssm:PutParameter",
+                "ssm:DeleteParameter"
             ],
             "Resource": [
                 "arn:aws:ssm:*:*:parameter/vapi-ghl-integration/*"
@@ -173,6 +215,9 @@ EOF
         --policy-document file://parameter-store-policy.json \
         --region $AWS_REGION
     
+    # Attach the state table policy
+    put_state_table_policy $role_name
+    
     # Clean up temp files
     rm -f trust-policy.json parameter-store-policy.json
     
@@ -181,6 +226,40 @@ EOF
     return 0
 }
 
+# Create the DynamoDB table for integration state (processed calls, queues, history)
+# Short-lived records carry an expiresAt TTL, so DynamoDB deletes them without a cleanup job
+create_state_table() {
+    aws dynamodb describe-table --table-name $STATE_TABLE_NAME --region $AWS_REGION > /dev/null 2>&1
+    if [ $? -eq 0 ]; then
+        print_status "State table $STATE_TABLE_NAME already exists"
+        return 0
+    fi
+    
+    print_status "Creating state table $STATE_TABLE_NAME..."
+    aws dynamodb create-table \
+        --table-name $STATE_TABLE_NAME \
+        --attribute-definitions AttributeName=namespace,AttributeType=S AttributeName=key,AttributeType=S \
+        --key-schema AttributeName=namespace,KeyType=HASH AttributeName=key,KeyType=RANGE \
+        --billing-mode PAY_PER_REQUEST \
+        --region $AWS_REGION > /dev/null
+    
+    if [ $? -ne 0 ]; then
+        print_error "Failed to create state table"
+        return 1
+    fi
+    
+    aws dynamodb wait table-exists --table-name $STATE_TABLE_NAME --region $AWS_REGION
+    aws dynamodb update-time-to-live \
+        --table-name $STATE_TABLE_NAME \
+        --time-to-live-specification "Enabled=true,AttributeName=expiresAt" \
+        --region $AWS_REGION > /dev/null
+    
+    if [ $? -ne 0 ]; then
+        print_warning "Could not enable TTL on $STATE_TABLE_NAME - expired records will not be deleted"
+    fi
+    return 0
+}
+
 # Deploy or update Lambda function
 deploy_function() {
     local function_name="vapi-ghl-integration"
@@ -205,7 +284,7 @@ deploy_function() {
         # Update environment variables (excluding large JWT tokens - they're in Parameter Store)
         aws lambda update-function-configuration \
             --function-name $function_name \
-            --environment "Variables={GHL_CLIENT_ID=$GHL_CLIENT_ID,GHL_CLIENT_SECRET=$GHL_CLIENT_SECRET,GHL_LOCATION_ID=$GHL_LOCATION_ID,VAPI_API_KEY=$VAPI_API_KEY,VAPI_ASSISTANT_ID=$VAPI_ASSISTANT_ID,VAPI_PHONE_NUMBER_ID=$VAPI_PHONE_NUMBER_ID,VAPI_SECRET_TOKEN=$VAPI_SECRET_TOKEN,GHL_WEBHOOK_SECRET=$GHL_WEBHOOK_SECRET,GHL_ACCESS_TOKEN=$GHL_ACCESS_TOKEN,GHL_REFRESH_TOKEN=$GHL_REFRESH_TOKEN}" \
+            --environment "Variables={GHL_CLIENT_ID=$GHL_CLIENT_ID,GHL_CLIENT_SECRET=$GHL_CLIENT_SECRET,GHL_LOCATION_ID=$GHL_LOCATION_ID,VAPI_API_KEY=$VAPI_API_KEY,VAPI_ASSISTANT_ID=$VAPI_ASSISTANT_ID,VAPI_PHONE_NUMBER_ID=$VAPI_PHONE_NUMBER_ID,VAPI_SECRET_TOKEN=$VAPI_SECRET_TOKEN,GHL_WEBHOOK_SECRET=$GHL_WEBHOOK_SECRET,GHL_WEBHOOK_PUBLIC_KEY=$GHL_WEBHOOK_PUBLIC_KEY,GHL_ACCESS_TOKEN=$GHL_ACCESS_TOKEN,GHL_REFRESH_TOKEN=$GHL_REFRESH_TOKEN,STATE_TABLE_NAME=$STATE_TABLE_NAME}" \
             --region $AWS_REGION
     else
         print_status "Creating new Lambda function..."
@@ -217,7 +296,7 @@ deploy_function() {
             --zip-file fileb://function.zip \
             --timeout 60 \
             --memory-size 256 \
-            --environment "Variables={GHL_CLIENT_ID=$GHL_CLIENT_ID,GHL_CLIENT_SECRET=$GHL_CLIENT_SECRET,GHL_LOCATION_ID=$GHL_LOCATION_ID,VAPI_API_KEY=$VAPI_API_KEY,VAPI_ASSISTANT_ID=$VAPI_ASSISTANT_ID,VAPI_PHONE_NUMBER_ID=$VAPI_PHONE_NUMBER_ID,VAPI_SECRET_TOKEN=$VAPI_SECRET_TOKEN,GHL_WEBHOOK_SECRET=$GHL_WEBHOOK_SECRET,GHL_ACCESS_TOKEN=$GHL_ACCESS_TOKEN,GHL_REFRESH_TOKEN=$GHL_REFRESH_TOKEN}" \
+            --environment "Variables={GHL_CLIENT_ID=$GHL_CLIENT_ID,GHL_CLIENT_SECRET=$GHL_CLIENT_SECRET,GHL_LOCATION_ID=$GHL_LOCATION_ID,VAPI_API_KEY=$VAPI_API_KEY,VAPI_ASSISTANT_ID=$VAPI_ASSISTANT_ID,VAPI_PHONE_NUMBER_ID=$VAPI_PHONE_NUMBER_ID,VAPI_SECRET_TOKEN=$VAPI_SECRET_TOKEN,GHL_WEBHOOK_SECRET=$GHL_WEBHOOK_SECRET,GHL_WEBHOOK_PUBLIC_KEY=$GHL_WEBHOOK_PUBLIC_KEY,GHL_ACCESS_TOKEN=$GHL_ACCESS_TOKEN,GHL_REFRESH_TOKEN=$GHL_REFRESH_TOKEN,STATE_TABLE_NAME=$STATE_TABLE_NAME}" \
             --region $AWS_REGION
         
         if [ $? -ne 0 ]; then
@@ -257,6 +336,46 @@ get_function_url() {
     fi
 }
 
+# Schedule the outbound call queue (calls requested outside calling hours)
+schedule_call_queue() {
+    local function_name="vapi-ghl-integration"
+    local rule_name="vapi-ghl-call-queue"
+    
+    print_status "Scheduling call queue processing (every 15 minutes)..."
+    
+    local rule_arn=$(aws events put-rule \
+        --name $rule_name \
+        --schedule-expression "rate(15 minutes)" \
+        --region $AWS_REGION \
+        --query 'RuleArn' \
+        --output text)
+    
+    aws lambda add-permission \
+        --function-name $function_name \
+        --statement-id "$rule_name" \
+        --action lambda:InvokeFunction \
+        --principal events.amazonaws.com \
+        --source-arn "$rule_arn" \
+        --region $AWS_REGION 2>/dev/null
+    
+    local function_arn=$(aws lambda get-function \
+        --function-name $function_name \
+        --region $AWS_REGION \
+        --query 'Configuration.FunctionArn' \
+        --output text)
+    
+    aws events put-targets \
+        --rule $rule_name \
+        --targets "Id"="1","Arn"="$function_arn" \
+        --region $AWS_REGION > /dev/null
+    
+    if [ $? -eq 0 ]; then
+        print_status "Call queue schedule configured"
+    else
+        print_warning "Could not schedule the call queue. Run the process-call-queue action from a scheduler instead."
+    fi
+}
+
 # Main deployment process
 main() {
     print_status "Starting VAPI-GHL Lambda deployment..."
@@ -277,6 +396,11 @@ main() {
         exit 1
     fi
     
+    # Create the state table
+    if ! create_state_table; then
+        exit 1
+    fi
+    
     # Create IAM role
     role_arn=$(create_iam_role)
     if [ $? -ne 0 ]; then
@@ -295,6 +419,9 @@ main() {
     # Get function URL
     get_function_url
     
+    # Dial queued calls when calling hours open
+    schedule_call_queue
+    
     # Clean up
     rm -f function.zip
     
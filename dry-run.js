@@ -0,0 +1,54 @@
+// dry-run.js - Preview the GHL writes a call would make without sending them
+// Reads (contact lookup, custom field mappings, current values) still go to GHL so the plan is exact;
+// every write is recorded as { method, endpoint, payload } instead
+
+class DryRunRecorder {
+    constructor() {
+        this.writes = [];
+    }
+
+    // Record a planned write; returns a stand-in for the GHL response
+    record(method, endpoint, payload = null) {
+        const write = { method: method.toUpperCase(), endpoint, payload };
+        this.writes.push(write);
+        console.log(`🧪 Dry run - would ${write.method} ${endpoint}`);
+        return { status: 200, data: {}, dryRun: true };
+    }
+
+    // PIT token manager whose GET requests go through and whose writes are recorded
+    wrap(pitTokenManager) {
+        const recorder = this;
+        return new Proxy(pitTokenManager, {
+            get(target, property) {
+                if (property === 'makeGHLRequest') {
+                    return async (method, endpoint, data = null, options = {}) => {
+                        if (method.toUpperCase() === 'GET') {
+                            return await target.makeGHLRequest(method, endpoint, data, options);
+                        }
+                        return recorder.record(method, endpoint, data);
+                    };
+                }
+                const value = Reflect.get(target, property);
+                return typeof value === 'function' ? value.bind(target) : value;
+            }
+        });
+    }
+}
+
+// Add the planned writes to a Lambda response body
+function withPlannedWrites(response, recorder) {
+    let body = {};
+    try {
+        body = JSON.parse(response.body || '{}');
+    } catch (error) {
+        body = { response: response.body };
+    }
+    return {
+        ...response,
+        body: JSON.stringify({ ...body, dryRun: true, plannedWrites: recorder.writes })
+    };
+}
+
+export { DryRunRecorder, withPlannedWrites };
+
+export default DryRunRecorder;
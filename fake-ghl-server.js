@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+
+// fake-ghl-server.js - In-process stand-in for the LeadConnector (GHL) API for offline end-to-end tests
+// Covers contacts, custom fields, notes, tasks, tags, calendars/free-slots and appointments with seedable state.
+// Point the integration at it with GHL_BASE_URL=<server.baseUrl> and GHL_PIT_TOKEN=<server.token>
+import http from 'node:http';
+import fs from 'node:fs';
+
+const DEFAULT_TOKEN = 'fake-pit-token';
+const DEFAULT_LOCATION_ID = 'Tty8tmfsIBN4DdOVzgVa';
+
+// Same message GHL returns for a taken slot (appointment-manager.js and vapi-functions.js look for it)
+const SLOT_TAKEN_MESSAGE = 'The slot you have selected is no longer available.';
+
+const INACTIVE_APPOINTMENT_STATUSES = ['cancelled', 'canceled', 'invalid', 'noshow'];
+
+class FakeGHLServer {
+    constructor({ token = DEFAULT_TOKEN, locationId = DEFAULT_LOCATION_ID, seed = {} } = {}) {
+        this.token = token;
+        this.locationId = locationId;
+        this.server = null;
+        this.baseUrl = null;
+        this.reset();
+        this.seed(seed);
+    }
+
+    // Empty every collection and the request log
+    reset() {
+        this.contacts = new Map();
+        this.customFields = [];
+        this.notes = new Map();
+        this.tasks = new Map();
+        this.calendars = new Map();
+        this.freeSlots = new Map();
+        this.appointments = [];
+        this.requests = [];
+        this.nextId = 1;
+    }
+
+    // Add state: { contacts, customFields, notes: { contactId: [...] }, calendars, freeSlots: { calendarId: { day: [startTimes] } }, appointments }
+    seed({ contacts = [], customFields = [], notes = {}, calendars = [], freeSlots = {}, appointments = [] } = {}) {
+        for (const contact of contacts) {
+            this.contacts.set(contact.id, {
+                locationId: this.locationId,
+                tags: [],
+                customFields: [],
+                ...structuredClone(contact)
+            });
+        }
+        this.customFields.push(...structuredClone(customFields));
+        for (const [contactId, contactNotes] of Object.entries(notes)) {
+            this.notesFor(contactId).push(...structuredClone(contactNotes));
+        }
+        for (const calendar of calendars) {
+            this.calendars.set(calendar.id, { locationId: this.locationId, ...structuredClone(calendar) });
+        }
+        for (const [calendarId, days] of Object.entries(freeSlots)) {
+            this.freeSlots.set(calendarId, structuredClone(days));
+        }
+        this.appointments.push(...structuredClone(appointments));
+        return this;
+    }
+
+    newId(prefix) {
+        return `${prefix}-${this.nextId++}`;
+    }
+
+    notesFor(contactId) {
+        if (!this.notes.has(contactId)) this.notes.set(contactId, []);
+        return this.notes.get(contactId);
+    }
+
+    tasksFor(contactId) {
+        if (!this.tasks.has(contactId)) this.tasks.set(contactId, []);
+        return this.tasks.get(contactId);
+    }
+
+    // Custom field values on a contact keyed by field name (falls back to the field ID)
+    customFieldValues(contactId) {
+        const contact = this.contacts.get(contactId);
+        const values = {};
+        for (const field of contact?.customFields || []) {
+            const definition = this.customFields.find(candidate => candidate.id === field.id);
+            values[definition?.name || field.id] = field.value;
+        }
+        return values;
+    }
+
+    // Requests that changed state (everything but GET)
+    writes() {
+        return this.requests.filter(request => request.method !== 'GET');
+    }
+
+    // Listen on 127.0.0.1 (port 0 = any free port); returns the base URL
+    async start(port = 0) {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', resolve);
+        });
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+        console.log(`🧪 Fake GHL API listening on ${this.baseUrl}`);
+        return this.baseUrl;
+    }
+
+    async stop() {
+        if (!this.server) return;
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://fake-ghl');
+        const path = url.pathname.replace(/\/+$/, '') || '/';
+        const body = await readJsonBody(req);
+        const request = { method: req.method, path, query: Object.fromEntries(url.searchParams), body };
+        this.requests.push(request);
+
+        const send = (status, data) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(data));
+        };
+
+        if (req.headers.authorization !== `Bearer ${this.token}`) {
+            return send(401, { statusCode: 401, message: 'Invalid Private Integration token' });
+        }
+
+        for (const route of ROUTES) {
+            if (route.method !== req.method) continue;
+            const match = path.match(route.pattern);
+            if (!match) continue;
+            try {
+                const [status, data] = route.handler(this, match.slice(1), request);
+                return send(status, data);
+            } catch (error) {
+                return send(500, { statusCode: 500, message: error.message });
+            }
+        }
+
+        return send(404, { statusCode: 404, message: `Cannot ${req.method} ${path}` });
+    }
+}
+
+async function readJsonBody(req) {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    if (!raw) return null;
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        return raw;
+    }
+}
+
+function notFound(what) {
+    return [404, { statusCode: 404, message: `${what} not found` }];
+}
+
+function isActive(appointment) {
+    return !INACTIVE_APPOINTMENT_STATUSES.includes(`${appointment.appointmentStatus || ''}`.toLowerCase());
+}
+
+// A slot can be booked if nothing active holds it and, when free slots are seeded for the calendar, it is one of them
+function isSlotOpen(ghl, calendarId, startTime, ignoreId = null) {
+    const start = new Date(startTime).getTime();
+    if (Number.isNaN(start)) return false;
+    const taken = ghl.appointments.some(appointment => appointment.id !== ignoreId && appointment.calendarId === calendarId &&
+        isActive(appointment) && new Date(appointment.startTime).getTime() === start);
+    if (taken) return false;
+
+    const days = ghl.freeSlots.get(calendarId);
+    if (!days) return true;
+    return Object.values(days).flat().some(slot => new Date(slot).getTime() === start);
+}
+
+function bookAppointment(ghl, request) {
+    const data = request.body || {};
+    if (!ghl.contacts.has(data.contactId)) return notFound('Contact');
+    if (!ghl.calendars.has(data.calendarId)) return notFound('Calendar');
+    if (!isSlotOpen(ghl, data.calendarId, data.startTime)) {
+        return [400, { statusCode: 400, message: SLOT_TAKEN_MESSAGE }];
+    }
+    const appointment = { id: ghl.newId('appointment'), appointmentStatus: 'confirmed', ...data };
+    ghl.appointments.push(appointment);
+    return [201, appointment];
+}
+
+// [method, path pattern, handler(ghl, params, request) => [status, body]]
+const ROUTES = [
+    ['GET', /^\/locations\/([^/]+)\/customFields$/, (ghl) => [200, { customFields: ghl.customFields }]],
+
+    ['GET', /^\/contacts$/, (ghl, params, request) => {
+        const query = `${request.query.query || ''}`.toLowerCase();
+        const digits = query.replace(/\D/g, '');
+        const contacts = [...ghl.contacts.values()].filter(contact => !query ||
+            [contact.email, contact.firstName, contact.lastName].some(value => `${value || ''}`.toLowerCase().includes(query)) ||
+            (digits && `${contact.phone || ''}`.replace(/\D/g, '').endsWith(digits.slice(-10))));
+        const limit = parseInt(request.query.limit) || contacts.length;
+        return [200, { contacts: contacts.slice(0, limit), meta: { total: contacts.length } }];
+    }],
+
+    ['POST', /^\/contacts$/, (ghl, params, request) => {
+        const contact = { id: ghl.newId('contact'), locationId: ghl.locationId, tags: [], customFields: [], ...request.body };
+        ghl.contacts.set(contact.id, contact);
+        return [201, { contact }];
+    }],
+
+    ['GET', /^\/contacts\/([^/]+)$/, (ghl, [contactId]) => {
+        const contact = ghl.contacts.get(contactId);
+        return contact ? [200, { contact }] : notFound('Contact');
+    }],
+
+    // Custom fields are merged by ID like GHL does; everything else is replaced
+    ['PUT', /^\/contacts\/([^/]+)$/, (ghl, [contactId], request) => {
+        const contact = ghl.contacts.get(contactId);
+        if (!contact) return notFound('Contact');
+        const { customFields = [], ...fields } = request.body || {};
+        Object.assign(contact, fields);
+        for (const field of customFields) {
+            const existing = contact.customFields.find(candidate => candidate.id === field.id);
+            if (existing) existing.value = field.value;
+            else contact.customFields.push({ id: field.id, value: field.value });
+        }
+        return [200, { succeded: true, contact }];
+    }],
+
+    ['POST', /^\/contacts\/([^/]+)\/tags$/, (ghl, [contactId], request) => {
+        const contact = ghl.contacts.get(contactId);
+        if (!contact) return notFound('Contact');
+        for (const tag of request.body?.tags || []) {
+            if (!contact.tags.includes(tag)) contact.tags.push(tag);
+        }
+        return [201, { tags: contact.tags }];
+    }],
+
+    ['DELETE', /^\/contacts\/([^/]+)\/tags$/, (ghl, [contactId], request) => {
+        const contact = ghl.contacts.get(contactId);
+        if (!contact) return notFound('Contact');
+        const removed = request.body?.tags || [];
+        contact.tags = contact.tags.filter(tag => !removed.includes(tag));
+        return [200, { tags: contact.tags }];
+    }],
+
+    ['GET', /^\/contacts\/([^/]+)\/notes$/, (ghl, [contactId]) => {
+        if (!ghl.contacts.has(contactId)) return notFound('Contact');
+        return [200, { notes: ghl.notesFor(contactId) }];
+    }],
+
+    ['POST', /^\/contacts\/([^/]+)\/notes$/, (ghl, [contactId], request) => {
+        if (!ghl.contacts.has(contactId)) return notFound('Contact');
+        const note = { id: ghl.newId('note'), contactId, body: request.body?.body || '', dateAdded: new Date().toISOString() };
+        ghl.notesFor(contactId).push(note);
+        return [201, { note }];
+    }],
+
+    ['POST', /^\/contacts\/([^/]+)\/tasks$/, (ghl, [contactId], request) => {
+        if (!ghl.contacts.has(contactId)) return notFound('Contact');
+        const task = { id: ghl.newId('task'), contactId, completed: false, ...request.body };
+        ghl.tasksFor(contactId).push(task);
+        return [201, { task }];
+    }],
+
+    ['PUT', /^\/contacts\/([^/]+)\/tasks\/([^/]+)\/completed$/, (ghl, [contactId, taskId], request) => {
+        const task = ghl.tasksFor(contactId).find(candidate => candidate.id === taskId);
+        if (!task) return notFound('Task');
+        task.completed = request.body?.completed ?? true;
+        return [200, { task }];
+    }],
+
+    ['GET', /^\/contacts\/([^/]+)\/appointments$/, (ghl, [contactId]) => {
+        if (!ghl.contacts.has(contactId)) return notFound('Contact');
+        return [200, { events: ghl.appointments.filter(appointment => appointment.contactId === contactId) }];
+    }],
+
+    ['GET', /^\/calendars$/, (ghl) => [200, { calendars: [...ghl.calendars.values()] }]],
+
+    ['GET', /^\/calendars\/([^/]+)\/free-slots$/, (ghl, [calendarId], request) => {
+        if (!ghl.calendars.has(calendarId)) return notFound('Calendar');
+        const from = Number(request.query.startDate) || 0;
+        const to = Number(request.query.endDate) || Infinity;
+        const response = { traceId: ghl.newId('trace') };
+        for (const [day, slots] of Object.entries(ghl.freeSlots.get(calendarId) || {})) {
+            const open = slots.filter(slot => {
+                const start = new Date(slot).getTime();
+                return start >= from && start <= to && isSlotOpen(ghl, calendarId, slot);
+            });
+            if (open.length > 0) response[day] = { slots: open };
+        }
+        return [200, response];
+    }],
+
+    ['GET', /^\/calendars\/([^/]+)$/, (ghl, [calendarId]) => {
+        const calendar = ghl.calendars.get(calendarId);
+        return calendar ? [200, { calendar }] : notFound('Calendar');
+    }],
+
+    ['POST', /^\/calendars\/events\/appointments$/, (ghl, params, request) => bookAppointment(ghl, request)],
+    ['POST', /^\/calendars\/events$/, (ghl, params, request) => bookAppointment(ghl, request)],
+
+    ['PUT', /^\/calendars\/events\/appointments\/([^/]+)$/, (ghl, [appointmentId], request) => {
+        const appointment = ghl.appointments.find(candidate => candidate.id === appointmentId);
+        if (!appointment) return notFound('Appointment');
+        const update = request.body || {};
+        if (update.startTime && !isSlotOpen(ghl, update.calendarId || appointment.calendarId, update.startTime, appointmentId)) {
+            return [400, { statusCode: 400, message: SLOT_TAKEN_MESSAGE }];
+        }
+        Object.assign(appointment, update);
+        return [200, appointment];
+    }]
+].map(([method, pattern, handler]) => ({ method, pattern, handler }));
+
+// Command-line interface: node fake-ghl-server.js [port] [seed.json]
+async function main() {
+    const [port = '8787', seedFile] = process.argv.slice(2);
+    const seed = seedFile ? JSON.parse(fs.readFileSync(seedFile, 'utf8')) : {};
+    const server = new FakeGHLServer({ seed });
+    await server.start(Number(port));
+    console.log(`   GHL_BASE_URL=${server.baseUrl} GHL_PIT_TOKEN=${server.token}`);
+    process.on('SIGINT', async () => {
+        await server.stop();
+        process.exit(0);
+    });
+}
+
+export { FakeGHLServer, SLOT_TAKEN_MESSAGE };
+
+export default FakeGHLServer;
+
+// Run CLI if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(console.error);
+}
@@ -0,0 +1,410 @@
+// field-normalizers.js - Turns extracted answers into consistent CRM values
+// price ("a million 50" → $1,050,000), motivation category, destination ("Denver, Colorado" → Denver, CO)
+// and timeline ("next spring" → March 2027). Fields opt in with normalization.normalizer in field-schema.json
+import { getFieldDefinition } from './field-schema.js';
+import { parsePrice, findPrice } from './price-parser.js';
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const SMALL_NUMBERS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+    ten: 10, eleven: 11, twelve: 12, eighteen: 18, couple: 2, few: 3, several: 3
+};
+
+const US_STATES = {
+    alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA', colorado: 'CO',
+    connecticut: 'CT', delaware: 'DE', florida: 'FL', georgia: 'GA', hawaii: 'HI', idaho: 'ID',
+    illinois: 'IL', indiana: 'IN', iowa: 'IA', kansas: 'KS', kentucky: 'KY', louisiana: 'LA',
+    maine: 'ME', maryland: 'MD', massachusetts: 'MA', michigan: 'MI', minnesota: 'MN',
+    mississippi: 'MS', missouri: 'MO', montana: 'MT', nebraska: 'NE', nevada: 'NV',
+    'new hampshire': 'NH', 'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY',
+    'north carolina': 'NC', 'north dakota': 'ND', ohio: 'OH', oklahoma: 'OK', oregon: 'OR',
+    pennsylvania: 'PA', 'rhode island': 'RI', 'south carolina': 'SC', 'south dakota': 'SD',
+    tennessee: 'TN', texas: 'TX', utah: 'UT', vermont: 'VT', virginia: 'VA', washington: 'WA',
+    'west virginia': 'WV', wisconsin: 'WI', wyoming: 'WY', 'district of columbia': 'DC'
+};
+const STATE_ABBREVIATIONS = new Set(Object.values(US_STATES));
+// Title-case alternation ("North\s+Carolina") for case-sensitive place matching
+const STATE_NAME_PATTERN = Object.keys(US_STATES)
+    .sort((a, b) => b.length - a.length)
+    .map(name => name.replace(/\b([a-z])/g, (letter, _, offset) => name.startsWith('of', offset) ? letter : letter.toUpperCase()))
+    .join('|')
+    .replace(/ /g, '\\s+');
+
+function parseSmallNumber(word) {
+    const lower = `${word}`.toLowerCase();
+    return /^\d+$/.test(lower) ? parseInt(lower) : SMALL_NUMBERS[lower] ?? null;
+}
+
+function titleCase(text) {
+    return text.toLowerCase().replace(/\b([a-z])/g, letter => letter.toUpperCase());
+}
+
+// Earliest match across a list of [regex, handler] rules; handlers return a result or null
+// The result gets the matched text as evidence
+function earliestMatch(text, rules) {
+    let best = null;
+    for (const [pattern, handler] of rules) {
+        for (const match of text.matchAll(pattern)) {
+            if (best && match.index >= best.index) break;
+            const result = handler(match);
+            if (result) {
+                best = { index: match.index, result: { ...result, evidence: match[0] } };
+                break;
+            }
+        }
+    }
+    return best?.result || null;
+}
+
+// First rule (in order) with a usable match
+function firstRuleMatch(text, rules) {
+    for (const [pattern, handler] of rules) {
+        for (const match of text.matchAll(pattern)) {
+            const result = handler(match);
+            if (result) return result;
+        }
+    }
+    return null;
+}
+
+// ---------- Price ----------
+
+// Returns { value: '$1,050,000', amount, min, max } or null when no amount is given
+// answer: the text is a reply to a price question, so a bare "four fifty" counts (see price-parser.js)
+export function normalizePrice(text, { answer = false } = {}) {
+    const price = answer ? parsePrice(text) : findPrice(text);
+    if (!price) return null;
+    return { value: price.display, amount: price.amount, min: price.min, max: price.max };
+}
+
+// ---------- Motivation ----------
+
+// Checked in priority order; at most two categories are kept
+const MOTIVATION_CATEGORIES = [
+    // Saving/avoiding the commission - not "open to an agent if the buyer pays the commission"
+    ['Save commission', /(?:sav(?:e|ing)|avoid(?:ing)?|not\s+pay(?:ing)?|cut(?:ting)?\s+out|skip(?:ping)?|keep(?:ing)?)\s+(?:on\s+)?(?:the\s+|an?\s+|paying\s+(?:the\s+|an?\s+)?)?(?:\d+\s*%\s+)?(?:agent'?s?\s+|realtor'?s?\s+|listing\s+)?(?:commissions?|fees?)|commission\s+(?:savings?|free)|(?:don'?t|didn'?t|doesn'?t|(?:do|does|did)\s+not)\s+want\s+to\s+pay\s+(?:an?\s+)?(?:agent|realtor|commission)/],
+    ['Get the most money', /most\s+money|top\s+dollar|maximi[sz]e|best\s+price|highest\s+price|most\s+out\s+of/],
+    ['Already bought', /already\s+(?:bought|purchased|closed\s+on)|bought\s+(?:a|another)\s+(?:new\s+)?(?:house|home|place)/],
+    ['Job relocation', /job\s+(?:transfer|offer|relocation)|new\s+job|got\s+a\s+job|(?:being|got|was|were)\s+transferred/],
+    ['Relocation', /relocat|mov(?:e|ing)\s+(?:to|out\s+of|closer|back|across|out\s+west|down\s+south|up\s+north)|closer\s+to\s+(?:family|(?:the|my|our|his|her|their)\s+\w+)/],
+    ['Downsizing', /downsiz|too\s+big|empty\s+nest|kids\s+(?:moved\s+out|are\s+gone|have\s+moved|left)|smaller\s+(?:place|home|house)/],
+    ['Upsizing', /upsiz|upgrad|bigger\s+(?:place|home|house)|more\s+(?:room|space)|growing\s+family|outgr[eo]wn/],
+    ['Retirement', /retir/],
+    ['Divorce', /divorc|separat(?:ed|ion|ing)/],
+    ['Inherited property', /inherit|estate\s+sale|probate|passed\s+away/],
+    ['Financial hardship', /behind\s+on\s+(?:the\s+)?(?:payments|mortgage)|foreclos|can'?t\s+afford|financial\s+(?:hardship|trouble|difficult)|medical\s+bills|debt/],
+    ['Health', /health|assisted\s+living|nursing\s+home|mobility|can'?t\s+do\s+the\s+stairs/],
+    ['Rental / investment', /rental|tenants?\b|investment\s+property|landlord/],
+    ['Quick sale', /quick\s+sale|sell\s+(?:it\s+)?(?:quickly|fast)/]
+];
+
+// Returns { value: 'Save commission, Get the most money', categories, evidence } or null when no category fits
+// evidence is the phrase that matched the first category ("new job")
+export function normalizeMotivation(text) {
+    const lower = `${text || ''}`.toLowerCase();
+    let categories = MOTIVATION_CATEGORIES
+        .filter(([, pattern]) => pattern.test(lower))
+        .map(([category]) => category);
+
+    if (categories.includes('Job relocation')) {
+        categories = categories.filter(category => category !== 'Relocation');
+    }
+    if (categories.length === 0) return null;
+
+    categories = categories.slice(0, 2);
+    const evidence = lower.match(MOTIVATION_CATEGORIES.find(([category]) => category === categories[0])[1])[0];
+    return { value: categories.join(', '), categories, evidence };
+}
+
+// ---------- Destination ----------
+
+const PLACE = "[A-Z][A-Za-z.'-]*(?:\\s+(?:[A-Z][A-Za-z.'-]*|of|de|del|la))*";
+const STATE_SUFFIX = `(?:,\\s*|\\s+)(${STATE_NAME_PATTERN}|[A-Z]{2})\\b`;
+
+// "Sarah said ..." / "They mentioned that ..." at the start of a summary answer
+const SPEAKER_PREFIX = /^(?:[A-Z][a-z]+|he|she|they|we|i)\s+(?:said|says|mentioned|replied|answered|explained|noted|stated|responded|told\s+\w+)(?:\s+that)?[\s,:]+/i;
+
+const NOT_PLACES = new Set(['i', 'we', 'the', 'my', 'our', 'probably', 'maybe', 'somewhere', 'possibly', 'hopefully',
+    'not', 'yes', 'no', 'well', 'um', 'uh', 'so', 'just', 'ai', 'they', 'he', 'she']);
+
+function lookupState(name) {
+    const compact = name.replace(/\s+/g, ' ').trim();
+    if (STATE_ABBREVIATIONS.has(compact)) return compact;
+    return US_STATES[compact.toLowerCase()] || null;
+}
+
+function formatPlace(place, state = null) {
+    // Drop a trailing connector or sentence period ("St." keeps its dot)
+    let city = place.replace(/\s+(?:of|de|del|la)$/i, '').replace(/(?<!\b(?:St|Ft|Mt))\.$/, '').trim();
+    if (!state) {
+        // "Denver Colorado" - state name at the end of the phrase
+        const trailing = city.match(new RegExp(`^(.+?)\\s+(${STATE_NAME_PATTERN})$`, 'i'));
+        if (trailing) {
+            city = trailing[1];
+            state = trailing[2];
+        }
+    }
+
+    const wholeState = lookupState(city);
+    if (wholeState && !state) return titleCase(Object.keys(US_STATES).find(name => US_STATES[name] === wholeState));
+
+    const stateCode = state ? lookupState(state) : null;
+    return stateCode ? `${city}, ${stateCode}` : city;
+}
+
+function isPlaceName(place) {
+    return !NOT_PLACES.has(place.split(/\s+/)[0].toLowerCase());
+}
+
+// Checked in order - where they are going beats other places mentioned in the summary
+const DESTINATION_RULES = [
+    // "moving to San Francisco", "retiring in Florida", "relocating to Austin, Texas"
+    [new RegExp(`\\b(?:mov(?:e|ing|ed)|relocat(?:e|ing|ed)|transfer(?:red|ring)?|job|go(?:ing)?|head(?:ing)?|retir(?:e|ing)|settl(?:e|ing))\\s+(?:back\\s+|down\\s+|up\\s+|out\\s+|over\\s+)?(?:to|in)\\s+(${PLACE})(?:${STATE_SUFFIX})?`, 'g'),
+        match => isPlaceName(match[1]) ? formatPlace(match[1], match[2]) : null],
+    [new RegExp(`\\b(?:closer\\s+to|near)\\s+(${PLACE})(?:${STATE_SUFFIX})?`, 'g'),
+        match => isPlaceName(match[1]) ? formatPlace(match[1], match[2]) : null],
+    // "Raleigh, North Carolina" / "Austin, TX" anywhere
+    [new RegExp(`(${PLACE})${STATE_SUFFIX}`, 'g'),
+        match => lookupState(match[2]) && !lookupState(match[1]) && isPlaceName(match[1]) ? formatPlace(match[1], match[2]) : null],
+    // A state mentioned anywhere
+    [new RegExp(`\\b(${STATE_NAME_PATTERN})\\b`, 'gi'),
+        match => formatPlace(titleCase(match[1]))]
+];
+
+const GENERAL_DESTINATIONS = [
+    ['Staying local', /stay(?:ing)?\s+(?:local|in\s+(?:the\s+)?(?:area|town)|here|nearby)/],
+    ['Down south', /down\s+south/],
+    ['Up north', /up\s+north/],
+    ['Out west', /out\s+west/],
+    ['Back east', /back\s+east/],
+    ['Not sure yet', /not\s+sure|haven'?t\s+decided|undecided|don'?t\s+know\s+yet/]
+];
+
+// Returns { value: 'Denver, CO' } or null; short answers may just name the place ("Denver, near her daughter")
+export function normalizeDestination(text) {
+    const input = `${text || ''}`.trim().replace(SPEAKER_PREFIX, '');
+
+    const place = firstRuleMatch(input, DESTINATION_RULES);
+    if (place) return { value: place };
+
+    // Short answer that is just a place name ("Boston", "Denver, near her daughter")
+    if (input.split(/\s+/).length <= 8) {
+        const leading = input.match(new RegExp(`^(?:[Pp]robably|[Mm]aybe|[Ss]omewhere\\s+(?:in|near)|[Hh]opefully|[Tt]o)?\\s*(${PLACE})(?=\\s*(?:[,;!?]|\\.?$)|\\s+(?:area|near|or|maybe|probably|hopefully)\\b)`));
+        const name = leading?.[1];
+        if (name && isPlaceName(name)) {
+            return { value: formatPlace(name) };
+        }
+    }
+
+    const lower = input.toLowerCase();
+    const general = GENERAL_DESTINATIONS.find(([, pattern]) => pattern.test(lower));
+    return general ? { value: general[0] } : null;
+}
+
+// ---------- Timeline ----------
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isoDate(date) {
+    return date.toISOString().split('T')[0];
+}
+
+function lastDayOfMonth(year, monthIndex) {
+    return new Date(Date.UTC(year, monthIndex + 1, 0));
+}
+
+// Window of whole months: { start: '2027-03-01', end: '2027-05-31' }
+function monthWindow(year, monthIndex, months = 1) {
+    return {
+        start: isoDate(new Date(Date.UTC(year, monthIndex, 1))),
+        end: isoDate(lastDayOfMonth(year, monthIndex + months - 1))
+    };
+}
+
+function monthLabel(date) {
+    const monthName = MONTHS[date.getUTCMonth()];
+    return `${monthName.charAt(0).toUpperCase()}${monthName.slice(1)} ${date.getUTCFullYear()}`;
+}
+
+// Month-level target; the target date is the last day of that month
+function monthResult(year, monthIndex, window = monthWindow(year, monthIndex)) {
+    const date = new Date(Date.UTC(year, monthIndex, 1));
+    return {
+        value: monthLabel(date),
+        targetMonth: `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`,
+        targetDate: isoDate(lastDayOfMonth(date.getUTCFullYear(), date.getUTCMonth())),
+        range: window
+    };
+}
+
+// Day-level target ("within 60 days")
+function dateResult(date) {
+    return {
+        value: monthLabel(date),
+        targetMonth: isoDate(date).substring(0, 7),
+        targetDate: isoDate(date),
+        range: null
+    };
+}
+
+// Next time this month comes around (this month counts)
+function upcomingMonth(now, monthIndex) {
+    const year = now.getUTCFullYear() + (monthIndex < now.getUTCMonth() ? 1 : 0);
+    return monthResult(year, monthIndex);
+}
+
+const SEASON_START = { spring: 2, summer: 5, fall: 8, autumn: 8, winter: 11 };
+// Which month of a season "early"/"mid"/"late" point at
+const SEASON_POSITION = { early: 0, beginning: 0, start: 0, mid: 1, middle: 1, late: 2, end: 2 };
+
+function seasonResult(now, season, { isNext = false, position = null, year = null } = {}) {
+    const start = SEASON_START[season];
+    const current = now.getUTCMonth();
+    const offset = SEASON_POSITION[position] ?? 0;
+    const resolved = (seasonYear, month) => monthResult(seasonYear, month, monthWindow(seasonYear, start, 3));
+
+    if (year) return resolved(year, start + offset);
+
+    const monthsIntoSeason = (current - start + 12) % 12;
+    // Already in this season: "this summer" means now, "next summer" means a year out
+    if (monthsIntoSeason < 3) {
+        const seasonYear = now.getUTCFullYear() - (start > current ? 1 : 0);
+        if (isNext) return resolved(seasonYear + 1, start + offset);
+        return resolved(seasonYear, Math.max(start + offset, start + monthsIntoSeason));
+    }
+    return resolved(now.getUTCFullYear() + (start < current ? 1 : 0), start + offset);
+}
+
+function addDays(now, days) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + days));
+}
+
+function addMonths(now, count) {
+    return monthResult(now.getUTCFullYear(), now.getUTCMonth() + count);
+}
+
+// Same day `count` months on, clamped to the end of a shorter month (Nov 30 + 3 months = Feb 28)
+function addCalendarMonths(now, count) {
+    const lastDay = lastDayOfMonth(now.getUTCFullYear(), now.getUTCMonth() + count);
+    return new Date(Date.UTC(lastDay.getUTCFullYear(), lastDay.getUTCMonth(), Math.min(now.getUTCDate(), lastDay.getUTCDate())));
+}
+
+const NUMBER_WORD = '\\d+|(?:a\\s+)?(?:couple(?:\\s+of)?|few)|several|a|an|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|eighteen';
+
+function timelineRules(now) {
+    const year = now.getUTCFullYear();
+    return [
+        [/\b(?:asap|as\s+soon\s+as\s+(?:possible|we\s+can)|immediately|right\s+away|right\s+now)\b/gi,
+            () => ({ ...dateResult(addDays(now, 0)), value: 'ASAP' })],
+        [/\b(?:no\s+rush|flexible|no\s+(?:set\s+)?timeline|whenever|not\s+in\s+a\s+hurry)\b/gi,
+            () => ({ value: 'Flexible', targetMonth: null, targetDate: null, range: null })],
+        [new RegExp(`\\b(?:in|within|over)\\s+(?:the\\s+)?(?:next\\s+)?(${NUMBER_WORD})\\s+(?:(days?)|(weeks?)|(months?)|(years?))\\b`, 'gi'),
+            match => {
+                const count = parseSmallNumber(match[1].replace(/^a\s+/i, '').replace(/\s+of$/i, ''));
+                if (!count) return null;
+                if (match[2]) return dateResult(addDays(now, count));
+                if (match[3]) return dateResult(addDays(now, count * 7));
+                const months = match[4] ? count : count * 12;
+                return dateResult(addCalendarMonths(now, months));
+            }],
+        [/\b(?:within|in)\s+(?:a\s+)?(?:half\s+(?:a\s+)?year|six\s+months)\b/gi,
+            () => dateResult(addCalendarMonths(now, 6))],
+        [/\bend\s+of\s+next\s+month\b|\bnext\s+month\b/gi, () => addMonths(now, 1)],
+        [/\b(?:end\s+of\s+(?:the|this)\s+month|this\s+month)\b/gi, () => addMonths(now, 0)],
+        [/\b(?:end\s+of\s+next\s+year)\b/gi, () => monthResult(year + 1, 11)],
+        [/\b(?:year[-\s]end|end\s+of\s+(?:the|this)\s+year|by\s+the\s+end\s+of\s+the\s+year)\b/gi, () => monthResult(year, 11)],
+        [/\b(?:early\s+next\s+year|first\s+of\s+(?:the|next)\s+year|new\s+year'?s?|january\s+1st)\b/gi, () => monthResult(year + 1, 0)],
+        [/\bmid[-\s]next\s+year\b/gi, () => monthResult(year + 1, 5)],
+        [/\bnext\s+year\b/gi, () => monthResult(year + 1, 0, monthWindow(year + 1, 0, 12))],
+        [/\b(?:christmas|the\s+holidays)\b/gi, () => upcomingMonth(now, 11)],
+        [/\bthanksgiving\b/gi, () => upcomingMonth(now, 10)],
+        // The school year ends in June: "after the kids finish school", "once school is out"
+        [/\b(?:after|once|when)\s+(?:the\s+)?(?:kids?\s+|children\s+)?(?:finish(?:es)?|(?:are|is|get)\s+out\s+of)\s+(?:the\s+)?school(?:\s+year)?\b|\bschool\s+(?:year\s+)?(?:is\s+out|ends|lets\s+out|gets\s+out)\b|\bend\s+of\s+(?:the\s+)?school\s+year\b/gi,
+            () => upcomingMonth(now, 5)],
+        // "fall" needs a lead-in ("by fall", "this fall") so "prices fall" doesn't count
+        [/\b(?:(by|before|in|around|until|early|mid|middle\s+of|late|end\s+of|beginning\s+of|start\s+of|the|this|next)\s+(?:the\s+)?)?(spring|summer|fall|autumn|winter)(?:\s+(?:of\s+)?(\d{4}))?\b/gi,
+            match => {
+                const season = match[2].toLowerCase();
+                if (season === 'fall' && !match[1] && !match[3]) return null;
+                const lead = match[1]?.toLowerCase().split(/\s+/)[0];
+                return seasonResult(now, season, {
+                    isNext: lead === 'next',
+                    position: lead,
+                    year: match[3] ? parseInt(match[3]) : null
+                });
+            }],
+        // "by February", "in March 2027"; may/march need a preposition to count as months
+        [new RegExp(`\\b(?:(by|before|in|around|until|till|end\\s+of|early|mid|late|beginning\\s+of|start\\s+of|this|next)\\s+)?(${MONTHS.join('|')})\\b(?:\\s+(\\d{4}))?`, 'gi'),
+            match => {
+                const monthIndex = MONTHS.indexOf(match[2].toLowerCase());
+                if (['may', 'march'].includes(match[2].toLowerCase()) && !match[1] && !match[3]) return null;
+                return match[3] ? monthResult(parseInt(match[3]), monthIndex) : upcomingMonth(now, monthIndex);
+            }],
+        [/\b(?:by|in|during|sometime\s+in)\s+(20\d{2})\b/gi,
+            match => ({
+                ...monthResult(parseInt(match[1]), 0, monthWindow(parseInt(match[1]), 0, 12)),
+                value: match[1],
+                targetDate: `${match[1]}-12-31`
+            })]
+    ];
+}
+
+// Urgency buckets by days until the target date, soonest first ("within 3 months" is at most 92 days)
+export const TIMELINE_URGENCY = [
+    ['0-30 days', 30],
+    ['1-3 months', 92],
+    ['3-6 months', 184],
+    ['6+ months', Infinity]
+];
+
+export function timelineUrgency(targetDate, now = new Date()) {
+    if (!targetDate) return 'Flexible';
+    const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    const days = Math.round((new Date(`${targetDate}T00:00:00Z`).getTime() - today) / DAY_MS);
+    return TIMELINE_URGENCY.find(([, maxDays]) => days <= maxDays)[0];
+}
+
+// When the call started (the "now" relative timelines count from); processing time if the call data has none
+export function callStartTime(callData = {}) {
+    const call = callData?.call || callData?.message?.call || {};
+    const startedAt = new Date(call.startedAt || callData?.message?.startedAt || Date.now());
+    return isNaN(startedAt.getTime()) ? new Date() : startedAt;
+}
+
+// Returns { value: 'March 2027', targetMonth: '2027-03', targetDate: '2027-03-31', range, urgency: '3-6 months', evidence }
+// or null when no timeframe is given. range is the whole window ("next spring" → March-May) or null for
+// day-level answers. ASAP targets today; "no rush" is Flexible with no target. now should be the call's start
+export function normalizeTimeline(text, { now = new Date() } = {}) {
+    const timeline = earliestMatch(`${text || ''}`, timelineRules(now));
+    if (!timeline) return null;
+    return { ...timeline, urgency: timelineUrgency(timeline.targetDate, now) };
+}
+
+// ---------- Field registry ----------
+
+// normalization.normalizer values in field-schema.json
+export const FIELD_NORMALIZERS = {
+    price: text => normalizePrice(text, { answer: true }),
+    motivation: text => normalizeMotivation(text),
+    destination: text => normalizeDestination(text),
+    timeline: (text, options) => normalizeTimeline(text, options)
+};
+
+// Normalize a value for a schema field; null when the field has no normalizer or the value doesn't parse
+export function normalizeFieldValue(fieldKey, value, options = {}) {
+    const normalizer = FIELD_NORMALIZERS[getFieldDefinition(fieldKey)?.normalization.normalizer];
+    if (!normalizer || !value) return null;
+    return normalizer(`${value}`, options);
+}
+
+export default {
+    normalizePrice,
+    normalizeMotivation,
+    normalizeDestination,
+    normalizeTimeline,
+    timelineUrgency,
+    callStartTime,
+    normalizeFieldValue,
+    FIELD_NORMALIZERS
+};
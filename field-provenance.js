@@ -0,0 +1,146 @@
+// field-provenance.js - Where each custom field value on a contact came from
+// The latest write per contact and GHL field (value, confidence, source, call) is what the merge
+// policies compare against; every write is also kept in a history with the old and new value and
+// the summary or transcript text it was extracted from
+// Everything for a contact is one document ({ contactId, fields, history }), read and written once per call
+import { createStateStore } from './state-store.js';
+
+// Long summary sentences are trimmed so history entries stay small
+const MAX_MATCHED_TEXT = 300;
+
+// Writes kept per contact and field; older ones are dropped
+const DEFAULT_HISTORY_LIMIT = 20;
+
+function getHistoryLimit() {
+    const limit = parseInt(process.env.FIELD_HISTORY_LIMIT, 10);
+    return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_HISTORY_LIMIT;
+}
+
+// "Asking Price", "askingprice" and "asking_price" share a record
+function normalizeFieldKey(fieldName) {
+    return `${fieldName || ''}`.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+class FieldProvenanceStore {
+    constructor(store = createStateStore('field-provenance')) {
+        this.store = store;
+    }
+
+    // The contact's document: { contactId, fields: { fieldKey: last write }, history: [entries, newest first] }
+    async load(contactId) {
+        const document = await this.store.get(contactId);
+        return {
+            contactId,
+            fields: document?.fields || {},
+            history: document?.history || []
+        };
+    }
+
+    // Last write per field for a contact, keyed by normalizeFieldKey(fieldName)
+    async latest(contactId) {
+        return (await this.load(contactId)).fields;
+    }
+
+    // Last write for a field, or null: { contactId, fieldName, value, confidence, source, callId, writtenAt }
+    async get(contactId, fieldName) {
+        return (await this.latest(contactId))[normalizeFieldKey(fieldName)] || null;
+    }
+
+    // Record one write; see recordAll
+    async record(contactId, fieldName, details) {
+        const [entry] = await this.recordAll(contactId, [{ fieldName, ...details }]);
+        return entry;
+    }
+
+    // Record every write from one call with a single read and a single write of the contact's document
+    // writes: [{ fieldName, value, oldValue, confidence, source, extractionMethod, matchedText, callId, fieldKey }]
+    // fieldName is the GHL field name; fieldKey the extracted key that produced the value
+    // Returns the history entries; throws if the document can't be stored
+    async recordAll(contactId, writes) {
+        if (writes.length === 0) return [];
+
+        const document = await this.load(contactId);
+        const entries = this.historyEntries(contactId, writes);
+
+        for (const entry of entries) {
+            document.fields[normalizeFieldKey(entry.fieldName)] = {
+                contactId,
+                fieldName: entry.fieldName,
+                fieldKey: entry.fieldKey,
+                value: entry.newValue,
+                confidence: entry.confidence,
+                source: entry.source,
+                callId: entry.callId,
+                writtenAt: entry.writtenAt
+            };
+        }
+        document.history = [...entries.slice().reverse(), ...document.history];
+        document.updatedAt = new Date().toISOString();
+        this.trimHistory(document);
+
+        await this.store.put(contactId, document);
+        return entries;
+    }
+
+    // Keep the newest getHistoryLimit() entries per field (history is newest first)
+    // Stores with a size limit (SSM) also drop the oldest entries until the document fits
+    trimHistory(document) {
+        const perField = new Map();
+        document.history = document.history.filter(entry => {
+            const key = normalizeFieldKey(entry.fieldName);
+            perField.set(key, (perField.get(key) || 0) + 1);
+            return perField.get(key) <= getHistoryLimit();
+        });
+
+        const maxBytes = this.store.maxValueBytes;
+        while (maxBytes && document.history.length > 0 && Buffer.byteLength(JSON.stringify(document), 'utf8') > maxBytes) {
+            document.history.pop();
+        }
+        return document;
+    }
+
+    // The history entry a write would record, without storing it (dry runs)
+    historyEntry(contactId, fieldName, {
+        value,
+        oldValue = null,
+        confidence = null,
+        source = null,
+        extractionMethod = null,
+        matchedText = null,
+        callId = null,
+        fieldKey = null
+    }) {
+        return {
+            contactId,
+            fieldName,
+            fieldKey,
+            callId,
+            writtenAt: new Date().toISOString(),
+            source,
+            extractionMethod,
+            confidence,
+            oldValue: oldValue ?? null,
+            newValue: value,
+            matchedText: matchedText ? `${matchedText}`.substring(0, MAX_MATCHED_TEXT) : null
+        };
+    }
+
+    // History entries for writes without storing them: [{ fieldName, ...details }] as for recordAll
+    historyEntries(contactId, writes) {
+        return writes.map(({ fieldName, ...details }) => this.historyEntry(contactId, fieldName, details));
+    }
+
+    // Every recorded write for a contact, newest first; field (key or GHL name) narrows it to one field
+    async history(contactId, field = null) {
+        const { history } = await this.load(contactId);
+        const wanted = field ? normalizeFieldKey(field) : null;
+        return history
+            .filter(entry => entry?.contactId === contactId)
+            .filter(entry => !wanted || normalizeFieldKey(entry.fieldName) === wanted || normalizeFieldKey(entry.fieldKey) === wanted)
+            .sort((a, b) => new Date(b.writtenAt) - new Date(a.writtenAt));
+    }
+}
+
+export { FieldProvenanceStore, normalizeFieldKey, getHistoryLimit };
+
+export default FieldProvenanceStore;
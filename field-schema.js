@@ -0,0 +1,121 @@
+// field-schema.js - Loads field-schema.json, the single definition of every extracted field
+// Each field declares its GHL field name, type, question phrasings, extraction patterns,
+// normalization and alias. SimpleQuestionMapper, IntelligentFieldMapper, TranscriptAIExtractor,
+// the LLM extraction schema and CustomFieldsManager all build their mappings from it
+//
+// Field keys (e.g. "askingPrice") are the keys extractors return. Optional sections:
+//   questions                  - VAPI prompt phrasings (SimpleQuestionMapper)
+//   prompts/keywords/extractionHint - transcript templates (TranscriptAIExtractor)
+//   patterns/garbagePatterns   - regex sources (IntelligentFieldMapper; patterns get "gi", garbage "")
+//   normalization              - { normalizer, maxLength, fallback }; normalizer is a field-normalizers.js key
+//   llm                        - { description, maxLength } for model extraction
+//   minConfidence              - values scoring lower are held for review instead of written (review-queue.js)
+//   merge                      - overwrite | keep-if-present | append | higher-confidence-wins (merge-policy.js)
+//   alias                      - GHL field written when ghlField doesn't exist in the location
+import { readFileSync } from 'fs';
+
+const DEFAULT_SCHEMA_PATH = new URL('./field-schema.json', import.meta.url);
+
+// Keys of MERGE_POLICIES in merge-policy.js
+const MERGE_POLICY_NAMES = ['overwrite', 'keep-if-present', 'append', 'higher-confidence-wins'];
+
+let activeSchema = null;
+
+function compilePattern(source, flags, fieldKey) {
+    try {
+        return new RegExp(source, flags);
+    } catch (error) {
+        throw new Error(`Field schema: invalid pattern for "${fieldKey}": ${error.message}`);
+    }
+}
+
+// Validate raw schema JSON and compile its regexes
+export function compileFieldSchema(raw) {
+    if (!raw || typeof raw.fields !== 'object' || Array.isArray(raw.fields)) {
+        throw new Error('Field schema must have a "fields" object');
+    }
+
+    const fields = new Map();
+    for (const [key, field] of Object.entries(raw.fields)) {
+        if (!field?.ghlField) {
+            throw new Error(`Field schema: "${key}" needs a ghlField`);
+        }
+        if (field.llm && !(field.llm.description && field.llm.maxLength > 0)) {
+            throw new Error(`Field schema: "${key}" llm section needs a description and maxLength`);
+        }
+        if (field.minConfidence !== undefined && !(field.minConfidence >= 0 && field.minConfidence <= 100)) {
+            throw new Error(`Field schema: "${key}" minConfidence must be between 0 and 100`);
+        }
+        if (field.merge !== undefined && !MERGE_POLICY_NAMES.includes(field.merge)) {
+            throw new Error(`Field schema: "${key}" merge must be one of ${MERGE_POLICY_NAMES.join(', ')}`);
+        }
+
+        fields.set(key, {
+            key,
+            ghlField: field.ghlField,
+            type: field.type || 'text',
+            alias: field.alias || null,
+            questions: field.questions || [],
+            prompts: field.prompts || [],
+            keywords: field.keywords || [],
+            extractionHint: field.extractionHint || null,
+            priority: field.priority || 'medium',
+            patterns: (field.patterns || []).map(source => compilePattern(source, 'gi', key)),
+            garbagePatterns: (field.garbagePatterns || []).map(source => compilePattern(source, '', key)),
+            normalization: field.normalization || {},
+            llm: field.llm || null,
+            minConfidence: field.minConfidence ?? null,
+            merge: field.merge || null
+        });
+    }
+
+    return { version: raw.version || 1, fields };
+}
+
+// Read and compile a schema file
+export function loadFieldSchema(path = process.env.FIELD_SCHEMA_PATH || DEFAULT_SCHEMA_PATH) {
+    const raw = JSON.parse(readFileSync(path, 'utf8'));
+    return compileFieldSchema(raw);
+}
+
+// Active schema (field-schema.json, or FIELD_SCHEMA_PATH), loaded once
+export function getFieldSchema() {
+    if (!activeSchema) {
+        activeSchema = loadFieldSchema();
+    }
+    return activeSchema;
+}
+
+// Replace the active schema (raw JSON object); pass null to reload from disk on next use
+export function useFieldSchema(raw) {
+    activeSchema = raw ? compileFieldSchema(raw) : null;
+}
+
+export function getFieldDefinitions() {
+    return [...getFieldSchema().fields.values()];
+}
+
+export function getFieldDefinition(key) {
+    return getFieldSchema().fields.get(key) || null;
+}
+
+// Find a field by its key or GHL field name, ignoring case and punctuation
+export function findFieldDefinition(name) {
+    const normalized = normalizeName(name);
+    return getFieldDefinitions().find(field =>
+        normalizeName(field.key) === normalized || normalizeName(field.ghlField) === normalized) || null;
+}
+
+function normalizeName(name) {
+    return `${name || ''}`.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+export default {
+    getFieldSchema,
+    getFieldDefinitions,
+    getFieldDefinition,
+    findFieldDefinition,
+    loadFieldSchema,
+    compileFieldSchema,
+    useFieldSchema
+};
@@ -0,0 +1,245 @@
+// ghl-webhook-handler.js - Handles GHL contact webhooks that trigger outbound VAPI calls
+// Flow: GHL Tag (FSBO) → Webhook → Lambda → VAPI API → Outbound Call
+// Only the contact ID is taken from the payload - phone, timezone, state and DND are read from GHL
+import crypto from 'crypto';
+import { triggerOutboundCall } from './outbound-call-manager.js';
+import { getHeader, getRawBody, safeEqual } from './vapi-signature.js';
+import { CallDedupManager } from './call-dedup.js';
+import { createStateStore } from './state-store.js';
+
+// GHL event types that mean a tag was just added to a contact
+const TAG_ADDED_EVENTS = ['contact.tag.added', 'contacttagupdate', 'contacttagadded'];
+
+// GHL event types for newly created contacts (a create with a trigger tag counts as the tag being added)
+const CONTACT_CREATED_EVENTS = ['contact.created', 'contactcreate'];
+
+// Processed webhook IDs, so GHL retries of the same delivery don't dial twice
+const defaultWebhookDedup = new CallDedupManager(createStateStore('processed-ghl-webhooks'));
+
+// Verification is on unless explicitly disabled (local fixture testing only)
+export function isGHLSignatureVerificationEnabled() {
+    const setting = (process.env.GHL_VERIFY_SIGNATURE || 'true').toLowerCase();
+    return !['false', '0', 'off', 'no'].includes(setting);
+}
+
+// Header a GHL workflow "Custom Webhook" action is set up to send with GHL_WEBHOOK_SECRET as its value
+export const GHL_SECRET_HEADER = 'x-ghl-webhook-secret';
+
+// GHL_WEBHOOK_PUBLIC_KEY as PEM; a single-line base64 key (no PEM armor) is accepted so it fits in env vars
+function toPublicKeyPem(key) {
+    const trimmed = `${key}`.replace(/\\n/g, '\n').trim();
+    if (trimmed.includes('-----BEGIN')) return trimmed;
+    const body = trimmed.replace(/\s+/g, '').match(/.{1,64}/g)?.join('\n') || '';
+    return `-----BEGIN PUBLIC KEY-----\n${body}\n-----END PUBLIC KEY-----`;
+}
+
+// Check x-wh-signature: base64 RSA-SHA256 signature of the raw body, made with GHL's private key
+function verifyWhSignature(event, signature, publicKey) {
+    if (!publicKey) {
+        console.error('❌ GHL_WEBHOOK_PUBLIC_KEY is not configured - cannot verify x-wh-signature');
+        return { valid: false, reason: 'Webhook verification is not configured' };
+    }
+
+    let verified = false;
+    try {
+        verified = crypto.verify('sha256', Buffer.from(getRawBody(event)), toPublicKeyPem(publicKey), Buffer.from(String(signature), 'base64'));
+    } catch (error) {
+        console.error('❌ Could not check x-wh-signature:', error.message);
+    }
+    if (!verified) {
+        return { valid: false, reason: 'Invalid x-wh-signature' };
+    }
+
+    console.log('✅ GHL webhook verified via x-wh-signature');
+    return { valid: true };
+}
+
+// Verify an inbound GHL webhook
+// - Marketplace app webhooks: x-wh-signature checked against GHL's public key (GHL_WEBHOOK_PUBLIC_KEY)
+// - Workflow Custom Webhook actions: the GHL_SECRET_HEADER header must equal GHL_WEBHOOK_SECRET
+// Returns { valid, reason } - reason explains why a request was rejected
+export function verifyGHLWebhook(event, options = {}) {
+    const publicKey = options.publicKey ?? process.env.GHL_WEBHOOK_PUBLIC_KEY;
+    const secret = options.secret ?? process.env.GHL_WEBHOOK_SECRET;
+
+    const signature = getHeader(event.headers, 'x-wh-signature');
+    if (signature) {
+        return verifyWhSignature(event, signature, publicKey);
+    }
+
+    const providedSecret = getHeader(event.headers, GHL_SECRET_HEADER);
+    if (providedSecret) {
+        if (!secret) {
+            console.error('❌ GHL_WEBHOOK_SECRET is not configured - cannot verify webhook');
+            return { valid: false, reason: 'Webhook verification is not configured' };
+        }
+        if (!safeEqual(providedSecret, secret)) {
+            return { valid: false, reason: `Invalid ${GHL_SECRET_HEADER}` };
+        }
+        console.log(`✅ GHL webhook verified via ${GHL_SECRET_HEADER}`);
+        return { valid: true };
+    }
+
+    if (!publicKey && !secret) {
+        console.error('❌ Neither GHL_WEBHOOK_PUBLIC_KEY nor GHL_WEBHOOK_SECRET is configured - cannot verify webhook');
+        return { valid: false, reason: 'Webhook verification is not configured' };
+    }
+    return { valid: false, reason: `Missing x-wh-signature or ${GHL_SECRET_HEADER} header` };
+}
+
+// ID of this webhook delivery (identical across GHL retries), or null when GHL sends none
+export function getWebhookId(payload) {
+    return payload.webhookId || payload.webhook_id || payload.eventId || null;
+}
+
+// Trigger tags are configurable: GHL_TRIGGER_TAGS="fsbo,call-now"
+export function getTriggerTags() {
+    return (process.env.GHL_TRIGGER_TAGS || 'fsbo')
+        .split(',')
+        .map(tag => tag.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+// Detect GHL contact webhooks (app webhooks, workflow webhooks and our test payloads)
+export function isGHLWebhook(payload) {
+    if (!payload || payload.message?.type) return false;
+
+    const eventName = `${payload.eventType || payload.type || ''}`.toLowerCase();
+    return eventName.startsWith('contact') ||
+           !!payload.contact ||
+           !!payload.contact_id;
+}
+
+// Normalize tags from string, string[] or [{ name }] formats
+function normalizeTags(tags) {
+    if (!tags) return [];
+    const list = Array.isArray(tags) ? tags : String(tags).split(',');
+    return list
+        .map(tag => (typeof tag === 'string' ? tag : tag?.name || '').trim().toLowerCase())
+        .filter(Boolean);
+}
+
+// Contact ID across GHL webhook formats - the only contact detail taken from the payload
+export function getWebhookContactId(payload) {
+    return payload.contact?.id || payload.contact_id || payload.contactId || payload.id || null;
+}
+
+// Determine whether this webhook added one of the configured trigger tags
+// Returns the matched tag or null
+export function detectTriggerTag(payload) {
+    const eventName = `${payload.eventType || payload.type || ''}`.toLowerCase();
+    const isTagEvent = TAG_ADDED_EVENTS.includes(eventName) || TAG_ADDED_EVENTS.includes(`${payload.type || ''}`.toLowerCase());
+    const isCreateEvent = CONTACT_CREATED_EVENTS.includes(eventName) || CONTACT_CREATED_EVENTS.includes(`${payload.type || ''}`.toLowerCase());
+
+    if (!isTagEvent && !isCreateEvent) {
+        return null;
+    }
+
+    // Prefer the explicit list of added tags when GHL provides it
+    const explicitlyAdded = normalizeTags(payload.tagsAdded || payload.addedTags || payload.tag);
+    const candidateTags = explicitlyAdded.length > 0
+        ? explicitlyAdded
+        : [...normalizeTags(payload.tags), ...normalizeTags(payload.contact?.tags)];
+
+    const triggerTags = getTriggerTags();
+    return candidateTags.find(tag => triggerTags.includes(tag)) || null;
+}
+
+// Process a GHL contact webhook (signature already verified)
+// triggerCall and webhookDedup can be swapped out for tests
+export async function processGHLWebhook(payload, { pitTokenManager, triggerCall = triggerOutboundCall, webhookDedup = defaultWebhookDedup } = {}) {
+    console.log('🌐 Processing GHL contact webhook...');
+    console.log(`   Type: ${payload.type || 'n/a'} | Event: ${payload.eventType || 'n/a'}`);
+
+    const triggerTag = detectTriggerTag(payload);
+    if (!triggerTag) {
+        console.log(`ℹ️ No trigger tag added (configured: ${getTriggerTags().join(', ')}) - no call placed`);
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                message: 'GHL webhook received - no trigger tag added',
+                triggerTags: getTriggerTags()
+            })
+        };
+    }
+
+    const contactId = getWebhookContactId(payload);
+    console.log(`🏷️ Trigger tag "${triggerTag}" added to contact ${contactId}`);
+
+    if (!contactId) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'GHL webhook is missing the contact ID' })
+        };
+    }
+
+    // Idempotency: only the first delivery of a webhook may place a call
+    const webhookId = getWebhookId(payload);
+    const claim = await webhookDedup.claim(webhookId);
+    if (!claim.claimed) {
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                message: 'Duplicate GHL webhook - already handled',
+                webhookId,
+                contactId,
+                duplicate: true
+            })
+        };
+    }
+
+    let callResult;
+    try {
+        callResult = await triggerCall({ id: contactId }, {
+            reason: `tag_added:${triggerTag}`,
+            pitTokenManager
+        });
+    } catch (error) {
+        await webhookDedup.release(webhookId);
+        throw error;
+    }
+    await webhookDedup.complete(webhookId, {
+        contactId,
+        success: callResult.success,
+        queued: callResult.queued || false,
+        callId: callResult.callId || null
+    });
+
+    if (callResult.queued) {
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                message: 'Trigger tag detected - call queued for the next allowed calling time',
+                contactId,
+                triggerReason: callResult.triggerReason,
+                scheduledFor: callResult.scheduledFor,
+                timezone: callResult.timezone
+            })
+        };
+    }
+
+    if (!callResult.success) {
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                message: 'Trigger tag detected but call was not placed',
+                contactId,
+                triggerReason: callResult.triggerReason,
+                blocked: callResult.blocked || null,
+                error: callResult.error
+            })
+        };
+    }
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: 'Outbound VAPI call triggered',
+            callId: callResult.callId,
+            contactId: callResult.contactId,
+            triggerReason: callResult.triggerReason
+        })
+    };
+}
+
+export default { isGHLWebhook, detectTriggerTag, processGHLWebhook, getTriggerTags, verifyGHLWebhook, GHL_SECRET_HEADER, isGHLSignatureVerificationEnabled };
@@ -7,6 +7,16 @@ import { PITTokenManager } from './pit-token-manager.js';
 import { processAppointmentRequest } from './appointment-manager.js';
 import { CustomFieldsManager } from './custom-fields-manager.js';
 import { vapiFunctions } from './vapi-functions.js';
+import { verifyVapiRequest, isSignatureVerificationEnabled, unauthorizedResponse } from './vapi-signature.js';
+import { isGHLWebhook, processGHLWebhook, verifyGHLWebhook, isGHLSignatureVerificationEnabled } from './ghl-webhook-handler.js';
+import { isActionRequest, handleActionRequest } from './action-api.js';
+import { CallDedupManager, duplicateCallResponse } from './call-dedup.js';
+import { detectOptOut, applyOptOut } from './opt-out-manager.js';
+import { processCallQueue } from './outbound-call-manager.js';
+import { scheduleRetry, UnansweredStreakStore } from './retry-cadence.js';
+import { classifyCallOutcome, getOutcomeTag } from './call-outcome.js';
+import { DryRunRecorder, withPlannedWrites } from './dry-run.js';
+import { pruneExpiredState } from './state-cleanup.js';
 
 // Environment variables
 const GHL_LOCATION_ID = process.env.GHL_LOCATION_ID;
@@ -15,7 +25,6 @@ const VAPI_API_KEY = process.env.VAPI_API_KEY;
 const VAPI_ASSISTANT_ID = process.env.VAPI_ASSISTANT_ID || '9dcdb98a-613c-4927-a007-8e3437ef337c';
 const VAPI_PHONE_NUMBER_ID = process.env.VAPI_PHONE_NUMBER_ID;
 
-const GHL_BASE_URL = 'https://services.leadconnectorhq.com';
 const GHL_API_VERSION = '2021-07-28';
 const VAPI_API_BASE_URL = 'https://api.vapi.ai';
 
@@ -29,6 +38,12 @@ const pitTokenManager = new PITTokenManager();
 // Global Custom Fields Manager instance - FORCE UPDATE 2025-09-12
 const customFieldsManager = new CustomFieldsManager();
 
+// Global call dedup instance (processed VAPI call IDs)
+const callDedup = new CallDedupManager();
+
+// Unanswered calls in a row per contact (follow-up cadence)
+const unansweredStreaks = new UnansweredStreakStore();
+
 // Function to get parameter from Parameter Store
 async function getParameter(paramName, decrypt = true) {
     try {
@@ -92,10 +107,10 @@ async function getContactById(contactId) {
 }
 
 // Function to update contact in GHL using PIT
-async function updateContact(contactId, updateData) {
+async function updateContact(contactId, updateData, ghl = pitTokenManager) {
     try {
         console.log(`🔄 Updating contact ${contactId} with data:`, Object.keys(updateData));
-        const response = await pitTokenManager.makeGHLRequest('PUT', `/contacts/${contactId}`, updateData);
+        const response = await ghl.makeGHLRequest('PUT', `/contacts/${contactId}`, updateData);
         console.log('✅ Contact updated successfully');
         return response.data;
     } catch (error) {
@@ -105,10 +120,10 @@ async function updateContact(contactId, updateData) {
 }
 
 // Function to create contact note using PIT
-async function createContactNote(contactId, noteBody) {
+async function createContactNote(contactId, noteBody, ghl = pitTokenManager) {
     try {
         console.log(`📝 Creating note for contact ${contactId} (${noteBody.length} chars)`);
-        const response = await pitTokenManager.makeGHLRequest('POST', `/contacts/${contactId}/notes`, {
+        const response = await ghl.makeGHLRequest('POST', `/contacts/${contactId}/notes`, {
             body: noteBody
         });
         
@@ -193,6 +208,283 @@ function analyzeTranscript(transcriptText, structuredData) {
 
 // Legacy appointment function (now handled by appointment-manager.js module)
 
+// Record a call nobody answered: outcome note + tag, call attempt and follow-up (no field extraction)
+// A contact who opted out on the call gets no follow-up
+async function processUnansweredCall(payload, call, contact, callOutcome, { recorder = null, optOut = { optedOut: false }, optOutResult = null } = {}) {
+    const contactId = contact.id;
+    const ghl = recorder ? recorder.wrap(pitTokenManager) : pitTokenManager;
+    console.log(`📵 Call ${call.id} was not answered (${callOutcome.outcome}, ${callOutcome.source}) - skipping field extraction`);
+    
+    let callAttempts = null;
+    try {
+        callAttempts = await customFieldsManager.incrementCallCounter(contactId, { callId: call.id || null, recorder });
+    } catch (counterError) {
+        console.error('❌ Failed to update call attempt counter:', counterError.message);
+    }
+    
+    let noteResult = null;
+    try {
+        const outcomeNote = NoteManager.generateOutcomeNote({ message: payload.message, call: call }, callOutcome, callAttempts);
+        noteResult = await createContactNote(contactId, outcomeNote, ghl);
+    } catch (noteError) {
+        console.error('❌ Outcome note creation failed:', noteError.message);
+    }
+    
+    const outcomeTag = getOutcomeTag(callOutcome.outcome);
+    let tagged = false;
+    try {
+        await ghl.makeGHLRequest('POST', `/contacts/${contactId}/tags`, { tags: [outcomeTag] });
+        tagged = true;
+    } catch (tagError) {
+        console.error('❌ Failed to add outcome tag:', tagError.response?.data || tagError.message);
+    }
+    
+    // Follow-up cadence: queued again until too many calls in a row went unanswered
+    let retryResult = null;
+    if (!optOut.optedOut) {
+        try {
+            // Dry runs work out the follow-up time without storing the streak or queueing the call
+            const unansweredAttempts = await unansweredStreaks.record(contactId, { callId: call.id || null, dryRun: !!recorder });
+            const retryOptions = recorder ? { callQueue: { enqueue: async () => null } } : {};
+            retryResult = await scheduleRetry(contact, { outcome: callOutcome.outcome, unansweredAttempts, callAttempts, pitTokenManager: ghl, ...retryOptions });
+        } catch (retryError) {
+            console.error('❌ Failed to schedule follow-up call:', retryError.message);
+        }
+    }
+    
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: 'Unanswered call recorded',
+            contactId: contactId,
+            outcome: callOutcome.outcome,
+            messageLeft: callOutcome.messageLeft,
+            noteCreated: !!noteResult?.note?.id,
+            tag: tagged ? outcomeTag : null,
+            callAttempts: callAttempts,
+            unansweredAttempts: retryResult?.unansweredAttempts ?? null,
+            customFieldsUpdated: 0,
+            followUpScheduledFor: retryResult?.scheduledFor || null,
+            attemptsExhausted: retryResult?.exhausted || false,
+            optedOut: optOut.optedOut,
+            dndApplied: optOutResult?.dnd || false
+        })
+    };
+}
+
+// Process an end-of-call report: update the contact, custom fields, notes and appointments
+// recorder (DryRunRecorder): read from GHL as usual but plan every write instead of sending it
+async function processEndOfCallReport(payload, callData, call, { recorder = null } = {}) {
+    console.log('Processing async contact update...');
+    const ghl = recorder ? recorder.wrap(pitTokenManager) : pitTokenManager;
+    console.log('Processing call for phone number:', call.customer?.number);
+    
+    // Validate call data first (prevents note creation issues)
+    const validation = NoteManager.validateCallDataForNotes(callData);
+    if (!validation.isValid) {
+        console.log('⚠️ Call data validation failed:', validation.issues);
+        console.log('ℹ️ Continuing without creating note...');
+    }
+    
+    // Extract contact ID using enhanced modular function
+    const contactId = NoteManager.extractContactIdFromCall(call);
+    
+    if (!contactId) {
+        console.error('Could not extract contact ID from call data');
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Could not extract contact ID' })
+        };
+    }
+    
+    // Initialize PIT token manager
+    await pitTokenManager.getValidToken();
+    
+    // Get existing contact
+    const existingContact = await getContactById(contactId);
+    console.log(`Found contact by ID: ${existingContact.firstName} ${existingContact.lastName} (ID: ${contactId})`);
+    
+    // Honor "stop calling me" - mark the contact DND and tag it before anything else, even on calls classified as unanswered
+    let optOutResult = null;
+    const optOut = detectOptOut({ message: payload.message, call: call });
+    if (optOut.optedOut) {
+        try {
+            optOutResult = await applyOptOut(contactId, optOut, ghl);
+        } catch (optOutError) {
+            console.error('❌ Failed to apply opt-out:', optOutError.response?.data || optOutError.message);
+            optOutResult = { dnd: false, error: optOutError.message };
+        }
+    }
+    
+    // Voicemail / no answer: nothing to extract - record the outcome and schedule the follow-up
+    const callOutcome = classifyCallOutcome({ message: payload.message, call: call });
+    if (callOutcome.outcome !== 'answered') {
+        return await processUnansweredCall(payload, call, existingContact, callOutcome, { recorder, optOut, optOutResult });
+    }
+    
+    // Someone picked up: the next unanswered call starts the follow-up cadence over
+    if (!recorder) {
+        try {
+            await unansweredStreaks.reset(contactId);
+        } catch (streakError) {
+            console.error('⚠️ Failed to reset unanswered call streak:', streakError.message);
+        }
+    }
+    
+    // Analyze transcript and extract data
+    const transcriptText = call.transcript || 'No transcript available';
+    const structuredData = call.analysis?.structuredData;
+    const extractedData = analyzeTranscript(transcriptText, structuredData);
+    
+    // Update contact with extracted data
+    if (Object.keys(extractedData).length > 0) {
+        console.log('Updating contact with extracted data...');
+        await updateContact(contactId, extractedData, ghl);
+        console.log('Contact updated successfully');
+    }
+    
+    // Process custom fields using AI extraction from transcript
+    let customFieldsResult = null;
+    try {
+        console.log('🤖 Processing custom fields with AI transcript analysis...');
+        console.log('🔧 DEBUG: Custom Fields Manager Initialization Check');
+        console.log('   Manager initialized:', !!customFieldsManager);
+        console.log('   PIT Token loaded:', !!customFieldsManager.pitTokenManager?.pitToken);
+        console.log('   Field mappings loaded:', !!customFieldsManager.customFieldMappings);
+        
+        // Ensure custom fields manager is properly initialized for live calls
+        if (!customFieldsManager.customFieldMappings) {
+            console.log('⚠️ Custom fields manager not initialized, initializing now...');
+            const initialized = await customFieldsManager.initialize();
+            if (!initialized) {
+                throw new Error('Failed to initialize custom fields manager during live call');
+            }
+            console.log('✅ Custom fields manager initialized during live call processing');
+        }
+        
+        // Create call data structure for custom fields processing
+        const callDataForCustomFields = {
+            message: payload.message,
+            call: call
+        };
+        
+        console.log('📦 DEBUG: Call Data for Custom Fields:');
+        console.log('   Has message:', !!callDataForCustomFields.message);
+        console.log('   Has call:', !!callDataForCustomFields.call);
+        console.log('   Call ID:', callDataForCustomFields.call?.id);
+        console.log('   Message type:', callDataForCustomFields.message?.type);
+        console.log('   Call keys:', callDataForCustomFields.call ? Object.keys(callDataForCustomFields.call) : 'none');
+        
+        customFieldsResult = await customFieldsManager.processVAPICall(callDataForCustomFields, contactId, { recorder });
+        
+        if (customFieldsResult.success) {
+            console.log(`✅ Custom fields updated: ${customFieldsResult.fieldsUpdated} fields processed`);
+            if (customFieldsResult.provenanceError) {
+                console.log(`⚠️ Field history was not saved: ${customFieldsResult.provenanceError}`);
+            }
+            if (customFieldsResult.updatedFields && customFieldsResult.updatedFields.length > 0) {
+                console.log('📊 Updated fields:');
+                customFieldsResult.updatedFields.forEach(field => {
+                    console.log(`   • ${field.fieldName}: "${field.value}" (${field.confidence}% confidence)`);
+                });
+            }
+            if (customFieldsResult.warnings && customFieldsResult.warnings.length > 0) {
+                console.log('⚠️ Custom fields warnings:');
+                customFieldsResult.warnings.forEach(warning => console.log(`   • ${warning}`));
+            }
+        } else {
+            console.log(`⚠️ Custom fields processing failed: ${customFieldsResult.message}`);
+        }
+    } catch (customFieldsError) {
+        console.error('❌ Custom fields processing error:', customFieldsError.message);
+        customFieldsResult = {
+            success: false,
+            message: customFieldsError.message,
+            fieldsUpdated: 0
+        };
+    }
+    
+    // Create call summary note using modular system
+    let noteResult = null;
+    if (validation.isValid) {
+        try {
+            console.log('📝 Creating call summary note using modular system...');
+            // Pass the complete payload structure with both message and call
+            const fullCallData = {
+                message: payload.message,
+                call: call
+            };
+            const callSummary = NoteManager.generateCallSummary(fullCallData, extractedData, customFieldsResult);
+            noteResult = await createContactNote(contactId, callSummary, ghl);
+            console.log('✅ Modular note creation completed successfully');
+        } catch (noteError) {
+            console.error('❌ Modular note creation failed:', noteError.message);
+            console.log('📝 Attempting fallback note creation...');
+            
+            // Fallback to simple note if modular system fails
+            const simpleSummary = `📞 VAPI Call Summary
+Call ID: ${call.id}
+Duration: ${call.startedAt && call.endedAt ? Math.round((new Date(call.endedAt) - new Date(call.startedAt)) / 60000) : 'Unknown'} minutes
+Date: ${new Date().toLocaleDateString()}
+
+🎯 Key Information Extracted:
+${Object.entries(extractedData).map(([key, value]) => `• ${key.charAt(0).toUpperCase() + key.slice(1)}: ${value}`).join('\n')}
+
+📝 Full Transcript:
+"${transcriptText}"
+
+🎵 Audio Recording:
+Call ID: ${call.id} (Contact VAPI support for audio access)
+
+Generated by VAPI-GHL Integration`;
+            
+            try {
+                noteResult = await createContactNote(contactId, simpleSummary, ghl);
+                console.log('✅ Fallback note creation completed');
+            } catch (fallbackError) {
+                console.error('❌ Both modular and fallback note creation failed:', fallbackError.message);
+            }
+        }
+    } else {
+        console.log('⚠️ Skipping note creation due to validation issues');
+    }
+    
+    // Process appointment requests using modular system
+    const fullCallData = {
+        message: payload.message,
+        call: call
+    };
+    const appointmentResult = await processAppointmentRequest(fullCallData, existingContact, extractedData, ghl);
+    
+    if (appointmentResult.processed) {
+        if (appointmentResult.success) {
+            console.log('✅ Appointment processing completed successfully:', appointmentResult.appointmentId);
+        } else {
+            console.log('❌ Appointment processing failed:', appointmentResult.error || appointmentResult.reason);
+        }
+    } else {
+        console.log('ℹ️ No appointment requested in this call');
+    }
+    
+    console.log('Async contact update completed successfully');
+    
+    return {
+        statusCode: 200,
+        body: JSON.stringify({ 
+            message: 'End-of-call report processed successfully',
+            contactId: contactId,
+            noteCreated: !!noteResult?.note?.id,
+            appointmentProcessed: appointmentResult?.processed || false,
+            appointmentCreated: appointmentResult?.success || false,
+            customFieldsUpdated: customFieldsResult?.fieldsUpdated || 0,
+            customFieldsSuccess: customFieldsResult?.success || false,
+            fieldHistoryError: customFieldsResult?.provenanceError || null,
+            optedOut: optOut.optedOut,
+            dndApplied: optOutResult?.dnd || false
+        })
+    };
+}
+
 // Main Lambda handler
 export async function handler(event) {
     console.log('Received event:', JSON.stringify(event, null, 2));
@@ -219,6 +511,43 @@ export async function handler(event) {
             payload = event.body || event;
         }
         
+        // Verify VAPI webhooks (function calls and end-of-call reports) before doing any work
+        // Async invocations were verified when they arrived: only lambda.invoke below can set _asyncProcessing,
+        // and Lambda may retry them long after the signature's timestamp tolerance has passed
+        const isVapiRequest = !!payload.message?.type || !!event.path?.includes('/vapi-function/');
+        if (isVapiRequest && !event._asyncProcessing) {
+            if (isSignatureVerificationEnabled()) {
+                const verification = verifyVapiRequest(event, payload, { secret: VAPI_SECRET_TOKEN });
+                if (!verification.valid) {
+                    console.warn(`🚫 Rejected VAPI webhook: ${verification.reason}`);
+                    return unauthorizedResponse(verification.reason);
+                }
+            } else {
+                console.warn('⚠️ VAPI signature verification disabled (VAPI_VERIFY_SIGNATURE=false) - local testing only');
+            }
+        }
+        
+        // Scheduled run (EventBridge): dial queued calls whose calling window has opened, then expire old state
+        if (event.source === 'aws.events' && event['detail-type'] === 'Scheduled Event') {
+            const queueResult = await processCallQueue({ pitTokenManager });
+            let cleanup;
+            try {
+                cleanup = await pruneExpiredState();
+            } catch (error) {
+                console.error('⚠️ State cleanup failed:', error.message);
+                cleanup = { error: error.message };
+            }
+            return {
+                statusCode: 200,
+                body: JSON.stringify({ message: 'Call queue processed', ...queueResult, cleanup })
+            };
+        }
+        
+        // Handle authenticated action API requests (trigger-call, bulk-trigger, review-field, ...)
+        if (isActionRequest(payload)) {
+            return await handleActionRequest(event, payload, { pitTokenManager });
+        }
+        
         // Handle VAPI function calls (real-time during conversation)
         if (payload.message?.type === 'function-call' || event.httpMethod === 'POST' && event.path?.includes('/vapi-function/')) {
             console.log('🔧 Processing VAPI function call...');
@@ -231,7 +560,7 @@ export async function handler(event) {
             // Route to appropriate function
             if (vapiFunctions[functionName]) {
                 try {
-                    const result = await vapiFunctions[functionName](functionArgs);
+                    const result = await vapiFunctions[functionName](functionArgs, { call: payload.message?.call });
                     console.log('✅ Function call result:', result);
                     
                     return {
@@ -321,11 +650,29 @@ export async function handler(event) {
                 };
             }
             
+            // Dry run (set on the event, e.g. a direct invoke): process synchronously and return the planned
+            // GHL writes without sending them or claiming the call
+            if (event.dryRun === true) {
+                console.log('🧪 Dry run - no GHL writes will be sent');
+                const recorder = new DryRunRecorder();
+                const response = await processEndOfCallReport(payload, callData, call, { recorder });
+                return withPlannedWrites(response, recorder);
+            }
+            
+            // Repeat deliveries of an already processed call return the original result
+            const processedRecord = await callDedup.getRecord(call.id);
+            if (processedRecord) {
+                return duplicateCallResponse(processedRecord);
+            }
+            
             // Process asynchronously if not already async
-            if (!payload._asyncProcessing) {
+            // The flag lives on the event (not the body) so it cannot be forged through the Function URL
+            if (!event._asyncProcessing) {
                 console.log('Triggering async processing...');
                 
-                // Invoke this same Lambda function asynchronously
+                // Invoke this same Lambda function asynchronously - without the request headers,
+                // since the async invocation is trusted on _asyncProcessing rather than re-verified
+                const { headers: _verifiedHeaders, ...verifiedEvent } = event;
                 const lambda = new (await import('@aws-sdk/client-lambda')).LambdaClient({ 
                     region: 'us-east-2'  // Fixed region to match Lambda location
                 });
@@ -334,11 +681,8 @@ export async function handler(event) {
                     FunctionName: 'vapi-ghl-integration',
                     InvocationType: 'Event', // Async invocation
                     Payload: JSON.stringify({
-                        ...event,
-                        body: JSON.stringify({
-                            ...payload,
-                            _asyncProcessing: true
-                        })
+                        ...verifiedEvent,
+                        _asyncProcessing: true
                     })
                 }));
                 
@@ -348,181 +692,38 @@ export async function handler(event) {
                 };
             }
             
-            // Async processing
-            console.log('Processing async contact update...');
-            console.log('Processing call for phone number:', call.customer?.number);
-            
-            // Validate call data first (prevents note creation issues)
-            const validation = NoteManager.validateCallDataForNotes(callData);
-            if (!validation.isValid) {
-                console.log('⚠️ Call data validation failed:', validation.issues);
-                console.log('ℹ️ Continuing without creating note...');
+            // Idempotency: only the first delivery of a call may write to GHL
+            const dedupClaim = await callDedup.claim(call.id);
+            if (!dedupClaim.claimed) {
+                return duplicateCallResponse(dedupClaim.record);
             }
             
-            // Extract contact ID using enhanced modular function
-            const contactId = NoteManager.extractContactIdFromCall(call);
-            
-            if (!contactId) {
-                console.error('Could not extract contact ID from call data');
-                return {
-                    statusCode: 400,
-                    body: JSON.stringify({ error: 'Could not extract contact ID' })
-                };
-            }
-            
-            // Initialize PIT token manager
-            await pitTokenManager.getValidToken();
-            
-            // Get existing contact
-            const existingContact = await getContactById(contactId);
-            console.log(`Found contact by ID: ${existingContact.firstName} ${existingContact.lastName} (ID: ${contactId})`);
-            
-            // Analyze transcript and extract data
-            const transcriptText = call.transcript || 'No transcript available';
-            const structuredData = call.analysis?.structuredData;
-            const extractedData = analyzeTranscript(transcriptText, structuredData);
-            
-            // Update contact with extracted data
-            if (Object.keys(extractedData).length > 0) {
-                console.log('Updating contact with extracted data...');
-                await updateContact(contactId, extractedData);
-                console.log('Contact updated successfully');
-            }
-            
-            // Process custom fields using AI extraction from transcript
-            let customFieldsResult = null;
             try {
-                console.log('🤖 Processing custom fields with AI transcript analysis...');
-                console.log('🔧 DEBUG: Custom Fields Manager Initialization Check');
-                console.log('   Manager initialized:', !!customFieldsManager);
-                console.log('   PIT Token loaded:', !!customFieldsManager.pitTokenManager?.pitToken);
-                console.log('   Field mappings loaded:', !!customFieldsManager.customFieldMappings);
-                
-                // Ensure custom fields manager is properly initialized for live calls
-                if (!customFieldsManager.customFieldMappings) {
-                    console.log('⚠️ Custom fields manager not initialized, initializing now...');
-                    const initialized = await customFieldsManager.initialize();
-                    if (!initialized) {
-                        throw new Error('Failed to initialize custom fields manager during live call');
-                    }
-                    console.log('✅ Custom fields manager initialized during live call processing');
-                }
-                
-                // Create call data structure for custom fields processing
-                const callDataForCustomFields = {
-                    message: payload.message,
-                    call: call
-                };
-                
-                console.log('📦 DEBUG: Call Data for Custom Fields:');
-                console.log('   Has message:', !!callDataForCustomFields.message);
-                console.log('   Has call:', !!callDataForCustomFields.call);
-                console.log('   Call ID:', callDataForCustomFields.call?.id);
-                console.log('   Message type:', callDataForCustomFields.message?.type);
-                console.log('   Call keys:', callDataForCustomFields.call ? Object.keys(callDataForCustomFields.call) : 'none');
-                
-                customFieldsResult = await customFieldsManager.processVAPICall(callDataForCustomFields, contactId);
-                
-                if (customFieldsResult.success) {
-                    console.log(`✅ Custom fields updated: ${customFieldsResult.fieldsUpdated} fields processed`);
-                    if (customFieldsResult.updatedFields && customFieldsResult.updatedFields.length > 0) {
-                        console.log('📊 Updated fields:');
-                        customFieldsResult.updatedFields.forEach(field => {
-                            console.log(`   • ${field.fieldName}: "${field.value}" (${field.confidence}% confidence)`);
-                        });
-                    }
-                    if (customFieldsResult.warnings && customFieldsResult.warnings.length > 0) {
-                        console.log('⚠️ Custom fields warnings:');
-                        customFieldsResult.warnings.forEach(warning => console.log(`   • ${warning}`));
-                    }
+                const response = await processEndOfCallReport(payload, callData, call);
+                if (response.statusCode === 200) {
+                    await callDedup.complete(call.id, JSON.parse(response.body));
                 } else {
-                    console.log(`⚠️ Custom fields processing failed: ${customFieldsResult.message}`);
-                }
-            } catch (customFieldsError) {
-                console.error('❌ Custom fields processing error:', customFieldsError.message);
-                customFieldsResult = {
-                    success: false,
-                    message: customFieldsError.message,
-                    fieldsUpdated: 0
-                };
-            }
-            
-            // Create call summary note using modular system
-            let noteResult = null;
-            if (validation.isValid) {
-                try {
-                    console.log('📝 Creating call summary note using modular system...');
-                    // Pass the complete payload structure with both message and call
-                    const fullCallData = {
-                        message: payload.message,
-                        call: call
-                    };
-                    const callSummary = NoteManager.generateCallSummary(fullCallData, extractedData);
-                    noteResult = await createContactNote(contactId, callSummary);
-                    console.log('✅ Modular note creation completed successfully');
-                } catch (noteError) {
-                    console.error('❌ Modular note creation failed:', noteError.message);
-                    console.log('📝 Attempting fallback note creation...');
-                    
-                    // Fallback to simple note if modular system fails
-                    const simpleSummary = `📞 VAPI Call Summary
-Call ID: ${call.id}
-Duration: ${call.startedAt && call.endedAt ? Math.round((new Date(call.endedAt) - new Date(call.startedAt)) / 60000) : 'Unknown'} minutes
-Date: ${new Date().toLocaleDateString()}
-
-🎯 Key Information Extracted:
-${Object.entries(extractedData).map(([key, value]) => `• ${key.charAt(0).toUpperCase() + key.slice(1)}: ${value}`).join('\n')}
-
-📝 Full Transcript:
-"${transcriptText}"
-
-🎵 Audio Recording:
-Call ID: ${call.id} (Contact VAPI support for audio access)
-
-Generated by VAPI-GHL Integration`;
-                    
-                    try {
-                        noteResult = await createContactNote(contactId, simpleSummary);
-                        console.log('✅ Fallback note creation completed');
-                    } catch (fallbackError) {
-                        console.error('❌ Both modular and fallback note creation failed:', fallbackError.message);
-                    }
+                    await callDedup.release(call.id);
                 }
-            } else {
-                console.log('⚠️ Skipping note creation due to validation issues');
+                return response;
+            } catch (processingError) {
+                await callDedup.release(call.id);
+                throw processingError;
             }
-            
-            // Process appointment requests using modular system
-            const fullCallData = {
-                message: payload.message,
-                call: call
-            };
-            const appointmentResult = await processAppointmentRequest(fullCallData, existingContact, extractedData, pitTokenManager);
-            
-            if (appointmentResult.processed) {
-                if (appointmentResult.success) {
-                    console.log('✅ Appointment processing completed successfully:', appointmentResult.appointmentId);
-                } else {
-                    console.log('❌ Appointment processing failed:', appointmentResult.error || appointmentResult.reason);
+        }
+        
+        // Handle GHL contact webhooks (trigger tag added → outbound VAPI call)
+        if (isGHLWebhook(payload)) {
+            if (isGHLSignatureVerificationEnabled()) {
+                const verification = verifyGHLWebhook(event);
+                if (!verification.valid) {
+                    console.warn(`🚫 Rejected GHL webhook: ${verification.reason}`);
+                    return unauthorizedResponse(verification.reason, 'GHL');
                 }
             } else {
-                console.log('ℹ️ No appointment requested in this call');
+                console.warn('⚠️ GHL signature verification disabled (GHL_VERIFY_SIGNATURE=false) - local testing only');
             }
-            
-            console.log('Async contact update completed successfully');
-            
-            return {
-                statusCode: 200,
-                body: JSON.stringify({ 
-                    message: 'End-of-call report processed successfully',
-                    contactId: contactId,
-                    noteCreated: !!noteResult?.note?.id,
-                    appointmentProcessed: appointmentResult?.processed || false,
-                    appointmentCreated: appointmentResult?.success || false,
-                    customFieldsUpdated: customFieldsResult?.fieldsUpdated || 0,
-                    customFieldsSuccess: customFieldsResult?.success || false
-                })
-            };
+            return await processGHLWebhook(payload, { pitTokenManager });
         }
         
         // Handle other webhook types (placeholder for future)
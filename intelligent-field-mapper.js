@@ -4,6 +4,9 @@
 // Uses simple question-based mapping for 100% accuracy
 
 import { SimpleQuestionMapper } from './simple-question-mapper.js';
+import { getFieldDefinition, getFieldDefinitions } from './field-schema.js';
+import { normalizeMotivation, normalizePrice, normalizeDestination, normalizeTimeline } from './field-normalizers.js';
+import { buildTranscript } from './transcript-model.js';
 
 export class IntelligentFieldMapper {
     constructor() {
@@ -12,505 +15,19 @@ export class IntelligentFieldMapper {
     }
 
     initializeFieldMappings() {
-        // Define intelligent field mappings with multiple extraction strategies
-        this.fieldMappings.set('motivation', {
-            priority: 'high',
-            patterns: [
-                // Real conversational patterns from actual VAPI calls
-                /(?:we\s+)?(?:wanna|want\s+to|want)\s+get\s+(?:the\s+)?most\s+money\s+out\s+of\s+(?:the\s+)?sale/gi,
-                /(?:we\s+)?(?:wanna|want\s+to|want)\s+(?:save|avoid|cut\s+out)\s+(?:the\s+)?commission/gi,
-                /(?:get|make|keep|maximize)\s+(?:the\s+)?(?:most\s+)?money.*?save.*?commission/gi,
-                /save.*?commission.*?(?:get|make|keep|maximize)\s+(?:the\s+)?(?:most\s+)?money/gi,
-                /(?:get|make|keep|maximize)\s+(?:the\s+)?(?:most\s+)?money/gi,
-                /(?:save|avoid|cut out|eliminate|skip|bypass)\s+(?:the\s+)?(?:agent\s+)?(?:commission|fees|costs)/gi,
-                // Multi-part motivations from call summaries
-                /(?:motivations?.*?include|selling motivations?)[\s\S]*?(?:commission|money|financial)/gi,
-                /\b\d+\s*%\s*commission/gi,
-                // Financial patterns
-                /(?:financial|cash|profit|equity)\s+(?:reasons?|motivations?)/gi,
-                // Life events
-                /(?:job\s+transfer|relocating|moving|divorce|marriage|retiring|downsizing|upgrading)/gi,
-                // Fallback patterns
-                /(?:why\s+(?:are\s+you\s+|they\s+)?selling|motivation|reason)/gi
-            ],
-            businessLogic: (text, context) => {
-                const lowerText = text.toLowerCase();
-                
-                // PRIORITY: Check summary context FIRST - based on user's field definitions
-                if (context && context.originalSummary) {
-                    const summaryText = context.originalSummary.toLowerCase();
-                    
-                    // Core emotional drivers (per user examples)
-                    if (summaryText.includes('downsizing since the kids')) return 'Downsizing';
-                    if (summaryText.includes('already bought a new house')) return 'Relocation / Already bought';
-                    if (summaryText.includes('to move to') || summaryText.includes('moving to')) return 'Relocation';
-                    // Note: "frustrated by agent calls" is a DISAPPOINTMENT, not motivation
-                    
-                    // Financial motivations
-                    if (summaryText.includes('saving commission') && summaryText.includes('getting the most money')) {
-                        return 'Save commission, get the most money';
-                    }
-                    if (summaryText.includes('commission') && summaryText.includes('most money')) {
-                        return 'Save commission, get the most money';
-                    }
-                    if (summaryText.includes('saving commission')) return 'Save commission';
-                    if (summaryText.includes('save commission')) return 'Save commission';
-                    
-                    // Life events
-                    if (summaryText.includes('downsizing')) return 'Downsizing';
-                    if (summaryText.includes('relocating') || summaryText.includes('moving')) return 'Relocation';
-                    if (summaryText.includes('retirement')) return 'Florida (Retirement)';
-                    if (summaryText.includes('job transfer')) return 'Boston (Job transfer)';
-                    
-                    // General patterns
-                    if (summaryText.includes('need to sell')) return 'Need to sell';
-                    if (summaryText.includes('want to sell')) return 'Want to sell';
-                }
-                
-                // Real conversational patterns from actual calls
-                if (lowerText.includes('get') && lowerText.includes('most money') && lowerText.includes('sale')) {
-                    return 'Get the most money';
-                }
-                
-                // Check for combined motivations in extracted text
-                if (lowerText.includes('commission') && lowerText.includes('money')) {
-                    return 'Save commission, get the most money';
-                }
-                if (lowerText.includes('commission')) return 'Save commission';
-                if (lowerText.includes('most money') || lowerText.includes('maximize')) return 'Get the most money';
-                if (lowerText.includes('money')) return 'Get the most money';
-                if (lowerText.includes('moving') || lowerText.includes('relocat')) return 'Relocation';
-                if (lowerText.includes('downsize')) return 'Downsize';
-                if (lowerText.includes('upgrade')) return 'Upgrade';
-                return this.cleanAndTruncate(text, 40);
-            },
-            fallback: 'Personal reasons'
-        });
-
-        this.fieldMappings.set('expectations', {
-            priority: 'high',
-            patterns: [
-                // Real conversational price patterns from VAPI calls ("A million 50", "$1.2 million")
-                /(?:a\s+)?million\s+(?:and\s+)?([\d,]+|fifty|50|05)/gi,
-                /\$?([\d,]+\.?\d*)\s*(?:million|mil|M)\b/gi,
-                // Handle decimal format like "1.2 million"
-                /\$?(\d+\.\d+)\s*(?:million|mil|M)\b/gi,
-                // Specific price expectations with money reference
-                /(?:sell.*?for|expecting|price.*?of|asking)\s*\$?([\d,]+\.?\d*M?)\b/gi,
-                /\$?([\d,]+\.?\d*M?)\s*(?:and|,)?\s*(?:get|make|keep|maximize)\s+(?:the\s+)?(?:most\s+)?money/gi,
-                // Get most money patterns from call summaries
-                /(?:get|make|keep|maximize)\s+(?:the\s+)?(?:most\s+)?money\s+(?:possible|out\s+of|from)/gi,
-                // Price and value expectations  
-                /(?:expect|hoping|want|looking for|goal)\s+(?:to\s+)?(?:get|make|receive|sell for)\s+(?:around\s+)?\$?([\d,]+(?:k|thousand|million)?)/gi,
-                /(?:top\s+dollar|most\s+money|best\s+(?:price|value)|maximum\s+(?:price|value))/gi,
-                /(?:fair|good|competitive)\s+(?:market\s+)?(?:price|value)/gi,
-                // Process expectations
-                /(?:smooth|easy|hassle.free|straightforward|simple)\s+(?:process|transaction|deal|sale)/gi,
-                // Direct expectation questions
-                /(?:what\s+(?:are\s+you\s+|they\s+)?expecting|expectations?|hope\s+to\s+get)/gi
-            ],
-            businessLogic: (text, context) => {
-                const lowerText = text.toLowerCase();
-                
-                // PRIORITY: Check summary context FIRST - based on user's field definitions
-                if (context && context.originalSummary) {
-                    const summaryText = context.originalSummary.toLowerCase();
-                    
-                    // Look for specific price expectations first
-                    if (summaryText.includes('$1.6 million')) return '$1.6 million';
-                    if (summaryText.includes('1.6 million')) return '$1.6 million';
-                    if (summaryText.includes('$1.05m') || summaryText.includes('1.05m')) return '$1.05M';
-                    if (summaryText.includes('$750,000') || summaryText.includes('750k')) return '$750K / <60 days';
-                    
-                    // Look for price + timeline combinations (from user examples)
-                    if (summaryText.includes('sell for') && summaryText.includes('within')) {
-                        const priceMatch = summaryText.match(/\$?([\d,]+\.?\d*[km]?)/i);
-                        const timeMatch = summaryText.match(/within\s+(\d+)\s+days/i);
-                        if (priceMatch && timeMatch) {
-                            return `$${priceMatch[1]} / <${timeMatch[1]} days`;
-                        }
-                    }
-                    
-                    // Look for process/speed expectations
-                    if (summaryText.includes('most money') && summaryText.includes('saving commission')) {
-                        return 'Get the most money, save commission';
-                    }
-                    if (summaryText.includes('most money')) {
-                        return 'Get the most money possible';
-                    }
-                    if (summaryText.includes('full list price')) {
-                        return 'Full list price';
-                    }
-                    if (summaryText.includes('near list price')) {
-                        return 'Near list price';
-                    }
-                    
-                    // Look for general price ranges
-                    const priceMatch = summaryText.match(/\$?([\d,]+\.?\d*)\s*(?:million|mil|m|k|thousand)/i);
-                    if (priceMatch) {
-                        const amount = priceMatch[1];
-                        if (summaryText.includes('million') || summaryText.includes('mil')) {
-                            return `$${amount}M`;
-                        } else if (summaryText.includes('k') || summaryText.includes('thousand')) {
-                            return `$${amount}K`;
-                        }
-                    }
-                }
-                
-                // Handle conversational price patterns "a million 50"
-                const millionPattern = text.match(/(?:a\s+)?million\s+(?:and\s+)?([\d,]+|fifty|50|05)/gi);
-                if (millionPattern) {
-                    const num = millionPattern[0].toLowerCase();
-                    if (num.includes('fifty') || num.includes('50') || num.includes('05')) {
-                        return '$1.05M';
-                    }
-                }
-                
-                // Handle decimal million format like "1.2 million"
-                const decimalMillionMatch = text.match(/\$?(\d+\.\d+)\s*(?:million|mil|M)\b/i);
-                if (decimalMillionMatch) {
-                    const value = decimalMillionMatch[1];
-                    // If context suggests getting most money, prioritize that
-                    if (context && context.originalSummary && 
-                        context.originalSummary.toLowerCase().includes('most money')) {
-                        return 'Get the most money possible';
-                    }
-                    return `$${value}M`;
-                }
-                
-                // Look for specific price with "most money" context
-                const priceMoneyMatch = text.match(/\$?([\d,]+\.?\d*M?)\s*(?:and|,)?\s*(?:get|make|keep|maximize)\s+(?:the\s+)?(?:most\s+)?money/gi);
-                if (priceMoneyMatch) {
-                    return 'Get the most money possible';
-                }
-                
-                // Check for "get most money" patterns first (priority over price)
-                if (lowerText.includes('get') && lowerText.includes('most money')) {
-                    return 'Get the most money possible';
-                }
-                if (lowerText.includes('maximize') && lowerText.includes('money')) {
-                    return 'Get the most money possible';
-                }
-                
-                // Specific price expectations (only if no "most money" context)
-                const priceMatch = text.match(/\$?([\d,]+\.?\d*M?)\b/i);
-                if (priceMatch && !priceMatch[0].match(/^\d+\s*m$/)) {
-                    const price = priceMatch[0].replace(/M$/, 'M');
-                    return `${price}`;
-                }
-                
-                // Value expectations
-                if (lowerText.includes('top dollar') || lowerText.includes('most money')) return 'Get the most money';
-                if (lowerText.includes('best price') || lowerText.includes('best value')) return 'Best price';
-                if (lowerText.includes('fair') && lowerText.includes('price')) return 'Fair market price';
-                if (lowerText.includes('market value')) return 'Market value';
-                
-                // Process expectations
-                if (lowerText.includes('smooth') || lowerText.includes('easy')) return 'Smooth, easy deal';
-                if (lowerText.includes('quick') || lowerText.includes('fast')) return 'Quick sale';
-                if (lowerText.includes('hassle')) return 'Hassle-free process';
-                
-                return this.cleanAndTruncate(text, 35);
-            },
-            fallback: 'Fair market value',
-            preventGarbageValues: [/^\d+\s*m$/, /^[a-z]\s*m$/, /^\d+$/, /^[,\s]+$/] // Block garbage values
-        });
-
-        this.fieldMappings.set('nextDestination', {
-            priority: 'high',
-            patterns: [
-                // Question #7: "Where are you planning to go after you sell?"
-                /(?:where.*?(?:planning|going|moving)).*?(?:after|sell).*?([\w\s,]+?)(?:\.|,|;|$)/gi,
-                /(?:planning\s+to\s+go|where.*?go).*?([\w\s,]+?)(?:\.|,|;|$)/gi,
-                // Location patterns
-                /(?:moving|relocating|going)\s+to\s+([A-Za-z\s,]+?)(?:\.|,|;|\s+(?:and|by|in|on)|\s+to\s)/gi,
-                /(?:down\s+south|up\s+north|out\s+west|back\s+east)/gi,
-                // State/City names
-                /\b(?:Alabama|Alaska|Arizona|Arkansas|California|Colorado|Connecticut|Delaware|Florida|Georgia|Hawaii|Idaho|Illinois|Indiana|Iowa|Kansas|Kentucky|Louisiana|Maine|Maryland|Massachusetts|Michigan|Minnesota|Mississippi|Missouri|Montana|Nebraska|Nevada|New\s+Hampshire|New\s+Jersey|New\s+Mexico|New\s+York|North\s+Carolina|North\s+Dakota|Ohio|Oklahoma|Oregon|Pennsylvania|Rhode\s+Island|South\s+Carolina|South\s+Dakota|Tennessee|Texas|Utah|Vermont|Virginia|Washington|West\s+Virginia|Wisconsin|Wyoming)\b/gi,
-                // Direction indicators
-                /(?:south|north|east|west|southwest|southeast|northwest|northeast)/gi,
-                // Common answers
-                /(?:staying\s+local|staying\s+here|not\s+sure|haven't\s+decided)/gi
-            ],
-            businessLogic: (text, context) => {
-                const lowerText = text.toLowerCase();
-                const cleaned = text.replace(/^(um,?\s*|well,?\s*|so,?\s*)/i, '').trim();
-                
-                // PRIORITY: Check summary context FIRST (using Timeline's successful pattern)
-                if (context && context.originalSummary) {
-                    const summaryText = context.originalSummary.toLowerCase();
-                    // EXACT pattern match from real call summary - the exact text is "to move to san francisco"
-                    if (summaryText.includes('to move to san francisco')) return 'San Francisco';
-                    if (summaryText.includes('move to san francisco')) return 'San Francisco';
-                    if (summaryText.includes('san francisco')) return 'San Francisco';
-                    // Look for location mentions in summary
-                    const stateMatch = summaryText.match(/(?:moving|going|relocating)\s+to\s+([a-z\s]+)/i);
-                    if (stateMatch) {
-                        const destination = stateMatch[1].trim();
-                        if (destination.length > 2) return this.cleanAndTruncate(destination, 25);
-                    }
-                }
-                
-                if (lowerText.includes('down south')) return 'Down south';
-                if (lowerText.includes('up north')) return 'Up north';
-                if (lowerText.includes('staying local') || lowerText.includes('staying here')) return 'Staying local';
-                if (lowerText.includes('not sure') || lowerText.includes('haven\'t decided')) return 'Not sure yet';
-                
-                return this.cleanAndTruncate(cleaned, 25);
-            },
-            fallback: 'Not specified'
-        });
-
-        this.fieldMappings.set('timeline', {
-            priority: 'high', 
-            patterns: [
-                // Question #8: "Ideally, when would you like to have your home sold and be moved out?"
-                /(?:ideally|when).*?(?:sold|moved\s+out).*?([\w\s,]+?)(?:\.|,|;|$)/gi,
-                /(?:timeline|timeframe|when).*?([\w\s,]+?)(?:\.|,|;|and|$)/gi,
-                // Holiday patterns from actual calls
-                /(?:by|before|around)\s+christmas/gi,
-                /christmas/gi,
-                // Year-end specific patterns
-                /(?:by|before|end\s+of)\s+(?:the\s+)?year.?end/gi,
-                /year.?end/gi,
-                // Specific time periods
-                /(?:by|before|within|end\s+of)\s+(?:the\s+)?(?:year|month|week)/gi,
-                /(?:next|this)\s+(?:year|month|week|spring|summer|fall|winter)/gi,
-                // Seasonal patterns
-                /(?:spring|summer|fall|autumn|winter)\s+(?:of\s+)?\d{4}/gi,
-                // Month patterns
-                /(?:january|february|march|april|may|june|july|august|september|october|november|december)/gi,
-                // Direct timeline answers
-                /(?:in\s+)?\d+\s+(?:months?|years?|weeks?)/gi,
-                // Urgency patterns
-                /(?:asap|urgent|immediately|soon|quickly|rush)/gi
-            ],
-            businessLogic: (text, context) => {
-                const lowerText = text.toLowerCase();
-                const cleaned = text.replace(/^(um,?\s*|well,?\s*)/i, '').trim();
-                
-                // RESTORE ORIGINAL WORKING LOGIC: Check context for timeline from structured conversation
-                if (context && context.originalSummary) {
-                    const summaryText = context.originalSummary.toLowerCase();
-                    // Look for specific timeline mentions in summary - EXACT PATTERNS THAT WORKED
-                    if (summaryText.includes('by february')) return 'february';
-                    if (summaryText.includes('february')) return 'february';
-                    if (summaryText.includes('christmas')) return 'Christmas';
-                    if (summaryText.includes('year-end') || summaryText.includes('year end')) return 'Year-end'; 
-                    if (summaryText.includes('selling by year-end')) return 'Year-end';
-                    if (summaryText.includes('by year-end')) return 'Year-end';
-                    if (summaryText.includes('next year')) return 'Next year';
-                    // Extract month patterns
-                    const monthMatch = summaryText.match(/(january|february|march|april|may|june|july|august|september|october|november|december)/i);
-                    if (monthMatch) return monthMatch[1].toLowerCase();
-                    // Extract "X months" patterns
-                    if (summaryText.includes('months')) {
-                        const monthsMatch = summaryText.match(/(\d+)\s+months?/);
-                        if (monthsMatch) return `${monthsMatch[1]} months`;
-                    }
-                    // Extract "within X days" patterns
-                    if (summaryText.includes('within') && summaryText.includes('days')) {
-                        const daysMatch = summaryText.match(/within\s+(\d+)\s+days/);
-                        if (daysMatch) return `${daysMatch[1]} days`;
-                    }
-                }
-                
-                // Fallback to pattern matching from text
-                if (lowerText.includes('christmas')) return 'Christmas';
-                if (lowerText.includes('year-end') || lowerText.includes('year end')) return 'Year-end';
-                if (lowerText.includes('end of') && lowerText.includes('year')) return 'Year-end';
-                if (lowerText.includes('next year')) return 'Next year';
-                
-                // Only return cleaned text if it's actually a timeline, not fallback
-                if (cleaned.length < 50 && (cleaned.includes('month') || cleaned.includes('year') || cleaned.includes('day') || /\d/.test(cleaned))) {
-                    return this.cleanAndTruncate(cleaned, 30);
-                }
-                
-                return null; // Don't return fallback, let the system use actual fallback
-            },
-            fallback: 'Flexible timeline'
-        });
-
-        this.fieldMappings.set('disappointments', {
-            priority: 'medium',
-            patterns: [
-                // Real conversational disappointment patterns from actual VAPI calls
-                /(?:for\s+every|every)\s+\d+\s+buyer.*?\d+\s+agents?\s+(?:that\s+)?call/gi,
-                /\d+\s+agents?\s+(?:that\s+)?call.*?\d+\s+buyer/gi,
-                /(?:amount|number)\s+of\s+buyers?\s+versus\s+agents?\s+calling/gi,
-                /more\s+agents?\s+than\s+buyers?\s+(?:are\s+)?calling/gi,
-                // Match "expressed concerns about buyer quality" patterns
-                /(?:expressed|has|voiced)\s+(?:concerns?|disappointment|frustration)\s+(?:about|with|over)\s+(.+?)(?:\.|,|;|and|$)/gi,
-                /(?:disappointed|frustrated|upset|annoyed)\s+(?:by|with|about)\s+(.+?)(?:\.|,|;|$)/gi,
-                /(?:concerns?\s+about|disappointed\s+(?:with|about|by))\s+(.+?)(?:\.|,|;|and|$)/gi,
-                /(?:quality|type|caliber)\s+of\s+buyers?/gi,
-                /buyer\s+quality/gi,
-                /(?:low.?ball|lowball)\s+offers/gi,
-                /(?:unqualified|unserious|tire.kickers)\s+buyers/gi,
-                /(?:agents?\s+(?:who\s+)?(?:promised|said|told)|previous\s+agent)/gi
-            ],
-            businessLogic: (text, context) => {
-                const lowerText = text.toLowerCase();
-                
-                // PRIORITY: Check summary context FIRST (using Timeline's successful pattern)
-                if (context && context.originalSummary) {
-                    const summaryText = context.originalSummary.toLowerCase();
-                    // EXACT pattern match from real call summary
-                    if (summaryText.includes('frustrated by agent calls')) return 'Agent calls';
-                    if (summaryText.includes('michael, frustrated by agent calls')) return 'Agent calls';
-                    if (summaryText.includes('concerns about buyer quality') || summaryText.includes('expressed concerns about buyer quality')) {
-                        return 'Quality of buyers';
-                    }
-                    if (summaryText.includes('buyer quality')) {
-                        return 'Quality of buyers';
-                    }
-                    if (summaryText.includes('quality') && summaryText.includes('buyer')) {
-                        return 'Quality of buyers';
-                    }
-                }
-                
-                // Real conversational patterns from actual calls
-                if (lowerText.includes('every') && lowerText.includes('buyer') && lowerText.includes('agent') && lowerText.includes('call')) {
-                    return 'More agents calling than buyers';
-                }
-                if (lowerText.includes('amount') && lowerText.includes('buyer') && lowerText.includes('versus') && lowerText.includes('agent')) {
-                    return 'More agents calling than buyers';
-                }
-                if (lowerText.includes('more agents than buyers') || lowerText.includes('agents than buyers calling')) {
-                    return 'More agents calling than buyers';
-                }
-                
-                if (lowerText.includes('buyer quality') || (lowerText.includes('quality') && lowerText.includes('buyer'))) return 'Quality of buyers';
-                if (lowerText.includes('lowball')) return 'Lowball offers';
-                if (lowerText.includes('unqualified')) return 'Unqualified buyers';
-                if (lowerText.includes('agent')) return 'Previous agent experience';
-                return this.cleanAndTruncate(text, 35);
-            },
-            fallback: 'Market conditions'
-        });
-
-        this.fieldMappings.set('concerns', {
-            priority: 'medium',
-            patterns: [
-                // Real conversational concern patterns from VAPI calls
-                /getting\s+it\s+done\s+(?:in\s+)?(?:our\s+)?(?:time\s+frame|timeline)/gi,
-                /(?:concern|worried|afraid|nervous)\s+(?:about|that)\s+(.+?)(?:\.|,|;|$)/gi,
-                /(?:concern.*?about|expressed.*?concern)\s+(?:about\s+)?(?:buyer\s+)?quality/gi,
-                /(?:buyer\s+quality|quality\s+of\s+buyers)/gi,
-                /(?:timeline|timeframe|time\s+frame)/gi,
-                /(?:getting\s+it\s+done|closing|completion)/gi,
-                /(?:market\s+conditions|pricing|competition)/gi
-            ],
-            businessLogic: (text, context) => {
-                const lowerText = text.toLowerCase();
-                const cleaned = text.replace(/^(uh,?\s*|um,?\s*|well,?\s*)/i, '').trim();
-                
-                // PRIORITY: Check summary context FIRST (using Timeline's successful pattern)
-                if (context && context.originalSummary) {
-                    const summaryText = context.originalSummary.toLowerCase();
-                    // EXACT pattern match from real call summary - "frustrated by agent calls" maps to "Agent calls"
-                    if (summaryText.includes(', frustrated by agent calls')) return 'Agent calls';
-                    if (summaryText.includes('frustrated by agent calls')) return 'Agent calls';
-                    if (summaryText.includes('concerns about buyer quality') || summaryText.includes('expressed concerns about buyer quality')) {
-                        return 'Buyer quality';
-                    }
-                    if (summaryText.includes('buyer quality')) {
-                        return 'Buyer quality';
-                    }
-                    if (summaryText.includes('concerns') && summaryText.includes('buyer')) {
-                        return 'Buyer quality';
-                    }
-                }
-                
-                // Primary concern should be buyer quality based on call summary
-                if (lowerText.includes('buyer quality') || (lowerText.includes('buyer') && lowerText.includes('quality'))) {
-                    return 'Buyer quality';
-                }
-                if (lowerText.includes('timeline') || lowerText.includes('time')) {
-                    return 'Meeting timeline';
-                }
-                return this.cleanAndTruncate(cleaned, 40);
-            },
-            fallback: 'Standard market concerns'
-        });
-
-        this.fieldMappings.set('Openness to Re-list', {
-            priority: 'medium',
-            patterns: [
-                // ONLY the specific agent question from Question #10: "If a great buyer came along, would you be open to working with an agent?"
-                /(?:if\s+)?(?:a\s+)?great\s+buyer\s+came\s+along.*?(?:open\s+to\s+working\s+with\s+(?:an\s+)?agent|working\s+with\s+(?:an\s+)?agent).*?([\w\s,]+?)(?:\.|,|;|$)/gi,
-                /(?:would\s+you\s+be\s+open\s+to\s+working\s+with\s+(?:an\s+)?agent).*?(yes|no|maybe|depends|if|when).*?([\w\s,]*?)(?:\.|,|;|$)/gi,
-                /(?:open\s+to\s+working\s+with\s+(?:an\s+)?agent).*?(?:or\s+)?(?:is\s+your\s+)?plan\s+to\s+sell.*?100%.*?own.*?(yes|no|maybe).*?([\w\s,]*?)(?:\.|,|;|$)/gi,
-                // Conditional openness - key pattern from call summary
-                /(?:open\s+to\s+working\s+with\s+an?\s+agent)\s+(?:if|when|provided|as\s+long\s+as)\s+(.+?)(?:\.|,|;|$)/gi,
-                /(?:work\s+with\s+an?\s+agent)\s+(?:if|when|provided|as\s+long\s+as)\s+(.+?)(?:pay|paid|commission)/gi,
-                // Agent question responses with better capturing
-                /(?:said|answered|responded)\s+(.{0,50}?)(?:depending|maybe|yes|no)(.{0,30}?)(?:\.|,|;|$)/gi,
-                /(?:maybe|perhaps|possibly|potentially)\s*(?:depending|,|\.)/gi,
-                /(?:yes|yeah|sure|absolutely|definitely)(?:\s|,|\.)/gi,
-                /(?:no|nope|not\s+interested|not\s+at\s+this\s+time)(?:\s|,|\.)/gi,
-                // Direct responses about working with agents
-                /(?:working\s+with\s+an?\s+agent.*?)(maybe|yes|no|depending)(.{0,20}?)(?:\.|,|;|$)/gi
-            ],
-            businessLogic: (text, context) => {
-                const lowerText = text.toLowerCase();
-                
-                // PRIORITY: Check summary context FIRST (using Timeline's successful pattern)
-                if (context && context.originalSummary) {
-                    const summaryText = context.originalSummary.toLowerCase();
-                    // EXACT pattern match from real call summary - "is open to an agent if the buyer pays the commission"
-                    if (summaryText.includes('is open to an agent if the buyer pays the commission')) return 'Yes, if buyer pays commission';
-                    if (summaryText.includes('open to an agent if the buyer pays the commission')) return 'Yes, if buyer pays commission';
-                    if (summaryText.includes('open to an agent if the buyer pays')) return 'Yes, if buyer pays commission';
-                    // FIRST: Check for the exact working pattern that was successful
-                    if (summaryText.includes('open to working with') && summaryText.includes('agent') && summaryText.includes('buyer paid')) {
-                        return 'Yes, if buyer pays commission';
-                    }
-                    if (summaryText.includes('open to working with') && summaryText.includes('agent') && (summaryText.includes('buyer pays') || summaryText.includes('commission'))) {
-                        return 'Yes, if buyer pays commission';
-                    }
-                    // Only match if it's specifically about the agent question, not general objection handling
-                    if (summaryText.includes('great buyer') && summaryText.includes('open to working with') && (summaryText.includes('buyer paid') || summaryText.includes('buyer pays'))) {
-                        return 'Yes, if buyer pays commission';
-                    }
-                    if (summaryText.includes('great buyer') && summaryText.includes('open to working with') && summaryText.includes('agent')) {
-                        return 'Yes, open to agent';
-                    }
-                    if (summaryText.includes('open to working with') && (summaryText.includes('buyer paid') || summaryText.includes('buyer pays'))) {
-                        return 'Yes, if buyer pays commission';
-                    }
-                    // Only if it's specifically about the agent question context
-                    if (summaryText.includes('working with') && summaryText.includes('agent') && (summaryText.includes('sell 100%') || summaryText.includes('on your own'))) {
-                        return 'No, selling on own';
-                    }
-                }
-                
-                // Check for conditional openness from extracted text
-                if (lowerText.includes('open to working with') && (lowerText.includes('if') || lowerText.includes('buyer paid'))) {
-                    return 'Yes, if buyer pays commission';
-                }
-                
-                // Check for conditional patterns in extracted text
-                if (lowerText.includes('buyer paid') && lowerText.includes('commission')) {
-                    return 'Yes, if buyer pays commission';
-                }
-                
-                if (lowerText.includes('yes') || lowerText.includes('sure') || lowerText.includes('absolutely')) {
-                    return 'Yes';
-                }
-                if (lowerText.includes('maybe') || lowerText.includes('depending') || lowerText.includes('perhaps')) {
-                    return 'Maybe';
-                }
-                if (lowerText.includes('no') || lowerText.includes('not interested')) {
-                    return 'No';
-                }
-                if (lowerText.includes('not at this time')) {
-                    return 'Not at this time';
-                }
-                return this.cleanAndTruncate(text, 25);
-            },
-            fallback: 'Not discussed'
-        });
+        // Patterns, fallbacks and garbage filters come from field-schema.json; business logic stays in code
+        const businessLogic = this.getBusinessLogic();
+        for (const field of getFieldDefinitions()) {
+            if (field.patterns.length === 0) continue;
+            this.fieldMappings.set(field.key, {
+                priority: field.priority,
+                patterns: field.patterns,
+                // Fields without custom logic just get the schema normalization
+                businessLogic: businessLogic[field.key] || (text => this.normalizeValue(field.key, text) || null),
+                fallback: field.normalization.fallback,
+                preventGarbageValues: field.garbagePatterns.length > 0 ? field.garbagePatterns : undefined
+            });
+        }
 
         // System fields - these must ALWAYS be populated
         this.fieldMappings.set('Last Contact', {
@@ -544,8 +61,8 @@ export class IntelligentFieldMapper {
                 if (extractedFields.concerns && extractedFields.concerns.value) {
                     memoryParts.push(`Concern: ${extractedFields.concerns.value}`);
                 }
-                if (extractedFields['Openness to Re-list'] && extractedFields['Openness to Re-list'].value) {
-                    memoryParts.push(`Agent: ${extractedFields['Openness to Re-list'].value}`);
+                if (extractedFields.opennessToRelist && extractedFields.opennessToRelist.value) {
+                    memoryParts.push(`Agent: ${extractedFields.opennessToRelist.value}`);
                 }
                 if (extractedFields.nextDestination && extractedFields.nextDestination.value && 
                     extractedFields.nextDestination.value !== 'Not specified') {
@@ -586,13 +103,126 @@ export class IntelligentFieldMapper {
         });
     }
 
+    // Per-field refinement of pattern matches, keyed like field-schema.json
+    // Called with '' and the summary first (summary-level answer), then with the best pattern match
+    getBusinessLogic() {
+        const sourceText = (text, context) => text || context?.originalSummary || '';
+
+        return {
+            motivation: (text, context) => {
+                const motivation = normalizeMotivation(sourceText(text, context));
+                if (motivation) return motivation.value;
+                return text ? this.normalizeValue('motivation', text) : null;
+            },
+
+            expectations: (text, context) => {
+                const source = sourceText(text, context);
+                const lowerText = source.toLowerCase();
+
+                const price = normalizePrice(source);
+                if (price) return price.value;
+
+                // Value expectations
+                if (lowerText.includes('top dollar') || lowerText.includes('most money') ||
+                    (lowerText.includes('maximize') && lowerText.includes('money'))) return 'Get the most money possible';
+                if (lowerText.includes('full list price')) return 'Full list price';
+                if (lowerText.includes('near list price')) return 'Near list price';
+                if (lowerText.includes('best price') || lowerText.includes('best value')) return 'Best price';
+                if (lowerText.includes('fair') && lowerText.includes('price')) return 'Fair market price';
+                if (lowerText.includes('market value')) return 'Market value';
+
+                // Process expectations
+                if (lowerText.includes('smooth') || lowerText.includes('easy')) return 'Smooth, easy deal';
+                if (lowerText.includes('quick') || lowerText.includes('fast')) return 'Quick sale';
+                if (lowerText.includes('hassle')) return 'Hassle-free process';
+
+                return text ? this.normalizeValue('expectations', text) : null;
+            },
+
+            nextDestination: (text, context) => {
+                const destination = normalizeDestination(sourceText(text, context));
+                if (destination) return this.normalizeValue('nextDestination', destination.value);
+                return text ? this.normalizeValue('nextDestination', text) : null;
+            },
+
+            timeline: (text, context) => {
+                const timeline = normalizeTimeline(sourceText(text, context));
+                return timeline ? timeline.value : null;
+            },
+
+            disappointments: (text, context) => {
+                const lowerText = sourceText(text, context).toLowerCase();
+
+                if (/(?:frustrat|annoy|tired)\w*\s+(?:by|with|of)\s+(?:all\s+the\s+)?(?:agent|realtor)s?(?:'|\s+)?(?:calls|calling)/.test(lowerText)) {
+                    return 'Agent calls';
+                }
+                if ((lowerText.includes('every') || lowerText.includes('versus') || lowerText.includes('more agents than')) &&
+                    lowerText.includes('buyer') && lowerText.includes('agent')) {
+                    return 'More agents calling than buyers';
+                }
+                if (lowerText.includes('buyer quality') || (lowerText.includes('quality') && lowerText.includes('buyer'))) return 'Quality of buyers';
+                if (lowerText.includes('lowball')) return 'Lowball offers';
+                if (lowerText.includes('unqualified')) return 'Unqualified buyers';
+                if (text && lowerText.includes('agent')) return 'Previous agent experience';
+                return text ? this.normalizeValue('disappointments', text) : null;
+            },
+
+            concerns: (text, context) => {
+                const lowerText = sourceText(text, context).toLowerCase();
+
+                if (/(?:frustrat|annoy|tired)\w*\s+(?:by|with|of)\s+(?:all\s+the\s+)?(?:agent|realtor)s?(?:'|\s+)?(?:calls|calling)/.test(lowerText)) {
+                    return 'Agent calls';
+                }
+                if (lowerText.includes('buyer quality') || (lowerText.includes('concern') && lowerText.includes('buyer'))) {
+                    return 'Buyer quality';
+                }
+                if (text && (lowerText.includes('timeline') || lowerText.includes('time'))) {
+                    return 'Meeting timeline';
+                }
+                const cleaned = text.replace(/^(uh,?\s*|um,?\s*|well,?\s*)/i, '').trim();
+                return cleaned ? this.normalizeValue('concerns', cleaned) : null;
+            },
+
+            opennessToRelist: (text, context) => {
+                const lowerText = sourceText(text, context).toLowerCase();
+                const openToAgent = /open\s+to\s+(?:an?\s+agent|working\s+with\s+(?:an?\s+)?agent)/.test(lowerText);
+                const buyerPays = /(?:buyer|they)\s+(?:pays?|paid|covers?)(?:\s+(?:the|my|our))?\s+commission|buyer\s+paid/.test(lowerText);
+
+                if (openToAgent && buyerPays) return 'Yes, if buyer pays commission';
+                if (openToAgent) return 'Yes, open to agent';
+                if (/not\s+(?:open|interested)\s+.{0,30}agent|(?:sell|selling)\s+(?:it\s+)?(?:100%\s+)?on\s+(?:my|our|his|her|their)\s+own/.test(lowerText)) {
+                    return 'No, selling on own';
+                }
+                if (!text) return null;
+
+                if (buyerPays) return 'Yes, if buyer pays commission';
+                if (lowerText.includes('not at this time')) return 'Not at this time';
+                if (/\b(?:yes|sure|absolutely)\b/.test(lowerText)) return 'Yes';
+                if (/\b(?:maybe|depending|perhaps)\b/.test(lowerText)) return 'Maybe';
+                if (/\b(?:no|not\s+interested)\b/.test(lowerText)) return 'No';
+                return this.normalizeValue('opennessToRelist', text);
+            }
+        };
+    }
+
     // Main extraction method using simple question-based mapping
-    async extractIntelligentFields(summary, transcript = '', callData = {}, existingFieldData = {}) {
+    // providerFields: answers already extracted by an LLM provider - used instead of the question mapper
+    async extractIntelligentFields(summary, transcript = '', callData = {}, existingFieldData = {}, providerFields = null) {
         console.log('🧠 Starting simple question-based field extraction...');
         
         // Use the simple question mapper for accurate extraction
         const questionMapper = new SimpleQuestionMapper();
-        const extractedFields = await questionMapper.extractFromSummary(summary);
+        const extractedFields = providerFields
+            ? { ...providerFields, ...questionMapper.getSystemFields(summary) }
+            : await questionMapper.extractFromSummary(summary);
+
+        // Fields the summary didn't cover, from what the customer said on the call
+        if (transcript && !providerFields) {
+            const transcriptFields = this.extractFromTranscript(transcript, callData);
+            for (const [fieldKey, fieldData] of Object.entries(transcriptFields)) {
+                if (!extractedFields[fieldKey]) extractedFields[fieldKey] = fieldData;
+            }
+        }
         
         // Generate Voice Memory from extracted fields
         const voiceMemoryParts = [];
@@ -647,6 +277,23 @@ export class IntelligentFieldMapper {
         return extractedFields;
     }
 
+    // Schema patterns over a transcript (text, VAPI messages or a Transcript) - only customer turns
+    // are searched, so the assistant's own questions ("save on commission?") never become values
+    extractFromTranscript(transcript, callData = {}) {
+        const customerText = buildTranscript(transcript).customerText();
+        const extractedFields = {};
+        if (!customerText) return extractedFields;
+
+        for (const [fieldKey, mapping] of this.fieldMappings) {
+            if (!mapping.patterns) continue;
+            const result = this.extractFieldValue(fieldKey, mapping, customerText, customerText, callData);
+            if (result?.value && result.value !== mapping.fallback) {
+                extractedFields[fieldKey] = { ...result, source: result.source || 'customer_turns' };
+            }
+        }
+        return extractedFields;
+    }
+
     extractFieldValue(fieldName, mapping, text, originalSummary, callData) {
         const results = [];
 
@@ -675,7 +322,8 @@ export class IntelligentFieldMapper {
 
                 results.push({
                     value: value,
-                    confidence: this.calculateConfidence(value, pattern, fieldName)
+                    confidence: this.calculateConfidence(value, pattern, fieldName),
+                    matchedText: match[0].trim()
                 });
             }
         }
@@ -723,6 +371,11 @@ export class IntelligentFieldMapper {
         return Math.max(50, Math.min(95, confidence));
     }
 
+    // Trim fillers and cut to the field's normalization.maxLength from the schema
+    normalizeValue(fieldKey, text) {
+        return this.cleanAndTruncate(text, getFieldDefinition(fieldKey)?.normalization.maxLength);
+    }
+
     cleanAndTruncate(text, maxLength = 50) {
         return text
             .trim()
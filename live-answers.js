@@ -0,0 +1,85 @@
+// live-answers.js - Answers captured live during a call via the ghl_record_answer function
+// Post-call extraction checks these so it never overwrites what the caller told us directly
+import { createStateStore, pruneOlderThan, retentionExpiry } from './state-store.js';
+import { parsePrice } from './price-parser.js';
+
+// Filler the assistant may pass through verbatim ("um, well, about three months")
+// Hesitation sounds are always dropped; filler words only when set off by a comma ("Well water" stays)
+const LEADING_FILLER = /^((um+|uh+|er+|hmm+)[,.\s]+|(well|like|so|you know|i mean|i guess),\s*)+/i;
+
+// Clean and validate a live answer for a field
+// Returns { valid: true, value } or { valid: false, reason }
+export function validateLiveAnswer(fieldKey, answer) {
+    if (answer === undefined || answer === null) {
+        return { valid: false, reason: 'answer is required' };
+    }
+
+    // Trailing space lets a filler-only answer ("uh") match LEADING_FILLER too
+    const collapsed = `${answer}`.replace(/\s+/g, ' ').trim();
+    const value = `${collapsed} `
+        .replace(LEADING_FILLER, '')
+        .replace(/^[,.\s]+|[,\s]+$/g, '')
+        .trim();
+
+    if (value.length < 2) {
+        return { valid: false, reason: 'answer is empty' };
+    }
+    if (value.length > 500) {
+        return { valid: false, reason: 'answer is too long (max 500 characters)' };
+    }
+    if (fieldKey === 'askingPrice') {
+        // Spoken price needs an amount; it's stored in display form ("eight fifty" → $850,000)
+        const price = parsePrice(value);
+        if (!price) {
+            return { valid: false, reason: 'asking price must include an amount' };
+        }
+        return { valid: true, value: price.display };
+    }
+
+    return { valid: true, value: value.charAt(0).toUpperCase() + value.slice(1) };
+}
+
+class LiveAnswerStore {
+    constructor(store = createStateStore('live-answers')) {
+        this.store = store;
+    }
+
+    // Record one answer - one key per contact/field so parallel captures never clobber each other
+    async record(contactId, { callId = null, fieldKey, fieldName, value }) {
+        const record = {
+            contactId,
+            callId,
+            fieldKey,
+            fieldName,
+            value,
+            capturedAt: new Date().toISOString()
+        };
+        await this.store.put(`${contactId}/${fieldKey}`, record, { expiresAt: retentionExpiry() });
+        console.log(`🎙️ Live answer recorded for ${contactId}: ${fieldName} = "${value}"`);
+        return record;
+    }
+
+    // Answers captured during this call: matched by call ID, or captured since the call started
+    async getForCall(contactId, { callId = null, since = null } = {}) {
+        if (!contactId) return [];
+
+        const entries = await this.store.list(`${contactId}/`);
+        const sinceTime = since ? new Date(since).getTime() : null;
+
+        return entries
+            .map(entry => entry.value)
+            .filter(record => record?.contactId === contactId)
+            .filter(record => {
+                if (callId && record.callId) return record.callId === callId;
+                return sinceTime !== null && new Date(record.capturedAt).getTime() >= sinceTime;
+            });
+    }
+
+    // Drop answers captured more than maxAgeMs ago - they were written to GHL when the call ended
+    async prune(maxAgeMs, { now = new Date() } = {}) {
+        return await pruneOlderThan(this.store, maxAgeMs, record => record?.capturedAt, { now });
+    }
+}
+
+export default LiveAnswerStore;
+export { LiveAnswerStore };
@@ -0,0 +1,196 @@
+// llm-extraction-provider.js - Model-based structured extraction for call summaries/transcripts
+// Providers speak the OpenAI chat completions API (OpenAI, compatible hosts, or the local
+// stand-in in local-llm-server.js). Output is validated against the field-schema.json fields before use;
+// callers fall back to the regex extractors whenever this throws
+import axios from 'axios';
+import { getFieldDefinitions } from './field-schema.js';
+
+const DEFAULT_TIMEOUT_MS = 8000;
+
+// One extracted field: { value, confidence } or null when the call didn't cover it
+function fieldSchema(description, maxLength) {
+    return {
+        type: ['object', 'null'],
+        description,
+        additionalProperties: false,
+        required: ['value'],
+        properties: {
+            value: { type: 'string', minLength: 1, maxLength },
+            confidence: { type: 'integer', minimum: 0, maximum: 100 }
+        }
+    };
+}
+
+// JSON Schema for the fields the model extracts (field-schema.json entries with an "llm" section)
+export function buildExtractionSchema() {
+    const properties = {};
+    for (const field of getFieldDefinitions()) {
+        if (!field.llm) continue;
+        properties[field.key] = fieldSchema(field.llm.description, field.llm.maxLength);
+    }
+    return { type: 'object', additionalProperties: false, properties };
+}
+
+export const EXTRACTION_SCHEMA = buildExtractionSchema();
+
+// Validate a value against the JSON Schema subset used by fieldSchema()
+// Returns a list of error strings (empty when valid)
+export function validateAgainstSchema(value, schema, path = '$') {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actualType = value === null ? 'null'
+        : Array.isArray(value) ? 'array'
+        : Number.isInteger(value) ? 'integer'
+        : typeof value;
+
+    if (schema.type && !types.includes(actualType) && !(actualType === 'integer' && types.includes('number'))) {
+        return [`${path}: expected ${types.join(' | ')}, got ${actualType}`];
+    }
+
+    const errors = [];
+    if (actualType === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${path}.${key}: required`);
+        }
+        for (const [key, child] of Object.entries(value)) {
+            const childSchema = schema.properties?.[key];
+            if (!childSchema) {
+                if (schema.additionalProperties === false) errors.push(`${path}.${key}: unknown field`);
+                continue;
+            }
+            errors.push(...validateAgainstSchema(child, childSchema, `${path}.${key}`));
+        }
+    } else if (actualType === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push(`${path}: too short`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength} characters`);
+    } else if (actualType === 'integer' || actualType === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: below ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: above ${schema.maximum}`);
+    }
+
+    return errors;
+}
+
+// Client for any OpenAI-compatible /chat/completions endpoint
+export class OpenAICompatibleProvider {
+    constructor({ name = 'openai', baseUrl, apiKey = null, model, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+        if (!baseUrl) throw new Error(`Extraction provider "${name}" needs a base URL`);
+        if (!model) throw new Error(`Extraction provider "${name}" needs a model`);
+
+        this.name = name;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.model = model;
+        this.timeoutMs = timeoutMs;
+    }
+
+    // Ask for a JSON object; returns the parsed object (throws on HTTP errors or non-JSON replies)
+    async completeJSON(systemPrompt, userPrompt) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+            model: this.model,
+            temperature: 0,
+            response_format: { type: 'json_object' },
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: userPrompt }
+            ]
+        }, { headers, timeout: this.timeoutMs });
+
+        const content = response.data?.choices?.[0]?.message?.content;
+        if (!content) throw new Error(`${this.name} returned no content`);
+
+        // Some models wrap JSON in a code fence despite response_format
+        const json = content.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+        try {
+            return JSON.parse(json);
+        } catch (error) {
+            throw new Error(`${this.name} returned invalid JSON: ${error.message}`);
+        }
+    }
+}
+
+// Available providers (LLM_EXTRACTION_PROVIDER); "local" is the stand-in server in local-llm-server.js
+const EXTRACTION_PROVIDERS = {
+    openai: () => new OpenAICompatibleProvider({
+        name: 'openai',
+        baseUrl: process.env.LLM_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+        model: process.env.LLM_MODEL || 'gpt-4o-mini',
+        timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+    }),
+    local: () => new OpenAICompatibleProvider({
+        name: 'local',
+        baseUrl: process.env.LLM_BASE_URL || 'http://localhost:8787/v1',
+        apiKey: process.env.LLM_API_KEY || null,
+        model: process.env.LLM_MODEL || 'local-extractor',
+        timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+    })
+};
+
+// Configured provider, or null when model extraction is off (the default)
+export function createExtractionProvider(name = process.env.LLM_EXTRACTION_PROVIDER) {
+    const key = `${name || ''}`.trim().toLowerCase();
+    if (!key || key === 'none' || key === 'off') return null;
+
+    const factory = EXTRACTION_PROVIDERS[key];
+    if (!factory) {
+        console.error(`⚠️ Unknown LLM_EXTRACTION_PROVIDER "${name}" - using pattern extraction`);
+        return null;
+    }
+
+    try {
+        return factory();
+    } catch (error) {
+        console.error(`⚠️ Could not set up extraction provider "${key}":`, error.message);
+        return null;
+    }
+}
+
+// Prompts for a schema: field list with descriptions and the exact output shape
+export function buildExtractionPrompts({ summary = '', transcript = '' }, schema = buildExtractionSchema()) {
+    const fieldLines = Object.entries(schema.properties)
+        .map(([key, field]) => `- ${key}: ${field.description} (max ${field.properties.value.maxLength} characters)`)
+        .join('\n');
+
+    const systemPrompt = `You extract seller details from real estate phone calls for a CRM.
+Return ONLY a JSON object with exactly these keys:
+${fieldLines}
+
+Each key maps to {"value": "<short, business-style phrase>", "confidence": <0-100>} or null when the caller did not say it.
+Only use what the caller (seller) said - never the assistant's questions or suggestions. Do not guess.`;
+
+    const parts = [];
+    if (summary) parts.push(`Call summary:\n${summary}`);
+    if (transcript) parts.push(`Transcript:\n${transcript}`);
+
+    return { systemPrompt, userPrompt: parts.join('\n\n') };
+}
+
+// Run a provider and return extractor-format fields: { motivation: { value, confidence, source, extractionMethod } }
+// Throws when the provider fails or its output doesn't match the schema
+export async function extractWithProvider(provider, { summary = '', transcript = '' }, schema = buildExtractionSchema()) {
+    const { systemPrompt, userPrompt } = buildExtractionPrompts({ summary, transcript }, schema);
+    const output = await provider.completeJSON(systemPrompt, userPrompt);
+
+    const errors = validateAgainstSchema(output, schema);
+    if (errors.length > 0) {
+        throw new Error(`${provider.name} output failed schema validation: ${errors.slice(0, 5).join('; ')}`);
+    }
+
+    const fields = {};
+    for (const [key, field] of Object.entries(output)) {
+        if (!field) continue;
+        fields[key] = {
+            value: field.value.trim(),
+            confidence: field.confidence ?? 85,
+            source: 'llm',
+            extractionMethod: `llm_${provider.name}`
+        };
+    }
+
+    return fields;
+}
+
+export default { createExtractionProvider, extractWithProvider, validateAgainstSchema, buildExtractionPrompts, buildExtractionSchema, EXTRACTION_SCHEMA };
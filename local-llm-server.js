@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+// local-llm-server.js - Offline stand-in for an OpenAI-compatible extraction model
+// Answers POST /v1/chat/completions with schema-shaped JSON built by the question mapper,
+// so LLM_EXTRACTION_PROVIDER=local can be exercised without network access or API keys
+//
+// Usage: node local-llm-server.js [port]   (default LOCAL_LLM_PORT or 8787)
+
+import http from 'http';
+import { SimpleQuestionMapper } from './simple-question-mapper.js';
+import { buildExtractionSchema } from './llm-extraction-provider.js';
+
+// Pull the call summary (or whole prompt) out of the user message
+function getSummaryFromMessages(messages = []) {
+    const userMessage = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+    const summaryMatch = userMessage.match(/Call summary:\n([\s\S]*?)(?:\n\nTranscript:|$)/);
+    return (summaryMatch ? summaryMatch[1] : userMessage).trim();
+}
+
+// Build schema-shaped output: every schema field present, null when not found
+async function buildCompletionContent(messages) {
+    const extracted = await new SimpleQuestionMapper().extractFromSummary(getSummaryFromMessages(messages));
+
+    const output = {};
+    for (const [key, field] of Object.entries(buildExtractionSchema().properties)) {
+        const value = extracted[key]?.value;
+        output[key] = value
+            ? { value: `${value}`.substring(0, field.properties.value.maxLength), confidence: extracted[key].confidence || 80 }
+            : null;
+    }
+
+    return JSON.stringify(output);
+}
+
+function sendJSON(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+export function createLocalLLMServer() {
+    return http.createServer((req, res) => {
+        if (req.method === 'GET' && req.url === '/v1/models') {
+            return sendJSON(res, 200, { object: 'list', data: [{ id: 'local-extractor', object: 'model' }] });
+        }
+
+        if (req.method !== 'POST' || req.url !== '/v1/chat/completions') {
+            return sendJSON(res, 404, { error: { message: `No route for ${req.method} ${req.url}` } });
+        }
+
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', async () => {
+            try {
+                const request = JSON.parse(body || '{}');
+                const content = await buildCompletionContent(request.messages);
+                sendJSON(res, 200, {
+                    id: `chatcmpl-local-${Date.now()}`,
+                    object: 'chat.completion',
+                    created: Math.floor(Date.now() / 1000),
+                    model: request.model || 'local-extractor',
+                    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+                });
+            } catch (error) {
+                sendJSON(res, 400, { error: { message: error.message } });
+            }
+        });
+    });
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const port = parseInt(process.argv[2] || process.env.LOCAL_LLM_PORT) || 8787;
+    createLocalLLMServer().listen(port, () => {
+        console.log(`🤖 Local extraction model listening on http://localhost:${port}/v1`);
+        console.log('   Set LLM_EXTRACTION_PROVIDER=local to use it');
+    });
+}
@@ -0,0 +1,76 @@
+// merge-policy.js - What happens when a call extracts a value for a field that already has one
+// Each field picks a policy in field-schema.json ("merge"); schema fields default to
+// higher-confidence-wins, anything else (counters, Voice Memory, ...) is overwritten
+import { findFieldDefinition } from './field-schema.js';
+
+const DEFAULT_SCHEMA_POLICY = 'higher-confidence-wins';
+const DEFAULT_POLICY = 'overwrite';
+
+const APPEND_SEPARATOR = '; ';
+
+// GHL can hand date fields back as epoch milliseconds for a value we wrote as "2027-06-30"
+function asDay(value) {
+    const text = `${value ?? ''}`.trim();
+    const date = /^\d{12,13}$/.test(text) ? new Date(Number(text))
+        : /^\d{4}-\d{2}-\d{2}/.test(text) ? new Date(text) : null;
+    return date && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : null;
+}
+
+function sameValue(a, b) {
+    if (`${a ?? ''}`.trim().toLowerCase() === `${b ?? ''}`.trim().toLowerCase()) return true;
+    const day = asDay(a);
+    return day !== null && day === asDay(b);
+}
+
+// Each policy gets the incoming { value, confidence } and the field's { currentValue, provenance }
+// and returns { write: true, value } or { write: false, reason }
+export const MERGE_POLICIES = {
+    'overwrite': (incoming) => ({ write: true, value: incoming.value }),
+
+    'keep-if-present': (incoming, { currentValue }) => {
+        if (currentValue) return { write: false, reason: 'field already has a value' };
+        return { write: true, value: incoming.value };
+    },
+
+    'append': (incoming, { currentValue }) => {
+        if (!currentValue) return { write: true, value: incoming.value };
+        const parts = `${currentValue}`.split(APPEND_SEPARATOR);
+        if (parts.some(part => sameValue(part, incoming.value))) {
+            return { write: false, reason: 'value already recorded' };
+        }
+        return { write: true, value: `${currentValue}${APPEND_SEPARATOR}${incoming.value}` };
+    },
+
+    // Keeps the GHL value if we wrote it with higher confidence or someone changed it in GHL since;
+    // values with nothing recorded (written before provenance existed) are replaced
+    'higher-confidence-wins': (incoming, { currentValue, provenance }) => {
+        if (!currentValue || sameValue(currentValue, incoming.value)) return { write: true, value: incoming.value };
+        if (!provenance) return { write: true, value: incoming.value };
+        if (!sameValue(provenance.value, currentValue)) {
+            return { write: false, reason: 'changed in GHL since it was last written' };
+        }
+
+        const previous = provenance.confidence ?? 0;
+        const confidence = incoming.confidence ?? 0;
+        if (confidence < previous) {
+            return { write: false, reason: `existing value has higher confidence (${previous}% > ${confidence}%)` };
+        }
+        return { write: true, value: incoming.value };
+    }
+};
+
+// Policy name for an extracted field key or GHL field name
+export function getMergePolicy(fieldName) {
+    const definition = findFieldDefinition(fieldName);
+    if (!definition) return DEFAULT_POLICY;
+    return definition.merge || DEFAULT_SCHEMA_POLICY;
+}
+
+// Decide whether (and what) to write for one field
+export function resolveMerge(fieldName, incoming, existing = {}) {
+    const policyName = getMergePolicy(fieldName);
+    const decision = MERGE_POLICIES[policyName](incoming, existing);
+    return { ...decision, policy: policyName };
+}
+
+export default { MERGE_POLICIES, getMergePolicy, resolveMerge };
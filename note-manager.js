@@ -1,7 +1,8 @@
 // note-manager.js - Handles GHL contact notes operations
 import axios from 'axios';
+import { buildTranscript } from './transcript-model.js';
+import { getGHLBaseUrl } from './pit-token-manager.js';
 
-const GHL_BASE_URL = 'https://services.leadconnectorhq.com';
 const GHL_API_VERSION = '2021-07-28';
 
 // Function to create contact note in GHL
@@ -10,7 +11,7 @@ export async function createContactNote(contactId, noteBody, accessToken) {
         console.log('📤 Creating note for contact:', contactId);
         console.log('📏 Note length:', noteBody.length);
         
-        const response = await axios.post(`${GHL_BASE_URL}/contacts/${contactId}/notes`, {
+        const response = await axios.post(`${getGHLBaseUrl()}/contacts/${contactId}/notes`, {
             body: noteBody
         }, {
             headers: {
@@ -34,8 +35,35 @@ export async function createContactNote(contactId, noteBody, accessToken) {
     }
 }
 
+// Field writes from this call (CustomFieldsManager.processVAPICall result): what changed, from what, and why
+function formatFieldChanges(customFieldsResult) {
+    const changes = customFieldsResult?.fieldChanges || [];
+    const kept = customFieldsResult?.keptFields || [];
+    const held = customFieldsResult?.heldForReview || [];
+    if (changes.length === 0 && kept.length === 0 && held.length === 0) return '';
+
+    let section = `Field Changes:\n`;
+    for (const change of changes) {
+        const from = change.oldValue ? `"${change.oldValue}" → ` : '';
+        const source = [change.source, change.confidence !== null && change.confidence !== undefined ? `${change.confidence}%` : null]
+            .filter(Boolean).join(', ');
+        section += `• ${change.fieldName}: ${from}"${change.newValue}"${source ? ` (${source})` : ''}\n`;
+        if (change.matchedText) {
+            section += `  From: "${change.matchedText}"\n`;
+        }
+    }
+    for (const keptField of kept) {
+        section += `• ${keptField.fieldName}: kept existing value, "${keptField.value}" not written (${keptField.reason})\n`;
+    }
+    if (held.length > 0) {
+        section += `• Held for review: ${held.join(', ')}\n`;
+    }
+    return `${section}\n`;
+}
+
 // Function to generate call summary from VAPI data
-export function generateCallSummary(callData, extractedData) {
+// customFieldsResult adds a Field Changes section (old → new value, extractor, confidence, source text)
+export function generateCallSummary(callData, extractedData, customFieldsResult = null) {
     const { call, message } = callData;
     const callId = call?.id || 'unknown';
     
@@ -85,6 +113,8 @@ Phone: ${call?.customer?.number || 'Not available'}
         summary += '\n';
     }
     
+    summary += formatFieldChanges(customFieldsResult);
+    
     // Add enhanced audio reference with actual VAPI recording URL
     const audioUrl = getAudioRecordingUrl(callData);
     summary += `Audio Recording:\n`;
@@ -103,73 +133,44 @@ Phone: ${call?.customer?.number || 'Not available'}
     return summary;
 }
 
-// Function to extract transcript text from call data
-function getTranscriptText(callData) {
+// Function to generate the short note for a call nobody answered (voicemail / no answer)
+export function generateOutcomeNote(callData, callOutcome, callAttempts = null) {
     const { call } = callData;
+    const callDate = call?.startedAt ? new Date(call.startedAt).toLocaleString() : new Date().toLocaleString();
     
-    console.log('🔍 Extracting transcript from call data...');
-    console.log('📋 Call keys:', Object.keys(call || {}));
-    
-    // 1. Try direct transcript field first (test payloads and some VAPI calls)
-    if (call?.transcript) {
-        console.log('✅ Using direct transcript field:', call.transcript.substring(0, 50) + '...');
-        return call.transcript;
+    let headline = 'No answer';
+    if (callOutcome.outcome === 'voicemail') {
+        headline = callOutcome.messageLeft ? 'Voicemail left' : 'Reached voicemail (no message left)';
     }
     
-    // 2. Try transcript from messages array (newer VAPI format)
-    if (call?.messages && Array.isArray(call.messages)) {
-        console.log('🔍 Checking call.messages for transcript');
-        const transcriptMessages = call.messages
-            .filter(msg => msg.type === 'transcript' || (msg.role === 'user' && msg.message))
-            .map(msg => msg.message || msg.content)
-            .filter(text => text && text.trim().length > 5)
-            .join(' ');
-        
-        if (transcriptMessages) {
-            console.log('✅ Found transcript in messages:', transcriptMessages.substring(0, 50) + '...');
-            return transcriptMessages;
-        }
+    let note = `VAPI Call - ${headline}
+Call ID: ${call?.id || 'unknown'}
+Date: ${callDate}
+Phone: ${call?.customer?.number || 'Not available'}
+Ended Reason: ${callOutcome.endedReason || 'unknown'}${callOutcome.source === 'transcript' ? ' (voicemail greeting detected in transcript)' : ''}
+`;
+    if (callAttempts) {
+        note += `Call Attempt: ${callAttempts}\n`;
     }
     
-    // 3. Try to extract from artifact messages (real VAPI calls)
-    if (call?.artifact?.messages && Array.isArray(call.artifact.messages)) {
-        console.log('🔍 Extracting transcript from artifact messages');
-        
-        // Look for user messages that contain the actual conversation
-        const userMessages = call.artifact.messages
-            .filter(msg => msg.role === 'user' && msg.message && msg.message.trim().length > 10)
-            .map(msg => msg.message.trim())
-            .join(' ');
-        
-        if (userMessages) {
-            console.log('✅ Found transcript in artifact messages:', userMessages.substring(0, 50) + '...');
-            return userMessages;
-        }
-        
-        // Also try assistant messages for context
-        const allMessages = call.artifact.messages
-            .filter(msg => (msg.role === 'user' || msg.role === 'assistant') && msg.message)
-            .map(msg => `${msg.role}: ${msg.message.trim()}`)
-            .join('\n');
-        
-        if (allMessages) {
-            console.log('✅ Found conversation in artifact messages');
-            return allMessages;
-        }
-    }
+    note += `\nGenerated by VAPI-GHL Integration`;
+    return note;
+}
+
+// Function to extract transcript text from call data
+// Uses the shared transcript model so notes and extraction read the same turns
+function getTranscriptText(callData) {
+    const { call } = callData;
     
-    // 4. Try transcript array field (some VAPI formats)
-    if (call?.transcript && Array.isArray(call.transcript)) {
-        console.log('🔍 Processing transcript array');
-        const transcriptText = call.transcript
-            .map(item => item.text || item.message || item)
-            .filter(text => typeof text === 'string' && text.trim().length > 5)
-            .join(' ');
-        
-        if (transcriptText) {
-            console.log('✅ Found transcript in array format:', transcriptText.substring(0, 50) + '...');
-            return transcriptText;
-        }
+    console.log('🔍 Extracting transcript from call data...');
+    console.log('📋 Call keys:', Object.keys(call || {}));
+    
+    // 1-4. Artifact messages, message arrays or the "AI: / User:" transcript text
+    const transcript = buildTranscript(callData);
+    if (!transcript.isEmpty) {
+        const text = transcript.toText();
+        console.log(`✅ Found transcript with ${transcript.turns.length} turns:`, text.substring(0, 50) + '...');
+        return text;
     }
     
     // 5. Fallback to analysis structured data for basic info
@@ -0,0 +1,144 @@
+// opt-out-manager.js - Do-not-call / opt-out handling
+// Detects "stop calling me" in finished calls, marks the contact DND in GHL and
+// lets every outbound path refuse to dial contacts that opted out
+import { buildTranscript } from './transcript-model.js';
+
+// What a caller says when they want us to stop calling
+const CALLER_OPT_OUT_PATTERNS = [
+    /\bstop calling\b/i,
+    // "don't call me before 5" is a scheduling request, not an opt-out
+    /\b(don'?t|do not|never) (ever )?call (me|us|this number|here)\b(?!\s+(before|after|until|till|at|on|between|during|in|tomorrow|today|tonight|this|next|early|late)\b)/i,
+    /\bdo[- ]not[- ]call list\b/i,
+    /\b(remove|take) (me|us|my number|this number) (off|from)\b/i,
+    /\bput me on (your|the) do[- ]not[- ]call\b/i,
+    /\blose (my|this) number\b/i,
+    /\bunsubscribe\b/i,
+    /\bquit calling\b/i
+];
+
+// How the call summary describes an opt-out (third person)
+const SUMMARY_OPT_OUT_PATTERNS = [
+    /\b(asked|requested|wants?|wanted) (us |the (agent|assistant|caller) )?(not to|to stop|to no longer) (be )?(call|contact)/i,
+    /\b(asked|requested|wants?|wanted) to be (removed|taken off)\b/i,
+    /\bdo[- ]not[- ]call list\b/i,
+    /\bopted out\b/i
+];
+
+// Tag added to contacts who opted out (GHL_OPT_OUT_TAG)
+export function getOptOutTag() {
+    return (process.env.GHL_OPT_OUT_TAG || 'opted-out').trim().toLowerCase();
+}
+
+// What the caller said: the customer turns of the call transcript (messages or text, see transcript-model.js)
+// An unlabeled transcript can't be split by speaker, so all of it counts
+export function getCallerText(callData) {
+    return buildTranscript(callData).customerText();
+}
+
+// Detect an opt-out request in a finished call
+// Returns { optedOut: true, phrase, source } or { optedOut: false }
+export function detectOptOut(callData) {
+    const call = callData.call || {};
+    const message = callData.message || {};
+
+    // VAPI structured data can flag it directly
+    const structuredData = message.analysis?.structuredData || call.analysis?.structuredData || {};
+    if (structuredData.dnd === true || structuredData.doNotCall === true || structuredData.optOut === true) {
+        return { optedOut: true, phrase: 'structuredData.dnd', source: 'structured_data' };
+    }
+
+    const callerText = getCallerText(callData);
+    for (const pattern of CALLER_OPT_OUT_PATTERNS) {
+        const match = callerText.match(pattern);
+        if (match) {
+            return { optedOut: true, phrase: match[0], source: 'transcript' };
+        }
+    }
+
+    const summary = message.analysis?.summary || call.analysis?.summary || message.summary || call.summary || '';
+    for (const pattern of SUMMARY_OPT_OUT_PATTERNS) {
+        const match = summary.match(pattern);
+        if (match) {
+            return { optedOut: true, phrase: match[0], source: 'summary' };
+        }
+    }
+
+    return { optedOut: false };
+}
+
+// Mark the contact DND in GHL and add the opt-out tag
+export async function applyOptOut(contactId, optOut, pitTokenManager) {
+    const optOutMessage = `Opted out during VAPI call (${optOut.source}): "${optOut.phrase}"`;
+    console.log(`🚫 Applying opt-out to contact ${contactId}: ${optOutMessage}`);
+
+    await pitTokenManager.makeGHLRequest('PUT', `/contacts/${contactId}`, {
+        dnd: true,
+        dndSettings: {
+            Call: { status: 'active', message: optOutMessage },
+            SMS: { status: 'active', message: optOutMessage }
+        }
+    });
+
+    let tagged = true;
+    try {
+        await pitTokenManager.makeGHLRequest('POST', `/contacts/${contactId}/tags`, { tags: [getOptOutTag()] });
+    } catch (error) {
+        console.error('⚠️ Contact set to DND but opt-out tag could not be added:', error.message);
+        tagged = false;
+    }
+
+    console.log(`✅ Contact ${contactId} marked Do Not Disturb${tagged ? ` and tagged "${getOptOutTag()}"` : ''}`);
+    return { dnd: true, tagged, tag: getOptOutTag(), phrase: optOut.phrase, source: optOut.source };
+}
+
+// Why a contact must not be called, or null if calling is allowed
+export function getDoNotCallReason(contact) {
+    if (contact.dnd === true) {
+        return 'Contact is marked Do Not Disturb';
+    }
+
+    const callStatus = `${contact.dndSettings?.Call?.status || ''}`.toLowerCase();
+    if (callStatus === 'active' || callStatus === 'permanent') {
+        return 'Contact has Do Not Disturb enabled for calls';
+    }
+
+    const tags = (contact.tags || []).map(tag => `${typeof tag === 'string' ? tag : tag?.name || ''}`.toLowerCase());
+    if (tags.includes(getOptOutTag())) {
+        return `Contact has the "${getOptOutTag()}" tag`;
+    }
+
+    return null;
+}
+
+// Drop empty strings, null and undefined so they don't overwrite known values in a merge
+export function withoutEmptyValues(object) {
+    return Object.fromEntries(Object.entries(object || {}).filter(([, value]) => value !== '' && value !== null && value !== undefined));
+}
+
+// Check a contact before dialing - loads DND status from GHL when the contact came without it
+// Fails closed: if the status can't be read, the call is refused
+// Returns { allowed: true, contact } or { allowed: false, code: 'dnd' | 'dnd_unverified', reason }
+export async function checkDoNotCall(contact, pitTokenManager) {
+    let fullContact = contact;
+
+    if (!('dnd' in contact) && !contact.dndSettings) {
+        if (!contact.id || !pitTokenManager) {
+            return { allowed: false, code: 'dnd_unverified', reason: 'Could not verify Do Not Disturb status (no contact ID)' };
+        }
+
+        try {
+            const response = await pitTokenManager.makeGHLRequest('GET', `/contacts/${contact.id}`);
+            const fetched = response.data.contact || response.data;
+            // GHL's values win - the caller's copy only fills fields GHL leaves empty
+            fullContact = { ...contact, ...withoutEmptyValues(fetched), dnd: fetched.dnd, dndSettings: fetched.dndSettings };
+        } catch (error) {
+            console.error('❌ Could not load DND status:', error.response?.data || error.message);
+            return { allowed: false, code: 'dnd_unverified', reason: 'Could not verify Do Not Disturb status' };
+        }
+    }
+
+    const reason = getDoNotCallReason(fullContact);
+    return reason ? { allowed: false, code: 'dnd', reason } : { allowed: true, contact: fullContact };
+}
+
+export default { detectOptOut, applyOptOut, checkDoNotCall, getDoNotCallReason, getOptOutTag, withoutEmptyValues };
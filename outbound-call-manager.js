@@ -0,0 +1,238 @@
+// outbound-call-manager.js - Starts outbound VAPI calls for GHL contacts
+// Single entry point for every outbound trigger (GHL webhooks, action API)
+import { createVapiCall } from './vapi-handler.js';
+import { checkDoNotCall, withoutEmptyValues } from './opt-out-manager.js';
+import { checkCallingHours } from './calling-hours.js';
+import { CallQueue } from './call-queue.js';
+
+const DEFAULT_ASSISTANT_ID = '9dcdb98a-613c-4927-a007-8e3437ef337c';
+
+// Calls requested outside the callee's calling hours wait here
+const defaultCallQueue = new CallQueue();
+
+// Build the assistant overrides so the end-of-call report can link back to the contact
+export function buildAssistantOverrides(contact) {
+    const name = [contact.firstName, contact.lastName].filter(Boolean).join(' ') || contact.name || '';
+    const address = [contact.address1, contact.city, contact.state, contact.postalCode].filter(Boolean).join(', ');
+
+    const variableValues = {
+        contactId: contact.id,
+        name: name,
+        firstName: contact.firstName || '',
+        lastName: contact.lastName || '',
+        email: contact.email || '',
+        phone: contact.phone || '',
+        address: address
+    };
+
+    return { variableValues };
+}
+
+// Load the contact from GHL and resolve a dialable phone number
+// GHL's phone, timezone, state and DND win over the caller's copy, which only fills gaps
+// A failed lookup returns { phone: null, lookupFailed: true, error } - unlike a missing number, it is worth retrying
+export async function resolveContactPhone(contact, pitTokenManager) {
+    if (!contact.id || !pitTokenManager) {
+        return { contact, phone: contact.phone || null };
+    }
+
+    try {
+        console.log(`📞 Loading contact ${contact.id} from GHL...`);
+        const response = await pitTokenManager.makeGHLRequest('GET', `/contacts/${contact.id}`);
+        const fetched = response.data.contact || response.data;
+        const fullContact = { ...contact, ...withoutEmptyValues(fetched) };
+        return { contact: fullContact, phone: fullContact.phone || null };
+    } catch (error) {
+        console.error('❌ Error fetching contact from GHL:', error.response?.data || error.message);
+        const status = error.response?.status;
+        return {
+            contact,
+            phone: null,
+            lookupFailed: true,
+            error: status === 404 ? 'Contact not found in GHL' : `Could not load contact from GHL: ${error.response?.data?.message || error.message}`,
+            retryable: status !== 404
+        };
+    }
+}
+
+// Start an outbound VAPI call for a contact
+// Returns { success, callId, contactId, triggerReason } or { success: false, error, retryable }
+// retryable is false when trying again can't help (no phone number, contact gone from GHL)
+// Contacts marked DND / opted out are refused with { success: false, blocked: 'dnd' | 'dnd_unverified', error }
+// Outside the callee's calling hours the call is queued: { success: false, queued: true, scheduledFor }
+export async function triggerOutboundCall(contact, options = {}) {
+    const { reason = 'manual', pitTokenManager = null, now = new Date(), callQueue = defaultCallQueue, queueFailures = 0 } = options;
+    const vapiApiKey = options.vapiApiKey || process.env.VAPI_API_KEY;
+    const assistantId = options.assistantId || process.env.VAPI_ASSISTANT_ID || DEFAULT_ASSISTANT_ID;
+
+    console.log(`📲 Outbound call requested for contact ${contact.id || 'unknown'} (reason: ${reason})`);
+
+    const resolved = await resolveContactPhone(contact, pitTokenManager);
+    if (resolved.lookupFailed) {
+        console.log(`❌ Cannot place call - ${resolved.error}`);
+        return {
+            success: false,
+            contactId: contact.id || null,
+            triggerReason: reason,
+            error: resolved.error,
+            retryable: resolved.retryable
+        };
+    }
+    if (!resolved.phone) {
+        console.log('❌ Cannot place call - contact has no phone number');
+        return {
+            success: false,
+            contactId: contact.id || null,
+            triggerReason: reason,
+            error: 'Contact has no phone number',
+            retryable: false
+        };
+    }
+
+    const permission = await checkDoNotCall(resolved.contact, pitTokenManager);
+    if (!permission.allowed) {
+        console.log(`🚫 Not calling contact ${contact.id || 'unknown'}: ${permission.reason}`);
+        return {
+            success: false,
+            blocked: permission.code,
+            contactId: resolved.contact.id || null,
+            phone: resolved.phone,
+            triggerReason: reason,
+            error: permission.reason
+        };
+    }
+
+    const callingHours = checkCallingHours(permission.contact, { now });
+    if (!callingHours.allowed) {
+        const timezoneText = callingHours.timezone || 'unknown timezone';
+        console.log(`🌙 Outside calling hours for contact ${contact.id || 'unknown'} (${timezoneText}) - queued for ${callingHours.nextAllowedAt}`);
+        await callQueue.enqueue(permission.contact, {
+            reason,
+            scheduledFor: callingHours.nextAllowedAt,
+            timezone: callingHours.timezone,
+            failures: queueFailures
+        });
+        return {
+            success: false,
+            queued: true,
+            contactId: resolved.contact.id || null,
+            phone: resolved.phone,
+            triggerReason: reason,
+            scheduledFor: callingHours.nextAllowedAt,
+            timezone: callingHours.timezone,
+            timezoneSource: callingHours.timezoneSource,
+            error: `Outside calling hours (${timezoneText}) - queued for ${callingHours.nextAllowedAt}`
+        };
+    }
+
+    try {
+        const assistantOverrides = buildAssistantOverrides(resolved.contact);
+        const call = await createVapiCall(resolved.phone, assistantId, assistantOverrides, vapiApiKey);
+
+        console.log(`✅ VAPI call created: ${call?.id} -> ${resolved.phone}`);
+        return {
+            success: true,
+            callId: call?.id || null,
+            contactId: resolved.contact.id || null,
+            phone: resolved.phone,
+            triggerReason: reason
+        };
+    } catch (error) {
+        console.error('❌ Failed to create outbound VAPI call:', error.response?.data || error.message);
+        return {
+            success: false,
+            contactId: resolved.contact.id || null,
+            phone: resolved.phone,
+            triggerReason: reason,
+            error: error.response?.data?.message || error.message,
+            retryable: true
+        };
+    }
+}
+
+// Delay before each retry of a queued call whose dial failed (VAPI error, GHL lookup failure), in minutes
+// After the last one the call is dropped; so are failures marked retryable: false
+const QUEUE_RETRY_DELAYS_MINUTES = [15, 60, 240];
+
+// Dial one queued call; failures other than DND or calling hours are queued again with a growing delay
+async function dialQueuedCall(entry, { pitTokenManager, now, callQueue }) {
+    // Only the run whose delete removed the entry may dial it
+    if (!(await callQueue.remove(entry.key))) {
+        console.log(`⏭️ Queued call ${entry.key} was already taken by another queue run`);
+        return { key: entry.key, contactId: entry.contact?.id || null, success: false, skipped: 'already_claimed' };
+    }
+
+    let result;
+    try {
+        result = await triggerOutboundCall(entry.contact, {
+            reason: entry.reason?.startsWith('queued:') ? entry.reason : `queued:${entry.reason}`,
+            pitTokenManager,
+            now,
+            callQueue,
+            queueFailures: entry.failures || 0
+        });
+    } catch (error) {
+        console.error(`❌ Queued call ${entry.key} failed:`, error.message);
+        result = { success: false, contactId: entry.contact?.id || null, error: error.message };
+    }
+
+    const summary = {
+        key: entry.key,
+        contactId: result.contactId,
+        success: result.success,
+        ...(result.success ? { callId: result.callId } : { error: result.error }),
+        ...(result.queued ? { queued: true, scheduledFor: result.scheduledFor } : {}),
+        ...(result.blocked ? { blocked: result.blocked } : {})
+    };
+    if (result.success || result.queued || result.blocked) {
+        return summary;
+    }
+    if (result.retryable === false) {
+        console.log(`🛑 Dropping queued call ${entry.key}: ${result.error}`);
+        return { ...summary, dropped: true, failures: (entry.failures || 0) + 1 };
+    }
+
+    const failures = (entry.failures || 0) + 1;
+    if (failures > QUEUE_RETRY_DELAYS_MINUTES.length) {
+        console.log(`🛑 Dropping queued call ${entry.key} after ${failures} failed attempts`);
+        return { ...summary, dropped: true, failures };
+    }
+
+    const retryAt = new Date(now.getTime() + QUEUE_RETRY_DELAYS_MINUTES[failures - 1] * 60 * 1000).toISOString();
+    await callQueue.enqueue(entry.contact, {
+        reason: entry.reason,
+        scheduledFor: retryAt,
+        timezone: entry.timezone || null,
+        source: entry.source,
+        failures,
+        lastError: result.error || null
+    });
+    return { ...summary, failures, retryScheduledFor: retryAt };
+}
+
+// Dial queued calls whose time has come (scheduled event or process-call-queue action)
+// Each call goes through triggerOutboundCall again, so DND and calling hours are re-checked
+// One call failing never stops the run; it is retried on QUEUE_RETRY_DELAYS_MINUTES
+export async function processCallQueue({ pitTokenManager = null, now = new Date(), callQueue = defaultCallQueue } = {}) {
+    const due = await callQueue.getDue(now);
+    console.log(`🗓️ Call queue: ${due.length} calls due`);
+
+    const results = [];
+    for (const entry of due) {
+        try {
+            results.push(await dialQueuedCall(entry, { pitTokenManager, now, callQueue }));
+        } catch (error) {
+            console.error(`❌ Could not process queued call ${entry.key}:`, error.message);
+            results.push({ key: entry.key, contactId: entry.contact?.id || null, success: false, error: error.message });
+        }
+    }
+
+    const started = results.filter(result => result.success).length;
+    const retried = results.filter(result => result.retryScheduledFor).length;
+    const skipped = results.filter(result => result.skipped).length;
+    const processed = results.length - skipped;
+    console.log(`📊 Call queue processed: ${started}/${processed} calls started, ${retried} to retry, ${skipped} taken by another run`);
+    return { processed, started, retried, skipped, results };
+}
+
+export default { triggerOutboundCall, processCallQueue, buildAssistantOverrides, resolveContactPhone };
@@ -12,9 +12,15 @@ const ssmClient = new SSMClient({ region: 'us-east-2' });
 const PIT_TOKEN_PARAM = '/vapi-ghl-integration/ghl-pit-token';
 
 // GHL API details
-const GHL_BASE_URL = 'https://services.leadconnectorhq.com';
+// GHL_BASE_URL points every GHL request somewhere else (e.g. the offline fake-ghl-server.js)
+const DEFAULT_GHL_BASE_URL = 'https://services.leadconnectorhq.com';
 const GHL_API_VERSION = '2021-07-28';
 
+// Read on every request so tests can point at a server started after import
+function getGHLBaseUrl() {
+    return (process.env.GHL_BASE_URL || DEFAULT_GHL_BASE_URL).replace(/\/+$/, '');
+}
+
 class PITTokenManager {
     constructor() {
         this.pitToken = null;
@@ -72,8 +78,14 @@ class PITTokenManager {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
-    // Load PIT token from Parameter Store
+    // Load PIT token from Parameter Store (GHL_PIT_TOKEN overrides it for local runs)
     async loadToken() {
+        if (process.env.GHL_PIT_TOKEN) {
+            this.pitToken = process.env.GHL_PIT_TOKEN;
+            console.log('✅ PIT token loaded from GHL_PIT_TOKEN');
+            return true;
+        }
+
         console.log('📝 Loading PIT token from Parameter Store...');
         
         try {
@@ -106,7 +118,7 @@ class PITTokenManager {
 
         try {
             console.log('🧪 Testing PIT token with specific contact endpoint...');
-            const response = await axios.get(`${GHL_BASE_URL}/contacts/${testContactId}`, {
+            const response = await axios.get(`${getGHLBaseUrl()}/contacts/${testContactId}`, {
                 headers: {
                     'Authorization': `Bearer ${this.pitToken}`, // Official docs require "Bearer" prefix
                     'Version': GHL_API_VERSION,
@@ -141,7 +153,7 @@ class PITTokenManager {
             console.log('🔄 Trying minimal token validation...');
             // Just test that the token is properly formatted and accepted
             // This will still fail if token is completely invalid
-            const response = await axios.get(`${GHL_BASE_URL}/contacts/test-id-that-does-not-exist`, {
+            const response = await axios.get(`${getGHLBaseUrl()}/contacts/test-id-that-does-not-exist`, {
                 headers: {
                     'Authorization': `Bearer ${this.pitToken}`,
                     'Version': GHL_API_VERSION,
@@ -249,7 +261,7 @@ class PITTokenManager {
 
         const config = {
             method,
-            url: `${GHL_BASE_URL}${endpoint}`,
+            url: `${getGHLBaseUrl()}${endpoint}`,
             headers: this.getAuthHeaders(),
             timeout: 30000,
             ...options
@@ -348,7 +360,7 @@ async function main() {
 
 // Export for use as module
 export default PITTokenManager;
-export { PITTokenManager };
+export { PITTokenManager, getGHLBaseUrl };
 
 // Run CLI if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
@@ -0,0 +1,386 @@
+// price-parser.js - Turns spoken and written amounts into numbers
+// "eight fifty" → 850,000, "one point two mil" → 1,200,000, "around 500k" → 500,000,
+// "between 400 and 450" → 400,000-450,000, "a million 50" → 1,050,000
+//
+// parsePrice() reads an answer to a price question, where a bare "four fifty" is an amount.
+// findPrice() scans free text (call summaries, transcripts) and only takes amounts with a
+// dollar sign, a unit (k, thousand, million) or a price cue ("asking", "sell for") in front, and
+// passes over payoffs and neighbors' sales ("owe 200k on the mortgage", "a neighbor sold for 380")
+// parseSpokenNumber() is the plain number reader behind both, for non-price number fields
+
+const UNITS = {
+    zero: 0, oh: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9
+};
+const TEENS = {
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+    sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+};
+const TENS = {
+    twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+const SCALES = {
+    thousand: 1000, thousands: 1000, k: 1000, grand: 1000,
+    million: 1000000, millions: 1000000, mil: 1000000, mill: 1000000
+};
+const SUFFIX_SCALES = { k: 1000, m: 1000000, mm: 1000000 };
+
+// Smallest amount taken as a home price; anything lower is fees, repairs or noise
+const MIN_PRICE = 10000;
+
+// Words in front of an amount that make it a price in free text
+const PRICE_CUES = new Set([
+    'price', 'priced', 'pricing', 'asking', 'ask', 'list', 'listed', 'listing', 'sell', 'selling', 'sold',
+    'get', 'getting', 'for', 'offer', 'worth', 'value', 'valued', 'appraised', 'expect', 'expecting',
+    'hoping', 'hope', 'want', 'wants', 'take', 'accept', 'net', 'around', 'about', 'between', 'from'
+]);
+// Words around an amount that make it someone else's number: a payoff, a neighbor's sale, comps
+const OTHER_AMOUNT_CUES = new Set([
+    'owe', 'owes', 'owed', 'owing', 'mortgage', 'payoff', 'loan', 'lien', 'neighbor', 'neighbors',
+    'neighbour', 'neighbours', 'comp', 'comps', 'comparables', 'paid', 'bought'
+]);
+// Words in front of an amount that make it the seller's own asking price
+const ASKING_CUES = new Set(['want', 'wants', 'wanted', 'asking', 'ask', 'hoping', 'hope', 'hopes', 'list', 'listed', 'listing']);
+// Cue words only count within their own clause
+const CLAUSE_BREAKS = new Set([',', ';', '.', '!', '?', 'and', 'but', 'while', 'though', 'although']);
+const APPROXIMATE_CUES = new Set(['around', 'about', 'roughly', 'approximately', 'approx', 'ballpark', 'like', 'maybe', 'probably', '~']);
+const MONEY_WORDS = new Set(['dollars', 'dollar', 'bucks']);
+
+// Words after a number that make it something other than money ("60 days", "3 bedrooms", "6%")
+const NOT_PRICE_FOLLOWERS = new Set([
+    '%', 'percent', 'day', 'days', 'week', 'weeks', 'month', 'months', 'year', 'years', 'yrs',
+    'minute', 'minutes', 'mins', 'hour', 'hours', 'am', 'pm', 'bed', 'beds', 'bedroom', 'bedrooms',
+    'bath', 'baths', 'bathroom', 'bathrooms', 'sq', 'square', 'sqft', 'feet', 'foot', 'ft', 'acre', 'acres',
+    'kids', 'children', 'people', 'times', 'calls', 'agents', 'offers', 'miles', 'mile', 'story', 'stories',
+    'units', 'cars', 'car', 'homes', 'houses', 'properties', 'per', 'monthly', 'yearly', 'annually', 'st', 'nd', 'rd', 'th'
+]);
+const PERIODS = new Set(['day', 'week', 'month', 'year', 'hour']);
+const MONTHS = new Set(['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+    'september', 'october', 'november', 'december', 'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec']);
+
+const RANGE_SEPARATORS = new Set(['-', 'to', 'or']);
+
+// Digits (optionally "$", thousands commas, decimals and a k/m suffix), words, or a single symbol
+const TOKEN_PATTERN = /(\$)?\s?(\d+(?:,\d{3})*(?:\.\d+)?|\.\d+)(k|mm|m)?(?![\w]|,\d)|[a-z]+|[^\s\w]/gi;
+
+function tokenize(text) {
+    const tokens = [];
+    for (const match of `${text || ''}`.matchAll(TOKEN_PATTERN)) {
+        if (match[2] !== undefined) {
+            tokens.push({ type: 'number', value: parseFloat(match[2].replace(/,/g, '')), dollar: !!match[1], digits: match[2] });
+            if (match[3]) tokens.push({ type: 'scale', value: SUFFIX_SCALES[match[3].toLowerCase()], word: match[3].toLowerCase() });
+            continue;
+        }
+
+        const word = match[0].toLowerCase();
+        if (word in UNITS) tokens.push({ type: 'unit', value: UNITS[word], word });
+        else if (word in TEENS) tokens.push({ type: 'teen', value: TEENS[word], word });
+        else if (word in TENS) tokens.push({ type: 'tens', value: TENS[word], word });
+        else if (word in SCALES) tokens.push({ type: 'scale', value: SCALES[word], word });
+        else if (word === 'hundred' || word === 'point' || word === 'half') tokens.push({ type: word, word });
+        else tokens.push({ type: /^[a-z]/.test(word) ? 'word' : 'symbol', word });
+    }
+    return tokens;
+}
+
+const isFigure = token => token && ['number', 'unit', 'teen', 'tens'].includes(token.type);
+const isNumeric = token => token && ['number', 'unit', 'teen', 'tens', 'scale', 'hundred', 'point', 'half'].includes(token.type);
+// A written 1-19 that can lead a spoken figure the way "eight" does ("2 fifty")
+const isLeadingFigure = token => token?.type === 'number' && /^(?:[1-9]|1\d)$/.test(token.digits);
+
+// Can the token at i continue the number that ends at i - 1?
+function continuesNumber(tokens, i) {
+    const token = tokens[i];
+    const previous = tokens[i - 1];
+    const next = tokens[i + 1];
+    if (!token || !previous) return false;
+
+    // "a" only inside "and a half" / "half a million"
+    if (token.word === 'a' || token.word === 'an') {
+        return (previous.word === 'and' && next?.type === 'half') || (previous.type === 'half' && next?.type === 'scale');
+    }
+    // "and" only after hundred/thousand/million ("four hundred and fifty") or before "a half"
+    if (token.word === 'and') {
+        if (next?.word === 'a' && tokens[i + 2]?.type === 'half') return isFigure(previous) || ['hundred', 'scale'].includes(previous.type);
+        return ['hundred', 'scale'].includes(previous.type) && isFigure(next);
+    }
+    if (token.type === 'point') return isFigure(previous) && isFigure(next);
+    // "a million two" continues, "1.2 million 2 weeks" doesn't
+    if (previous.type === 'scale' && isFigure(token) && NOT_PRICE_FOLLOWERS.has(next?.word)) return false;
+    // Written figures only follow a unit, "point" or "and" ("a million 50"); "11 30" is two numbers
+    if (token.type === 'number') return previous.type === 'scale' || previous.type === 'point' || previous.word === 'and';
+    // ...but a spoken tens or teen can follow a small one: "2 fifty" is "two fifty"
+    if (previous.type === 'number' && isFigure(token)) return isLeadingFigure(previous) && ['tens', 'teen'].includes(token.type);
+    if (token.word === 'k' && previous.type !== 'number') return false;
+    return isNumeric(token) && (isNumeric(previous) || ['a', 'an', 'and'].includes(previous.word));
+}
+
+// Can a number start at token i?
+function startsNumber(tokens, i) {
+    const token = tokens[i];
+    const next = tokens[i + 1];
+    if (isFigure(token)) return true;
+    if (token.word === 'a' || token.word === 'an') return ['hundred', 'scale', 'half'].includes(next?.type) && next?.word !== 'k';
+    if (token.type === 'half') return next?.type === 'scale' || (next?.word === 'a' && tokens[i + 2]?.type === 'scale');
+    return false;
+}
+
+// Group tokens into number spans: { start, end, tokens }
+function findNumberSpans(tokens) {
+    const spans = [];
+    let i = 0;
+    while (i < tokens.length) {
+        if (!startsNumber(tokens, i)) {
+            i++;
+            continue;
+        }
+        let end = i + 1;
+        while (end < tokens.length && continuesNumber(tokens, end)) end++;
+        // Don't end on a connector ("four hundred and" + "the")
+        while (end - 1 > i && ['and', 'a', 'an'].includes(tokens[end - 1].word)) end--;
+        spans.push({ start: i, end, tokens: tokens.slice(i, end) });
+        i = end;
+    }
+    return spans;
+}
+
+// Value of a run without thousand/million: "four hundred fifty", "eight fifty", "one point two", "2.5"
+function chunkValue(chunk) {
+    const parts = chunk.filter(token => !['and', 'a', 'an'].includes(token.word) || chunk.length === 1);
+    if (parts.length === 0) return { value: null };
+    if (parts.length === 1 && (parts[0].word === 'a' || parts[0].word === 'an')) return { value: 1 };
+
+    // "eight fifty" / "2 fifty" → 850 / 250, "twelve fifty" → 1250, "one twenty five" → 125 (a spoken "hundred" left out)
+    const [first, second] = parts;
+    if (parts.length >= 2 && (['unit', 'teen'].includes(first.type) || isLeadingFigure(first)) && first.value > 0 &&
+        (['tens', 'teen'].includes(second.type) || (second.word === 'oh' && parts.length === 3)) &&
+        parts.slice(1).every(part => ['unit', 'teen', 'tens'].includes(part.type))) {
+        return { value: first.value * 100 + standardValue(parts.slice(1)), colloquial: true };
+    }
+    return { value: standardValue(parts) };
+}
+
+function standardValue(parts) {
+    let value = 0;
+    for (let i = 0; i < parts.length; i++) {
+        const part = parts[i];
+        if (part.type === 'hundred') {
+            value = (value || 1) * 100;
+        } else if (part.type === 'half') {
+            value += 0.5;
+        } else if (part.type === 'point') {
+            // "one point two five" → 1.25; digits after "point" are read one by one
+            const digits = parts.slice(i + 1).map(digit => digit.type === 'number' ? digit.digits : `${digit.value ?? ''}`).join('');
+            return value + (digits ? parseFloat(`0.${digits}`) : 0);
+        } else if (part.word !== 'a' && part.word !== 'an') {
+            value += part.value;
+        }
+    }
+    return value;
+}
+
+// Read one number span; scaled tells whether it carried thousand/million
+function evaluateSpan(span) {
+    let total = 0;
+    let chunk = [];
+    let lastScale = null;
+    let colloquial = false;
+
+    for (const token of span.tokens) {
+        if (token.type !== 'scale') {
+            chunk.push(token);
+            continue;
+        }
+        const part = chunkValue(chunk);
+        colloquial = colloquial || !!part.colloquial;
+        total += (part.value ?? 1) * token.value;
+        lastScale = token.value;
+        chunk = [];
+    }
+
+    const rest = chunk.length > 0 ? chunkValue(chunk) : { value: null };
+    colloquial = colloquial || !!rest.colloquial;
+    if (rest.value !== null) {
+        if (lastScale === 1000000 && Number.isInteger(rest.value) && rest.value < 1000) {
+            // "a million two" → 1,200,000; "a million 50" → 1,050,000
+            total += rest.value < 10 ? rest.value * 100000 : rest.value * 1000;
+        } else if (lastScale && rest.value < 1) {
+            // "a million and a half"
+            total += rest.value * lastScale;
+        } else {
+            total += rest.value;
+        }
+    }
+
+    return {
+        value: total,
+        scale: lastScale,
+        colloquial,
+        dollar: span.tokens.some(token => token.dollar),
+        spoken: span.tokens.every(token => token.type !== 'number')
+    };
+}
+
+// Amount a bare figure stands for when talking about a house: "four fifty" and "450" mean
+// $450,000, "one point two" means $1.2M; explicit units and full figures are taken as said
+function priceAmount(number) {
+    const { value, scale, colloquial } = number;
+    if (scale) return value;
+    if (!Number.isInteger(value) && value < 100) return value * 1000000;
+    if (value < 50) return null;
+    if (value < 1000 || (colloquial && value < 10000)) return value * 1000;
+    return value;
+}
+
+function formatPrice(amount) {
+    return `$${Math.round(amount).toLocaleString('en-US')}`;
+}
+
+// Words right around a span (skipping symbols), for cue and unit checks
+function wordBefore(tokens, index, distance = 1) {
+    let seen = 0;
+    for (let i = index - 1; i >= 0; i--) {
+        if (tokens[i].type === 'symbol' && tokens[i].word !== '~') continue;
+        if (++seen === distance) return tokens[i].word || null;
+    }
+    return null;
+}
+
+function followsAsNonPrice(tokens, end) {
+    let i = end;
+    if (tokens[i]?.word === '-') i++;
+    const next = tokens[i];
+    if (!next) return false;
+    if (NOT_PRICE_FOLLOWERS.has(next.word)) return true;
+    // "$250 a month"
+    return (next.word === 'a' || next.word === 'an') && PERIODS.has(tokens[i + 1]?.word);
+}
+
+function hasPriceCue(tokens, start) {
+    return [1, 2, 3].some(distance => PRICE_CUES.has(wordBefore(tokens, start, distance)));
+}
+
+function isApproximate(tokens, start) {
+    return [1, 2].some(distance => APPROXIMATE_CUES.has(wordBefore(tokens, start, distance))) ||
+        (wordBefore(tokens, start) === 'to' && wordBefore(tokens, start, 2) === 'close');
+}
+
+// Words of the clause before (step -1) or after (step 1) a span, nearest first
+function clauseWords(tokens, from, step, limit) {
+    const words = [];
+    for (let i = from; i >= 0 && i < tokens.length && words.length < limit; i += step) {
+        if (CLAUSE_BREAKS.has(tokens[i].word)) break;
+        if (tokens[i].type === 'word') words.push(tokens[i].word);
+    }
+    return words;
+}
+
+// 'other' for amounts owed or sold for by someone else, 'asking' after want / asking / hoping / list, else 'plain'
+function priceContext(tokens, start, end) {
+    const before = clauseWords(tokens, start - 1, -1, 6);
+    const after = clauseWords(tokens, end, 1, 4);
+    if ([...before, ...after].some(word => OTHER_AMOUNT_CUES.has(word)) || (before[0] === 'for' && before[1] === 'sold')) {
+        return 'other';
+    }
+    return before.some(word => ASKING_CUES.has(word)) ? 'asking' : 'plain';
+}
+
+// Power of ten that puts the low end of a range within 10x below the high end
+function rangeFactor(low, high) {
+    for (let factor = 1; factor <= 1000000000; factor *= 10) {
+        const scaled = low * factor;
+        if (scaled > high) return null;
+        if (scaled > high / 10) return factor;
+    }
+    return null;
+}
+
+// Candidate amounts in text order; a range is two spans joined by "to", "-", "or" or "between ... and"
+function priceCandidates(text, { answer }) {
+    const tokens = tokenize(text);
+    const spans = findNumberSpans(tokens).map(span => ({ ...span, number: evaluateSpan(span) }));
+    const candidates = [];
+
+    for (let i = 0; i < spans.length; i++) {
+        const span = spans[i];
+        const next = spans[i + 1];
+        const between = tokens.slice(span.end, next?.start ?? span.end);
+        const joined = next && between.length === 1 &&
+            (RANGE_SEPARATORS.has(between[0].word) || (between[0].word === 'and' && wordBefore(tokens, span.start) === 'between'));
+        const group = joined ? [span, next] : [span];
+        const last = group[group.length - 1];
+
+        if (MONTHS.has(wordBefore(tokens, span.start)) || followsAsNonPrice(tokens, last.end)) {
+            if (joined) i++;
+            continue;
+        }
+
+        const numbers = group.map(member => ({ ...member.number }));
+        // "400 to 450k", "four to five hundred thousand": the low end borrows the high end's unit
+        if (numbers.length === 2 && !numbers[0].scale && numbers[1].scale) {
+            const factor = rangeFactor(numbers[0].value, numbers[1].value);
+            if (factor) numbers[0] = { ...numbers[0], value: numbers[0].value * factor, scale: factor };
+        }
+
+        const moneySignal = numbers.some(number => number.dollar || number.scale) || MONEY_WORDS.has(tokens[last.end]?.word);
+        if (!answer && !moneySignal && !hasPriceCue(tokens, span.start)) {
+            if (joined) i++;
+            continue;
+        }
+
+        const amounts = numbers.map(priceAmount);
+        if (amounts.every(amount => amount !== null && amount >= MIN_PRICE)) {
+            candidates.push({ amounts, approximate: isApproximate(tokens, span.start), context: priceContext(tokens, span.start, last.end) });
+        }
+        if (joined) i++;
+    }
+
+    return candidates;
+}
+
+function toPrice({ amounts, approximate }) {
+    const min = Math.min(...amounts);
+    const max = Math.max(...amounts);
+    const isRange = min !== max;
+    return {
+        amount: isRange ? Math.round((min + max) / 2) : min,
+        min,
+        max,
+        isRange,
+        approximate,
+        display: isRange ? `${formatPrice(min)} - ${formatPrice(max)}` : formatPrice(min)
+    };
+}
+
+// Price from an answer to a price question ("eight fifty", "between 400 and 450")
+// Returns { amount, min, max, isRange, approximate, display } or null; amount is a range's midpoint
+export function parsePrice(text) {
+    const [first] = priceCandidates(text, { answer: true });
+    return first ? toPrice(first) : null;
+}
+
+// The seller's price in free text; same shape as parsePrice
+// Amounts they owe or that others sold for are skipped; one after "want" / "asking" / "hoping" / "list" wins
+export function findPrice(text) {
+    const candidates = priceCandidates(text, { answer: false }).filter(candidate => candidate.context !== 'other');
+    const best = candidates.find(candidate => candidate.context === 'asking') || candidates[0];
+    return best ? toPrice(best) : null;
+}
+
+// First number in the text, spoken or written ("three" → 3, "two and a half" → 2.5, "1,200" → 1200)
+export function parseSpokenNumber(text) {
+    if (typeof text === 'number') return Number.isFinite(text) ? text : null;
+    const [span] = findNumberSpans(tokenize(text));
+    if (!span) return null;
+    const { value } = evaluateSpan(span);
+    const negative = /^\s*-\s*\d/.test(`${text}`);
+    return negative ? -value : value;
+}
+
+export { formatPrice };
+
+export default {
+    parsePrice,
+    findPrice,
+    parseSpokenNumber,
+    formatPrice
+};
@@ -0,0 +1,135 @@
+// retry-cadence.js - Follow-up cadence for unanswered outbound calls
+// Unanswered calls (call-outcome.js) are queued again on RETRY_LADDER (e.g. "1h, 1d, 3d") until
+// RETRY_MAX_ATTEMPTS calls in a row went unanswered, then the contact is tagged as exhausted
+// The run of unanswered calls is kept per contact (UnansweredStreakStore); an answered call ends it
+import { CallQueue } from './call-queue.js';
+import { checkCallingHours } from './calling-hours.js';
+import { createStateStore, pruneOlderThan, retentionExpiry } from './state-store.js';
+
+const DEFAULT_RETRY_LADDER = '1h, 1d, 3d';
+const DEFAULT_EXHAUSTED_TAG = 'call-attempts-exhausted';
+
+const UNIT_MINUTES = { m: 1, h: 60, d: 24 * 60 };
+
+// "1h, 1d, 3d" → [60, 1440, 4320] (minutes); throws on a malformed ladder
+export function parseRetryLadder(spec) {
+    const steps = `${spec || ''}`.split(',').map(step => step.trim().toLowerCase()).filter(Boolean);
+    if (steps.length === 0) {
+        throw new Error('Retry ladder is empty');
+    }
+
+    return steps.map(step => {
+        const match = step.match(/^(\d+)\s*(m|h|d)$/);
+        if (!match || parseInt(match[1]) === 0) {
+            throw new Error(`Invalid retry ladder step "${step}" (use e.g. "30m", "1h", "3d")`);
+        }
+        return parseInt(match[1]) * UNIT_MINUTES[match[2]];
+    });
+}
+
+// Retry delays in minutes (RETRY_LADDER)
+export function getRetryLadder() {
+    return parseRetryLadder(process.env.RETRY_LADDER || DEFAULT_RETRY_LADDER);
+}
+
+// Unanswered calls in a row before giving up (RETRY_MAX_ATTEMPTS, default: first call + one per ladder step)
+export function getMaxAttempts(ladder = getRetryLadder()) {
+    const configured = parseInt(process.env.RETRY_MAX_ATTEMPTS);
+    return configured > 0 ? configured : ladder.length + 1;
+}
+
+// Tag added when the cadence runs out (GHL_RETRY_EXHAUSTED_TAG)
+export function getExhaustedTag() {
+    return (process.env.GHL_RETRY_EXHAUSTED_TAG || DEFAULT_EXHAUSTED_TAG).trim().toLowerCase();
+}
+
+// Unanswered calls in a row per contact: { contactId, count, lastCallId, updatedAt }
+export class UnansweredStreakStore {
+    constructor(store = createStateStore('unanswered-streaks')) {
+        this.store = store;
+    }
+
+    // Current run of unanswered calls (0 when the last call was answered or there is none)
+    async get(contactId) {
+        return (await this.store.get(contactId))?.count || 0;
+    }
+
+    // Count one more unanswered call and return the new run length; dryRun only works it out
+    async record(contactId, { callId = null, now = new Date(), dryRun = false } = {}) {
+        const count = (await this.get(contactId)) + 1;
+        if (!dryRun) {
+            await this.store.put(contactId, {
+                contactId,
+                count,
+                lastCallId: callId,
+                updatedAt: now.toISOString()
+            }, { expiresAt: retentionExpiry(now) });
+        }
+        return count;
+    }
+
+    // An answered call ends the run
+    async reset(contactId) {
+        return await this.store.delete(contactId);
+    }
+
+    // Delete runs nobody has added to within maxAgeMs - the next unanswered call starts over
+    async prune(maxAgeMs, { now = new Date() } = {}) {
+        return await pruneOlderThan(this.store, maxAgeMs, record => record?.updatedAt, { now });
+    }
+}
+
+// When the next call should happen after the given number of unanswered calls in a row
+// (steps past the ladder reuse the last one), pushed forward to the contact's next allowed calling time
+export function getNextAttemptTime(contact, unansweredAttempts, { now = new Date(), ladder = getRetryLadder() } = {}) {
+    const delayMinutes = ladder[Math.min(Math.max(unansweredAttempts, 1), ladder.length) - 1];
+    const attemptAt = new Date(now.getTime() + delayMinutes * 60 * 1000);
+
+    const callingHours = checkCallingHours(contact, { now: attemptAt });
+    return callingHours.allowed ? attemptAt.toISOString() : callingHours.nextAllowedAt;
+}
+
+// Schedule the follow-up for an unanswered call, or tag the contact once attempts are used up
+// unansweredAttempts is the run of unanswered calls including this one (UnansweredStreakStore.record);
+// callAttempts is the contact's lifetime callattemptcounter, reported but not counted against RETRY_MAX_ATTEMPTS
+// Returns { scheduled: true, attempt, scheduledFor } or { scheduled: false, exhausted: true, tag, tagged }
+export async function scheduleRetry(contact, {
+    outcome,
+    unansweredAttempts,
+    callAttempts = null,
+    pitTokenManager = null,
+    now = new Date(),
+    callQueue = new CallQueue(),
+    ladder = getRetryLadder(),
+    maxAttempts = getMaxAttempts(ladder)
+}) {
+    if (unansweredAttempts >= maxAttempts) {
+        const tag = getExhaustedTag();
+        console.log(`🛑 Contact ${contact.id} missed ${unansweredAttempts}/${maxAttempts} calls in a row - stopping follow-ups`);
+
+        let tagged = false;
+        if (contact.id && pitTokenManager) {
+            try {
+                await pitTokenManager.makeGHLRequest('POST', `/contacts/${contact.id}/tags`, { tags: [tag] });
+                tagged = true;
+            } catch (error) {
+                console.error('⚠️ Could not add exhausted tag:', error.response?.data || error.message);
+            }
+        }
+
+        return { scheduled: false, exhausted: true, outcome, unansweredAttempts, callAttempts, maxAttempts, tag, tagged };
+    }
+
+    const scheduledFor = getNextAttemptTime(contact, unansweredAttempts, { now, ladder });
+    const attempt = unansweredAttempts + 1;
+    await callQueue.enqueue(contact, {
+        reason: `retry_${attempt}_${outcome}`,
+        scheduledFor,
+        source: 'retry_cadence'
+    });
+
+    console.log(`🔁 Follow-up call ${attempt}/${maxAttempts} for contact ${contact.id} scheduled for ${scheduledFor} (${outcome})`);
+    return { scheduled: true, outcome, attempt, unansweredAttempts, callAttempts, maxAttempts, scheduledFor };
+}
+
+export default { scheduleRetry, getNextAttemptTime, parseRetryLadder, getRetryLadder, getMaxAttempts, getExhaustedTag, UnansweredStreakStore };
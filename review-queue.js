@@ -0,0 +1,181 @@
+// review-queue.js - Low-confidence field values held back for a person to approve
+// Each field has a minimum confidence (field-schema.json "minConfidence", else FIELD_MIN_CONFIDENCE).
+// Values under it are not written to the contact; they wait here and in a GHL task until an
+// admin approves (the value is written) or rejects them
+import { createStateStore, pruneOlderThan, retentionExpiry } from './state-store.js';
+import { findFieldDefinition } from './field-schema.js';
+
+const DEFAULT_MIN_CONFIDENCE = 60;
+
+// How long the reviewer has before the GHL task shows as overdue
+const REVIEW_TASK_DUE_MS = 24 * 60 * 60 * 1000;
+
+// Minimum confidence for a field: its schema minConfidence, else FIELD_MIN_CONFIDENCE (default 60)
+export function getMinConfidence(fieldName) {
+    const fieldMinimum = findFieldDefinition(fieldName)?.minConfidence;
+    if (typeof fieldMinimum === 'number') return fieldMinimum;
+
+    const configured = parseInt(process.env.FIELD_MIN_CONFIDENCE, 10);
+    return Number.isNaN(configured) ? DEFAULT_MIN_CONFIDENCE : configured;
+}
+
+// Split extracted data into values that can be written and values that need review
+// Returns { accepted: { ...extractedData without held fields }, held: [{ fieldName, value, confidence, minConfidence, ... }] }
+export function splitByConfidence(extractedData) {
+    const accepted = {};
+    const held = [];
+
+    for (const [fieldName, fieldData] of Object.entries(extractedData)) {
+        const confidence = fieldData?.confidence ?? 0;
+        const minConfidence = getMinConfidence(fieldName);
+
+        if (fieldName.startsWith('_') || !fieldData?.value || confidence >= minConfidence) {
+            accepted[fieldName] = fieldData;
+            continue;
+        }
+
+        console.log(`🔎 Holding ${fieldName} for review: "${fieldData.value}" (${confidence}% < ${minConfidence}%)`);
+        held.push({
+            fieldName,
+            value: fieldData.value,
+            rawValue: fieldData.rawValue || null,
+            confidence,
+            minConfidence,
+            source: fieldData.source || null
+        });
+    }
+
+    return { accepted, held };
+}
+
+function fieldLabel(fieldName) {
+    return findFieldDefinition(fieldName)?.ghlField || fieldName;
+}
+
+// Task body listing each held value
+function reviewTaskBody(entries) {
+    const lines = entries.map(entry =>
+        `• ${fieldLabel(entry.fieldName)}: "${entry.value}" (${entry.confidence}% confidence, needs ${entry.minConfidence}%)`);
+    const callId = entries[0]?.callId;
+    return [
+        `These values from ${callId ? `call ${callId}` : 'a recent call'} were not written because their confidence was too low:`,
+        ...lines,
+        '',
+        'Approve or reject them with the review-field action.'
+    ].join('\n');
+}
+
+class FieldReviewQueue {
+    constructor(store = createStateStore('field-review')) {
+        this.store = store;
+    }
+
+    // Key: one pending value per contact and field - a later call's value replaces the earlier one
+    key(contactId, fieldName) {
+        return `${contactId}/${fieldName}`;
+    }
+
+    // Store held values and open a GHL task for them (a note if the task can't be created)
+    // dryRun builds the entries and task without storing them
+    async enqueue(contactId, held, { callId = null, pitTokenManager = null, dryRun = false } = {}) {
+        if (held.length === 0) return [];
+
+        const queuedAt = new Date().toISOString();
+        const entries = held.map(item => ({
+            contactId,
+            callId,
+            ...item,
+            status: 'pending',
+            queuedAt
+        }));
+
+        const ghlRecord = pitTokenManager ? await this.createReviewTask(contactId, entries, pitTokenManager) : null;
+        if (dryRun) return entries;
+        for (const entry of entries) {
+            Object.assign(entry, ghlRecord || {});
+            await this.store.put(this.key(contactId, entry.fieldName), entry);
+        }
+
+        console.log(`🔎 Queued ${entries.length} field value(s) for review on contact ${contactId}`);
+        return entries;
+    }
+
+    // Returns { taskId } or { noteId }, or null when neither could be created
+    async createReviewTask(contactId, entries, pitTokenManager) {
+        const title = `Review ${entries.length} low-confidence field value${entries.length === 1 ? '' : 's'}`;
+        const body = reviewTaskBody(entries);
+
+        try {
+            const response = await pitTokenManager.makeGHLRequest('POST', `/contacts/${contactId}/tasks`, {
+                title,
+                body,
+                dueDate: new Date(Date.now() + REVIEW_TASK_DUE_MS).toISOString(),
+                completed: false
+            });
+            return { taskId: response.data?.task?.id || response.data?.id || null };
+        } catch (error) {
+            console.error('⚠️ Could not create review task - adding a note instead:', error.message);
+        }
+
+        try {
+            const response = await pitTokenManager.makeGHLRequest('POST', `/contacts/${contactId}/notes`, { body: `${title}\n\n${body}` });
+            return { noteId: response.data?.note?.id || response.data?.id || null };
+        } catch (error) {
+            console.error('⚠️ Could not create review note:', error.message);
+            return null;
+        }
+    }
+
+    async get(contactId, fieldName) {
+        return await this.store.get(this.key(contactId, fieldName));
+    }
+
+    // Pending values, for one contact or all contacts, oldest first
+    async listPending(contactId = null) {
+        const entries = await this.store.list(contactId ? `${contactId}/` : '');
+        return entries
+            .map(entry => entry.value)
+            .filter(entry => entry?.status === 'pending')
+            .sort((a, b) => new Date(a.queuedAt) - new Date(b.queuedAt));
+    }
+
+    // Mark a pending value approved or rejected; completes the GHL task once nothing on it is pending
+    // Returns the updated entry, or null if there is no pending value for the field
+    async resolve(contactId, fieldName, decision, { value = null, reviewedBy = null, pitTokenManager = null } = {}) {
+        const entry = await this.get(contactId, fieldName);
+        if (entry?.status !== 'pending') return null;
+
+        const resolved = {
+            ...entry,
+            status: decision === 'approve' ? 'approved' : 'rejected',
+            appliedValue: decision === 'approve' ? (value ?? entry.value) : null,
+            reviewedBy,
+            reviewedAt: new Date().toISOString()
+        };
+        // Pending values never expire; resolved ones are only kept for STATE_RETENTION_DAYS
+        await this.store.put(this.key(contactId, fieldName), resolved, { expiresAt: retentionExpiry() });
+        console.log(`🔎 ${fieldName} on contact ${contactId} ${resolved.status}`);
+
+        if (entry.taskId && pitTokenManager) {
+            const stillPending = (await this.listPending(contactId)).some(other => other.taskId === entry.taskId);
+            if (!stillPending) {
+                try {
+                    await pitTokenManager.makeGHLRequest('PUT', `/contacts/${contactId}/tasks/${entry.taskId}/completed`, { completed: true });
+                } catch (error) {
+                    console.error('⚠️ Could not complete review task:', error.message);
+                }
+            }
+        }
+
+        return resolved;
+    }
+
+    // Drop values reviewed more than maxAgeMs ago; pending values stay until someone reviews them
+    async prune(maxAgeMs, { now = new Date() } = {}) {
+        return await pruneOlderThan(this.store, maxAgeMs, entry => entry?.status === 'pending' ? null : entry?.reviewedAt, { now });
+    }
+}
+
+export { FieldReviewQueue };
+
+export default { FieldReviewQueue, splitByConfidence, getMinConfidence };
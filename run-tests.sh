@@ -57,6 +57,25 @@ case "$TEST_TYPE" in
         run_test "AI Extraction Tests" "node test-custom-fields.js"
         ;;
         
+    "offline")
+        echo "🧪 Offline Test Suite (no GHL, VAPI or AWS calls)"
+        echo ""
+        export STATE_STORE_BACKEND=memory
+        export AWS_EC2_METADATA_DISABLED=true
+        
+        # Every script on the shared harness (test-helpers.js) runs offline
+        failed=0
+        for test_file in $(grep -l "from './test-helpers.js'" test-*.js); do
+            run_test "$test_file" "node $test_file" || failed=$((failed + 1))
+        done
+        
+        if [ "$failed" -gt 0 ]; then
+            echo "❌ $failed offline test file(s) failed"
+            exit 1
+        fi
+        echo "🎯 All offline tests passed!"
+        ;;
+        
     "full")
         echo "🚀 Full End-to-End Testing (with GoHighLevel updates)"
         echo ""
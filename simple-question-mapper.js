@@ -3,6 +3,9 @@
 // Simple Question-Based Field Mapper
 // Maps VAPI prompt questions directly to custom fields
 
+import { getFieldDefinitions } from './field-schema.js';
+import { normalizeFieldValue, normalizeMotivation, normalizePrice, normalizeTimeline, normalizeDestination } from './field-normalizers.js';
+
 export class SimpleQuestionMapper {
     constructor() {
         this.questionMappings = new Map();
@@ -10,78 +13,14 @@ export class SimpleQuestionMapper {
     }
 
     initializeQuestionMappings() {
-        // Direct question-to-field mappings from VAPI prompt
-        this.questionMappings.set('motivation', {
-            questions: [
-                "What's got you thinking about selling your home yourself instead of working with an agent?",
-                "what's got you thinking about selling",
-                "thinking about selling your home yourself"
-            ],
-            fieldName: 'Motivation'
-        });
-
-        this.questionMappings.set('expectations', {
-            questions: [
-                "What's most important to you as you go through this selling process?",
-                "what's most important to you",
-                "most important to you as you go through this selling process"
-            ],
-            fieldName: 'Expectations'
-        });
-
-        this.questionMappings.set('disappointments', {
-            questions: [
-                "What's been the most challenging or disappointing part of selling on your own so far?",
-                "most challenging or disappointing part",
-                "disappointing part of selling on your own"
-            ],
-            fieldName: 'Disappointments'
-        });
-
-        this.questionMappings.set('concerns', {
-            questions: [
-                "Is there anything you're concerned about as you go through this on your own?",
-                "anything you're concerned about",
-                "concerned about as you go through this"
-            ],
-            fieldName: 'Concerns'
-        });
-
-        this.questionMappings.set('nextDestination', {
-            questions: [
-                "Where are you planning to go after you sell?",
-                "where are you planning to go",
-                "planning to go after you sell"
-            ],
-            fieldName: 'Next Destination'
-        });
-
-        this.questionMappings.set('timeline', {
-            questions: [
-                "Ideally, when would you like to have your home sold and be moved out?",
-                "when would you like to have your home sold",
-                "ideally, when would you like"
-            ],
-            fieldName: 'Timeline'
-        });
-
-        this.questionMappings.set('askingPrice', {
-            questions: [
-                "What price are you hoping to get for your home?",
-                "what price are you hoping",
-                "price are you hoping to get"
-            ],
-            fieldName: 'Asking Price'
-        });
-
-        this.questionMappings.set('opennessToRelist', {
-            questions: [
-                "If a great buyer came along, would you be open to working with an agent",
-                "would you be open to working with an agent",
-                "great buyer came along"
-            ],
-            fieldName: 'Openness to Re-list'
-        });
+        // Direct question-to-field mappings from VAPI prompt (field-schema.json "questions")
+        for (const field of getFieldDefinitions()) {
+            if (field.questions.length === 0) continue;
+            this.questionMappings.set(field.key, {
+                questions: field.questions,
+                fieldName: field.ghlField
+            });
+        }
     }
 
     extractFieldFromSummary(summary, fieldKey) {
@@ -105,17 +44,26 @@ export class SimpleQuestionMapper {
             const answer = this.extractAnswer(afterQuestion);
             if (answer) {
                 console.log(`📋 Found answer for ${mapping.fieldName}: "${answer}"`);
-                return {
+                const answerEnd = summary.indexOf(answer, questionIndex) + answer.length;
+                return this.withNormalization(fieldKey, {
                     value: answer,
                     confidence: 90,
-                    source: 'question_mapping'
-                };
+                    source: 'question_mapping',
+                    matchedText: summary.substring(questionIndex, answerEnd)
+                });
             }
         }
 
         return null;
     }
 
+    // Apply the field's schema normalizer; the spoken answer is kept as rawValue
+    withNormalization(fieldKey, result) {
+        const normalized = normalizeFieldValue(fieldKey, result.value);
+        if (!normalized || normalized.value === result.value) return result;
+        return { ...result, value: normalized.value, rawValue: result.value };
+    }
+
     extractAnswer(textAfterQuestion) {
         // Clean up the text
         let text = textAfterQuestion.trim();
@@ -163,61 +111,21 @@ export class SimpleQuestionMapper {
         const summaryLower = summary.toLowerCase();
 
         // Direct extraction based on summary content
-        // Motivation: Look for selling reasons with broader patterns (priority order matters)
-        if (summaryLower.includes('frustrated') && (summaryLower.includes('agent') || summaryLower.includes('calls'))) {
+        // Motivation: category from selling reasons in the summary
+        const motivation = normalizeMotivation(summary);
+        if (motivation) {
             extractedFields.motivation = {
-                value: 'Frustrated by agent calls',
-                confidence: 90,
-                source: 'direct_extraction'
-            };
-        } else if (summaryLower.includes('save commission') || summaryLower.includes('saving commission') || summaryLower.includes('avoid commission') || (summaryLower.includes('commission') && (summaryLower.includes('save') || summaryLower.includes('avoid')))) {
-            extractedFields.motivation = {
-                value: 'Save commission',
-                confidence: 85,
-                source: 'direct_extraction'
-            };
-        } else if (summaryLower.includes('to move to') || summaryLower.includes('moving to') || summaryLower.includes('relocat')) {
-            extractedFields.motivation = {
-                value: 'Relocation',
-                confidence: 85,
-                source: 'direct_extraction'
-            };
-        } else if (summaryLower.includes('get the most money') || summaryLower.includes('maximize') || summaryLower.includes('most money')) {
-            extractedFields.motivation = {
-                value: 'Get the most money',
+                value: motivation.value,
                 confidence: 85,
                 source: 'direct_extraction'
             };
-        } else if (summaryLower.includes('sell') && (summaryLower.includes('quickly') || summaryLower.includes('fast') || summaryLower.includes('soon'))) {
-            extractedFields.motivation = {
-                value: 'Quick sale',
-                confidence: 80,
-                source: 'direct_extraction'
-            };
         }
 
-        // Expectations: Look for price or process expectations with broader patterns
-        const millionMatch = summary.match(/\$?([\d,]+\.?\d*)\s*(?:million|mil|M)/i);
-        const thousandMatch = summary.match(/\$?([\d,]+)(?:,000|k)/i);
-        const dollarMatch = summary.match(/\$[\d,]+(?:\.\d{2})?(?!\s*(?:million|mil|M|k|thousand))/i);
-        
-        if (millionMatch) {
-            const amount = millionMatch[1];
-            extractedFields.expectations = {
-                value: `$${amount}M`,
-                confidence: 90,
-                source: 'direct_extraction'
-            };
-        } else if (thousandMatch) {
-            const amount = thousandMatch[1];
+        // Expectations: price expectation, else the process expectation
+        const price = normalizePrice(summary);
+        if (price) {
             extractedFields.expectations = {
-                value: `$${amount}K`,
-                confidence: 90,
-                source: 'direct_extraction'
-            };
-        } else if (dollarMatch) {
-            extractedFields.expectations = {
-                value: dollarMatch[0],
+                value: price.value,
                 confidence: 90,
                 source: 'direct_extraction'
             };
@@ -229,45 +137,24 @@ export class SimpleQuestionMapper {
             };
         }
 
-        // Timeline: Look for time references
-        const monthMatch = summary.match(/by\s+(january|february|march|april|may|june|july|august|september|october|november|december)/i);
-        if (monthMatch) {
+        // Timeline: relative dates resolved to a target month
+        const timeline = normalizeTimeline(summary);
+        if (timeline) {
             extractedFields.timeline = {
-                value: monthMatch[1],
-                confidence: 90,
-                source: 'direct_extraction'
-            };
-        } else if (summaryLower.includes('year-end') || summaryLower.includes('by year-end')) {
-            extractedFields.timeline = {
-                value: 'Year-end',
+                value: timeline.value,
                 confidence: 90,
                 source: 'direct_extraction'
             };
         }
 
-        // Next Destination: Look for location references with broader patterns
-        const moveToMatch = summary.match(/(?:to move to|moving to|relocat(?:ing)? to)\s+([A-Za-z\s]+?)(?:,|\.|$)/i);
-        const stateMatch = summary.match(/(?:in|to)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)\s*(?:for|because|due)/i);
-        const cityStateMatch = summary.match(/(?:in|to)\s+([A-Z][a-z]+,?\s+[A-Z]{2})\b/i);
-        
-        if (moveToMatch) {
+        // Next Destination: where they are moving (city/state)
+        const destination = normalizeDestination(summary);
+        if (destination) {
             extractedFields.nextDestination = {
-                value: moveToMatch[1].trim(),
-                confidence: 90,
-                source: 'direct_extraction'
-            };
-        } else if (cityStateMatch) {
-            extractedFields.nextDestination = {
-                value: cityStateMatch[1].trim(),
+                value: destination.value,
                 confidence: 85,
                 source: 'direct_extraction'
             };
-        } else if (stateMatch) {
-            extractedFields.nextDestination = {
-                value: stateMatch[1].trim(),
-                confidence: 80,
-                source: 'direct_extraction'
-            };
         }
 
         // Disappointments: Look for frustration or disappointment mentions with broader patterns
@@ -376,6 +263,22 @@ export class SimpleQuestionMapper {
         return extractedFields;
     }
 
+    // Fields every call writes regardless of how the answers were extracted
+    getSystemFields(summary) {
+        return {
+            'Last Contact': {
+                value: new Date().toISOString().split('T')[0],
+                confidence: 100,
+                source: 'system'
+            },
+            'latest Call Summary': {
+                value: summary,
+                confidence: 100,
+                source: 'system'
+            }
+        };
+    }
+
     // Main extraction method
     async extractFromSummary(summary) {
         console.log('🎯 Using simple question-based mapping');
@@ -403,17 +306,7 @@ export class SimpleQuestionMapper {
         }
 
         // Add system fields
-        extractedFields['Last Contact'] = {
-            value: new Date().toISOString().split('T')[0],
-            confidence: 100,
-            source: 'system'
-        };
-
-        extractedFields['latest Call Summary'] = {
-            value: summary,
-            confidence: 100,
-            source: 'system'
-        };
+        Object.assign(extractedFields, this.getSystemFields(summary));
 
         console.log(`✅ Question-based extraction completed: ${Object.keys(extractedFields).length} fields`);
         return extractedFields;
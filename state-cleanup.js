@@ -0,0 +1,67 @@
+// state-cleanup.js - Expire integration state that is only needed for a while
+// On DynamoDB these records carry a TTL. On the other backends processed call and webhook IDs, live answers,
+// reviewed values and unanswered call streaks are deleted once they are older than STATE_RETENTION_DAYS (scheduled run, once a day)
+import { createStateStore, getStateStoreBackend, getRetentionDays } from './state-store.js';
+import { CallDedupManager } from './call-dedup.js';
+import { LiveAnswerStore } from './live-answers.js';
+import { FieldReviewQueue } from './review-queue.js';
+import { UnansweredStreakStore } from './retry-cadence.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The scheduled run fires every 15 minutes; listing whole namespaces that often isn't needed
+const PRUNE_INTERVAL_MS = DAY_MS;
+
+export { getRetentionDays };
+
+// Stores that are pruned: name → object with prune(maxAgeMs, { now })
+function defaultTargets() {
+    return {
+        processedCalls: new CallDedupManager(),
+        ghlWebhooks: new CallDedupManager(createStateStore('processed-ghl-webhooks')),
+        liveAnswers: new LiveAnswerStore(),
+        reviews: new FieldReviewQueue(),
+        unansweredStreaks: new UnansweredStreakStore()
+    };
+}
+
+// Prune every target; skipped (with lastPrunedAt) if the last prune was less than a day ago unless force is set,
+// and skipped on DynamoDB, where the TTL expires the same records
+// Returns { pruned: { name: count }, errors: { name: message }, retentionDays }
+export async function pruneExpiredState({
+    now = new Date(),
+    backend = getStateStoreBackend(),
+    targets = defaultTargets(),
+    marker = createStateStore('maintenance', backend),
+    force = false
+} = {}) {
+    if (backend === 'dynamodb') {
+        return { skipped: true, expiredBy: 'dynamodb-ttl' };
+    }
+
+    const last = await marker.get('last-prune');
+    if (!force && last?.prunedAt && now.getTime() - new Date(last.prunedAt).getTime() < PRUNE_INTERVAL_MS) {
+        return { skipped: true, lastPrunedAt: last.prunedAt };
+    }
+
+    const retentionDays = getRetentionDays();
+    const pruned = {};
+    const errors = {};
+
+    for (const [name, target] of Object.entries(targets)) {
+        try {
+            pruned[name] = await target.prune(retentionDays * DAY_MS, { now });
+        } catch (error) {
+            console.error(`⚠️ Could not prune ${name}:`, error.message);
+            errors[name] = error.message;
+        }
+    }
+
+    await marker.put('last-prune', { prunedAt: now.toISOString(), pruned });
+    const total = Object.values(pruned).reduce((sum, count) => sum + count, 0);
+    console.log(`🧹 Pruned ${total} expired state record(s) older than ${retentionDays} days`);
+
+    return { pruned, errors, retentionDays };
+}
+
+export default { pruneExpiredState, getRetentionDays };
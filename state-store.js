@@ -0,0 +1,416 @@
+// state-store.js - Pluggable key/value store for integration state (processed calls, queues, history)
+// Backends: DynamoDB with TTL (Lambda), SSM Parameter Store, JSON file and in-memory (local runs and tests)
+import fs from 'fs';
+import path from 'path';
+import {
+    DynamoDBClient,
+    GetItemCommand,
+    PutItemCommand,
+    DeleteItemCommand,
+    QueryCommand
+} from '@aws-sdk/client-dynamodb';
+import {
+    SSMClient,
+    GetParameterCommand,
+    PutParameterCommand,
+    DeleteParameterCommand,
+    GetParametersByPathCommand
+} from '@aws-sdk/client-ssm';
+
+// Parameter Store root for integration state
+const SSM_STATE_ROOT = '/vapi-ghl-integration/state';
+
+// Standard parameters hold up to 4 KB
+const SSM_MAX_VALUE_BYTES = 4096;
+
+const DEFAULT_TABLE_NAME = 'vapi-ghl-integration-state';
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shared in-memory data so every store for a namespace sees the same records
+const memoryData = new Map();
+
+// Keep keys safe for SSM parameter names and file storage
+function sanitizeKey(key) {
+    return String(key)
+        .split('/')
+        .map(segment => segment.replace(/[^a-zA-Z0-9_.-]/g, '_'))
+        .filter(Boolean)
+        .join('/');
+}
+
+// Filter for list(prefix): a trailing "/" means that folder only ("contact-1/" doesn't match "contact-10/...")
+function prefixMatcher(prefix) {
+    const safePrefix = sanitizeKey(prefix);
+    if (`${prefix}`.endsWith('/') && safePrefix) {
+        return key => key.startsWith(`${safePrefix}/`);
+    }
+    return key => key.startsWith(safePrefix);
+}
+
+// In-memory store (single process only)
+class MemoryStateStore {
+    constructor(namespace) {
+        this.namespace = namespace;
+        if (!memoryData.has(namespace)) {
+            memoryData.set(namespace, new Map());
+        }
+        this.data = memoryData.get(namespace);
+    }
+
+    async get(key) {
+        const value = this.data.get(sanitizeKey(key));
+        return value === undefined ? null : structuredClone(value);
+    }
+
+    async put(key, value) {
+        this.data.set(sanitizeKey(key), structuredClone(value));
+        return true;
+    }
+
+    async putIfAbsent(key, value) {
+        const safeKey = sanitizeKey(key);
+        if (this.data.has(safeKey)) return false;
+        this.data.set(safeKey, structuredClone(value));
+        return true;
+    }
+
+    async delete(key) {
+        return this.data.delete(sanitizeKey(key));
+    }
+
+    async list(prefix = '') {
+        const matches = prefixMatcher(prefix);
+        return [...this.data.entries()]
+            .filter(([key]) => matches(key))
+            .map(([key, value]) => ({ key, value: structuredClone(value) }));
+    }
+
+    // Clear all records in this namespace (tests)
+    async clear() {
+        this.data.clear();
+    }
+}
+
+// JSON file store - one file per namespace (local runs that should survive restarts)
+class FileStateStore {
+    constructor(namespace, directory = process.env.STATE_STORE_DIR || '.state') {
+        this.namespace = namespace;
+        this.filePath = path.join(directory, `${sanitizeKey(namespace).replace(/\//g, '_')}.json`);
+    }
+
+    readAll() {
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️ Could not read state file ${this.filePath}:`, error.message);
+            }
+            return {};
+        }
+    }
+
+    writeAll(data) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2));
+    }
+
+    async get(key) {
+        const data = this.readAll();
+        return data[sanitizeKey(key)] ?? null;
+    }
+
+    async put(key, value) {
+        const data = this.readAll();
+        data[sanitizeKey(key)] = value;
+        this.writeAll(data);
+        return true;
+    }
+
+    async putIfAbsent(key, value) {
+        const data = this.readAll();
+        const safeKey = sanitizeKey(key);
+        if (safeKey in data) return false;
+        data[safeKey] = value;
+        this.writeAll(data);
+        return true;
+    }
+
+    async delete(key) {
+        const data = this.readAll();
+        const safeKey = sanitizeKey(key);
+        if (!(safeKey in data)) return false;
+        delete data[safeKey];
+        this.writeAll(data);
+        return true;
+    }
+
+    async list(prefix = '') {
+        const matches = prefixMatcher(prefix);
+        return Object.entries(this.readAll())
+            .filter(([key]) => matches(key))
+            .map(([key, value]) => ({ key, value }));
+    }
+
+    async clear() {
+        this.writeAll({});
+    }
+}
+
+// SSM Parameter Store backend (shared across Lambda containers and async invocations)
+class SSMStateStore {
+    constructor(namespace, client = null) {
+        this.namespace = namespace;
+        this.basePath = `${SSM_STATE_ROOT}/${sanitizeKey(namespace)}`;
+        this.maxValueBytes = SSM_MAX_VALUE_BYTES;
+        this.client = client || new SSMClient({ region: 'us-east-2' });
+    }
+
+    parameterName(key) {
+        return `${this.basePath}/${sanitizeKey(key)}`;
+    }
+
+    async get(key) {
+        try {
+            const response = await this.client.send(new GetParameterCommand({ Name: this.parameterName(key) }));
+            return JSON.parse(response.Parameter?.Value || 'null');
+        } catch (error) {
+            if (error.name === 'ParameterNotFound') return null;
+            throw error;
+        }
+    }
+
+    // Standard tier only: refuse values that don't fit instead of paying for Advanced parameters
+    serialize(key, value) {
+        const json = JSON.stringify(value);
+        const size = Buffer.byteLength(json, 'utf8');
+        if (size > this.maxValueBytes) {
+            throw new Error(`State record ${this.namespace}/${sanitizeKey(key)} is ${size} bytes - SSM parameters hold at most ${this.maxValueBytes}`);
+        }
+        return json;
+    }
+
+    async put(key, value) {
+        await this.client.send(new PutParameterCommand({
+            Name: this.parameterName(key),
+            Value: this.serialize(key, value),
+            Type: 'String',
+            Tier: 'Standard',
+            Overwrite: true
+        }));
+        return true;
+    }
+
+    // Atomic claim: PutParameter without Overwrite fails if the key already exists
+    async putIfAbsent(key, value) {
+        try {
+            await this.client.send(new PutParameterCommand({
+                Name: this.parameterName(key),
+                Value: this.serialize(key, value),
+                Type: 'String',
+                Tier: 'Standard',
+                Overwrite: false
+            }));
+            return true;
+        } catch (error) {
+            if (error.name === 'ParameterAlreadyExists') return false;
+            throw error;
+        }
+    }
+
+    async delete(key) {
+        try {
+            await this.client.send(new DeleteParameterCommand({ Name: this.parameterName(key) }));
+            return true;
+        } catch (error) {
+            if (error.name === 'ParameterNotFound') return false;
+            throw error;
+        }
+    }
+
+    async list(prefix = '') {
+        const safePrefix = sanitizeKey(prefix);
+        const matches = prefixMatcher(prefix);
+        const results = [];
+        let nextToken;
+
+        // Only read below the prefix's folder ("contact-1/" → .../contact-1), not the whole namespace
+        const folder = `${prefix}`.endsWith('/') ? safePrefix
+            : safePrefix.includes('/') ? safePrefix.substring(0, safePrefix.lastIndexOf('/')) : '';
+        const path = folder ? `${this.basePath}/${folder}` : this.basePath;
+
+        do {
+            const response = await this.client.send(new GetParametersByPathCommand({
+                Path: path,
+                Recursive: true,
+                NextToken: nextToken
+            }));
+
+            for (const parameter of response.Parameters || []) {
+                const key = parameter.Name.substring(this.basePath.length + 1);
+                if (matches(key)) {
+                    results.push({ key, value: JSON.parse(parameter.Value || 'null') });
+                }
+            }
+            nextToken = response.NextToken;
+        } while (nextToken);
+
+        return results;
+    }
+}
+
+// DynamoDB backend: one table, partition key "namespace", sort key "key", JSON in "value"
+// Records written with { expiresAt } carry a TTL attribute, so DynamoDB deletes them itself
+// (the other backends ignore { expiresAt }; state-cleanup.js prunes them instead)
+class DynamoDBStateStore {
+    constructor(namespace, client = null, tableName = process.env.STATE_TABLE_NAME || DEFAULT_TABLE_NAME) {
+        this.namespace = namespace;
+        this.tableName = tableName;
+        this.client = client || new DynamoDBClient({ region: process.env.AWS_REGION || 'us-east-2' });
+    }
+
+    itemKey(key) {
+        return { namespace: { S: this.namespace }, key: { S: sanitizeKey(key) } };
+    }
+
+    item(key, value, expiresAt) {
+        const item = { ...this.itemKey(key), value: { S: JSON.stringify(value) } };
+        if (expiresAt) {
+            item.expiresAt = { N: String(Math.floor(new Date(expiresAt).getTime() / 1000)) };
+        }
+        return item;
+    }
+
+    // TTL deletion can lag by a day or more, so expired items are treated as gone
+    isLive(item, now = Date.now()) {
+        return Boolean(item) && !(item.expiresAt && Number(item.expiresAt.N) * 1000 <= now);
+    }
+
+    async get(key) {
+        const response = await this.client.send(new GetItemCommand({
+            TableName: this.tableName,
+            Key: this.itemKey(key),
+            ConsistentRead: true
+        }));
+        return this.isLive(response.Item) ? JSON.parse(response.Item.value?.S || 'null') : null;
+    }
+
+    async put(key, value, { expiresAt = null } = {}) {
+        await this.client.send(new PutItemCommand({
+            TableName: this.tableName,
+            Item: this.item(key, value, expiresAt)
+        }));
+        return true;
+    }
+
+    // Atomic claim: the put only succeeds if no live item has the key
+    async putIfAbsent(key, value, { expiresAt = null } = {}) {
+        try {
+            await this.client.send(new PutItemCommand({
+                TableName: this.tableName,
+                Item: this.item(key, value, expiresAt),
+                ConditionExpression: 'attribute_not_exists(#key) OR #expiresAt <= :now',
+                ExpressionAttributeNames: { '#key': 'key', '#expiresAt': 'expiresAt' },
+                ExpressionAttributeValues: { ':now': { N: String(Math.floor(Date.now() / 1000)) } }
+            }));
+            return true;
+        } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException') return false;
+            throw error;
+        }
+    }
+
+    async delete(key) {
+        const response = await this.client.send(new DeleteItemCommand({
+            TableName: this.tableName,
+            Key: this.itemKey(key),
+            ReturnValues: 'ALL_OLD'
+        }));
+        return this.isLive(response.Attributes);
+    }
+
+    async list(prefix = '') {
+        const safePrefix = sanitizeKey(prefix);
+        const matches = prefixMatcher(prefix);
+        const results = [];
+        const now = Date.now();
+        let startKey;
+
+        do {
+            const response = await this.client.send(new QueryCommand({
+                TableName: this.tableName,
+                KeyConditionExpression: safePrefix ? '#namespace = :namespace AND begins_with(#key, :prefix)' : '#namespace = :namespace',
+                ExpressionAttributeNames: safePrefix ? { '#namespace': 'namespace', '#key': 'key' } : { '#namespace': 'namespace' },
+                ExpressionAttributeValues: safePrefix
+                    ? { ':namespace': { S: this.namespace }, ':prefix': { S: safePrefix } }
+                    : { ':namespace': { S: this.namespace } },
+                ConsistentRead: true,
+                ExclusiveStartKey: startKey
+            }));
+
+            for (const item of response.Items || []) {
+                if (this.isLive(item, now) && matches(item.key.S)) {
+                    results.push({ key: item.key.S, value: JSON.parse(item.value?.S || 'null') });
+                }
+            }
+            startKey = response.LastEvaluatedKey;
+        } while (startKey);
+
+        return results;
+    }
+}
+
+// Days to keep short-lived state (processed call IDs, live answers, reviewed values)
+export function getRetentionDays() {
+    const days = parseFloat(process.env.STATE_RETENTION_DAYS);
+    return Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+// Expiry for a short-lived record written now - pass as put(key, value, { expiresAt })
+export function retentionExpiry(from = new Date()) {
+    return new Date(new Date(from).getTime() + getRetentionDays() * DAY_MS);
+}
+
+// Delete the records whose timestamp (read from each value by timestampOf) is older than maxAgeMs
+// Records without a readable timestamp are kept; returns the number deleted
+export async function pruneOlderThan(store, maxAgeMs, timestampOf, { now = new Date(), prefix = '' } = {}) {
+    const cutoff = now.getTime() - maxAgeMs;
+    let deleted = 0;
+
+    for (const { key, value } of await store.list(prefix)) {
+        const time = new Date(timestampOf(value) ?? NaN).getTime();
+        if (Number.isFinite(time) && time < cutoff) {
+            await store.delete(key);
+            deleted++;
+        }
+    }
+
+    return deleted;
+}
+
+// Pick the backend: STATE_STORE_BACKEND=dynamodb|ssm|file|memory (defaults to dynamodb on Lambda, memory locally)
+export function getStateStoreBackend() {
+    if (process.env.STATE_STORE_BACKEND) {
+        return process.env.STATE_STORE_BACKEND.toLowerCase();
+    }
+    return process.env.AWS_LAMBDA_FUNCTION_NAME ? 'dynamodb' : 'memory';
+}
+
+// Create a store for a namespace (e.g. 'processed-calls')
+export function createStateStore(namespace, backend = getStateStoreBackend()) {
+    switch (backend) {
+        case 'dynamodb':
+            return new DynamoDBStateStore(namespace);
+        case 'ssm':
+            return new SSMStateStore(namespace);
+        case 'file':
+            return new FileStateStore(namespace);
+        case 'memory':
+            return new MemoryStateStore(namespace);
+        default:
+            throw new Error(`Unknown state store backend: ${backend}`);
+    }
+}
+
+export { MemoryStateStore, FileStateStore, SSMStateStore, DynamoDBStateStore };
+export default createStateStore;
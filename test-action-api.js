@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+// Test the action API: API key auth, routing, trigger-call and bulk-trigger
+// Runs fully offline - contacts live in the fake GHL API and no call reaches VAPI
+
+import { FakeGHLServer } from './fake-ghl-server.js';
+import { PITTokenManager } from './pit-token-manager.js';
+import { isActionRequest, authorizeActionRequest, handleActionRequest, actions } from './action-api.js';
+import { check, finish } from './test-helpers.js';
+
+console.log('⚙️ ACTION API TEST');
+console.log('='.repeat(80));
+
+const API_KEY = 'test-action-key';
+const withKey = (key = API_KEY) => ({ headers: { 'Content-Type': 'application/json', 'x-api-key': key } });
+const bodyOf = response => JSON.parse(response.body);
+
+const ghl = new FakeGHLServer({
+    seed: {
+        contacts: [
+            { id: 'contact-known', firstName: 'Jordan', lastName: 'Lee', phone: '+12125550101', timezone: 'America/New_York' },
+            { id: 'contact-by-phone', firstName: 'Avery', phone: '+12125550102', timezone: 'America/New_York' },
+            { id: 'contact-dnd', firstName: 'Morgan', phone: '+12125550103', timezone: 'America/New_York', dnd: true }
+        ]
+    }
+});
+process.env.GHL_BASE_URL = await ghl.start();
+process.env.GHL_PIT_TOKEN = ghl.token;
+process.env.GHL_LOCATION_ID = ghl.locationId;
+delete process.env.BULK_TRIGGER_MAX;
+
+// Stand-in for triggerOutboundCall: records the contact and answers by phone number
+const dialed = [];
+async function fakeTrigger(contact, options) {
+    dialed.push({ contact, options });
+    const base = { contactId: contact.id, phone: contact.phone, triggerReason: options.reason };
+    if (contact.phone === '+12125550199') throw new Error('VAPI unreachable');
+    if (contact.phone === '+12125550102') {
+        return { ...base, success: false, queued: true, scheduledFor: '2030-01-02T14:00:00.000Z', timezone: 'America/New_York' };
+    }
+    if (contact.phone === '+12125550104') return { ...base, success: false, error: 'VAPI rejected the call' };
+    if (contact.phone === '+12125550105') {
+        return { ...base, success: false, retryable: true, error: 'Could not load contact from GHL: Service Unavailable' };
+    }
+    return { ...base, success: true, callId: `call-${dialed.length}` };
+}
+
+try {
+    const pitTokenManager = new PITTokenManager();
+    await pitTokenManager.loadToken();
+    const context = { pitTokenManager, triggerCall: fakeTrigger };
+
+    console.log('');
+    console.log('🔑 Authentication');
+    check('Requests with an action are action requests', isActionRequest({ action: 'trigger-call' }) &&
+        !isActionRequest({ message: { type: 'end-of-call-report' } }) && !isActionRequest({ action: '' }));
+
+    delete process.env.ACTION_API_KEY;
+    const unconfigured = await handleActionRequest(withKey(), { action: 'list-reviews' }, context);
+    check('Without ACTION_API_KEY every request is refused', unconfigured.statusCode === 401 &&
+        bodyOf(unconfigured).message === 'Action API is not configured');
+    process.env.ACTION_API_KEY = API_KEY;
+
+    const missing = await handleActionRequest({ headers: {} }, { action: 'trigger-call', contactId: 'contact-known' }, context);
+    check('A missing API key is a 401', missing.statusCode === 401 && bodyOf(missing).message === 'Missing API key');
+    const wrong = await handleActionRequest(withKey('test-action-kez'), { action: 'trigger-call', contactId: 'contact-known' }, context);
+    const short = await handleActionRequest(withKey('nope'), { action: 'trigger-call', contactId: 'contact-known' }, context);
+    check('A wrong API key is a 401, whatever its length', wrong.statusCode === 401 && short.statusCode === 401 &&
+        bodyOf(wrong).message === 'Invalid API key');
+    check('Refused requests never dial or reach GHL', dialed.length === 0 && ghl.requests.length === 0);
+    check('Authorization: Bearer is accepted as well as x-api-key', authorizeActionRequest({ headers: { Authorization: `Bearer ${API_KEY}` } }).authorized &&
+        authorizeActionRequest({ headers: { 'X-Api-Key': API_KEY } }).authorized);
+
+    console.log('');
+    console.log('🧭 Routing');
+    const unknown = await handleActionRequest(withKey(), { action: 'delete-everything' }, context);
+    check('An unknown action is a 404 listing the available ones', unknown.statusCode === 404 &&
+        JSON.stringify(bodyOf(unknown).availableActions) === JSON.stringify(Object.keys(actions)));
+    const reviews = await handleActionRequest(withKey(), { action: 'list-reviews', contactId: 'contact-nobody' }, context);
+    check('Known actions are routed to their handler', reviews.statusCode === 200 && bodyOf(reviews).count === 0);
+
+    console.log('');
+    console.log('📞 trigger-call');
+    const noTarget = await handleActionRequest(withKey(), { action: 'trigger-call' }, context);
+    check('contactId or phone is required', noTarget.statusCode === 400 && dialed.length === 0);
+
+    const started = await handleActionRequest(withKey(), { action: 'trigger-call', contactId: 'contact-known' }, context);
+    check('An existing contact is called with its GHL record', started.statusCode === 200 && bodyOf(started).callId === 'call-1' &&
+        dialed[0].contact.id === 'contact-known' && dialed[0].contact.phone === '+12125550101' &&
+        dialed[0].options.reason === 'api:trigger-call' && bodyOf(started).contactCreated === false);
+
+    const created = await handleActionRequest(withKey(), { action: 'trigger-call', phone: '(212) 555-0150', name: 'Sam Rivera Jr' }, context);
+    const newContact = [...ghl.contacts.values()].find(contact => contact.phone === '+12125550150');
+    check('An unknown phone creates the contact before calling', created.statusCode === 200 && bodyOf(created).contactCreated === true &&
+        newContact?.firstName === 'Sam' && newContact.lastName === 'Rivera Jr' && dialed[1].contact.id === newContact.id);
+
+    const missingContact = await handleActionRequest(withKey(), { action: 'trigger-call', contactId: 'contact-gone', phone: '+12125550102' }, context);
+    check('A contact ID GHL does not know falls back to the phone and queues outside calling hours', missingContact.statusCode === 202 &&
+        bodyOf(missingContact).contactId === 'contact-by-phone' && bodyOf(missingContact).scheduledFor === '2030-01-02T14:00:00.000Z');
+
+    const failed = await handleActionRequest(withKey(), { action: 'trigger-call', phone: '+12125550104' }, context);
+    check('A call VAPI refuses is a 502 with the error', failed.statusCode === 502 && bodyOf(failed).error === 'VAPI rejected the call');
+
+    const unavailable = await handleActionRequest(withKey(), { action: 'trigger-call', phone: '+12125550105' }, context);
+    check('A failed GHL lookup is a 502 marked retryable', unavailable.statusCode === 502 && bodyOf(unavailable).retryable === true &&
+        bodyOf(failed).retryable === false);
+
+    const crashed = await handleActionRequest(withKey(), { action: 'trigger-call', phone: '+12125550199' }, context);
+    check('A trigger that throws is a 502, not an exception', crashed.statusCode === 502 && bodyOf(crashed).error === 'VAPI unreachable');
+
+    const dialedBefore = dialed.length;
+    const blocked = await handleActionRequest(withKey(), { action: 'trigger-call', contactId: 'contact-dnd' }, { pitTokenManager });
+    check('A DND contact is refused with a 409 by the real outbound path', blocked.statusCode === 409 &&
+        bodyOf(blocked).blocked === 'dnd' && dialed.length === dialedBefore);
+
+    console.log('');
+    console.log('📦 bulk-trigger');
+    const notArray = await handleActionRequest(withKey(), { action: 'bulk-trigger', contacts: 'contact-known' }, context);
+    const empty = await handleActionRequest(withKey(), { action: 'bulk-trigger', contacts: [] }, context);
+    check('contacts must be a non-empty array', notArray.statusCode === 400 && empty.statusCode === 400);
+
+    process.env.BULK_TRIGGER_MAX = '3';
+    const dialedBeforeLimit = dialed.length;
+    const tooMany = await handleActionRequest(withKey(), {
+        action: 'bulk-trigger',
+        contacts: [{ contactId: 'a' }, { contactId: 'b' }, { contactId: 'c' }, { contactId: 'd' }]
+    }, context);
+    check('Batches over BULK_TRIGGER_MAX are refused before any call', tooMany.statusCode === 400 &&
+        /limit is 3/.test(bodyOf(tooMany).error) && dialed.length === dialedBeforeLimit);
+    delete process.env.BULK_TRIGGER_MAX;
+
+    const bulk = await handleActionRequest(withKey(), {
+        action: 'bulk-trigger',
+        contacts: [
+            { contactId: 'contact-known' },
+            { name: 'No Number' },
+            { phone: '+12125550102' },
+            { phone: '+12125550104' },
+            { phone: '+12125550199' },
+            { phone: '+12125550105' }
+        ]
+    }, context);
+    const bulkBody = bodyOf(bulk);
+    const [known, noNumber, queued, refused, thrown, lookupFailed] = bulkBody.results;
+    check('Every contact gets a result in request order', bulk.statusCode === 200 &&
+        bulkBody.results.map(result => result.index).join(',') === '0,1,2,3,4,5');
+    check('Started calls carry their call ID', known.success === true && known.contactId === 'contact-known' && /^call-/.test(known.callId));
+    check('A contact without ID or phone fails on its own', noNumber.success === false && noNumber.error === 'contactId or phone is required');
+    check('Queued calls report their scheduled time', queued.queued === true && queued.scheduledFor === '2030-01-02T14:00:00.000Z');
+    check('Failed calls carry their error without stopping the batch', refused.error === 'VAPI rejected the call' &&
+        thrown.error === 'VAPI unreachable' && thrown.phone === '+12125550199');
+    check('Only failures worth resending are marked retryable', lookupFailed.retryable === true &&
+        !refused.retryable && !noNumber.retryable);
+    check('The summary counts started, failed, queued and retryable calls', bulkBody.success === false &&
+        JSON.stringify(bulkBody.summary) === JSON.stringify({ total: 6, successful: 1, failed: 4, blocked: 0, queued: 1, retryable: 1 }));
+    check('Bulk calls are tagged with their trigger reason', dialed.slice(-5).every(entry => entry.options.reason === 'api:bulk-trigger'));
+
+    console.log('');
+    console.log('🌐 Through the handler');
+    const { handler } = await import('./index.js');
+    const viaHandler = await handler({ ...withKey('wrong-key'), body: JSON.stringify({ action: 'trigger-call', contactId: 'contact-known' }) });
+    check('The Lambda handler routes actions through the API key check', viaHandler.statusCode === 401);
+    const listed = await handler({ ...withKey(), body: JSON.stringify({ action: 'list-reviews' }) });
+    check('An authorized action is answered by the handler', listed.statusCode === 200 && bodyOf(listed).success === true);
+} finally {
+    await ghl.stop();
+}
+
+finish();
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+// Test on-call roster and business hours used by ghl_transfer_to_agent, and the function itself
+// Runs fully offline with a fixed clock; the transfer calls go to the fake GHL API (fake-ghl-server.js)
+
+import { findAvailableAgent, isWithinHours, parseHoursSpec } from './agent-roster.js';
+import { FakeGHLServer } from './fake-ghl-server.js';
+import { check, finish } from './test-helpers.js';
+
+console.log('🔀 AGENT ROSTER / BUSINESS HOURS TEST');
+console.log('='.repeat(80));
+
+const businessHours = { hours: 'mon-fri 09:00-18:00; sat 10:00-14:00', timezone: 'America/New_York' };
+const roster = [
+    { name: 'Rich', phone: '+15550000001', hours: 'mon-fri 09:00-12:00' },
+    { name: 'Dana', phone: '+15550000002', onCall: false },
+    { name: 'Sam', phone: '+15550000003' }
+];
+
+// Wednesday 2025-09-17 in New York (EDT, UTC-4)
+const wednesdayMorning = new Date('2025-09-17T14:30:00Z'); // 10:30 ET
+const wednesdayAfternoon = new Date('2025-09-17T19:00:00Z'); // 15:00 ET
+const wednesdayNight = new Date('2025-09-18T01:00:00Z'); // 21:00 ET
+const sunday = new Date('2025-09-21T16:00:00Z'); // Sunday 12:00 ET
+
+console.log('');
+console.log('🕘 Hours parsing');
+check('Day ranges expand (mon-fri = 5 days)', parseHoursSpec('mon-fri 09:00-18:00')[0].days.size === 5);
+check('Wrap-around day ranges expand (fri-mon = 4 days)', parseHoursSpec('fri-mon 09:00-17:00')[0].days.size === 4);
+check('10:30 ET Wednesday is inside business hours', isWithinHours(businessHours.hours, wednesdayMorning, businessHours.timezone));
+check('Same instant is outside hours in Los Angeles (07:30)', !isWithinHours(businessHours.hours, wednesdayMorning, 'America/Los_Angeles'));
+check('Sunday is outside business hours', !isWithinHours(businessHours.hours, sunday, businessHours.timezone));
+
+console.log('');
+console.log('👥 Roster');
+const morning = findAvailableAgent({ now: wednesdayMorning, roster, businessHours });
+check('Morning transfer goes to the first on-call agent (Rich)', morning.available && morning.agent.name === 'Rich');
+
+const afternoon = findAvailableAgent({ now: wednesdayAfternoon, roster, businessHours });
+check('Afternoon skips off-shift and off-call agents (Sam)', afternoon.available && afternoon.agent.name === 'Sam');
+
+const night = findAvailableAgent({ now: wednesdayNight, roster, businessHours });
+check('After hours nobody is available', !night.available && night.reason === 'outside_business_hours');
+
+const empty = findAvailableAgent({ now: wednesdayMorning, roster: [], businessHours });
+check('Empty roster reports no agent on call', !empty.available && empty.reason === 'no_agent_on_call');
+
+console.log('');
+console.log('🔀 ghl_transfer_to_agent');
+const CONTACT_ID = 'transferContact00001';
+const CALENDAR_ID = 'callbackCalendar0001';
+// An opening tomorrow at 15:00 UTC, inside the function's search window whenever the test runs
+const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+const openSlot = `${tomorrow.toISOString().split('T')[0]}T15:00:00.000Z`;
+const ghl = new FakeGHLServer({
+    seed: {
+        contacts: [{ id: CONTACT_ID, firstName: 'Avery', phone: '+15550002222' }],
+        calendars: [{ id: CALENDAR_ID, name: 'Callbacks', timezone: 'UTC', slotDuration: 30 }],
+        freeSlots: { [CALENDAR_ID]: { [openSlot.split('T')[0]]: [openSlot] } }
+    }
+});
+
+// vapi-functions.js loads its token on import, so the fake has to be configured first
+process.env.GHL_BASE_URL = await ghl.start();
+process.env.GHL_PIT_TOKEN = ghl.token;
+process.env.GHL_CALENDAR_ID = CALENDAR_ID;
+process.env.BUSINESS_TIMEZONE = 'UTC';
+
+try {
+    const { ghl_transfer_to_agent } = await import('./vapi-functions.js');
+    const lastNote = () => (ghl.notes.get(CONTACT_ID) || []).at(-1)?.body || '';
+
+    process.env.BUSINESS_HOURS = 'sun-sat 00:00-24:00';
+    process.env.AGENT_ROSTER = JSON.stringify([{ name: 'Sam', phone: '+15550000003' }]);
+    const transfer = await ghl_transfer_to_agent({ contactId: CONTACT_ID, reason: 'Wants to list this week' }, { call: { id: 'call-transfer-1' } });
+    check('An available agent gets a warm transfer destination', transfer.transferred === true &&
+        transfer.destination?.type === 'number' && transfer.destination.number === '+15550000003' &&
+        transfer.destination.transferPlan?.mode === 'warm-transfer-say-message');
+    check('The transfer is logged with reason, agent and call ID', /Wants to list this week/.test(lastNote()) &&
+        /Warm transfer to Sam \(\+15550000003\)/.test(lastNote()) && /call-transfer-1/.test(lastNote()));
+
+    process.env.AGENT_ROSTER = '[]';
+    const offered = await ghl_transfer_to_agent({ contactId: CONTACT_ID }, { call: { id: 'call-transfer-2' } });
+    check('Nobody on call falls back to offering callback slots', offered.transferred === false &&
+        offered.unavailableReason === 'no_agent_on_call' && offered.callbackSlots?.[0]?.startTime === openSlot);
+    check('The offered callback is logged', /No agent available \(no_agent_on_call\) - callback offered/.test(lastNote()));
+
+    const booked = await ghl_transfer_to_agent({ contactId: CONTACT_ID, callbackTime: openSlot }, { call: { id: 'call-transfer-3' } });
+    check('A callbackTime books the callback', booked.transferred === false && booked.success === true &&
+        ghl.appointments.some(appointment => appointment.contactId === CONTACT_ID && appointment.startTime === openSlot));
+
+    process.env.BUSINESS_HOURS = 'weekdays 9 to 5';
+    process.env.AGENT_ROSTER = JSON.stringify([{ name: 'Sam', phone: '+15550000003' }]);
+    const misconfigured = await ghl_transfer_to_agent({ contactId: CONTACT_ID }, { call: { id: 'call-transfer-4' } });
+    check('Malformed BUSINESS_HOURS falls back to a callback instead of failing', misconfigured.transferred === false &&
+        misconfigured.unavailableReason === 'hours_misconfigured' && !misconfigured.error && Array.isArray(misconfigured.callbackSlots));
+
+    process.env.BUSINESS_HOURS = 'sun-sat 00:00-24:00';
+    process.env.AGENT_ROSTER = JSON.stringify([{ name: 'Sam', phone: '+15550000003', hours: 'mon-fri 9am-5pm' }]);
+    const badAgentHours = await ghl_transfer_to_agent({ contactId: CONTACT_ID }, { call: { id: 'call-transfer-5' } });
+    check('Malformed agent hours fall back to a callback too', badAgentHours.transferred === false &&
+        badAgentHours.unavailableReason === 'hours_misconfigured');
+} finally {
+    await ghl.stop();
+}
+
+finish();
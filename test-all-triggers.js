@@ -2,6 +2,12 @@
 
 // Comprehensive test for all trigger methods - MOST EFFICIENT & EFFECTIVE SETUP
 import { handler } from './index.js';
+import { GHL_SECRET_HEADER } from './ghl-webhook-handler.js';
+
+// Authenticate like a GHL workflow Custom Webhook action: GHL_WEBHOOK_SECRET in the GHL_SECRET_HEADER header
+function signed(event) {
+    return { ...event, headers: { ...event.headers, [GHL_SECRET_HEADER]: process.env.GHL_WEBHOOK_SECRET || '' } };
+}
 
 console.log('🚀 TESTING ALL TRIGGER METHODS - HYBRID APPROACH');
 console.log('='.repeat(80));
@@ -13,7 +19,7 @@ console.log('-'.repeat(50));
 
 const directApiTest = {
     httpMethod: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', 'x-api-key': process.env.ACTION_API_KEY || '' },
     body: JSON.stringify({
         action: 'trigger-call',
         contactId: 'api-contact-123',
@@ -44,7 +50,7 @@ console.log('-'.repeat(50));
 
 const bulkApiTest = {
     httpMethod: 'POST', 
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', 'x-api-key': process.env.ACTION_API_KEY || '' },
     body: JSON.stringify({
         action: 'bulk-trigger',
         contacts: [
@@ -91,8 +97,7 @@ console.log('-'.repeat(50));
 const ghlWebhookTest = {
     httpMethod: 'POST',
     headers: {
-        'Content-Type': 'application/json',
-        'x-ghl-signature': 'test_signature'
+        'Content-Type': 'application/json'
     },
     body: JSON.stringify({
         type: 'ContactCreate',
@@ -112,7 +117,7 @@ const ghlWebhookTest = {
 
 try {
     console.log('Testing GHL webhook trigger...');
-    const result3 = await handler(ghlWebhookTest);
+    const result3 = await handler(signed(ghlWebhookTest));
     const body3 = JSON.parse(result3.body);
     console.log('✅ Result:', body3.message || body3.error);
     if (body3.callId) console.log('📞 Call ID:', body3.callId);
@@ -213,9 +218,11 @@ console.log('');
 console.log('// Single Call:');
 console.log('curl -X POST https://your-lambda-url/ \\');
 console.log('  -H "Content-Type: application/json" \\');
+console.log('  -H "x-api-key: $ACTION_API_KEY" \\');
 console.log('  -d \'{"action":"trigger-call","phone":"+15551234567","name":"John Doe"}\'');
 console.log('');
 console.log('// Bulk Calls:');  
 console.log('curl -X POST https://your-lambda-url/ \\');
 console.log('  -H "Content-Type: application/json" \\');
+console.log('  -H "x-api-key: $ACTION_API_KEY" \\');
 console.log('  -d \'{"action":"bulk-trigger","contacts":[{"phone":"+1555...","name":"..."}]}\'');
\ No newline at end of file
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+// Test the appointment functions the assistant calls mid-conversation (list, reschedule, cancel)
+// Runs fully offline against the fake GHL API (fake-ghl-server.js)
+
+import { FakeGHLServer } from './fake-ghl-server.js';
+import { check, finish } from './test-helpers.js';
+
+console.log('📅 APPOINTMENT FUNCTIONS TEST');
+console.log('='.repeat(80));
+
+const CONTACT_ID = 'appointmentContact01';
+const OTHER_CONTACT_ID = 'appointmentContact02';
+const CALENDAR_ID = 'previewCalendar00001';
+
+// Far enough ahead to stay upcoming; 2 PM and 10 AM in New York
+const OCTOBER_23 = '2030-10-23T18:00:00.000Z';
+const NOVEMBER_5 = '2030-11-05T15:00:00.000Z';
+const NEW_TIME = '2030-10-24T18:00:00.000Z';
+
+const ghl = new FakeGHLServer({
+    seed: {
+        contacts: [
+            { id: CONTACT_ID, firstName: 'Riley', phone: '+15550001111' },
+            { id: OTHER_CONTACT_ID, firstName: 'Jamie', phone: '+15550002222' }
+        ],
+        customFields: [{ id: 'cf-booked', name: 'Appointment Booked', dataType: 'TEXT' }],
+        calendars: [{ id: CALENDAR_ID, name: 'Property Previews', timezone: 'America/New_York', slotDuration: 30 }],
+        appointments: [
+            { id: 'appt-oct', contactId: CONTACT_ID, calendarId: CALENDAR_ID, startTime: OCTOBER_23, endTime: '2030-10-23T18:30:00.000Z', appointmentStatus: 'confirmed' },
+            { id: 'appt-nov', contactId: CONTACT_ID, calendarId: CALENDAR_ID, startTime: NOVEMBER_5, endTime: '2030-11-05T15:30:00.000Z', appointmentStatus: 'confirmed' },
+            { id: 'appt-old', contactId: CONTACT_ID, calendarId: CALENDAR_ID, startTime: '2020-01-15T15:00:00.000Z', appointmentStatus: 'confirmed' },
+            { id: 'appt-gone', contactId: CONTACT_ID, calendarId: CALENDAR_ID, startTime: '2030-10-30T15:00:00.000Z', appointmentStatus: 'cancelled' }
+        ]
+    }
+});
+
+// vapi-functions.js loads its token on import, so the fake has to be configured first
+process.env.GHL_BASE_URL = await ghl.start();
+process.env.GHL_PIT_TOKEN = ghl.token;
+process.env.GHL_CALENDAR_ID = CALENDAR_ID;
+
+// The signed call the functions run in - it names the contact the call was placed for
+const callFor = contactId => ({ call: { id: 'call-appointments', assistantOverrides: { variableValues: { contactId } } } });
+const CALL = callFor(CONTACT_ID);
+
+try {
+    const { ghl_list_upcoming_events, ghl_reschedule_event, ghl_cancel_event } = await import('./vapi-functions.js');
+    const appointment = id => ghl.appointments.find(candidate => candidate.id === id);
+
+    console.log('');
+    console.log('📋 ghl_list_upcoming_events');
+    const listed = await ghl_list_upcoming_events({ contactId: CONTACT_ID }, CALL);
+    check('Only active upcoming appointments are listed, soonest first', listed.success &&
+        listed.appointments.map(item => item.id).join(',') === 'appt-oct,appt-nov');
+    check('Appointments are spoken in the calendar timezone', listed.appointments[0].description === 'Wednesday, October 23 at 2:00 PM' &&
+        /You have 2 upcoming appointments/.test(listed.message));
+    check('Without a call naming the contact nothing is listed', (await ghl_list_upcoming_events({ contactId: CONTACT_ID })).error === 'contactId is required');
+
+    console.log('');
+    console.log('🔐 Another contact\'s appointments');
+    const otherCall = callFor(OTHER_CONTACT_ID);
+    const peeked = await ghl_list_upcoming_events({ contactId: CONTACT_ID }, otherCall);
+    const hijackedMove = await ghl_reschedule_event({ contactId: CONTACT_ID, appointmentId: 'appt-oct', startTime: NEW_TIME }, otherCall);
+    const hijackedCancel = await ghl_cancel_event({ contactId: CONTACT_ID, appointmentId: 'appt-nov' }, otherCall);
+    check('A contactId that disagrees with the call is refused', [peeked, hijackedMove, hijackedCancel]
+        .every(result => result.success === false && result.error === 'contactId does not match the call') && !peeked.appointments);
+    check('Nothing is moved, cancelled or written for the other contact', appointment('appt-oct').startTime === OCTOBER_23 &&
+        appointment('appt-nov').appointmentStatus === 'confirmed' && ghl.writes().length === 0);
+    const ownByDefault = await ghl_cancel_event({ appointmentId: 'appt-oct' }, otherCall);
+    check('Without an argument only the caller\'s own appointments are searched', ownByDefault.reason === 'no_upcoming_appointments' &&
+        appointment('appt-oct').appointmentStatus === 'confirmed');
+
+    console.log('');
+    console.log('🔄 ghl_reschedule_event');
+    const ambiguous = await ghl_reschedule_event({ contactId: CONTACT_ID, appointmentDate: 'Friday', startTime: NEW_TIME }, CALL);
+    check('A day with no appointment lists them all', ambiguous.reason === 'appointment_ambiguous' &&
+        /I see a few appointments/.test(ambiguous.message) && ambiguous.appointments.length === 2);
+
+    const askTime = await ghl_reschedule_event({ contactId: CONTACT_ID, appointmentDate: 'the 5th' }, CALL);
+    check('"the 5th" picks the November 5 appointment and asks for a new time',
+        askTime.reason === 'new_time_required' && askTime.appointmentId === 'appt-nov');
+
+    const taken = await ghl_reschedule_event({ contactId: CONTACT_ID, appointmentDate: 'Nov. 5', startTime: OCTOBER_23 }, CALL);
+    check('Moving onto a taken slot keeps the appointment where it was', taken.reason === 'slot_unavailable' &&
+        appointment('appt-nov').startTime === NOVEMBER_5);
+
+    const moved = await ghl_reschedule_event({ contactId: CONTACT_ID, appointmentDate: 'october 23rd', startTime: NEW_TIME }, CALL);
+    check('"october 23rd" matches the October 23 appointment', moved.success && moved.appointmentId === 'appt-oct');
+    check('The appointment is moved in GHL with the calendar slot length', appointment('appt-oct').startTime === NEW_TIME &&
+        appointment('appt-oct').endTime === '2030-10-24T18:30:00.000Z' && /to Thursday, October 24 at 2:00 PM/.test(moved.message));
+
+    console.log('');
+    console.log('🗑️ ghl_cancel_event');
+    const cancelled = await ghl_cancel_event({ contactId: CONTACT_ID, appointmentDate: 'November 5th', reason: 'Sold the house' }, CALL);
+    check('The named appointment is cancelled, not deleted', cancelled.success && appointment('appt-nov')?.appointmentStatus === 'cancelled' &&
+        /Sold the house/.test(appointment('appt-nov').notes) && cancelled.remainingAppointments === 1);
+
+    const single = await ghl_cancel_event({ contactId: CONTACT_ID, appointmentDate: 'December 1st' }, CALL);
+    check('A single appointment on another day is confirmed, not listed', single.success === false &&
+        single.message === "I only see one appointment for you, on Thursday, October 24 at 2:00 PM. Is that the one you'd like to cancel?");
+
+    const last = await ghl_cancel_event({ contactId: CONTACT_ID }, CALL);
+    check('With one appointment left no date is needed', last.success && last.appointmentId === 'appt-oct' && last.remainingAppointments === 0);
+    check('Cancelling the last appointment clears Appointment Booked', ghl.customFieldValues(CONTACT_ID)['Appointment Booked'] === 'false');
+
+    const none = await ghl_cancel_event({ contactId: CONTACT_ID }, CALL);
+    check('Nothing left to cancel offers to book', none.reason === 'no_upcoming_appointments');
+} finally {
+    await ghl.stop();
+}
+
+finish();
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+// Test idempotent end-of-call processing (call-dedup.js) with the local state stores
+// Runs fully offline - no GHL or SSM calls
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CallDedupManager, duplicateCallResponse } from './call-dedup.js';
+import { MemoryStateStore, FileStateStore } from './state-store.js';
+import { check, finish } from './test-helpers.js';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vapi-dedup-'));
+const BACKENDS = {
+    memory: new MemoryStateStore('test-processed-calls'),
+    file: new FileStateStore('test-processed-calls', tempDir)
+};
+
+console.log('🔁 CALL DEDUP (IDEMPOTENCY) TEST');
+console.log('='.repeat(80));
+
+for (const [backendName, store] of Object.entries(BACKENDS)) {
+    console.log('');
+    console.log(`📦 Backend: ${backendName}`);
+    await store.clear();
+    const dedup = new CallDedupManager(store);
+    const originalResult = { message: 'End-of-call report processed successfully', contactId: 'contact-1', noteCreated: true };
+
+    const firstClaim = await dedup.claim('call-123');
+    check('First delivery claims the call', firstClaim.claimed === true);
+
+    const concurrentClaim = await dedup.claim('call-123');
+    check('Concurrent delivery is rejected while processing', concurrentClaim.claimed === false);
+    check('In-progress duplicate returns 202', duplicateCallResponse(concurrentClaim.record).statusCode === 202);
+
+    await dedup.complete('call-123', originalResult);
+
+    const retryClaim = await dedup.claim('call-123');
+    const retryResponse = duplicateCallResponse(retryClaim.record);
+    const retryBody = JSON.parse(retryResponse.body);
+    check('Retry after completion is rejected', retryClaim.claimed === false);
+    check('Retry returns the original result', retryResponse.statusCode === 200 && retryBody.noteCreated === true && retryBody.duplicate === true);
+
+    await dedup.claim('call-456');
+    await dedup.release('call-456');
+    const afterRelease = await dedup.claim('call-456');
+    check('Released call (failed processing) can be claimed again', afterRelease.claimed === true);
+
+    const untracked = await dedup.claim(null);
+    check('Calls without an ID are processed (untracked)', untracked.claimed === true && untracked.untracked === true);
+}
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+finish();
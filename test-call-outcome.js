@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+// Test voicemail / no-answer detection and the short outcome note
+// Runs fully offline
+
+import { classifyCallOutcome, getOutcomeTag } from './call-outcome.js';
+import { generateOutcomeNote } from './note-manager.js';
+import { check, finish } from './test-helpers.js';
+
+delete process.env.GHL_VOICEMAIL_TAG;
+delete process.env.GHL_NO_ANSWER_TAG;
+
+console.log('📵 CALL OUTCOME TEST');
+console.log('='.repeat(80));
+
+const conversation = {
+    call: { id: 'call-1', endedReason: 'customer-ended-call' },
+    message: {
+        transcript: 'AI: Hi, is this Sarah?\nUser: Yes, speaking.\nAI: Are you still selling the house on Oak Street?\n' +
+            'User: We are. We want to move closer to our daughter in Denver by spring, asking around 450.'
+    }
+};
+
+console.log('');
+console.log('🔍 Classification');
+check('No answer comes from endedReason', classifyCallOutcome({ call: { endedReason: 'customer-did-not-answer' } }).outcome === 'no_answer');
+check('Busy line counts as no answer', classifyCallOutcome({ call: { endedReason: 'customer-busy' } }).outcome === 'no_answer');
+
+const voicemail = classifyCallOutcome({
+    call: { endedReason: 'voicemail' },
+    message: { transcript: "User: Hi, you've reached Sarah, leave a message after the tone.\nAI: Hi Sarah, this is Rich calling about your home, call me back at 555-0100." }
+});
+check('VAPI voicemail endedReason is voicemail', voicemail.outcome === 'voicemail' && voicemail.source === 'ended_reason');
+check('Assistant speaking on voicemail counts as a message left', voicemail.messageLeft === true);
+
+const greeting = classifyCallOutcome({
+    call: { endedReason: 'silence-timed-out' },
+    message: { transcript: 'User: Your call has been forwarded to an automated voice messaging system. 5 5 5 0 1 0 0 is not available. At the tone, please record your message.' }
+});
+check('Unflagged voicemail greeting is detected from the transcript', greeting.outcome === 'voicemail' && greeting.source === 'transcript');
+check('No assistant turn means no message left', greeting.messageLeft === false);
+
+check('A live person who "is not available" and takes a message is answered', classifyCallOutcome({
+    call: { endedReason: 'customer-ended-call' },
+    message: { transcript: 'AI: Hi, is this Sarah?\nUser: She is not available right now, can I take a message?\nAI: Sure, this is Rich about the house on Oak Street.\nUser: Okay, I will tell her.' }
+}).outcome === 'answered');
+check('A greeting followed by a reply to the assistant is a person, not voicemail', classifyCallOutcome({
+    call: { endedReason: 'customer-ended-call' },
+    message: { transcript: 'User: Leave a message after the beep.\nAI: Hi, this is Rich calling about your home.\nUser: Oh sorry, I am here - that was my old greeting.' }
+}).outcome === 'answered');
+check('The greeting check reads artifact messages in order', classifyCallOutcome({
+    call: { endedReason: 'silence-timed-out' },
+    message: { artifact: { messages: [
+        { role: 'user', message: 'You have reached the Millers. Please leave a message after the tone.' },
+        { role: 'bot', message: 'Hi, this is Rich calling about your home. Call me back at 555-0100.' }
+    ] } }
+}).outcome === 'voicemail');
+const arrayVoicemail = classifyCallOutcome({
+    call: { endedReason: 'voicemail', transcript: [
+        { role: 'user', text: "You've reached Sarah, leave a message." },
+        { role: 'assistant', text: 'Hi Sarah, this is Rich calling about your home.' }
+    ] }
+});
+check('A message left is read from an array call.transcript', arrayVoicemail.outcome === 'voicemail' && arrayVoicemail.messageLeft === true);
+check('A real conversation is answered', classifyCallOutcome(conversation).outcome === 'answered');
+check('A seller mentioning "leave a message" in a long conversation is still answered', classifyCallOutcome({
+    call: { endedReason: 'customer-ended-call' },
+    message: { transcript: `User: ${'We have been getting a lot of calls about the listing and honestly most people just hang up. '.repeat(5)}If I miss you, leave a message after the tone.` }
+}).outcome === 'answered');
+
+console.log('');
+console.log('🏷️ Tags and note');
+check('Outcome tags default to voicemail / no-answer', getOutcomeTag('voicemail') === 'voicemail' && getOutcomeTag('no_answer') === 'no-answer');
+const note = generateOutcomeNote({ call: { id: 'call-9', endedReason: 'voicemail', customer: { number: '+12125550100' } } }, voicemail, 2);
+check('Note names the outcome and attempt', /Voicemail left/.test(note) && /Call Attempt: 2/.test(note) && /call-9/.test(note));
+check('Note carries no extracted data or transcript', !/Key Information|Transcript/i.test(note));
+
+finish();
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+// Test calling-hours compliance: timezone resolution, next allowed time and the outbound call queue
+// Runs fully offline with a fixed clock - VAPI is never reached (no API key)
+
+import { checkCallingHours, resolveContactTimezone, getAreaCode } from './calling-hours.js';
+import { triggerOutboundCall, processCallQueue } from './outbound-call-manager.js';
+import { CallQueue } from './call-queue.js';
+import { MemoryStateStore } from './state-store.js';
+import { check, finish, stubTokenManager } from './test-helpers.js';
+
+delete process.env.VAPI_API_KEY;
+delete process.env.CALLING_HOURS;
+
+console.log('🌙 CALLING HOURS TEST');
+console.log('='.repeat(80));
+
+// Wednesday 2025-09-17 (EDT UTC-4, PDT UTC-7)
+const wednesdayMorningET = new Date('2025-09-17T14:00:00Z'); // 10:00 ET, 07:00 PT
+const wednesdayLateNightET = new Date('2025-09-18T02:00:00Z'); // 22:00 ET Wednesday
+const thursdayNoonET = new Date('2025-09-18T16:00:00Z'); // 12:00 ET, 09:00 PT
+const sundayNoonET = new Date('2025-09-21T16:00:00Z'); // Sunday 12:00 ET
+
+console.log('');
+console.log('🗺️ Timezone resolution');
+check('Contact timezone wins', resolveContactTimezone({ timezone: 'America/Denver', state: 'NY' }).timezone === 'America/Denver');
+check('State abbreviation maps to a timezone', resolveContactTimezone({ state: 'CA' }).timezone === 'America/Los_Angeles');
+check('Full state name maps to a timezone', resolveContactTimezone({ state: 'Texas' }).source === 'state');
+check('Area code is the last resort', resolveContactTimezone({ phone: '+1 (206) 555-0100' }).timezone === 'America/Los_Angeles');
+check('El Paso area code uses Mountain time', resolveContactTimezone({ phone: '9155550100' }).timezone === 'America/Denver');
+check('Non-US number has no area code', getAreaCode('+447700900123') === null);
+check('Unknown contact reports an unknown timezone', resolveContactTimezone({ phone: '+447700900123' }).source === 'unknown');
+
+console.log('');
+console.log('🕘 Calling window');
+check('10:00 ET Wednesday is allowed for a New York contact',
+    checkCallingHours({ state: 'NY' }, { now: wednesdayMorningET }).allowed);
+check('Same instant is too early for a California contact (07:00 PT)',
+    !checkCallingHours({ state: 'CA' }, { now: wednesdayMorningET }).allowed);
+check('Unknown timezone must be allowed on both coasts',
+    !checkCallingHours({}, { now: wednesdayMorningET }).allowed && checkCallingHours({}, { now: thursdayNoonET }).allowed);
+
+const lateNight = checkCallingHours({ state: 'NY' }, { now: wednesdayLateNightET });
+check('22:00 ET is queued for 09:00 ET Thursday', !lateNight.allowed && lateNight.nextAllowedAt === '2025-09-18T13:00:00.000Z');
+
+const sunday = checkCallingHours({ state: 'NY' }, { now: sundayNoonET });
+check('Sunday is queued for Monday 09:00 ET', !sunday.allowed && sunday.nextAllowedAt === '2025-09-22T13:00:00.000Z');
+
+check('CALLING_HOURS override is honored', checkCallingHours({ state: 'NY' }, { now: sundayNoonET, hours: 'sun 10:00-14:00' }).allowed);
+
+console.log('');
+console.log('🗓️ Call queue');
+const callQueue = new CallQueue(new MemoryStateStore('test-call-queue'));
+const contact = { id: 'contact-1', phone: '+12125550100', dnd: false, tags: [] };
+
+const queued = await triggerOutboundCall(contact, {
+    reason: 'new_lead',
+    pitTokenManager: stubTokenManager({ contact }),
+    vapiApiKey: 'test-key',
+    now: wednesdayLateNightET,
+    callQueue
+});
+check('Late-night call is queued instead of dialed', queued.success === false && queued.queued === true && queued.timezone === 'America/New_York');
+
+const entries = await callQueue.list();
+check('Queue holds the contact with its next allowed time', entries.length === 1 && entries[0].scheduledFor === '2025-09-18T13:00:00.000Z');
+
+const early = await processCallQueue({ now: wednesdayLateNightET, callQueue });
+check('Queue run before the window opens dials nothing', early.processed === 0 && (await callQueue.list()).length === 1);
+
+const run = await processCallQueue({ pitTokenManager: stubTokenManager({ contact }), now: thursdayNoonET, callQueue });
+check('Due call is taken off the queue and dialed', run.processed === 1 && run.results[0].contactId === 'contact-1');
+
+// Without a VAPI key every dial fails, which is what a VAPI outage looks like to the queue
+const [requeued] = await callQueue.list();
+check('A failed dial is queued again 15 minutes later', run.retried === 1 && requeued?.failures === 1 &&
+    requeued.scheduledFor === '2025-09-18T16:15:00.000Z' && /VAPI API key/.test(requeued.lastError));
+
+const second = await processCallQueue({ pitTokenManager: stubTokenManager({ contact }), now: new Date('2025-09-18T16:15:00Z'), callQueue });
+check('Each further failure waits longer', second.results[0].retryScheduledFor === '2025-09-18T17:15:00.000Z' &&
+    (await callQueue.list())[0].failures === 2);
+
+await processCallQueue({ pitTokenManager: stubTokenManager({ contact }), now: new Date('2025-09-18T17:15:00Z'), callQueue });
+const last = await processCallQueue({ pitTokenManager: stubTokenManager({ contact }), now: new Date('2025-09-18T21:15:00Z'), callQueue });
+check('The call is dropped after the last retry', last.results[0].dropped === true && last.results[0].failures === 4 &&
+    (await callQueue.list()).length === 0);
+
+const laterQueue = new CallQueue(new MemoryStateStore('test-call-queue-night'));
+await laterQueue.enqueue(contact, { reason: 'new_lead', scheduledFor: '2025-09-18T01:00:00.000Z', failures: 2 });
+await processCallQueue({ pitTokenManager: stubTokenManager({ contact }), now: wednesdayLateNightET, callQueue: laterQueue });
+check('A failing call pushed past calling hours keeps its failure count', (await laterQueue.list())[0]?.failures === 2 &&
+    (await laterQueue.list())[0].scheduledFor === '2025-09-18T13:00:00.000Z');
+
+const brokenQueue = new CallQueue(new MemoryStateStore('test-call-queue-broken'));
+await brokenQueue.enqueue({ id: 'contact-broken', phone: '+12125550101' }, { reason: 'new_lead', scheduledFor: '2025-09-18T12:00:00.000Z' });
+await brokenQueue.enqueue(contact, { reason: 'new_lead', scheduledFor: '2025-09-18T13:00:00.000Z' });
+const remove = brokenQueue.remove.bind(brokenQueue);
+brokenQueue.remove = async key => {
+    if (key === 'contact-broken') throw new Error('Parameter Store throttled');
+    return remove(key);
+};
+const mixed = await processCallQueue({ pitTokenManager: stubTokenManager({ contact }), now: thursdayNoonET, callQueue: brokenQueue });
+check('One broken entry does not stop the rest of the run', mixed.processed === 2 &&
+    mixed.results[0].error === 'Parameter Store throttled' && mixed.results[1].contactId === 'contact-1');
+
+// Two scheduled runs overlapping on the same due call: each loads the contact from GHL right before dialing it
+const raceQueue = new CallQueue(new MemoryStateStore('test-call-queue-race'));
+const raceContact = { ...contact, id: 'contact-race' };
+await raceQueue.enqueue(raceContact, { reason: 'new_lead', scheduledFor: '2025-09-18T13:00:00.000Z' });
+const raceGhl = stubTokenManager({ contact: raceContact });
+const [runA, runB] = await Promise.all([
+    processCallQueue({ pitTokenManager: raceGhl, now: thursdayNoonET, callQueue: raceQueue }),
+    processCallQueue({ pitTokenManager: raceGhl, now: thursdayNoonET, callQueue: raceQueue })
+]);
+const dials = raceGhl.requests.filter(request => request.endpoint === '/contacts/contact-race').length;
+check('Overlapping queue runs dial a due call exactly once', dials === 1 && runA.processed + runB.processed === 1 &&
+    runA.skipped + runB.skipped === 1 && [...runA.results, ...runB.results].some(result => result.skipped === 'already_claimed'));
+
+// GHL failing to load the contact is not the same as the contact having no phone number
+const lookupQueue = new CallQueue(new MemoryStateStore('test-call-queue-lookup'));
+await lookupQueue.enqueue(contact, { reason: 'new_lead', scheduledFor: '2025-09-18T13:00:00.000Z' });
+const ghlDown = stubTokenManager({
+    respond: () => { throw Object.assign(new Error('Request failed with status code 503'), { response: { status: 503, data: {} } }); }
+});
+const lookupRun = await processCallQueue({ pitTokenManager: ghlDown, now: thursdayNoonET, callQueue: lookupQueue });
+const [lookupRetry] = await lookupQueue.list();
+check('A failed GHL lookup is a retryable error, not a missing phone number', lookupRun.retried === 1 &&
+    /^Could not load contact from GHL/.test(lookupRetry?.lastError) && lookupRetry.scheduledFor === '2025-09-18T16:15:00.000Z');
+
+const noPhoneQueue = new CallQueue(new MemoryStateStore('test-call-queue-no-phone'));
+const noPhone = { id: 'contact-no-phone', dnd: false, tags: [] };
+await noPhoneQueue.enqueue(noPhone, { reason: 'new_lead', scheduledFor: '2025-09-18T13:00:00.000Z' });
+const noPhoneRun = await processCallQueue({ pitTokenManager: stubTokenManager({ contact: noPhone }), now: thursdayNoonET, callQueue: noPhoneQueue });
+check('A contact with no phone number is dropped instead of retried', noPhoneRun.retried === 0 &&
+    noPhoneRun.results[0].dropped === true && noPhoneRun.results[0].error === 'Contact has no phone number' &&
+    (await noPhoneQueue.list()).length === 0);
+
+finish();
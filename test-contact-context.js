@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+// Test ghl_get_contact_context: the spoken profile the assistant reads at the start of a call
+// Runs fully offline against the fake GHL API (fake-ghl-server.js)
+
+import { FakeGHLServer } from './fake-ghl-server.js';
+import { check, finish } from './test-helpers.js';
+
+console.log('🧠 CONTACT CONTEXT TEST');
+console.log('='.repeat(80));
+
+const CALENDAR_ID = 'contextCalendar00001';
+const LONG_SUMMARY = 'Dana is relocating to Denver for a new job and wants to sell the house on Oak Street herself. ' +
+    'She has already had two showings from a yard sign and is weighing whether to repaint the kitchen first. ' +
+    'She asked us to call back after she talks to her husband about the price and the closing date. ' +
+    'Her husband Alex would rather list with an agent, so expect questions about commission.';
+
+const ghl = new FakeGHLServer({
+    seed: {
+        customFields: [
+            { id: 'cf-motivation', name: 'Motivation', dataType: 'TEXT' },
+            { id: 'cf-timeline', name: 'Timeline', dataType: 'TEXT' },
+            { id: 'cf-price', name: 'Asking Price', dataType: 'TEXT' },
+            { id: 'cf-destination', name: 'Next Destination', dataType: 'TEXT' },
+            { id: 'cf-summary', name: 'Latest Call Summary', dataType: 'LARGE_TEXT' },
+            { id: 'cf-memory', name: 'Voice Memory', dataType: 'LARGE_TEXT' },
+            { id: 'cf-counter', name: 'Call Attempt Counter', dataType: 'NUMERICAL' }
+        ],
+        contacts: [
+            {
+                id: 'contact-returning',
+                firstName: 'Dana',
+                lastName: 'Whitfield',
+                phone: '+12125550110',
+                customFields: [
+                    { id: 'cf-motivation', value: 'Job relocation' },
+                    { id: 'cf-timeline', value: 'By next spring' },
+                    { id: 'cf-price', value: '450000' },
+                    { id: 'cf-destination', value: 'Denver' },
+                    { id: 'cf-summary', value: LONG_SUMMARY },
+                    { id: 'cf-counter', value: '2' }
+                ]
+            },
+            {
+                id: 'contact-booked',
+                firstName: 'Riley',
+                phone: '+12125550111',
+                customFields: [
+                    { id: 'cf-memory', value: 'Oct 1: Riley is thinking about selling.\nOct 8: Riley agreed to a walkthrough next week.' }
+                ]
+            },
+            { id: 'contact-new', firstName: 'Casey', phone: '+12125550112' }
+        ],
+        calendars: [{ id: CALENDAR_ID, name: 'Property Previews', timezone: 'America/New_York', slotDuration: 30 }],
+        appointments: [
+            // 10 AM and 2 PM in New York
+            { id: 'appt-past', contactId: 'contact-returning', calendarId: CALENDAR_ID, startTime: '2020-01-15T15:00:00.000Z', appointmentStatus: 'confirmed' },
+            { id: 'appt-next', contactId: 'contact-booked', calendarId: CALENDAR_ID, startTime: '2030-10-23T18:00:00.000Z', appointmentStatus: 'confirmed' }
+        ]
+    }
+});
+
+// vapi-functions.js loads its token on import, so the fake has to be configured first
+process.env.GHL_BASE_URL = await ghl.start();
+process.env.GHL_PIT_TOKEN = ghl.token;
+process.env.GHL_CALENDAR_ID = CALENDAR_ID;
+
+// The signed call the function runs in - it names the contact the call was placed for
+const callFor = contactId => ({ call: { id: `call-${contactId}`, assistantOverrides: { variableValues: { contactId } } } });
+
+try {
+    const { ghl_get_contact_context } = await import('./vapi-functions.js');
+
+    console.log('');
+    console.log('🔁 Returning contact');
+    const returning = await ghl_get_contact_context({ contactId: 'contact-returning' }, callFor('contact-returning'));
+    const { profile, message } = returning;
+    check('The contact is recognized as returning', returning.success && returning.isReturningContact === true);
+    check('The profile names the contact', profile.name === 'Dana Whitfield' && profile.firstName === 'Dana' && /about Dana Whitfield\./.test(message));
+    check('Motivation and timeline are spoken from the custom fields', profile.motivation === 'Job relocation' &&
+        message.includes('Motivation: Job relocation.') && message.includes('Timeline: By next spring.'));
+    check('A numeric asking price is spoken as dollars', profile.askingPrice === '$450,000' && message.includes('Asking price: $450,000.'));
+    check('The next destination is included', message.includes('Moving to: Denver.'));
+    check('A long last-call summary is cut to whole sentences', profile.lastCallSummary.length <= 300 &&
+        profile.lastCallSummary.endsWith('the closing date.') && message.includes(`Last call: ${profile.lastCallSummary}`));
+    check('The prior appointment is spoken in the calendar timezone', profile.lastAppointment?.id === 'appt-past' &&
+        profile.upcomingAppointment === null && message.includes('Previous appointment: Wednesday, January 15 at 10:00 AM.'));
+    check('Prior calls are counted', profile.callAttempts === 2);
+
+    console.log('');
+    console.log('📅 Contact with an upcoming appointment');
+    const booked = await ghl_get_contact_context({}, callFor('contact-booked'));
+    check('Without an argument the call\'s contact is used', booked.success && booked.profile.firstName === 'Riley');
+    check('The last call comes from the newest Voice Memory entry', booked.profile.lastCallSummary === 'Oct 8: Riley agreed to a walkthrough next week.');
+    check('An upcoming appointment is spoken instead of a past one', booked.profile.upcomingAppointment?.id === 'appt-next' &&
+        booked.message.includes('Upcoming appointment: Wednesday, October 23 at 2:00 PM.') && !/Previous appointment/.test(booked.message));
+    check('Unknown facts are left out', booked.profile.motivation === null && !/Motivation|Asking price/.test(booked.message));
+
+    console.log('');
+    console.log('🆕 First conversation and errors');
+    const fresh = await ghl_get_contact_context({ contactId: 'contact-new' }, callFor('contact-new'));
+    check('A contact with no history is a first conversation', fresh.success && fresh.isReturningContact === false &&
+        fresh.message === "This is our first conversation with Casey - we don't have any notes yet.");
+    const noId = await ghl_get_contact_context({ contactId: 'contact-returning' });
+    check('Without a call naming the contact nothing is read', noId.success === false && noId.error === 'contactId is required');
+    const unknown = await ghl_get_contact_context({}, callFor('contact-gone'));
+    check('An unknown contact gets a spoken fallback', unknown.success === false &&
+        unknown.message === "I don't have the notes from our previous conversations handy right now.");
+    const readsBefore = ghl.requests.length;
+    const steered = await ghl_get_contact_context({ contactId: 'contact-returning' }, callFor('contact-new'));
+    check("Another contact's profile is refused when the argument and the call disagree", steered.success === false &&
+        steered.error === 'contactId does not match the call' && !steered.profile && !/Whitfield|450,000/.test(steered.message) &&
+        ghl.requests.length === readsBefore);
+    check('Reading the context never writes to GHL', ghl.writes().length === 0);
+} finally {
+    await ghl.stop();
+}
+
+finish();
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+// Test dry runs: post-call processing reads as usual but returns the GHL writes it would make
+// Runs fully offline - GHL reads go to stubs, and any write that reaches a stub fails the test
+
+import { DryRunRecorder, withPlannedWrites } from './dry-run.js';
+import { MemoryStateStore } from './state-store.js';
+import { CustomFieldsManager } from './custom-fields-manager.js';
+import { FieldReviewQueue } from './review-queue.js';
+import { FieldProvenanceStore } from './field-provenance.js';
+import { LiveAnswerStore } from './live-answers.js';
+import { generateCallSummary } from './note-manager.js';
+import { check, finish, stubTokenManager } from './test-helpers.js';
+
+delete process.env.FIELD_MIN_CONFIDENCE;
+
+console.log('🧪 DRY RUN TEST');
+console.log('='.repeat(80));
+
+console.log('');
+console.log('🎭 Recorder');
+const recorder = new DryRunRecorder();
+const ghl = stubTokenManager({ contact: { id: 'contact-1', firstName: 'Dana' } });
+const wrapped = recorder.wrap(ghl);
+const read = await wrapped.makeGHLRequest('GET', '/contacts/contact-1');
+const planned = await wrapped.makeGHLRequest('post', '/contacts/contact-1/notes', { body: 'Call summary' });
+check('GET requests still go to GHL', read.data.contact.firstName === 'Dana' && ghl.requests.length === 1);
+check('Writes are recorded instead of sent', ghl.requests.every(request => request.method === 'GET') &&
+    recorder.writes[0]?.method === 'POST' && recorder.writes[0].endpoint === '/contacts/contact-1/notes' &&
+    recorder.writes[0].payload.body === 'Call summary' && planned.dryRun === true);
+check('Everything else passes through to the token manager', wrapped.pitToken === 'test-token' &&
+    wrapped.getAuthHeaders().Authorization === 'Bearer test-token');
+
+const response = withPlannedWrites({ statusCode: 200, body: JSON.stringify({ contactId: 'contact-1' }) }, recorder);
+const body = JSON.parse(response.body);
+check('Planned writes are added to the response body', response.statusCode === 200 && body.contactId === 'contact-1' &&
+    body.dryRun === true && body.plannedWrites.length === 1);
+
+console.log('');
+console.log('🧾 Post-call custom fields');
+const extractedData = {
+    askingPrice: { value: '$850,000', rawValue: 'eight fifty I guess', confidence: 70, source: 'transcript' },
+    motivation: { value: 'Job relocation', confidence: 85, source: 'vapi_summary', matchedText: 'Dana got a new job in Denver.' },
+    concerns: { value: 'Pricing', confidence: 80, source: 'vapi_summary' },
+    _metadata: { fieldsExtracted: 3 }
+};
+
+const manager = new CustomFieldsManager();
+const writes = [];
+manager.customFieldMappings = {
+    askingprice: { fieldId: 'f-price', fieldName: 'Asking Price', dataType: 'TEXT' },
+    motivation: { fieldId: 'f-motivation', fieldName: 'Motivation', dataType: 'TEXT' },
+    concerns: { fieldId: 'f-concerns', fieldName: 'Concerns', dataType: 'TEXT' },
+    callattemptcounter: { fieldId: 'f-counter', fieldName: 'Call Attempt Counter', dataType: 'NUMERICAL' }
+};
+manager.pitTokenManager = stubTokenManager();
+manager.liveAnswers = new LiveAnswerStore(new MemoryStateStore('test-dry-run-live'));
+manager.reviewQueue = new FieldReviewQueue(new MemoryStateStore('test-dry-run-review'));
+manager.provenance = new FieldProvenanceStore(new MemoryStateStore('test-dry-run-provenance'));
+manager.getExistingFieldData = async () => ({});
+manager.getCurrentCallCounter = async () => 2;
+manager.getCustomFieldValuesById = async () => new Map([['f-motivation', 'Downsizing'], ['f-concerns', 'Timing']]);
+manager.writeCustomFields = async (contactId, payload) => {
+    writes.push(payload);
+    return { status: 200 };
+};
+manager.aiExtractor.extractDataFromTranscript = async () => structuredClone(extractedData);
+
+const result = await manager.processVAPICall({ call: { id: 'call-1', transcript: 'AI: Hi\nUser: Hello there' } }, 'contact-1', { dryRun: true });
+const fieldsWrite = result.plannedWrites?.find(write => write.payload?.customFields?.some(field => field.id === 'f-motivation'));
+const counterWrite = result.plannedWrites?.find(write => write.payload?.customFields?.some(field => field.id === 'f-counter'));
+const taskWrite = result.plannedWrites?.find(write => write.endpoint === '/contacts/contact-1/tasks');
+
+check('Nothing is sent to GHL', writes.length === 0 && manager.pitTokenManager.requests.every(request => request.method === 'GET'));
+check('Returns the planned custom field PUT with its payload', result.dryRun === true && fieldsWrite?.method === 'PUT' &&
+    fieldsWrite.endpoint === '/contacts/contact-1' &&
+    JSON.stringify(fieldsWrite.payload.customFields) === JSON.stringify([
+        { id: 'f-motivation', value: 'Job relocation' },
+        { id: 'f-concerns', value: 'Timing; Pricing' }
+    ]));
+check('Returns the planned call counter update', counterWrite?.payload.customFields[0].value === '3' && result.callAttempts === 3);
+check('Returns the planned review task for held values', taskWrite?.method === 'POST' && /Asking Price/.test(taskWrite.payload.body) &&
+    result.heldForReview.join(',') === 'askingPrice');
+check('Merge policies apply to the plan', result.fieldsUpdated === 3 && result.plannedWrites.length === 3);
+check('The review queue is left untouched', (await manager.reviewQueue.listPending('contact-1')).length === 0);
+check('No provenance or history is recorded', (await manager.provenance.get('contact-1', 'Motivation')) === null &&
+    (await manager.provenance.history('contact-1')).length === 0);
+
+const motivationChange = result.fieldChanges?.find(change => change.fieldName === 'Motivation');
+check('Field changes are still previewed with old and new value', motivationChange?.oldValue === 'Downsizing' &&
+    motivationChange.newValue === 'Job relocation' && motivationChange.matchedText === 'Dana got a new job in Denver.');
+const note = generateCallSummary({ call: { id: 'call-1' }, message: {} }, {}, result);
+check('The call note can be generated from the dry-run result', note.includes('• Motivation: "Downsizing" → "Job relocation"'));
+
+const shared = new DryRunRecorder();
+shared.record('PUT', '/contacts/contact-1', { firstName: 'Dana' });
+const sharedResult = await manager.processVAPICall({ call: { id: 'call-2', transcript: 'AI: Hi\nUser: Hello there' } }, 'contact-1', { recorder: shared });
+check('An existing recorder collects the writes of the whole call', sharedResult.plannedWrites === shared.writes && shared.writes.length === 4);
+
+const live = await manager.processVAPICall({ call: { id: 'call-3', transcript: 'AI: Hi\nUser: Hello there' } }, 'contact-1');
+check('Without dryRun the fields are written as before', live.dryRun === undefined && live.plannedWrites === undefined && writes.length === 2 &&
+    (await manager.reviewQueue.listPending('contact-1')).length === 1);
+
+finish();
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+// End-to-end test of the Lambda handler against the offline fake GHL API (fake-ghl-server.js)
+// Drives the fixture payloads through handler() and asserts on the contacts, notes and appointments they produce
+
+import fs from 'node:fs';
+import { FakeGHLServer } from './fake-ghl-server.js';
+import { check, finish } from './test-helpers.js';
+
+console.log('🧪 FAKE GHL END-TO-END TEST');
+console.log('='.repeat(80));
+
+const CONTACT_ID = 'jjYOawhhinftLJSQG3J2';
+const CALENDAR_ID = 'voWnlupYGcaswG4ZoCzQ';
+const OPT_OUT_CONTACT_ID = 'optOutContact0000001';
+
+const ghl = new FakeGHLServer({
+    seed: {
+        contacts: [
+            { id: CONTACT_ID, firstName: 'Jordan', lastName: 'Lee', phone: '+15551234567', timezone: 'America/New_York' },
+            { id: OPT_OUT_CONTACT_ID, firstName: 'Casey', phone: '+15557654321', timezone: 'America/New_York', dnd: false }
+        ],
+        customFields: [
+            { id: 'cf-counter', name: 'Call Attempt Counter', dataType: 'NUMERICAL' },
+            { id: 'cf-motivation', name: 'Motivation', dataType: 'TEXT' }
+        ],
+        calendars: [{ id: CALENDAR_ID, name: 'Property Previews', timezone: 'America/New_York', slotDuration: 30 }]
+    }
+});
+
+// Everything below talks to the fake; env is set before the handler module loads
+process.env.GHL_BASE_URL = await ghl.start();
+process.env.GHL_PIT_TOKEN = ghl.token;
+process.env.VAPI_SECRET_TOKEN = 'test-vapi-secret';
+delete process.env.LLM_EXTRACTION_PROVIDER;
+delete process.env.GHL_CALENDAR_ID;
+
+const { handler } = await import('./index.js');
+const { PITTokenManager } = await import('./pit-token-manager.js');
+
+// Fixture event, authenticated with the shared secret and already on the async invocation
+function fixtureEvent(file, extra = {}) {
+    const event = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const body = typeof event.body === 'string' ? event.body : JSON.stringify(event.message ? event : event.body);
+    return {
+        httpMethod: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'x-vapi-secret': process.env.VAPI_SECRET_TOKEN,
+            'x-vapi-timestamp': `${Date.now()}`
+        },
+        body,
+        _asyncProcessing: true,
+        ...extra
+    };
+}
+
+try {
+    console.log('');
+    console.log('🔌 Base URL config');
+    const tokenManager = new PITTokenManager();
+    await tokenManager.getValidToken();
+    const read = await tokenManager.makeGHLRequest('GET', `/contacts/${CONTACT_ID}`);
+    check('PITTokenManager uses GHL_BASE_URL and GHL_PIT_TOKEN', tokenManager.pitToken === ghl.token && read.data.contact.firstName === 'Jordan');
+    const unauthorized = await new PITTokenManager().makeGHLRequest('GET', `/contacts/${CONTACT_ID}`, null, { headers: { Authorization: 'Bearer wrong' } })
+        .then(() => null, error => error.response?.status);
+    check('The fake rejects other tokens', unauthorized === 401);
+
+    console.log('');
+    console.log('📞 End-of-call report (official-vapi-test-payload.json)');
+    const event = fixtureEvent('official-vapi-test-payload.json');
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+    const contact = ghl.contacts.get(CONTACT_ID);
+    const notes = ghl.notes.get(CONTACT_ID) || [];
+    check('The report is processed', response.statusCode === 200 && body.contactId === CONTACT_ID);
+    check('The contact gets the structured data', contact.firstName === 'Official' && contact.email === 'official.test@example.com');
+    check('The call attempt counter is written', ghl.customFieldValues(CONTACT_ID)['Call Attempt Counter'] === '1');
+    check('One call note is added', notes.length === 1 && notes[0].body.includes('official-test-1757625400') && body.noteCreated === true);
+
+    const repeat = await handler(fixtureEvent('official-vapi-test-payload.json'));
+    check('A repeat delivery writes nothing', JSON.parse(repeat.body).duplicate === true && (ghl.notes.get(CONTACT_ID) || []).length === 1 &&
+        ghl.customFieldValues(CONTACT_ID)['Call Attempt Counter'] === '1');
+
+    console.log('');
+    console.log('📅 Appointment confirmed on the call (test-appointment-confirmation.json)');
+    const appointmentResponse = JSON.parse((await handler(fixtureEvent('test-appointment-confirmation.json'))).body);
+    const booked = ghl.appointments.filter(candidate => candidate.contactId === CONTACT_ID);
+    const appointment = booked[booked.length - 1];
+    check('The appointment is booked on the calendar', appointmentResponse.appointmentCreated === true &&
+        appointment?.calendarId === CALENDAR_ID && !Number.isNaN(Date.parse(appointment.startTime)));
+    check('Each call that asked for a consultation booked one appointment', booked.length === 2 &&
+        /Confirmed in transcript/.test(appointment.notes));
+    check('The taken slot cannot be booked twice', await tokenManager.makeGHLRequest('POST', '/calendars/events/appointments', {
+        calendarId: CALENDAR_ID, contactId: CONTACT_ID, startTime: appointment.startTime, endTime: appointment.endTime
+    }).then(() => false, error => /no longer available/.test(error.response?.data?.message)));
+
+    console.log('');
+    console.log('🗓️ Free slots');
+    ghl.seed({ freeSlots: { [CALENDAR_ID]: { '2026-11-02': ['2026-11-02T14:00:00.000Z', '2026-11-02T15:00:00.000Z'] } } });
+    await tokenManager.makeGHLRequest('POST', '/calendars/events/appointments', {
+        calendarId: CALENDAR_ID, contactId: CONTACT_ID, startTime: '2026-11-02T14:00:00.000Z', endTime: '2026-11-02T14:30:00.000Z'
+    });
+    const slots = (await tokenManager.makeGHLRequest('GET', `/calendars/${CALENDAR_ID}/free-slots`)).data;
+    check('Booked slots drop out of the free slots', JSON.stringify(slots['2026-11-02']?.slots) === JSON.stringify(['2026-11-02T15:00:00.000Z']));
+    check('Only seeded free slots can be booked', await tokenManager.makeGHLRequest('POST', '/calendars/events/appointments', {
+        calendarId: CALENDAR_ID, contactId: CONTACT_ID, startTime: '2026-11-02T16:00:00.000Z'
+    }).then(() => false, error => error.response?.status === 400));
+
+    console.log('');
+    console.log('📵 Opt-out on a call VAPI ended as voicemail');
+    const voicemailCall = {
+        id: 'voicemail-opt-out-1',
+        endedReason: 'voicemail',
+        customer: { number: '+15557654321' },
+        assistantOverrides: { variableValues: { contactId: OPT_OUT_CONTACT_ID } }
+    };
+    const voicemailEvent = {
+        ...fixtureEvent('official-vapi-test-payload.json'),
+        body: JSON.stringify({ message: {
+            type: 'end-of-call-report',
+            call: voicemailCall,
+            transcript: 'User: Hello? Stop calling this number.\nAI: Hi Casey, this is Rich calling about your home.'
+        } })
+    };
+    const voicemailBody = JSON.parse((await handler(voicemailEvent)).body);
+    check('The call is recorded as unanswered', voicemailBody.outcome === 'voicemail' && voicemailBody.message === 'Unanswered call recorded');
+    check('The opt-out is still applied', ghl.contacts.get(OPT_OUT_CONTACT_ID).dnd === true && voicemailBody.dndApplied === true);
+    check('No follow-up call is scheduled for the opted-out contact', voicemailBody.optedOut === true && voicemailBody.followUpScheduledFor === null);
+
+    console.log('');
+    console.log('⏳ Async invocation retried after the signature window');
+    const staleHeaders = {
+        'Content-Type': 'application/json',
+        'x-vapi-secret': process.env.VAPI_SECRET_TOKEN,
+        'x-vapi-timestamp': `${Date.now() - 2 * 60 * 60 * 1000}`
+    };
+    const lateBody = JSON.stringify({ message: {
+        type: 'end-of-call-report',
+        call: { id: 'async-retry-1', endedReason: 'customer-did-not-answer', assistantOverrides: { variableValues: { contactId: CONTACT_ID } } },
+        transcript: ''
+    } });
+    const staleRequest = await handler({ httpMethod: 'POST', headers: staleHeaders, body: lateBody });
+    check('A request from outside is still rejected once its timestamp is stale', staleRequest.statusCode === 401);
+    process.env.RETRY_MAX_ATTEMPTS = '2';
+    const retried = await handler({ httpMethod: 'POST', body: lateBody, _asyncProcessing: true });
+    const retriedBody = JSON.parse(retried.body);
+    check('A retried async invocation is processed without re-verifying the signature', retried.statusCode === 200 &&
+        retriedBody.message === 'Unanswered call recorded');
+
+    console.log('');
+    console.log('🔁 Follow-ups count unanswered calls in a row');
+    check('Answered calls before it do not use up the follow-ups', retriedBody.callAttempts >= 2 &&
+        retriedBody.unansweredAttempts === 1 && retriedBody.followUpScheduledFor !== null && retriedBody.attemptsExhausted === false);
+    const missedAgain = JSON.parse((await handler({ httpMethod: 'POST', _asyncProcessing: true, body: lateBody.replace('async-retry-1', 'async-retry-2') })).body);
+    check('The second miss in a row reaches RETRY_MAX_ATTEMPTS', missedAgain.unansweredAttempts === 2 && missedAgain.attemptsExhausted === true);
+    delete process.env.RETRY_MAX_ATTEMPTS;
+
+    console.log('');
+    console.log('🧪 Dry run (realistic-test-payload.json)');
+    const writesBefore = ghl.writes().length;
+    const dryRun = JSON.parse((await handler(fixtureEvent('realistic-test-payload.json', { dryRun: true }))).body);
+    check('A dry run sends no writes to GHL', ghl.writes().length === writesBefore && ghl.contacts.get(CONTACT_ID).firstName === 'Smart');
+    check('A dry run returns the note and contact update it would send', dryRun.dryRun === true &&
+        dryRun.plannedWrites.some(write => write.method === 'PUT' && write.endpoint === `/contacts/${CONTACT_ID}` && write.payload.firstName === 'Audio') &&
+        dryRun.plannedWrites.some(write => write.endpoint === `/contacts/${CONTACT_ID}/notes` && write.payload.body.includes('deployment-test-1757624746')));
+} finally {
+    await ghl.stop();
+}
+
+finish();
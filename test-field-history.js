@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+
+// Test field-level provenance history: what each write records, the field-history action and the call note
+// Runs fully offline - the contact lives in a stub or the fake GHL API, history in memory stores
+
+import { FieldProvenanceStore, getHistoryLimit } from './field-provenance.js';
+import { MemoryStateStore, SSMStateStore } from './state-store.js';
+import { LiveAnswerStore } from './live-answers.js';
+import { FieldReviewQueue } from './review-queue.js';
+import { CustomFieldsManager } from './custom-fields-manager.js';
+import { TranscriptAIExtractor } from './transcript-ai-extractor.js';
+import { handleActionRequest } from './action-api.js';
+import { generateCallSummary } from './note-manager.js';
+import { FakeGHLServer } from './fake-ghl-server.js';
+import { check, finish, stubTokenManager } from './test-helpers.js';
+
+process.env.ACTION_API_KEY = 'test-action-key';
+
+console.log('🧬 FIELD HISTORY TEST');
+console.log('='.repeat(80));
+
+const provenance = new FieldProvenanceStore(new MemoryStateStore('test-history'));
+
+// Contact custom fields held in memory; writes go straight into it
+function stubManager(contact) {
+    const manager = new CustomFieldsManager();
+    manager.customFieldMappings = {
+        askingprice: { fieldId: 'f-price', fieldName: 'Asking Price', dataType: 'TEXT' },
+        motivation: { fieldId: 'f-motivation', fieldName: 'Motivation', dataType: 'TEXT' },
+        timeline: { fieldId: 'f-timeline', fieldName: 'Timeline', dataType: 'TEXT' }
+    };
+    manager.provenance = provenance;
+    manager.getCustomFieldValuesById = async () => new Map(Object.entries(contact));
+    manager.writeCustomFields = async (contactId, payload) => {
+        for (const field of payload.customFields) contact[field.id] = field.value;
+        return { status: 200 };
+    };
+    return manager;
+}
+
+console.log('');
+console.log('🔎 Extraction keeps the text it matched');
+const summary = "The AI asked what's got you thinking about selling your home yourself instead of working with an agent? " +
+    'Dana said her husband got a new job. The AI asked what price are you hoping to get for your home? Dana said around 600k. ' +
+    'She wants to be moved by next spring.';
+const extracted = await new TranscriptAIExtractor({ extractionProvider: null })
+    .extractDataFromTranscript('', { message: { summary, call: { id: 'call-1', startedAt: '2026-10-19T15:00:00Z' } } });
+check('Question answers keep the question and answer span', extracted.askingPrice?.matchedText === 'what price are you hoping to get for your home? Dana said around 600k');
+check('Normalized categories point at the sentence that matched', /new job/.test(extracted.motivation?.matchedText || ''));
+const direct = await new TranscriptAIExtractor({ extractionProvider: null })
+    .extractDataFromTranscript('', { message: { summary: 'Dana is relocating to Denver and wants to be moved by next spring. She hopes to get $600,000.' } });
+check('Summary values without a question point at their sentence', direct.timeline?.matchedText === 'Dana is relocating to Denver and wants to be moved by next spring.' &&
+    direct.timelineDate?.matchedText === direct.timeline.matchedText);
+
+console.log('');
+console.log('📝 Every write is recorded');
+const contact = { 'f-price': '$550,000' };
+const manager = stubManager(contact);
+const first = await manager.updateContactCustomFields('contact-1', {
+    askingPrice: { ...extracted.askingPrice },
+    motivation: { ...extracted.motivation }
+}, { merge: true, callId: 'call-1' });
+const priceChange = first.changes.find(change => change.fieldName === 'Asking Price');
+check('History keeps the old and new value', priceChange?.oldValue === '$550,000' && priceChange.newValue === '$600,000');
+check('History keeps call, source, confidence and time', priceChange.callId === 'call-1' && priceChange.source === 'question_mapping' &&
+    priceChange.confidence === 90 && !Number.isNaN(Date.parse(priceChange.writtenAt)));
+check('History keeps the matched text', priceChange.matchedText === extracted.askingPrice.matchedText);
+check('Fields that were empty have no old value', first.changes.find(change => change.fieldName === 'Motivation')?.oldValue === null);
+
+await new Promise(resolve => setTimeout(resolve, 5));
+await manager.updateContactCustomFields('contact-1', {
+    askingPrice: { value: '$625,000', confidence: 100, source: 'live_answer' }
+});
+await manager.updateContactCustomFields('contact-10', {
+    askingPrice: { value: '$900,000', confidence: 95, source: 'question_mapping' }
+}, { callId: 'call-other' });
+
+const priceHistory = await provenance.history('contact-1', 'askingPrice');
+check('Field history is newest first', priceHistory.length === 2 && priceHistory[0].newValue === '$625,000' &&
+    priceHistory[0].oldValue === '$600,000' && priceHistory[1].newValue === '$600,000');
+check('Field history accepts the GHL field name', (await provenance.history('contact-1', 'Asking Price')).length === 2);
+check('Contact history covers every field and no other contact', (await provenance.history('contact-1')).length === 3);
+
+const unreadable = stubManager({});
+unreadable.getCustomFieldValuesById = async () => { throw new Error('Request failed with status code 503'); };
+const blind = await unreadable.updateContactCustomFields('contact-1', { askingPrice: { value: '$610,000', confidence: 100 } });
+check('If the contact cannot be read the old value is the last recorded write', blind.changes[0]?.oldValue === '$625,000');
+
+console.log('');
+console.log('⚙️ field-history action');
+const event = { headers: { 'x-api-key': 'test-action-key' } };
+const response = await handleActionRequest(event, { action: 'field-history', contactId: 'contact-1', field: 'Asking Price' }, { provenance });
+const body = JSON.parse(response.body);
+check('Returns the field history for the contact', response.statusCode === 200 && body.count === 3 && body.history[0].newValue === '$610,000');
+const missing = await handleActionRequest(event, { action: 'field-history' }, { provenance });
+check('contactId is required', missing.statusCode === 400);
+
+console.log('');
+console.log('🗒️ Call note');
+const note = generateCallSummary({ call: { id: 'call-1' }, message: { summary } }, {}, {
+    fieldChanges: first.changes,
+    keptFields: [{ fieldName: 'Family Size', value: 'Family of 4', reason: 'field already has a value' }],
+    heldForReview: ['nextDestination']
+});
+check('Note lists each change with old and new value', note.includes('• Asking Price: "$550,000" → "$600,000" (question_mapping, 90%)'));
+check('Note quotes the matched text', note.includes('From: "what price are you hoping to get for your home? Dana said around 600k"'));
+check('Note lists kept and held values', note.includes('Family Size: kept existing value') && note.includes('Held for review: nextDestination'));
+check('Notes without field results have no section', !generateCallSummary({ call: { id: 'call-2' }, message: {} }, {}).includes('Field Changes'));
+
+console.log('');
+console.log('📞 Every write names its call');
+const counterManager = stubManager({ 'f-counter': '2' });
+counterManager.customFieldMappings.callattemptcounter = { fieldId: 'f-counter', fieldName: 'Call Attempt Counter', dataType: 'NUMERICAL' };
+counterManager.getCurrentCallCounter = async () => 2;
+await counterManager.processAdditionalFields({ message: { call: { id: 'call-answered' } } }, 'contact-counter');
+await new Promise(resolve => setTimeout(resolve, 5));
+await counterManager.incrementCallCounter('contact-counter', { callId: 'call-unanswered' });
+const counterHistory = await provenance.history('contact-counter', 'Call Attempt Counter');
+check('Call counter writes record the call ID', counterHistory.map(entry => entry.callId).sort().join(',') === 'call-answered,call-unanswered');
+
+const ghl = new FakeGHLServer({
+    seed: {
+        contacts: [{ id: 'contact-live', firstName: 'Casey' }],
+        customFields: [{ id: 'cf-price', name: 'Asking Price', dataType: 'TEXT' }]
+    }
+});
+process.env.GHL_BASE_URL = await ghl.start();
+process.env.GHL_PIT_TOKEN = ghl.token;
+try {
+    const { ghl_record_answer } = await import('./vapi-functions.js');
+    const answered = await ghl_record_answer({ contactId: 'contact-live', field: 'askingPrice', answer: '$450,000' }, { call: { id: 'call-live', assistantOverrides: { variableValues: { contactId: 'contact-live' } } } });
+    const liveHistory = await new FieldProvenanceStore().history('contact-live', 'Asking Price');
+    check('Live answers record the call ID', answered.success && liveHistory[0]?.callId === 'call-live' && liveHistory[0].source === 'live_answer');
+} finally {
+    await ghl.stop();
+}
+
+console.log('');
+console.log('✂️ History is capped per field');
+const capped = new FieldProvenanceStore(new MemoryStateStore('test-history-cap'));
+process.env.FIELD_HISTORY_LIMIT = '3';
+for (let attempt = 1; attempt <= 5; attempt++) {
+    await capped.record('contact-cap', 'Call Attempt Counter', { value: `${attempt}`, callId: `call-${attempt}` });
+    await new Promise(resolve => setTimeout(resolve, 2));
+}
+await capped.record('contact-cap', 'Motivation', { value: 'Relocating', callId: 'call-5' });
+const cappedHistory = await capped.history('contact-cap', 'Call Attempt Counter');
+check('Only the newest FIELD_HISTORY_LIMIT writes are kept', cappedHistory.map(entry => entry.newValue).join(',') === '5,4,3');
+check('The cap is per field', (await capped.history('contact-cap', 'Motivation')).length === 1);
+delete process.env.FIELD_HISTORY_LIMIT;
+check('The limit defaults to 20', getHistoryLimit() === 20);
+
+const ssmDocuments = new Map();
+const sizedStore = new SSMStateStore('test-history-sized', {
+    send: async command => {
+        ssmDocuments.set(command.input.Name, command.input.Value);
+        return {};
+    }
+});
+sizedStore.get = async key => JSON.parse(ssmDocuments.get(sizedStore.parameterName(key)) || 'null');
+const sized = new FieldProvenanceStore(sizedStore);
+for (let attempt = 1; attempt <= 12; attempt++) {
+    await sized.record('contact-sized', 'Latest Call Summary', { value: `Summary ${attempt}`, matchedText: 'x'.repeat(300), callId: `call-${attempt}` });
+}
+const sizedHistory = await sized.history('contact-sized');
+check('On SSM the oldest entries are dropped so the document fits in 4 KB', sizedHistory.length > 0 && sizedHistory.length < 12 &&
+    sizedHistory[0].newValue === 'Summary 12' && [...ssmDocuments.values()].every(value => Buffer.byteLength(value) <= 4096));
+
+console.log('');
+console.log('💾 One provenance document per contact, written once per call');
+// Counts the puts made to the contact's provenance document; failNext makes the next put throw
+class CountingStore extends MemoryStateStore {
+    constructor(namespace) {
+        super(namespace);
+        this.puts = 0;
+        this.failNext = false;
+    }
+
+    async put(key, value) {
+        this.puts++;
+        if (this.failNext) {
+            this.failNext = false;
+            throw new Error('ThrottlingException: Rate exceeded');
+        }
+        return await super.put(key, value);
+    }
+}
+
+const counted = new CountingStore('test-history-counted');
+const callManager = stubManager({ 'f-counter': '4' });
+callManager.customFieldMappings.callattemptcounter = { fieldId: 'f-counter', fieldName: 'Call Attempt Counter', dataType: 'NUMERICAL' };
+callManager.provenance = new FieldProvenanceStore(counted);
+callManager.pitTokenManager = stubTokenManager();
+callManager.liveAnswers = new LiveAnswerStore(new MemoryStateStore('test-history-counted-live'));
+callManager.reviewQueue = new FieldReviewQueue(new MemoryStateStore('test-history-counted-review'));
+callManager.getExistingFieldData = async () => ({});
+callManager.getCurrentCallCounter = async () => 4;
+callManager.aiExtractor.extractDataFromTranscript = async () => ({
+    askingPrice: { value: '$700,000', confidence: 95, source: 'question_mapping' },
+    motivation: { value: 'Downsizing', confidence: 90, source: 'vapi_summary' },
+    timeline: { value: 'Next summer', confidence: 90, source: 'vapi_summary' }
+});
+
+const processed = await callManager.processVAPICall({ call: { id: 'call-counted', transcript: 'AI: Hi\nUser: Hello there' } }, 'contact-counted');
+const stored = await counted.get('contact-counted');
+check('Every write from the call is stored with a single put', processed.success && counted.puts === 1 &&
+    stored.history.length === 4 && Object.keys(stored.fields).sort().join(',') === 'askingprice,callattemptcounter,motivation,timeline');
+check('The result says the history was saved', processed.provenanceSaved === true && processed.provenanceError === null &&
+    processed.fieldChanges.length === 3);
+
+counted.failNext = true;
+const throttled = await callManager.processVAPICall({ call: { id: 'call-throttled', transcript: 'AI: Hi\nUser: Hello again' } }, 'contact-counted');
+check('A failed history write is reported in the result, not just logged', throttled.success && throttled.fieldsUpdated === 4 &&
+    throttled.provenanceSaved === false && /Rate exceeded/.test(throttled.provenanceError) && throttled.fieldChanges.length === 3);
+const single = await callManager.updateContactCustomFields('contact-counted', { motivation: { value: 'Retiring', confidence: 100 } },
+    { callId: 'call-direct' });
+check('Single updates record their own writes', single.provenanceSaved === true && (await counted.get('contact-counted')).fields.motivation.value === 'Retiring');
+
+finish();
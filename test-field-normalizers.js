@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+// Test price, motivation, destination and timeline normalization against real-style call summaries
+// Runs fully offline - timelines are resolved against a fixed "now"
+
+import { normalizePrice, normalizeMotivation, normalizeDestination, normalizeTimeline, normalizeFieldValue } from './field-normalizers.js';
+import { SimpleQuestionMapper } from './simple-question-mapper.js';
+import { IntelligentFieldMapper } from './intelligent-field-mapper.js';
+import { check, finish } from './test-helpers.js';
+
+console.log('🧽 FIELD NORMALIZATION TEST');
+console.log('='.repeat(80));
+
+function checkCases(normalize, cases) {
+    for (const [text, expected] of cases) {
+        const actual = normalize(text)?.value ?? null;
+        check(`"${text.length > 70 ? `${text.substring(0, 67)}...` : text}" → ${expected}`, actual === expected);
+    }
+}
+
+const now = new Date('2026-10-19T15:00:00Z');
+
+console.log('');
+console.log('💲 Price');
+checkCases(normalizePrice, [
+    ['Michael is looking to sell his home for $1.6 million by February.', '$1,600,000'],
+    ['Asked what he hopes to get, he said a million 50.', '$1,050,000'],
+    ['They are hoping for a million two, firm.', '$1,200,000'],
+    ['Priced at $1.05M on Zillow right now.', '$1,050,000'],
+    ['Sarah wants around 750k and to close within 60 days.', '$750,000'],
+    ['The seller listed the house at $450,000 two weeks ago.', '$450,000'],
+    ['He would take 425 thousand if the buyer can close fast.', '$425,000'],
+    ['They are asking two million for the waterfront lot.', '$2,000,000'],
+    ['Hoping to get 1.2 mil after repairs.', '$1,200,000'],
+    ['Listed at 389,900 with a price drop planned.', '$389,900'],
+    ['They want to save the 6% commission and sell within 90 days.', null],
+    ['No price discussed; seller wants to think about it.', null]
+]);
+
+console.log('');
+console.log('🎯 Motivation');
+checkCases(normalizeMotivation, [
+    ['Sarah said to save on commission.', 'Save commission'],
+    ['They wanna get the most money out of the sale and save the commission.', 'Save commission, Get the most money'],
+    ['He does not want to pay an agent 6% on a house he fixed up himself.', 'Save commission'],
+    ['Her husband got a job in Austin and they need to be there by spring.', 'Job relocation'],
+    ['The couple is downsizing since the kids moved out.', 'Downsizing'],
+    ['They already bought a new house in Tampa and are carrying two mortgages.', 'Already bought'],
+    ['John is retiring next year and wants something smaller.', 'Retirement'],
+    ['The owners are going through a divorce and need to split the equity.', 'Divorce'],
+    ['Her mother passed away and the family inherited the property.', 'Inherited property'],
+    ['He is behind on the mortgage and wants to avoid foreclosure.', 'Financial hardship'],
+    ['They are moving to be closer to their grandkids in Ohio.', 'Relocation'],
+    ['The family has outgrown the house with a third baby on the way.', 'Upsizing'],
+    ['Michael, frustrated by agent calls, is open to an agent if the buyer pays the commission.', null]
+]);
+
+console.log('');
+console.log('📍 Destination');
+checkCases(normalizeDestination, [
+    ['Michael is looking to sell by February to move to San Francisco, and is open to an agent.', 'San Francisco'],
+    ['Denver, near her daughter', 'Denver'],
+    ['Sarah said Denver, near her daughter.', 'Denver'],
+    ['They are relocating to Austin, Texas for his new job.', 'Austin, TX'],
+    ['The sellers live in Ohio but are moving to Charlotte, NC.', 'Charlotte, NC'],
+    ['Probably Florida', 'Florida'],
+    ['He plans on retiring in Scottsdale Arizona.', 'Scottsdale, AZ'],
+    ['They want to head back to St. Louis, Missouri where they grew up.', 'St. Louis, MO'],
+    ['She is looking at Raleigh, North Carolina or maybe Charleston.', 'Raleigh, NC'],
+    ['They would like to be closer to Dallas.', 'Dallas'],
+    ['Staying local, just want a smaller place in town.', 'Staying local'],
+    ["They haven't decided where to go yet.", 'Not sure yet'],
+    ['Heading down south once the house sells.', 'Down south'],
+    ['Olivia asked about their plans and they said they need to talk it over.', null]
+]);
+
+console.log('');
+console.log('📅 Timeline (now = October 19, 2026)');
+checkCases(text => normalizeTimeline(text, { now }), [
+    ['Michael is looking to sell his home for $1.6 million by February.', 'February 2027'],
+    ['They want to be moved out by next spring.', 'March 2027'],
+    ['Ideally sold in 3 months so the kids can start school.', 'January 2027'],
+    ['She needs to close within 60 days.', 'December 2026'],
+    ['Hoping to wrap up in a couple of months.', 'December 2026'],
+    ['They would love to be in the new place by Christmas.', 'December 2026'],
+    ['Selling by year-end for tax reasons.', 'December 2026'],
+    ['He wants it sold ASAP because of the job start date.', 'ASAP'],
+    ['No rush, they are just testing the market.', 'Flexible'],
+    ['Looking at this summer once school is out.', 'June 2027'],
+    ['They may list in March after the renovation.', 'March 2027'],
+    ['Sometime in 2028 after he retires.', '2028'],
+    ['She said prices may fall but she will wait and see.', null]
+]);
+check('Timeline targets are machine-readable months', normalizeTimeline('by next spring', { now })?.targetMonth === '2027-03');
+check('"No rush" has no target month', normalizeTimeline('no rush at all', { now })?.targetMonth === null);
+const monthEnd = (text, date) => normalizeTimeline(text, { now: new Date(date) });
+check('Months added at the end of a month stay in the target month', monthEnd('in 3 months', '2026-11-30T15:00:00Z')?.targetDate === '2027-02-28' &&
+    monthEnd('within a month', '2027-01-31T15:00:00Z')?.targetDate === '2027-02-28' &&
+    monthEnd('in a month', '2028-01-31T15:00:00Z')?.targetDate === '2028-02-29' &&
+    monthEnd('within six months', '2026-08-31T15:00:00Z')?.targetMonth === '2027-02');
+
+console.log('');
+console.log('🔌 Wired into the extractors');
+check('Schema routes askingPrice through the price normalizer', normalizeFieldValue('askingPrice', 'a million 50')?.value === '$1,050,000');
+check('Fields without a normalizer are left alone', normalizeFieldValue('concerns', 'buyer quality') === null);
+
+const questionSummary = 'The AI asked what price are you hoping to get for your home? Dana said a million 50. ' +
+    'The AI asked where are you planning to go after you sell? Dana said relocating to Austin, Texas.';
+const questionFields = await new SimpleQuestionMapper().extractFromSummary(questionSummary);
+check('Question answers are normalized', questionFields.askingPrice?.value === '$1,050,000' && questionFields.nextDestination?.value === 'Austin, TX');
+check('The spoken answer is kept as rawValue', questionFields.askingPrice?.rawValue === 'Dana said a million 50');
+
+const jobSummary = 'Tom is selling because of a job transfer to Boston and hopes to get $875,000 within 60 days.';
+const directFields = new SimpleQuestionMapper().extractDirectFromSummary(jobSummary);
+check('Direct extraction uses the normalizers', directFields.motivation?.value === 'Job relocation' &&
+    directFields.expectations?.value === '$875,000' && directFields.nextDestination?.value === 'Boston');
+
+const mapper = new IntelligentFieldMapper();
+const retirementSummary = 'Linda is retiring and moving to Naples, Florida; she wants about 600k and to be out by June.';
+const businessValue = field => mapper.fieldMappings.get(field).businessLogic('', { originalSummary: retirementSummary });
+check('Pattern mapper motivation comes from the summary, not canned answers', businessValue('motivation') === 'Relocation, Retirement');
+check('Pattern mapper destination keeps the state', businessValue('nextDestination') === 'Naples, FL');
+check('Pattern mapper price is the stated amount', businessValue('expectations') === '$600,000');
+
+finish();
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+// Test that field-schema.json drives every extractor and the custom field mapper
+// Runs fully offline - a field is added to a copy of the schema and must show up everywhere
+
+import { readFileSync } from 'fs';
+import { useFieldSchema, compileFieldSchema, getFieldDefinitions } from './field-schema.js';
+import { SimpleQuestionMapper } from './simple-question-mapper.js';
+import { IntelligentFieldMapper } from './intelligent-field-mapper.js';
+import { TranscriptAIExtractor } from './transcript-ai-extractor.js';
+import { buildExtractionSchema } from './llm-extraction-provider.js';
+import { CustomFieldsManager } from './custom-fields-manager.js';
+import { check, finish } from './test-helpers.js';
+
+console.log('🗂️ FIELD SCHEMA TEST');
+console.log('='.repeat(80));
+
+function throws(fn, pattern) {
+    try {
+        fn();
+        return false;
+    } catch (error) {
+        return pattern.test(error.message);
+    }
+}
+
+const baseSchema = JSON.parse(readFileSync(new URL('./field-schema.json', import.meta.url), 'utf8'));
+
+console.log('');
+console.log('📄 Shipped schema');
+const questionKeys = [...new SimpleQuestionMapper().questionMappings.keys()];
+check('Question mapper covers the eight seller questions', questionKeys.join(',') ===
+    'motivation,expectations,disappointments,concerns,nextDestination,timeline,askingPrice,opennessToRelist');
+check('Question mapper uses the schema GHL field names', new SimpleQuestionMapper().questionMappings.get('opennessToRelist').fieldName === 'Openness to Re-list');
+check('LLM schema has the same fields as the question mapper', Object.keys(buildExtractionSchema().properties).join(',') === questionKeys.join(','));
+const expectationsMapping = new IntelligentFieldMapper().fieldMappings.get('expectations');
+check('Pattern mapper compiles schema patterns and garbage filters', expectationsMapping.patterns[0] instanceof RegExp &&
+    expectationsMapping.patterns[0].flags === 'gi' && expectationsMapping.preventGarbageValues.some(pattern => pattern.test('5 m')));
+check('Transcript templates come from the schema', new TranscriptAIExtractor({ extractionProvider: null }).extractionTemplates.bedrooms?.fieldType === 'number');
+
+const manager = new CustomFieldsManager();
+manager.customFieldMappings = {
+    expectations: { fieldId: 'field-expectations', fieldName: 'Expectations', dataType: 'TEXT' },
+    nextdestination: { fieldId: 'field-destination', fieldName: 'Next Destination', dataType: 'TEXT' }
+};
+check('Schema aliases map askingPrice to Expectations', manager.getFieldNameAliases().askingprice === 'expectations' &&
+    manager.resolveFieldMapping('askingPrice')?.fieldId === 'field-expectations');
+
+console.log('');
+console.log('➕ Adding a field in the schema only');
+const extended = structuredClone(baseSchema);
+extended.fields.hoaFees = {
+    ghlField: 'HOA Fees',
+    type: 'text',
+    alias: 'Expectations',
+    questions: ['Do you pay any HOA fees?'],
+    prompts: ['Does the property have HOA fees?'],
+    keywords: ['hoa', 'association'],
+    extractionHint: 'Extract monthly HOA fees',
+    patterns: ['hoa\\s+(?:fees?\\s+)?(?:of\\s+)?\\$?(\\d+)'],
+    normalization: { maxLength: 20, fallback: 'Unknown' },
+    llm: { description: 'Monthly HOA fees', maxLength: 20 }
+};
+useFieldSchema(extended);
+
+try {
+    check('Question mapper picks it up', new SimpleQuestionMapper().questionMappings.get('hoaFees')?.fieldName === 'HOA Fees');
+    check('Pattern mapper picks it up', new IntelligentFieldMapper().fieldMappings.get('hoaFees')?.fallback === 'Unknown');
+    check('Transcript templates pick it up', new TranscriptAIExtractor({ extractionProvider: null }).extractionTemplates.hoaFees?.keywords.includes('hoa'));
+    check('LLM schema picks it up', buildExtractionSchema().properties.hoaFees?.properties.value.maxLength === 20);
+    check('Custom field mapper resolves it through its alias', manager.resolveFieldMapping('hoaFees')?.fieldId === 'field-expectations');
+
+    const extracted = await new SimpleQuestionMapper().extractFromSummary('The AI asked do you pay any HOA fees? Dana said about $250 a month.');
+    check('New field is extracted from its question', /250/.test(extracted.hoaFees?.value || ''));
+
+    const mapper = new IntelligentFieldMapper();
+    const patternResult = mapper.extractFieldValue('hoaFees', mapper.fieldMappings.get('hoaFees'), 'the hoa fees of $180 monthly', '', {});
+    check('Schema-only fields get the schema normalization', patternResult?.value === '180');
+} finally {
+    useFieldSchema(null);
+}
+
+check('Resetting reloads the shipped schema', !getFieldDefinitions().some(field => field.key === 'hoaFees'));
+
+console.log('');
+console.log('🚫 Invalid schemas');
+check('Missing ghlField is rejected', throws(() => compileFieldSchema({ fields: { broken: { type: 'text' } } }), /ghlField/));
+check('Bad regex names the field', throws(() => compileFieldSchema({ fields: { broken: { ghlField: 'Broken', patterns: ['(unclosed'] } } }), /"broken"/));
+check('Incomplete llm section is rejected', throws(() => compileFieldSchema({ fields: { broken: { ghlField: 'Broken', llm: { maxLength: 10 } } } }), /llm/));
+
+finish();
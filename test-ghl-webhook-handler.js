@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+// Test GHL contact webhooks: trigger tag detection, signature verification, routing and retry dedup
+// Runs fully offline - the handler talks to the fake GHL API and no call reaches VAPI
+
+import crypto from 'crypto';
+import { FakeGHLServer } from './fake-ghl-server.js';
+import { MemoryStateStore } from './state-store.js';
+import { CallDedupManager } from './call-dedup.js';
+import { CallQueue } from './call-queue.js';
+import { triggerOutboundCall } from './outbound-call-manager.js';
+import {
+    isGHLWebhook,
+    detectTriggerTag,
+    getWebhookContactId,
+    verifyGHLWebhook,
+    GHL_SECRET_HEADER,
+    processGHLWebhook
+} from './ghl-webhook-handler.js';
+import { check, finish, stubTokenManager } from './test-helpers.js';
+
+console.log('🧪 GHL WEBHOOK TEST');
+console.log('='.repeat(80));
+
+const SECRET = 'test-ghl-secret';
+
+// Stand-in for GHL's signing key pair - GHL signs x-wh-signature with the private half
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const PUBLIC_KEY_PEM = publicKey.export({ type: 'spki', format: 'pem' });
+const signBody = body => crypto.sign('sha256', Buffer.from(body), privateKey).toString('base64');
+delete process.env.GHL_TRIGGER_TAGS;
+
+// A tag-added webhook whose contact fields are forged - only the ID may be used
+function tagAddedPayload(overrides = {}) {
+    return {
+        type: 'ContactTagUpdate',
+        eventType: 'contact.tag.added',
+        webhookId: 'wh-1',
+        contact: { id: 'contact-dnd', phone: '+19995550000', timezone: 'Pacific/Kiritimati', state: 'HI', dnd: false },
+        tags: [{ name: 'fsbo' }],
+        ...overrides
+    };
+}
+
+// Workflow webhook: the Custom Webhook action sends the shared secret in GHL_SECRET_HEADER
+function signedEvent(payload, secret = SECRET) {
+    return {
+        httpMethod: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-GHL-Webhook-Secret': secret },
+        body: JSON.stringify(payload)
+    };
+}
+
+// Marketplace app webhook: signed by GHL in x-wh-signature
+function appEvent(payload, signature = null) {
+    const body = JSON.stringify(payload);
+    return {
+        httpMethod: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-WH-Signature': signature ?? signBody(body) },
+        body
+    };
+}
+
+console.log('');
+console.log('🏷️ Trigger tag detection');
+check('Contact webhooks are recognized, VAPI messages are not',
+    isGHLWebhook(tagAddedPayload()) && isGHLWebhook({ contact_id: 'c-1' }) && !isGHLWebhook({ message: { type: 'end-of-call-report' } }));
+check('Tag-added event with the trigger tag is detected', detectTriggerTag(tagAddedPayload()) === 'fsbo');
+check('Explicitly added tags win over the full tag list',
+    detectTriggerTag(tagAddedPayload({ tagsAdded: ['vip'], tags: ['fsbo', 'vip'] })) === null &&
+    detectTriggerTag(tagAddedPayload({ tagsAdded: 'FSBO' })) === 'fsbo');
+check('A new contact created with the trigger tag counts', detectTriggerTag({ type: 'ContactCreate', contact: { id: 'c-1', tags: ['fsbo'] } }) === 'fsbo');
+check('Other events and other tags are ignored',
+    detectTriggerTag({ eventType: 'contact.updated', tags: ['fsbo'] }) === null &&
+    detectTriggerTag(tagAddedPayload({ tags: ['buyer'] })) === null);
+process.env.GHL_TRIGGER_TAGS = 'call-now, Hot Lead';
+check('GHL_TRIGGER_TAGS configures the trigger tags', detectTriggerTag(tagAddedPayload({ tags: ['hot lead'] })) === 'hot lead' &&
+    detectTriggerTag(tagAddedPayload()) === null);
+delete process.env.GHL_TRIGGER_TAGS;
+check('The contact ID is read from every payload format',
+    getWebhookContactId(tagAddedPayload()) === 'contact-dnd' && getWebhookContactId({ contact_id: 'c-2' }) === 'c-2' &&
+    getWebhookContactId({ contactId: 'c-3' }) === 'c-3');
+
+console.log('');
+console.log('🔏 Signature verification');
+const appSigned = appEvent(tagAddedPayload());
+check('An app webhook signed with GHL\'s key is accepted', verifyGHLWebhook(appSigned, { publicKey: PUBLIC_KEY_PEM }).valid);
+const singleLineKey = PUBLIC_KEY_PEM.replace(/-----[A-Z ]+-----|\s/g, '');
+check('The public key can be configured as one base64 line or with escaped newlines',
+    verifyGHLWebhook(appSigned, { publicKey: singleLineKey }).valid &&
+    verifyGHLWebhook(appSigned, { publicKey: PUBLIC_KEY_PEM.trim().replace(/\n/g, '\\n') }).valid);
+check('A tampered app webhook body is rejected', verifyGHLWebhook({ ...appSigned, body: appSigned.body.replace('contact-dnd', 'contact-other') },
+    { publicKey: PUBLIC_KEY_PEM }).reason === 'Invalid x-wh-signature');
+const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+check('A signature from another key is rejected', !verifyGHLWebhook(appEvent(tagAddedPayload(),
+    crypto.sign('sha256', Buffer.from(appSigned.body), otherKey).toString('base64')), { publicKey: PUBLIC_KEY_PEM }).valid);
+check('The shared secret does not stand in for the public key', verifyGHLWebhook(appSigned, { publicKey: '', secret: SECRET }).reason ===
+    'Webhook verification is not configured');
+
+const event = signedEvent(tagAddedPayload());
+check(`A workflow webhook with the secret in ${GHL_SECRET_HEADER} is accepted`, verifyGHLWebhook(event, { secret: SECRET }).valid);
+check('A wrong secret is rejected', verifyGHLWebhook(signedEvent(tagAddedPayload(), 'guess'), { secret: SECRET }).reason === `Invalid ${GHL_SECRET_HEADER}`);
+check('A webhook with neither header is rejected', verifyGHLWebhook({ ...event, headers: {} }, { secret: SECRET, publicKey: PUBLIC_KEY_PEM }).reason ===
+    `Missing x-wh-signature or ${GHL_SECRET_HEADER} header`);
+check('Without GHL_WEBHOOK_SECRET or GHL_WEBHOOK_PUBLIC_KEY nothing is accepted', !verifyGHLWebhook(event, { secret: '', publicKey: '' }).valid &&
+    !verifyGHLWebhook(appSigned, { secret: '', publicKey: '' }).valid);
+
+console.log('');
+console.log('🔁 Contact ID only and retry dedup');
+const dialed = [];
+const webhookDedup = new CallDedupManager(new MemoryStateStore('test-ghl-webhooks'));
+const fakeTrigger = async (contact, options) => {
+    dialed.push({ contact, options });
+    return { success: true, callId: `call-${dialed.length}`, contactId: contact.id, triggerReason: options.reason };
+};
+const first = await processGHLWebhook(tagAddedPayload(), { triggerCall: fakeTrigger, webhookDedup });
+check('Only the contact ID is passed on to the outbound call', first.statusCode === 200 &&
+    JSON.stringify(dialed[0]?.contact) === JSON.stringify({ id: 'contact-dnd' }) && dialed[0].options.reason === 'tag_added:fsbo');
+const retry = await processGHLWebhook(tagAddedPayload(), { triggerCall: fakeTrigger, webhookDedup });
+check('A GHL retry of the same webhook does not dial again', dialed.length === 1 && JSON.parse(retry.body).duplicate === true);
+await processGHLWebhook(tagAddedPayload({ webhookId: 'wh-2' }), { triggerCall: fakeTrigger, webhookDedup });
+check('A new webhook for the same contact still dials', dialed.length === 2);
+const failing = async () => { throw new Error('VAPI down'); };
+const crashed = await processGHLWebhook(tagAddedPayload({ webhookId: 'wh-3' }), { triggerCall: failing, webhookDedup }).then(() => false, () => true);
+await processGHLWebhook(tagAddedPayload({ webhookId: 'wh-3' }), { triggerCall: fakeTrigger, webhookDedup });
+check('A failed delivery is released so the retry can dial', crashed && dialed.length === 3);
+const missingId = await processGHLWebhook({ eventType: 'contact.tag.added', tags: ['fsbo'] }, { triggerCall: fakeTrigger, webhookDedup });
+check('A webhook without a contact ID is a 400', missingId.statusCode === 400 && dialed.length === 3);
+
+// 13:30 UTC is 09:30 in New York but 06:30 in Los Angeles
+const ghlContact = { id: 'contact-la', phone: '+13105550100', timezone: 'America/Los_Angeles', state: 'CA', dnd: false, tags: [] };
+const callQueue = new CallQueue(new MemoryStateStore('test-ghl-webhook-queue'));
+const queued = await triggerOutboundCall({ id: 'contact-la', phone: '+12125550100', timezone: 'America/New_York', state: 'NY' }, {
+    reason: 'tag_added:fsbo',
+    pitTokenManager: stubTokenManager({ contact: ghlContact }),
+    vapiApiKey: 'test-key',
+    now: new Date('2025-09-17T13:30:00Z'),
+    callQueue
+});
+check('Phone and timezone come from GHL, not the caller', queued.queued === true && queued.phone === '+13105550100' &&
+    queued.timezone === 'America/Los_Angeles');
+
+console.log('');
+console.log('🌐 Routing through the handler');
+const ghl = new FakeGHLServer({
+    seed: { contacts: [{ id: 'contact-dnd', firstName: 'Morgan', phone: '+15551230000', timezone: 'America/New_York', dnd: true }] }
+});
+process.env.GHL_BASE_URL = await ghl.start();
+process.env.GHL_PIT_TOKEN = ghl.token;
+process.env.GHL_WEBHOOK_SECRET = SECRET;
+process.env.GHL_WEBHOOK_PUBLIC_KEY = PUBLIC_KEY_PEM;
+delete process.env.GHL_VERIFY_SIGNATURE;
+
+try {
+    const { handler } = await import('./index.js');
+
+    const unsigned = await handler({ ...event, headers: { 'Content-Type': 'application/json' } });
+    check('An unsigned GHL webhook gets a 401', unsigned.statusCode === 401 && /GHL webhook verification failed/.test(JSON.parse(unsigned.body).message));
+    const forged = await handler(appEvent(tagAddedPayload(), signBody('{}')));
+    const guessed = await handler(signedEvent(tagAddedPayload(), 'test-ghl-secreT'));
+    check('A webhook with the wrong signature or secret gets a 401', forged.statusCode === 401 && guessed.statusCode === 401);
+    check('Rejected webhooks never reach GHL', ghl.requests.length === 0);
+
+    const routed = await handler(signedEvent(tagAddedPayload({ webhookId: 'wh-routed' })));
+    const routedBody = JSON.parse(routed.body);
+    check('A signed tag webhook is routed to the outbound call', routed.statusCode === 200 &&
+        ghl.requests.some(request => request.method === 'GET' && request.path === '/contacts/contact-dnd'));
+    check('DND is read from GHL despite the payload saying otherwise', routedBody.blocked === 'dnd' && routedBody.contactId === 'contact-dnd');
+
+    const noTag = await handler(appEvent(tagAddedPayload({ webhookId: 'wh-no-tag', tags: ['buyer'] })));
+    check('An app webhook signed by GHL is routed, and places no call without the trigger tag', noTag.statusCode === 200 &&
+        /no trigger tag/.test(JSON.parse(noTag.body).message));
+} finally {
+    await ghl.stop();
+}
+
+finish();
@@ -2,12 +2,17 @@
 
 // Test script for regular GHL webhook that triggers VAPI calls
 import { handler } from './index.js';
+import { GHL_SECRET_HEADER } from './ghl-webhook-handler.js';
+
+// Authenticate like a GHL workflow Custom Webhook action: GHL_WEBHOOK_SECRET in the GHL_SECRET_HEADER header
+function signed(event) {
+    return { ...event, headers: { ...event.headers, [GHL_SECRET_HEADER]: process.env.GHL_WEBHOOK_SECRET || '' } };
+}
 
 const testGhlWebhookEvent = {
     httpMethod: 'POST',
     headers: {
-        'Content-Type': 'application/json',
-        'x-ghl-signature': 'test_ghl_signature_here'
+        'Content-Type': 'application/json'
     },
     body: JSON.stringify({
         // Regular GHL webhook payload - Contact with FSBO tag
@@ -43,7 +48,7 @@ console.log('💰 Cost: FREE (no premium workflow fees!)');
 console.log('');
 
 try {
-    const result = await handler(testGhlWebhookEvent);
+    const result = await handler(signed(testGhlWebhookEvent));
     console.log('✅ GHL Webhook Response:', JSON.stringify(result, null, 2));
     
     if (result.statusCode === 200) {
@@ -76,8 +81,7 @@ console.log('');
 const testWebsiteLeadEvent = {
     httpMethod: 'POST',
     headers: {
-        'Content-Type': 'application/json',
-        'x-ghl-signature': 'test_ghl_signature_here'
+        'Content-Type': 'application/json'
     },
     body: JSON.stringify({
         type: 'ContactCreate',
@@ -104,7 +108,7 @@ const testWebsiteLeadEvent = {
 
 console.log('🌐 Test 2: Website Lead with follow-up tag...');
 try {
-    const result2 = await handler(testWebsiteLeadEvent);
+    const result2 = await handler(signed(testWebsiteLeadEvent));
     const body2 = JSON.parse(result2.body);
     console.log('Result:', body2.message || 'Call triggered: ' + body2.callId);
 } catch (error) {
@@ -115,8 +119,7 @@ try {
 const testNoTriggerEvent = {
     httpMethod: 'POST', 
     headers: {
-        'Content-Type': 'application/json',
-        'x-ghl-signature': 'test_ghl_signature_here'
+        'Content-Type': 'application/json'
     },
     body: JSON.stringify({
         type: 'ContactUpdate',
@@ -137,7 +140,7 @@ const testNoTriggerEvent = {
 
 console.log('🚫 Test 3: Contact without trigger conditions...');
 try {
-    const result3 = await handler(testNoTriggerEvent);
+    const result3 = await handler(signed(testNoTriggerEvent));
     const body3 = JSON.parse(result3.body);
     console.log('Result:', body3.message);
 } catch (error) {
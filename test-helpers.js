@@ -0,0 +1,36 @@
+// test-helpers.js - Shared harness for the offline test-*.js scripts
+// check() counts and prints one assertion; finish() prints the tally and exits non-zero on any failure
+
+let passed = 0;
+let total = 0;
+
+export function check(name, condition) {
+    total++;
+    if (condition) passed++;
+    console.log(`   ${condition ? '✅' : '❌'} ${name}`);
+}
+
+export function finish() {
+    console.log('');
+    console.log(`🎯 ${passed}/${total} checks passed`);
+    process.exit(passed === total ? 0 : 1);
+}
+
+// Stand-in for PITTokenManager: records every request in `requests`
+// respond(method, endpoint, data) returns the response data (or throws); without an answer requests get { contact }
+export function stubTokenManager({ contact = {}, respond = null } = {}) {
+    return {
+        pitToken: 'test-token',
+        requests: [],
+        async makeGHLRequest(method, endpoint, data = null) {
+            this.requests.push({ method, endpoint, data });
+            const answer = respond ? await respond(method, endpoint, data) : undefined;
+            return { data: answer ?? { contact } };
+        },
+        getAuthHeaders() {
+            return { Authorization: `Bearer ${this.pitToken}` };
+        }
+    };
+}
+
+export default { check, finish, stubTokenManager };
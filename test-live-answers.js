@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+// Test live answer capture (ghl_record_answer) and post-call protection of live answers
+// Runs fully offline - custom field mappings are injected or served by the fake GHL API, no SSM calls
+
+import { LiveAnswerStore, validateLiveAnswer } from './live-answers.js';
+import { MemoryStateStore } from './state-store.js';
+import { CustomFieldsManager } from './custom-fields-manager.js';
+import { FakeGHLServer } from './fake-ghl-server.js';
+import { check, finish } from './test-helpers.js';
+
+console.log('🎙️ LIVE ANSWER CAPTURE TEST');
+console.log('='.repeat(80));
+
+console.log('');
+console.log('🧹 Validation');
+check('Leading filler is stripped', validateLiveAnswer('timeline', 'um, well, within three months').value === 'Within three months');
+check('Filler words that carry meaning are kept', validateLiveAnswer('concerns', 'Well water testing').value === 'Well water testing');
+check('Empty answer is rejected', validateLiveAnswer('motivation', '  uh ').valid === false);
+check('Price without an amount is rejected', validateLiveAnswer('askingPrice', 'as much as possible').valid === false);
+check('Spoken price is accepted', validateLiveAnswer('askingPrice', 'four hundred fifty thousand').valid === true);
+
+console.log('');
+console.log('📦 Live answer store');
+const memoryStore = new MemoryStateStore('test-live-answers');
+await memoryStore.clear();
+const liveAnswers = new LiveAnswerStore(memoryStore);
+
+await liveAnswers.record('contact-1', { callId: 'call-1', fieldKey: 'motivation', fieldName: 'Motivation', value: 'Job transfer to Austin' });
+await liveAnswers.record('contact-1', { callId: 'call-1', fieldKey: 'askingPrice', fieldName: 'Asking Price', value: '$450,000' });
+await liveAnswers.record('contact-10', { callId: 'call-9', fieldKey: 'timeline', fieldName: 'Timeline', value: 'Next spring' });
+
+check('Answers for the same call are returned', (await liveAnswers.getForCall('contact-1', { callId: 'call-1' })).length === 2);
+check('Answers from another call are ignored', (await liveAnswers.getForCall('contact-1', { callId: 'call-2' })).length === 0);
+check('Contact IDs with a shared prefix are kept apart', (await liveAnswers.getForCall('contact-1', { since: '2000-01-01' })).length === 2);
+
+console.log('');
+console.log('🛡️ Post-call extraction does not overwrite live answers');
+const manager = new CustomFieldsManager();
+manager.liveAnswers = liveAnswers;
+manager.customFieldMappings = {
+    motivation: { fieldId: 'field-motivation', fieldName: 'Motivation', dataType: 'TEXT' },
+    askingprice: { fieldId: 'field-price', fieldName: 'Asking Price', dataType: 'TEXT' },
+    timeline: { fieldId: 'field-timeline', fieldName: 'Timeline', dataType: 'TEXT' }
+};
+
+const extractedData = {
+    motivation: { value: 'Relocating', confidence: 80 },
+    askingPrice: { value: '$400,000', confidence: 70 },
+    timeline: { value: 'Three months', confidence: 75 },
+    _metadata: { source: 'test' }
+};
+const protectedFields = await manager.protectLiveAnswers('contact-1', { call: { id: 'call-1' } }, extractedData);
+
+check('Live fields are reported as protected', protectedFields.includes('Motivation') && protectedFields.includes('Asking Price'));
+check('Extracted values for live fields are dropped', !extractedData.motivation && !extractedData.askingPrice);
+check('Other extracted fields are kept', extractedData.timeline?.value === 'Three months' && !!extractedData._metadata);
+
+console.log('');
+console.log('📞 ghl_record_answer writes only the call\'s contact');
+const ghl = new FakeGHLServer({
+    seed: {
+        contacts: [{ id: 'caller-contact', firstName: 'Casey' }, { id: 'other-contact', firstName: 'Jordan' }],
+        customFields: [{ id: 'cf-price', name: 'Asking Price', dataType: 'TEXT' }]
+    }
+});
+process.env.GHL_BASE_URL = await ghl.start();
+process.env.GHL_PIT_TOKEN = ghl.token;
+try {
+    const { ghl_record_answer } = await import('./vapi-functions.js');
+    const call = { id: 'call-live', assistantOverrides: { variableValues: { contactId: 'caller-contact' } } };
+    const callerAnswers = new LiveAnswerStore();
+
+    const steered = await ghl_record_answer({ contactId: 'other-contact', field: 'askingPrice', answer: '$1' }, { call });
+    check('A contactId that disagrees with the call is refused', steered.success === false && steered.error === 'contactId does not match the call');
+    check('Nothing is written for the other contact', ghl.writes().length === 0 &&
+        (await callerAnswers.getForCall('other-contact', { callId: 'call-live' })).length === 0);
+
+    const unsigned = await ghl_record_answer({ contactId: 'caller-contact', field: 'askingPrice', answer: '$450,000' });
+    check('Without a call naming the contact nothing is saved', unsigned.error === 'contactId is required' && ghl.writes().length === 0);
+
+    const saved = await ghl_record_answer({ field: 'askingPrice', answer: '$450,000' }, { call });
+    check('The answer is saved to the call\'s contact', saved.success && ghl.customFieldValues('caller-contact')['Asking Price'] === '$450,000' &&
+        (await callerAnswers.getForCall('caller-contact', { callId: 'call-live' }))[0]?.value === '$450,000');
+} finally {
+    await ghl.stop();
+}
+
+finish();
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+// Test the pluggable model extraction backend against the local stand-in server
+// Runs fully offline - the "model" is local-llm-server.js on an ephemeral port
+
+import { createLocalLLMServer } from './local-llm-server.js';
+import { OpenAICompatibleProvider, extractWithProvider, validateAgainstSchema, createExtractionProvider, EXTRACTION_SCHEMA } from './llm-extraction-provider.js';
+import { TranscriptAIExtractor } from './transcript-ai-extractor.js';
+import { check, finish } from './test-helpers.js';
+
+console.log('🤖 LLM EXTRACTION PROVIDER TEST');
+console.log('='.repeat(80));
+
+// Provider double returning a fixed reply
+function fixedProvider(reply) {
+    return { name: 'fixed', async completeJSON() { return reply; } };
+}
+
+const summary = "The AI asked what's got you thinking about selling your home yourself instead of working with an agent? " +
+    'Sarah said to save on commission. The AI asked where are you planning to go after you sell? Sarah said Denver, near her daughter.';
+
+const server = createLocalLLMServer();
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+
+try {
+    console.log('');
+    console.log('📐 Schema validation');
+    check('Valid output passes', validateAgainstSchema({ motivation: { value: 'Save commission', confidence: 90 }, timeline: null }, EXTRACTION_SCHEMA).length === 0);
+    check('Unknown fields are rejected', validateAgainstSchema({ favoriteColor: { value: 'Blue' } }, EXTRACTION_SCHEMA).length > 0);
+    check('Over-long values are rejected', validateAgainstSchema({ askingPrice: { value: 'x'.repeat(200) } }, EXTRACTION_SCHEMA).length > 0);
+    check('Out-of-range confidence is rejected', validateAgainstSchema({ motivation: { value: 'Relocation', confidence: 140 } }, EXTRACTION_SCHEMA).length > 0);
+
+    console.log('');
+    console.log('🔌 Providers');
+    check('No LLM_EXTRACTION_PROVIDER means pattern extraction only', createExtractionProvider('') === null);
+    check('Unknown provider names are ignored', createExtractionProvider('telepathy') === null);
+
+    const localProvider = new OpenAICompatibleProvider({ name: 'local', baseUrl, model: 'local-extractor' });
+    const fields = await extractWithProvider(localProvider, { summary });
+    check('Local stand-in returns schema-valid fields', fields.motivation?.source === 'llm' && /commission/i.test(fields.motivation.value));
+    check('Fields are tagged with the provider', fields.nextDestination?.extractionMethod === 'llm_local');
+
+    let rejected = false;
+    try {
+        await extractWithProvider(fixedProvider({ motivation: 'Save commission' }), { summary });
+    } catch (error) {
+        rejected = /schema validation/.test(error.message);
+    }
+    check('Malformed model output is rejected', rejected);
+
+    console.log('');
+    console.log('🧠 TranscriptAIExtractor');
+    const callData = { message: { summary } };
+    const withModel = await new TranscriptAIExtractor({ extractionProvider: localProvider }).extractDataFromTranscript('', callData);
+    check('Extractor uses the model fields', withModel.motivation?.source === 'llm');
+    check('System fields are still written', !!withModel['Last Contact'] && !!withModel['latest Call Summary'] && !!withModel['Voice Memory']);
+
+    const invalidModel = await new TranscriptAIExtractor({ extractionProvider: fixedProvider({ motivation: 42 }) }).extractDataFromTranscript('', callData);
+    check('Invalid model output falls back to pattern extraction', invalidModel.motivation && invalidModel.motivation.source !== 'llm');
+
+    const offline = new OpenAICompatibleProvider({ name: 'offline', baseUrl: 'http://127.0.0.1:9/v1', model: 'none', timeoutMs: 2000 });
+    const unavailable = await new TranscriptAIExtractor({ extractionProvider: offline }).extractDataFromTranscript('', callData);
+    check('Unreachable model falls back to pattern extraction', unavailable.motivation && unavailable.motivation.source !== 'llm');
+
+    const structured = await new TranscriptAIExtractor({ extractionProvider: localProvider }).extractStructuredData(summary);
+    check('extractStructuredData goes through the provider', structured.motivation?.source === 'llm' && !!structured['Voice Memory']);
+} finally {
+    server.close();
+}
+
+finish();
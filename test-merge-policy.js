@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+// Test per-field merge policies across calls and the provenance they compare against
+// Runs fully offline - the contact lives in a stub, GHL reads and writes never leave the process
+
+import { resolveMerge, getMergePolicy } from './merge-policy.js';
+import { FieldProvenanceStore } from './field-provenance.js';
+import { MemoryStateStore } from './state-store.js';
+import { CustomFieldsManager } from './custom-fields-manager.js';
+import { check, finish } from './test-helpers.js';
+
+console.log('🛡️ MERGE POLICY TEST');
+console.log('='.repeat(80));
+
+console.log('');
+console.log('📐 Policies');
+check('Schema fields default to higher-confidence-wins', getMergePolicy('askingPrice') === 'higher-confidence-wins');
+check('Schema fields can choose a policy', getMergePolicy('Concerns') === 'append' && getMergePolicy('familySize') === 'keep-if-present');
+check('Fields outside the schema are overwritten', getMergePolicy('callattemptcounter') === 'overwrite' && getMergePolicy('Voice Memory') === 'overwrite');
+
+const provenance = { value: '$1,600,000', confidence: 90 };
+check('A weaker value does not replace a stronger one',
+    !resolveMerge('askingPrice', { value: '$1,500,000', confidence: 70 }, { currentValue: '$1,600,000', provenance }).write);
+check('A stronger value replaces a weaker one',
+    resolveMerge('askingPrice', { value: '$1,550,000', confidence: 95 }, { currentValue: '$1,600,000', provenance }).write);
+check('A value edited in GHL since the last write is kept',
+    !resolveMerge('askingPrice', { value: '$1,550,000', confidence: 99 }, { currentValue: '$1,650,000', provenance }).write);
+check('A value with no recorded provenance is replaced',
+    resolveMerge('askingPrice', { value: '$1,550,000', confidence: 60 }, { currentValue: '$1,650,000', provenance: null }).write);
+check('A date read back as epoch milliseconds still matches its provenance',
+    resolveMerge('timelineDate', { value: '2027-08-31', confidence: 90 },
+        { currentValue: `${Date.parse('2027-06-30T00:00:00Z')}`, provenance: { value: '2027-06-30', confidence: 85 } }).write);
+check('keep-if-present keeps any existing value',
+    !resolveMerge('familySize', { value: '4', confidence: 100 }, { currentValue: '3' }).write &&
+    resolveMerge('familySize', { value: '4', confidence: 60 }, { currentValue: null }).write);
+const appended = resolveMerge('concerns', { value: 'Pricing', confidence: 80 }, { currentValue: 'Timing' });
+check('append adds new values after the existing ones', appended.write && appended.value === 'Timing; Pricing');
+check('append skips values already recorded', !resolveMerge('concerns', { value: 'timing', confidence: 80 }, { currentValue: 'Timing; Pricing' }).write);
+
+console.log('');
+console.log('📞 Across calls');
+
+// Contact custom fields held in memory; writes go straight into it
+function stubManager(contact) {
+    const manager = new CustomFieldsManager();
+    manager.customFieldMappings = {
+        askingprice: { fieldId: 'f-price', fieldName: 'Asking Price', dataType: 'TEXT' },
+        concerns: { fieldId: 'f-concerns', fieldName: 'Concerns', dataType: 'TEXT' },
+        familysize: { fieldId: 'f-family', fieldName: 'Family Size', dataType: 'TEXT' },
+        callattemptcounter: { fieldId: 'f-counter', fieldName: 'Call Attempt Counter', dataType: 'NUMERICAL' }
+    };
+    manager.provenance = new FieldProvenanceStore(new MemoryStateStore('test-merge-provenance'));
+    manager.getCustomFieldValuesById = async () => new Map(Object.entries(contact));
+    manager.writeCustomFields = async (contactId, payload) => {
+        for (const field of payload.customFields) contact[field.id] = field.value;
+        return { status: 200 };
+    };
+    return manager;
+}
+
+const contact = {};
+const manager = stubManager(contact);
+
+await manager.updateContactCustomFields('contact-1', {
+    askingPrice: { value: '$1,600,000', confidence: 90, source: 'vapi_summary' },
+    concerns: { value: 'Timing', confidence: 80 },
+    familySize: { value: 'Family of 3', confidence: 85 }
+}, { merge: true, callId: 'call-1' });
+check('First call writes every field', contact['f-price'] === '$1,600,000' && contact['f-concerns'] === 'Timing' && contact['f-family'] === 'Family of 3');
+const recorded = await manager.provenance.get('contact-1', 'Asking Price');
+check('Provenance records confidence, source and call', recorded?.confidence === 90 && recorded.source === 'vapi_summary' && recorded.callId === 'call-1');
+
+const second = await manager.updateContactCustomFields('contact-1', {
+    askingPrice: { value: 'somewhere around a million and a half', confidence: 65 },
+    concerns: { value: 'Pricing', confidence: 75 },
+    familySize: { value: 'Family of 4', confidence: 95 },
+    callattemptcounter: { value: '2', confidence: 100 }
+}, { merge: true, callId: 'call-2' });
+check('A vague second call does not wipe the precise price', contact['f-price'] === '$1,600,000');
+check('Append and overwrite fields are still written', contact['f-concerns'] === 'Timing; Pricing' && contact['f-counter'] === '2');
+check('keep-if-present leaves the existing value', contact['f-family'] === 'Family of 3');
+check('Kept values are reported with a reason', second.keptFields.map(kept => kept.fieldName).sort().join(',') === 'Asking Price,Family Size' &&
+    /higher confidence/.test(second.keptFields.find(kept => kept.fieldName === 'Asking Price').reason));
+
+await manager.updateContactCustomFields('contact-1', {
+    askingPrice: { value: '$1,550,000', confidence: 95 }
+}, { merge: true, callId: 'call-3' });
+check('A more confident later call replaces it', contact['f-price'] === '$1,550,000' &&
+    (await manager.provenance.get('contact-1', 'askingPrice')).callId === 'call-3');
+
+contact['f-price'] = '$1,575,000';
+await manager.updateContactCustomFields('contact-1', {
+    askingPrice: { value: '$1,400,000', confidence: 99 }
+}, { merge: true, callId: 'call-4' });
+check('A price corrected by hand in GHL is never overwritten by a call', contact['f-price'] === '$1,575,000');
+
+await manager.updateContactCustomFields('contact-1', {
+    askingPrice: { value: '$1,500,000', confidence: 100, source: 'live_answer' }
+});
+check('Writes without merge (live answers) overwrite', contact['f-price'] === '$1,500,000' &&
+    (await manager.provenance.get('contact-1', 'Asking Price')).source === 'live_answer');
+
+const unreadable = stubManager({});
+unreadable.getCustomFieldValuesById = async () => { throw new Error('Request failed with status code 503'); };
+const written = [];
+unreadable.writeCustomFields = async (contactId, payload) => { written.push(...payload.customFields.map(field => field.id)); return { status: 200 }; };
+await unreadable.updateContactCustomFields('contact-2', {
+    askingPrice: { value: '$900,000', confidence: 90 },
+    callattemptcounter: { value: '1', confidence: 100 }
+}, { merge: true });
+check('If current values cannot be read only overwrite fields are written', written.join(',') === 'f-counter');
+
+finish();
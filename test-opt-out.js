@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+// Test do-not-call / opt-out detection and the outbound DND guard
+// Runs fully offline - GHL requests go to a stub token manager and VAPI is never reached
+
+import { detectOptOut, applyOptOut, getDoNotCallReason } from './opt-out-manager.js';
+import { triggerOutboundCall } from './outbound-call-manager.js';
+import { check, finish, stubTokenManager } from './test-helpers.js';
+
+console.log('🚫 OPT-OUT / DND TEST');
+console.log('='.repeat(80));
+
+console.log('');
+console.log('🔍 Detection');
+check('Caller "stop calling me" is detected', detectOptOut({
+    message: { transcript: 'AI: Hi, is this Sarah?\nUser: Please stop calling me.' }
+}).optedOut);
+check('Caller "take me off your list" is detected from messages', detectOptOut({
+    message: { artifact: { messages: [{ role: 'user', message: 'Take me off your list' }] } }
+}).optedOut);
+check('Caller opt-out is detected in an array call.transcript', detectOptOut({
+    call: { transcript: [{ role: 'assistant', text: 'Hi, is this Sarah?' }, { role: 'user', text: 'Put me on your do not call list.' }] }
+}).optedOut);
+check('An assistant-only transcript has no caller text to match', !detectOptOut({
+    message: { transcript: "AI: Hi, it's Rich. If you'd rather we stop calling, just say so." }
+}).optedOut);
+check('Assistant saying "we won\'t call you" is not an opt-out', !detectOptOut({
+    message: { transcript: "AI: No problem, we don't call people who aren't interested.\nUser: Sounds good, call me next week." }
+}).optedOut);
+check('"Don\'t call me before 5" is a scheduling request', !detectOptOut({
+    message: { transcript: "User: Don't call me before 5pm, I'm at work." }
+}).optedOut);
+check('Summary "asked not to be called again" is detected', detectOptOut({
+    message: { analysis: { summary: 'The seller asked not to be called again.' } }
+}).optedOut);
+check('Structured data dnd flag is detected', detectOptOut({
+    message: { analysis: { structuredData: { dnd: true } } }
+}).optedOut);
+
+console.log('');
+console.log('🏷️ Applying opt-out');
+const applyStub = stubTokenManager({ contact: {} });
+const applied = await applyOptOut('contact-1', { optedOut: true, phrase: 'stop calling', source: 'transcript' }, applyStub);
+check('Contact is set to DND', applyStub.requests.some(request => request.method === 'PUT' && request.data?.dnd === true));
+check('Opt-out tag is added', applied.tagged && applyStub.requests.some(request => request.endpoint === '/contacts/contact-1/tags'));
+
+console.log('');
+console.log('📵 Outbound guard');
+check('DND contact has a do-not-call reason', !!getDoNotCallReason({ dnd: true }));
+check('Opt-out tag alone blocks calls', !!getDoNotCallReason({ dnd: false, tags: ['FSBO', 'opted-out'] }));
+check('Regular contact can be called', getDoNotCallReason({ dnd: false, tags: ['fsbo'] }) === null);
+
+const dndStub = stubTokenManager({ contact: { id: 'contact-2', phone: '+15551234567', dnd: true } });
+const blocked = await triggerOutboundCall({ id: 'contact-2', phone: '+15551234567' }, {
+    reason: 'test',
+    pitTokenManager: dndStub,
+    vapiApiKey: 'test-key'
+});
+check('Outbound call to a DND contact is refused with the reason', blocked.success === false && blocked.blocked === 'dnd' && /Do Not Disturb/.test(blocked.error));
+
+const unverified = await triggerOutboundCall({ phone: '+15551234567' }, { reason: 'test', vapiApiKey: 'test-key' });
+check('Calls are refused when DND status cannot be verified', unverified.success === false && unverified.blocked === 'dnd_unverified');
+
+finish();
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+// Test spoken and written price parsing, and that parsed prices reach the custom field writer
+// Runs fully offline
+
+import { parsePrice, findPrice, parseSpokenNumber } from './price-parser.js';
+import { validateLiveAnswer } from './live-answers.js';
+import { CustomFieldsManager } from './custom-fields-manager.js';
+import { TranscriptAIExtractor } from './transcript-ai-extractor.js';
+import { check, finish } from './test-helpers.js';
+
+console.log('💵 PRICE PARSER TEST');
+console.log('='.repeat(80));
+
+function checkCases(parse, cases) {
+    for (const [text, expected] of cases) {
+        const actual = parse(text)?.display ?? null;
+        check(`"${text}" → ${expected}`, actual === expected);
+    }
+}
+
+console.log('');
+console.log('🗣️ Answers to a price question');
+checkCases(parsePrice, [
+    ['eight fifty', '$850,000'],
+    ['one point two mil', '$1,200,000'],
+    ['around 500k', '$500,000'],
+    ['between 400 and 450', '$400,000 - $450,000'],
+    ['400 to 450k', '$400,000 - $450,000'],
+    ['four to five hundred thousand', '$400,000 - $500,000'],
+    ['maybe 900 to 1.1 million', '$900,000 - $1,100,000'],
+    ['a million 50', '$1,050,000'],
+    ['a million two', '$1,200,000'],
+    ['a million and a half', '$1,500,000'],
+    ['two and a half million', '$2,500,000'],
+    ['half a million', '$500,000'],
+    ['twelve fifty', '$1,250,000'],
+    ['2 fifty', '$250,000'],
+    ['one twenty five', '$125,000'],
+    ['four hundred and fifty thousand', '$450,000'],
+    ['like 600 grand', '$600,000'],
+    ['$1.6 million', '$1,600,000'],
+    ['1.05M', '$1,050,000'],
+    ['389,900', '$389,900'],
+    ['as much as possible', null],
+    ['twelve', null]
+]);
+
+const range = parsePrice('between 400 and 450');
+check('Ranges keep both ends and use the midpoint as the amount', range.min === 400000 && range.max === 450000 && range.amount === 425000 && range.isRange);
+check('"around" marks the amount as approximate', parsePrice('around 500k').approximate === true && parsePrice('500k').approximate === false);
+
+console.log('');
+console.log('📝 Prices in free text');
+checkCases(findPrice, [
+    ['Michael is looking to sell his home for $1.6 million by February.', '$1,600,000'],
+    ['Hopes to sell for four fifty in the spring.', '$450,000'],
+    ['They want 2 fifty for the house.', '$250,000'],
+    ['They have 4 fifty people in the HOA.', null],
+    ['They want somewhere around 1.2 to 1.4 million dollars.', '$1,200,000 - $1,400,000'],
+    ['HOA is $250 a month and they are asking 600k.', '$600,000'],
+    ['Wants to sell for 1.2 million 2 weeks after the kids finish school.', '$1,200,000'],
+    ['They want to save the 6% commission and sell within 90 days.', null],
+    ['They scheduled a 10-minute preview for tomorrow, September 17th, at 11:30 AM.', null],
+    ['They have four fifty people in the HOA.', null],
+    ['They need $5,000 in repairs before listing.', null],
+    ['They still owe 200k on the mortgage and are hoping to get 450k.', '$450,000'],
+    ['A neighbor sold for $380,000; they want $425,000', '$425,000'],
+    ['Comps in the area are around 500k but they would list at 550k.', '$550,000'],
+    ['The payoff is about $310,000.', null],
+    ['Bought it for 250 in 2015, asking 400 now.', '$400,000']
+]);
+
+console.log('');
+console.log('🔢 Plain numbers');
+check('"three" → 3', parseSpokenNumber('three') === 3);
+check('"two and a half" → 2.5', parseSpokenNumber('two and a half') === 2.5);
+check('"3 bedrooms" → 3', parseSpokenNumber('3 bedrooms') === 3);
+check('"twenty five hundred" → 2500', parseSpokenNumber('twenty five hundred') === 2500);
+check('"none" → null', parseSpokenNumber('none') === null);
+
+console.log('');
+console.log('🔌 Wired into the writers');
+check('Live asking price is stored in display form', validateLiveAnswer('askingPrice', 'um, eight fifty').value === '$850,000');
+
+const manager = new CustomFieldsManager();
+const numberField = { fieldId: 'field-price', fieldName: 'Asking Price', dataType: 'NUMERICAL' };
+check('Numeric price fields get the parsed amount', manager.formatValueForField('a million 50', numberField, 'askingPrice') === '1050000');
+check('Display prices convert back to a number', manager.formatValueForField('$1,600,000', numberField, 'askingPrice') === '1600000');
+check('Monetary fields parse spoken amounts', manager.formatValueForField('one point two mil', { fieldName: 'Offer', dataType: 'MONETORY' }) === '1200000');
+check('Other number fields are not scaled', manager.formatValueForField('three', { fieldName: 'Bedrooms', dataType: 'NUMERICAL' }, 'bedrooms') === '3');
+check('Unparseable numbers are rejected', manager.formatValueForField('as much as possible', numberField, 'askingPrice') === null);
+
+const propertyData = new TranscriptAIExtractor({ extractionProvider: null })
+    .extractPropertyIntelligence('AI: What are you hoping to get? User: Honestly somewhere between 400 and 450 for the house.');
+check('Property intelligence reports the parsed range', propertyData.priceRange?.value === '$400,000 - $450,000');
+
+finish();
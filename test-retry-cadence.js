@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+// Test the follow-up cadence for unanswered calls (retry ladder, calling hours, exhaustion)
+// Runs fully offline with a fixed clock and an in-memory call queue
+
+import { scheduleRetry, getNextAttemptTime, parseRetryLadder, getMaxAttempts, UnansweredStreakStore } from './retry-cadence.js';
+import { CallQueue } from './call-queue.js';
+import { MemoryStateStore } from './state-store.js';
+import { check, finish, stubTokenManager } from './test-helpers.js';
+
+delete process.env.RETRY_LADDER;
+delete process.env.RETRY_MAX_ATTEMPTS;
+delete process.env.CALLING_HOURS;
+
+console.log('🔁 RETRY CADENCE TEST');
+console.log('='.repeat(80));
+
+const contact = { id: 'contact-1', phone: '+12125550100', state: 'NY' };
+const ladder = parseRetryLadder('1h, 1d, 3d');
+
+// Wednesday 2025-09-17 (EDT, UTC-4)
+const wednesdayMorningET = new Date('2025-09-17T14:00:00Z'); // 10:00 ET
+const wednesdayEveningET = new Date('2025-09-17T23:30:00Z'); // 19:30 ET
+
+console.log('');
+console.log('🪜 Ladder');
+check('"1h, 1d, 3d" parses to minutes', ladder.join(',') === '60,1440,4320');
+let malformed = false;
+try { parseRetryLadder('1h, tomorrow'); } catch (error) { malformed = true; }
+check('Malformed ladder step is rejected', malformed);
+check('Default max attempts is the first call plus one per step', getMaxAttempts(ladder) === 4);
+process.env.RETRY_MAX_ATTEMPTS = '2';
+check('RETRY_MAX_ATTEMPTS overrides the default', getMaxAttempts(ladder) === 2);
+delete process.env.RETRY_MAX_ATTEMPTS;
+
+check('After the first call the retry is 1 hour later',
+    getNextAttemptTime(contact, 1, { now: wednesdayMorningET, ladder }) === '2025-09-17T15:00:00.000Z');
+check('After the second call the retry is the next day',
+    getNextAttemptTime(contact, 2, { now: wednesdayMorningET, ladder }) === '2025-09-18T14:00:00.000Z');
+check('Steps past the ladder reuse the last delay',
+    getNextAttemptTime(contact, 7, { now: wednesdayMorningET, ladder }) === '2025-09-20T14:00:00.000Z');
+check('A retry landing after calling hours moves to the next morning',
+    getNextAttemptTime(contact, 1, { now: wednesdayEveningET, ladder }) === '2025-09-18T13:00:00.000Z');
+
+console.log('');
+console.log('🗓️ Scheduling');
+const callQueue = new CallQueue(new MemoryStateStore('test-retry-queue'));
+const retry = await scheduleRetry(contact, { outcome: 'no_answer', unansweredAttempts: 1, callAttempts: 1, now: wednesdayMorningET, callQueue, ladder });
+const queued = await callQueue.list();
+check('Unanswered first call queues attempt 2', retry.scheduled && retry.attempt === 2 && queued.length === 1 && queued[0].scheduledFor === retry.scheduledFor);
+check('Queue entry records the cadence as its source', queued[0].source === 'retry_cadence' && queued[0].reason === 'retry_2_no_answer');
+
+const tokenManager = stubTokenManager();
+const exhausted = await scheduleRetry(contact, { outcome: 'voicemail', unansweredAttempts: 4, callAttempts: 4, now: wednesdayMorningET, callQueue, ladder, pitTokenManager: tokenManager });
+check('Fourth unanswered call stops the cadence', !exhausted.scheduled && exhausted.exhausted);
+check('Exhausted contact is tagged in GHL', exhausted.tagged && tokenManager.requests.some(request =>
+    request.endpoint === '/contacts/contact-1/tags' && request.data.tags.includes('call-attempts-exhausted')));
+
+const longTime = await scheduleRetry(contact, { outcome: 'no_answer', unansweredAttempts: 1, callAttempts: 12, now: wednesdayMorningET, callQueue, ladder });
+check('A contact with many answered calls still gets the full cadence after a miss', longTime.scheduled && longTime.attempt === 2 &&
+    longTime.scheduledFor === '2025-09-17T15:00:00.000Z');
+
+console.log('');
+console.log('📵 Unanswered streak');
+const streaks = new UnansweredStreakStore(new MemoryStateStore('test-unanswered-streaks'));
+const first = await streaks.record('contact-1', { callId: 'call-1', now: wednesdayMorningET });
+const second = await streaks.record('contact-1', { callId: 'call-2', now: wednesdayMorningET });
+check('Each unanswered call in a row adds one', first === 1 && second === 2 && (await streaks.get('contact-1')) === 2);
+check('A dry run works out the count without storing it', (await streaks.record('contact-1', { dryRun: true })) === 3 &&
+    (await streaks.get('contact-1')) === 2);
+await streaks.reset('contact-1');
+check('An answered call starts the run over', (await streaks.get('contact-1')) === 0 &&
+    (await streaks.record('contact-1', { now: wednesdayMorningET })) === 1);
+check('Runs nobody added to within the retention are pruned',
+    (await streaks.prune(30 * 24 * 60 * 60 * 1000, { now: new Date('2025-11-01T00:00:00Z') })) === 1 && (await streaks.get('contact-1')) === 0);
+
+finish();
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+// Test per-field confidence thresholds, the review queue and the review actions
+// Runs fully offline - GHL requests go to stub token managers and field writes to a stub manager
+
+import { splitByConfidence, getMinConfidence, FieldReviewQueue } from './review-queue.js';
+import { MemoryStateStore } from './state-store.js';
+import { CustomFieldsManager } from './custom-fields-manager.js';
+import { handleActionRequest } from './action-api.js';
+import { check, finish, stubTokenManager } from './test-helpers.js';
+
+delete process.env.FIELD_MIN_CONFIDENCE;
+process.env.ACTION_API_KEY = 'test-action-key';
+
+console.log('🔎 FIELD REVIEW QUEUE TEST');
+console.log('='.repeat(80));
+
+// Returns ids for created tasks and notes; failTasks makes task creation fail
+function reviewTokenManager({ failTasks = false } = {}) {
+    return stubTokenManager({
+        respond: (method, endpoint) => {
+            if (failTasks && endpoint.endsWith('/tasks')) throw new Error('Request failed with status code 422');
+            if (endpoint.endsWith('/tasks')) return { task: { id: 'task-1' } };
+            if (endpoint.endsWith('/notes')) return { note: { id: 'note-1' } };
+            return {};
+        }
+    });
+}
+
+const extractedData = {
+    askingPrice: { value: '$850,000', rawValue: 'eight fifty I guess', confidence: 70, source: 'transcript' },
+    motivation: { value: 'Job relocation', confidence: 85 },
+    nextDestination: { value: 'Denver, CO', confidence: 55 },
+    timeline: { value: 'June 2026', confidence: 80 },
+    _metadata: { fieldsExtracted: 4 }
+};
+
+console.log('');
+console.log('📏 Thresholds');
+check('Schema minConfidence applies per field', getMinConfidence('askingPrice') === 80 && getMinConfidence('Asking Price') === 80);
+check('Fields without one use the default of 60', getMinConfidence('nextDestination') === 60);
+process.env.FIELD_MIN_CONFIDENCE = '90';
+check('FIELD_MIN_CONFIDENCE changes the default only', getMinConfidence('nextDestination') === 90 && getMinConfidence('timeline') === 75);
+delete process.env.FIELD_MIN_CONFIDENCE;
+
+const { accepted, held } = splitByConfidence(extractedData);
+check('Values at or above their minimum are accepted', accepted.motivation && accepted.timeline && accepted._metadata);
+check('Values below their minimum are held', held.map(item => item.fieldName).join(',') === 'askingPrice,nextDestination' &&
+    !accepted.askingPrice && !accepted.nextDestination);
+check('Held values keep the spoken answer and both scores', held[0].rawValue === 'eight fifty I guess' &&
+    held[0].confidence === 70 && held[0].minConfidence === 80);
+
+console.log('');
+console.log('📥 Queue');
+const queue = new FieldReviewQueue(new MemoryStateStore('test-field-review'));
+const ghl = reviewTokenManager();
+await queue.enqueue('contact-1', held, { callId: 'call-1', pitTokenManager: ghl });
+const task = ghl.requests.find(request => request.endpoint === '/contacts/contact-1/tasks');
+check('One GHL task lists every held value', ghl.requests.length === 1 && task &&
+    /Asking Price: "\$850,000" \(70% confidence, needs 80%\)/.test(task.data.body) && /Denver, CO/.test(task.data.body));
+const pending = await queue.listPending('contact-1');
+check('Held values are pending locally with the task id', pending.length === 2 && pending.every(entry => entry.taskId === 'task-1' && entry.callId === 'call-1'));
+
+const noteGhl = reviewTokenManager({ failTasks: true });
+await queue.enqueue('contact-2', [held[1]], { pitTokenManager: noteGhl });
+check('A note is added when the task cannot be created', noteGhl.requests.some(request => request.endpoint === '/contacts/contact-2/notes') &&
+    (await queue.get('contact-2', 'nextDestination')).noteId === 'note-1');
+
+console.log('');
+console.log('🧾 Post-call processing');
+const manager = new CustomFieldsManager();
+const written = [];
+manager.customFieldMappings = {};
+manager.pitTokenManager = reviewTokenManager();
+manager.reviewQueue = new FieldReviewQueue(new MemoryStateStore('test-field-review-processing'));
+manager.getExistingFieldData = async () => ({});
+manager.aiExtractor.extractDataFromTranscript = async () => structuredClone(extractedData);
+manager.updateContactCustomFields = async (contactId, data) => {
+    written.push(data);
+    return { fieldsUpdated: Object.keys(data).filter(key => !key.startsWith('_')).length, updatedFields: [], warnings: [] };
+};
+manager.processAdditionalFields = async () => ({ fieldsUpdated: 0, updatedFields: [], warnings: [], callAttempts: 1 });
+
+const result = await manager.processVAPICall({ call: { id: 'call-9', transcript: 'AI: Hi\nUser: Hello there' } }, 'contact-9');
+check('Only accepted values are written', written.length === 1 && Object.keys(written[0]).filter(key => !key.startsWith('_')).join(',') === 'motivation,timeline');
+check('The result lists the held fields', result.heldForReview?.join(',') === 'askingPrice,nextDestination');
+check('Held values are queued for the contact', (await manager.reviewQueue.listPending('contact-9')).length === 2);
+
+console.log('');
+console.log('✅ Review actions');
+const event = { headers: { 'x-api-key': 'test-action-key' } };
+const applied = [];
+const reviewContext = {
+    pitTokenManager: ghl,
+    reviewQueue: queue,
+    customFieldsManager: {
+        async applyReviewedValue(contactId, fieldName, value) {
+            applied.push({ contactId, fieldName, value });
+        }
+    }
+};
+
+const listResponse = await handleActionRequest(event, { action: 'list-reviews', contactId: 'contact-1' }, reviewContext);
+check('list-reviews returns the pending values', listResponse.statusCode === 200 && JSON.parse(listResponse.body).count === 2);
+
+const approveResponse = await handleActionRequest(event,
+    { action: 'review-field', contactId: 'contact-1', field: 'askingPrice', decision: 'approve', reviewedBy: 'dana' }, reviewContext);
+check('Approving writes the held value to the contact', approveResponse.statusCode === 200 &&
+    applied.length === 1 && applied[0].fieldName === 'askingPrice' && applied[0].value === '$850,000');
+check('Approved entry records who approved it', (await queue.get('contact-1', 'askingPrice')).status === 'approved' &&
+    (await queue.get('contact-1', 'askingPrice')).reviewedBy === 'dana');
+check('The task stays open while values are pending', !ghl.requests.some(request => request.endpoint.endsWith('/tasks/task-1/completed')));
+
+const rejectResponse = await handleActionRequest(event,
+    { action: 'review-field', contactId: 'contact-1', field: 'nextDestination', decision: 'reject' }, reviewContext);
+check('Rejecting writes nothing', rejectResponse.statusCode === 200 && applied.length === 1 &&
+    (await queue.get('contact-1', 'nextDestination')).status === 'rejected');
+check('The task is completed once nothing is pending', ghl.requests.some(request =>
+    request.method === 'PUT' && request.endpoint === '/contacts/contact-1/tasks/task-1/completed'));
+
+const overrideResponse = await handleActionRequest(event,
+    { action: 'review-field', contactId: 'contact-2', field: 'nextDestination', decision: 'approve', value: 'Boulder, CO' }, reviewContext);
+check('An approval can correct the value', overrideResponse.statusCode === 200 && applied[1].value === 'Boulder, CO' &&
+    (await queue.get('contact-2', 'nextDestination')).appliedValue === 'Boulder, CO');
+
+const repeatResponse = await handleActionRequest(event,
+    { action: 'review-field', contactId: 'contact-1', field: 'askingPrice', decision: 'approve' }, reviewContext);
+check('Already reviewed values return 404', repeatResponse.statusCode === 404 && applied.length === 2);
+const badDecision = await handleActionRequest(event,
+    { action: 'review-field', contactId: 'contact-9', field: 'askingPrice', decision: 'maybe' }, reviewContext);
+check('Unknown decisions are rejected', badDecision.statusCode === 400);
+
+finish();
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+// Test expiry of stored state (state-cleanup.js): dedup records, live answers and reviewed values
+// Runs fully offline with in-memory stores and the fake GHL API
+
+import { MemoryStateStore, pruneOlderThan } from './state-store.js';
+import { CallDedupManager } from './call-dedup.js';
+import { LiveAnswerStore } from './live-answers.js';
+import { FieldReviewQueue } from './review-queue.js';
+import { pruneExpiredState, getRetentionDays } from './state-cleanup.js';
+import { FakeGHLServer } from './fake-ghl-server.js';
+import { check, finish } from './test-helpers.js';
+
+console.log('🧹 STATE CLEANUP TEST');
+console.log('='.repeat(80));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2025-10-01T12:00:00Z');
+const daysAgo = days => new Date(NOW.getTime() - days * DAY_MS).toISOString();
+delete process.env.STATE_RETENTION_DAYS;
+
+console.log('');
+console.log('🗑️ pruneOlderThan');
+const plain = new MemoryStateStore('test-cleanup-plain');
+await plain.put('old', { at: daysAgo(40) });
+await plain.put('new', { at: daysAgo(2) });
+await plain.put('contact-1/undated', { note: 'no timestamp' });
+const plainDeleted = await pruneOlderThan(plain, 30 * DAY_MS, value => value.at, { now: NOW });
+check('Only records past the cutoff are deleted', plainDeleted === 1 && (await plain.get('old')) === null && (await plain.get('new')) !== null);
+check('Records without a timestamp are kept', (await plain.get('contact-1/undated')) !== null);
+
+console.log('');
+console.log('🔁 Processed calls');
+const dedupStore = new MemoryStateStore('test-cleanup-calls');
+const dedup = new CallDedupManager(dedupStore);
+await dedupStore.put('call-old', { callId: 'call-old', status: 'completed', completedAt: daysAgo(31), result: {} });
+await dedupStore.put('call-recent', { callId: 'call-recent', status: 'completed', completedAt: daysAgo(1), result: {} });
+await dedupStore.put('call-stuck', { callId: 'call-stuck', status: 'processing', startedAt: daysAgo(45) });
+await dedupStore.put('call-running', { callId: 'call-running', status: 'processing', startedAt: new Date(NOW.getTime() - 60 * 1000).toISOString() });
+check('Old completed and abandoned records are deleted', (await dedup.prune(30 * DAY_MS, { now: NOW })) === 2 &&
+    (await dedup.getRecord('call-old')) === null && (await dedup.getRecord('call-stuck')) === null);
+check('Recent records stay so retries are still caught', (await dedup.getRecord('call-recent'))?.status === 'completed');
+await dedup.prune(0, { now: NOW });
+check('A claim that is still processing is never pruned', (await dedup.getRecord('call-running'))?.status === 'processing');
+
+console.log('');
+console.log('🎙️ Live answers and reviews');
+const liveStore = new MemoryStateStore('test-cleanup-live');
+await liveStore.put('contact-1/askingprice', { contactId: 'contact-1', fieldKey: 'askingprice', value: '$300,000', capturedAt: daysAgo(60) });
+await liveStore.put('contact-1/timeline', { contactId: 'contact-1', fieldKey: 'timeline', value: '3 months', capturedAt: daysAgo(3) });
+const liveAnswers = new LiveAnswerStore(liveStore);
+check('Live answers older than the retention are deleted', (await liveAnswers.prune(30 * DAY_MS, { now: NOW })) === 1 &&
+    (await liveStore.list('contact-1/')).map(entry => entry.value.fieldKey).join(',') === 'timeline');
+
+const reviewStore = new MemoryStateStore('test-cleanup-review');
+await reviewStore.put('contact-1/Asking Price', { contactId: 'contact-1', fieldName: 'Asking Price', status: 'approved', queuedAt: daysAgo(50), reviewedAt: daysAgo(40) });
+await reviewStore.put('contact-1/Motivation', { contactId: 'contact-1', fieldName: 'Motivation', status: 'pending', queuedAt: daysAgo(90) });
+await reviewStore.put('contact-2/Timeline', { contactId: 'contact-2', fieldName: 'Timeline', status: 'rejected', queuedAt: daysAgo(6), reviewedAt: daysAgo(5) });
+const reviews = new FieldReviewQueue(reviewStore);
+check('Reviewed values are deleted once expired', (await reviews.prune(30 * DAY_MS, { now: NOW })) === 1 &&
+    (await reviews.get('contact-1', 'Asking Price')) === null && (await reviews.get('contact-2', 'Timeline'))?.status === 'rejected');
+check('Pending values stay however old they are', (await reviews.listPending()).map(entry => entry.fieldName).join(',') === 'Motivation');
+
+console.log('');
+console.log('📆 Scheduled cleanup');
+check('Retention defaults to 30 days and reads STATE_RETENTION_DAYS', getRetentionDays() === 30 &&
+    ((process.env.STATE_RETENTION_DAYS = '7'), getRetentionDays() === 7) &&
+    ((process.env.STATE_RETENTION_DAYS = 'soon'), getRetentionDays() === 30));
+delete process.env.STATE_RETENTION_DAYS;
+
+const marker = new MemoryStateStore('test-cleanup-marker');
+const broken = { prune: async () => { throw new Error('SSM throttled'); } };
+const targetStore = new MemoryStateStore('test-cleanup-target');
+await targetStore.put('call-a', { callId: 'call-a', status: 'completed', completedAt: daysAgo(31) });
+const targets = { broken, processedCalls: new CallDedupManager(targetStore) };
+const firstRun = await pruneExpiredState({ now: NOW, targets, marker });
+check('Every store is pruned and counted', firstRun.pruned.processedCalls === 1 && firstRun.retentionDays === 30);
+check('One failing store does not stop the others', firstRun.errors.broken === 'SSM throttled');
+
+await targetStore.put('call-b', { callId: 'call-b', status: 'completed', completedAt: daysAgo(31) });
+const laterRun = await pruneExpiredState({ now: new Date(NOW.getTime() + 15 * 60 * 1000), targets, marker });
+check('Runs within a day of the last prune are skipped', laterRun.skipped === true && (await targetStore.get('call-b')) !== null);
+const nextDay = await pruneExpiredState({ now: new Date(NOW.getTime() + DAY_MS), targets, marker });
+check('The next day prunes again', nextDay.pruned.processedCalls === 1 && (await targetStore.get('call-b')) === null);
+const onDynamo = await pruneExpiredState({ now: new Date(NOW.getTime() + 2 * DAY_MS), backend: 'dynamodb', targets, marker });
+check('Nothing is pruned on DynamoDB, where the TTL expires the records', onDynamo.skipped === true && onDynamo.expiredBy === 'dynamodb-ttl');
+
+console.log('');
+console.log('⏰ Through the handler');
+const ghl = new FakeGHLServer();
+process.env.GHL_BASE_URL = await ghl.start();
+process.env.GHL_PIT_TOKEN = ghl.token;
+
+try {
+    await new MemoryStateStore('processed-calls').put('call-expired', { callId: 'call-expired', status: 'completed', completedAt: '2020-01-01T00:00:00.000Z' });
+    const { handler } = await import('./index.js');
+    const scheduled = await handler({ source: 'aws.events', 'detail-type': 'Scheduled Event', detail: {} });
+    const scheduledBody = JSON.parse(scheduled.body);
+    check('The scheduled run processes the queue and prunes expired state', scheduled.statusCode === 200 &&
+        scheduledBody.processed === 0 && scheduledBody.cleanup?.pruned?.processedCalls === 1 &&
+        (await new MemoryStateStore('processed-calls').get('call-expired')) === null);
+} finally {
+    await ghl.stop();
+}
+
+finish();
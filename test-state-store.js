@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+// Test the DynamoDB and SSM state store backends (state-store.js) against in-process fake clients
+// Runs fully offline - no AWS calls
+
+import { DynamoDBStateStore, SSMStateStore, getStateStoreBackend, retentionExpiry } from './state-store.js';
+import { CallDedupManager } from './call-dedup.js';
+import { check, finish } from './test-helpers.js';
+
+console.log('🗄️ STATE STORE TEST');
+console.log('='.repeat(80));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Just enough of DynamoDB for the store: items keyed by namespace and key, the claim condition and paged queries
+class FakeDynamoDBClient {
+    constructor({ pageSize = 2 } = {}) {
+        this.items = new Map();
+        this.commands = [];
+        this.pageSize = pageSize;
+    }
+
+    id(key) {
+        return `${key.namespace.S}|${key.key.S}`;
+    }
+
+    async send(command) {
+        const input = command.input;
+        this.commands.push({ name: command.constructor.name, input });
+
+        switch (command.constructor.name) {
+            case 'GetItemCommand':
+                return { Item: this.items.get(this.id(input.Key)) };
+            case 'PutItemCommand': {
+                const existing = this.items.get(this.id(input.Item));
+                const expired = existing?.expiresAt && Number(existing.expiresAt.N) <= Number(input.ExpressionAttributeValues?.[':now']?.N);
+                if (input.ConditionExpression && existing && !expired) {
+                    throw Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' });
+                }
+                this.items.set(this.id(input.Item), input.Item);
+                return {};
+            }
+            case 'DeleteItemCommand': {
+                const existing = this.items.get(this.id(input.Key));
+                this.items.delete(this.id(input.Key));
+                return { Attributes: existing };
+            }
+            case 'QueryCommand': {
+                const namespace = input.ExpressionAttributeValues[':namespace'].S;
+                const prefix = input.ExpressionAttributeValues[':prefix']?.S || '';
+                const matching = [...this.items.values()]
+                    .filter(item => item.namespace.S === namespace && item.key.S.startsWith(prefix))
+                    .sort((a, b) => a.key.S.localeCompare(b.key.S));
+                const start = input.ExclusiveStartKey ? matching.findIndex(item => item.key.S === input.ExclusiveStartKey.key.S) + 1 : 0;
+                const page = matching.slice(start, start + this.pageSize);
+                const more = start + this.pageSize < matching.length;
+                return { Items: page, LastEvaluatedKey: more ? { namespace: page.at(-1).namespace, key: page.at(-1).key } : undefined };
+            }
+            default:
+                throw new Error(`Unexpected command ${command.constructor.name}`);
+        }
+    }
+}
+
+console.log('');
+console.log('📦 DynamoDB backend');
+const dynamo = new FakeDynamoDBClient();
+const store = new DynamoDBStateStore('test-queue', dynamo, 'test-state');
+const otherNamespace = new DynamoDBStateStore('test-other', dynamo, 'test-state');
+
+await store.put('contact 1/price', { value: '$300,000' });
+await otherNamespace.put('contact 1/price', { value: 'other namespace' });
+check('Values round-trip as JSON under a sanitized key', (await store.get('contact 1/price'))?.value === '$300,000' &&
+    dynamo.items.has('test-queue|contact_1/price'));
+check('Namespaces share the table without seeing each other', (await otherNamespace.get('contact 1/price'))?.value === 'other namespace');
+check('Reads are consistent', dynamo.commands.filter(command => command.name === 'GetItemCommand').every(command => command.input.ConsistentRead === true));
+check('Missing keys read as null', (await store.get('nobody')) === null);
+
+check('putIfAbsent claims a free key once', (await store.putIfAbsent('claim', { n: 1 })) === true &&
+    (await store.putIfAbsent('claim', { n: 2 })) === false && (await store.get('claim')).n === 1);
+check('delete reports whether the key existed', (await store.delete('claim')) === true && (await store.delete('claim')) === false);
+
+for (const key of ['contact-1/a', 'contact-1/b', 'contact-1/c', 'contact-10/a', 'contact-2/a']) {
+    await store.put(key, { key });
+}
+const folder = await store.list('contact-1/');
+check('list(prefix/) pages through the folder only', folder.map(entry => entry.key).join(',') === 'contact-1/a,contact-1/b,contact-1/c');
+check('list() without a prefix reads the whole namespace', (await store.list()).length === 6);
+
+console.log('');
+console.log('⏳ Expiry');
+const expiresAt = new Date(Date.now() + 30 * DAY_MS);
+await store.put('short-lived', { n: 1 }, { expiresAt });
+const written = dynamo.items.get('test-queue|short-lived');
+check('expiresAt is written as the epoch-seconds TTL attribute', written.expiresAt?.N === String(Math.floor(expiresAt.getTime() / 1000)));
+check('Records written without expiresAt never expire', !dynamo.items.get('test-queue|contact-1/a').expiresAt);
+
+await store.put('lapsed', { n: 1 }, { expiresAt: new Date(Date.now() - 1000) });
+check('Expired items DynamoDB has not deleted yet read as gone', (await store.get('lapsed')) === null &&
+    !(await store.list('lap')).length);
+check('An expired item can be claimed again', (await store.putIfAbsent('lapsed', { n: 2 })) === true && (await store.get('lapsed')).n === 2);
+
+delete process.env.STATE_RETENTION_DAYS;
+const from = new Date('2025-10-01T12:00:00Z');
+check('Short-lived records expire after STATE_RETENTION_DAYS', retentionExpiry(from).getTime() === from.getTime() + 30 * DAY_MS &&
+    ((process.env.STATE_RETENTION_DAYS = '7'), retentionExpiry(from).getTime() === from.getTime() + 7 * DAY_MS));
+delete process.env.STATE_RETENTION_DAYS;
+
+const dedup = new CallDedupManager(new DynamoDBStateStore('test-calls', dynamo, 'test-state'));
+await dedup.claim('call-1');
+const claimTtl = Number(dynamo.items.get('test-calls|call-1').expiresAt?.N);
+await dedup.complete('call-1', { ok: true });
+check('Processed call IDs carry a TTL from claim to completion', claimTtl > Date.now() / 1000 &&
+    Number(dynamo.items.get('test-calls|call-1').expiresAt?.N) >= claimTtl);
+
+console.log('');
+console.log('📏 SSM backend');
+const ssmCalls = [];
+const ssm = new SSMStateStore('test-ssm', { send: async command => { ssmCalls.push(command.input); return {}; } });
+await ssm.put('small', { note: 'fits' });
+check('Parameters are written on the Standard tier', ssmCalls[0]?.Tier === 'Standard');
+let sizeError = null;
+try {
+    await ssm.put('large', { note: 'x'.repeat(5000) });
+} catch (error) {
+    sizeError = error;
+}
+check('Values over 4 KB are refused before calling SSM', /at most 4096/.test(sizeError?.message) && ssmCalls.length === 1);
+
+console.log('');
+console.log('⚙️ Backend selection');
+const savedBackend = process.env.STATE_STORE_BACKEND;
+const savedFunction = process.env.AWS_LAMBDA_FUNCTION_NAME;
+delete process.env.STATE_STORE_BACKEND;
+process.env.AWS_LAMBDA_FUNCTION_NAME = 'vapi-ghl-integration';
+const onLambda = getStateStoreBackend();
+delete process.env.AWS_LAMBDA_FUNCTION_NAME;
+check('Lambda defaults to DynamoDB and local runs to memory', onLambda === 'dynamodb' && getStateStoreBackend() === 'memory');
+if (savedBackend !== undefined) process.env.STATE_STORE_BACKEND = savedBackend;
+if (savedFunction !== undefined) process.env.AWS_LAMBDA_FUNCTION_NAME = savedFunction;
+
+finish();
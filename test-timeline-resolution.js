@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+// Test that timeline answers resolve to a target date, window and urgency bucket from the call's start
+// Runs fully offline - "now" is always a fixed call start time
+
+import { normalizeTimeline, timelineUrgency } from './field-normalizers.js';
+import { TranscriptAIExtractor } from './transcript-ai-extractor.js';
+import { CustomFieldsManager } from './custom-fields-manager.js';
+import { check, finish } from './test-helpers.js';
+
+console.log('📅 TIMELINE RESOLUTION TEST');
+console.log('='.repeat(80));
+
+const now = new Date('2026-10-19T15:00:00Z');
+
+console.log('');
+console.log('🗓️ Target dates (call started October 19, 2026)');
+const cases = [
+    ['by the end of summer', '2027-08-31', '6+ months'],
+    ['within 3 months', '2027-01-19', '1-3 months'],
+    ['in 2 weeks', '2026-11-02', '0-30 days'],
+    ['within 60 days', '2026-12-18', '1-3 months'],
+    ['after the kids finish school', '2027-06-30', '6+ months'],
+    ['once school is out next year', '2027-06-30', '6+ months'],
+    ['by next spring', '2027-03-31', '3-6 months'],
+    ['late spring 2027', '2027-05-31', '6+ months'],
+    ['by Christmas', '2026-12-31', '1-3 months'],
+    ['sometime in 2028', '2028-12-31', '6+ months'],
+    ['ASAP, the new job starts soon', '2026-10-19', '0-30 days'],
+    ['no rush at all', null, 'Flexible']
+];
+for (const [text, targetDate, urgency] of cases) {
+    const resolved = normalizeTimeline(text, { now });
+    check(`"${text}" → ${targetDate || 'no date'} (${urgency})`, resolved?.targetDate === targetDate && resolved?.urgency === urgency);
+}
+
+const summer = normalizeTimeline('by the end of summer', { now });
+check('Season answers keep the whole window', summer.range?.start === '2027-06-01' && summer.range?.end === '2027-08-31');
+check('Day-level answers have no window', normalizeTimeline('within 3 months', { now }).range === null);
+check('The same answer resolves from a different call start', normalizeTimeline('within 3 months', { now: new Date('2026-03-02T12:00:00Z') })?.targetDate === '2026-06-02');
+check('Urgency buckets count days from the call', timelineUrgency('2026-11-18', now) === '0-30 days' && timelineUrgency('2026-11-19', now) === '1-3 months');
+
+console.log('');
+console.log('🔌 Extraction pipeline');
+const summary = 'The AI asked ideally, when would you like to have your home sold and be moved out? Dana said within 3 months. ' +
+    'The AI asked what price are you hoping to get for your home? Dana said around 600k.';
+const callData = { message: { summary, call: { id: 'call-1', startedAt: '2026-03-02T12:00:00Z' } } };
+const extracted = await new TranscriptAIExtractor({ extractionProvider: null }).extractDataFromTranscript('', callData);
+check('The timeline field keeps what the caller said', extracted.timeline?.value === 'Dana said within 3 months' &&
+    extracted.timeline?.rawValue === 'Dana said within 3 months');
+check('Target date is added for the date field', extracted.timelineDate?.value === '2026-06-02');
+check('Urgency bucket is added', extracted.timelineUrgency?.value === '1-3 months');
+
+const noTimeline = await new TranscriptAIExtractor({ extractionProvider: null })
+    .extractDataFromTranscript('', { message: { summary: 'The AI asked what price are you hoping to get for your home? Dana said around 600k.' } });
+check('No timeline means no date or urgency', !noTimeline.timelineDate && !noTimeline.timelineUrgency);
+
+console.log('');
+console.log('🧾 Date custom fields');
+const manager = new CustomFieldsManager();
+const dateField = { fieldId: 'field-timeline-date', fieldName: 'Timeline Date', dataType: 'DATE' };
+check('ISO target dates are written as-is', manager.formatValueForField('2027-08-31', dateField) === '2027-08-31');
+check('Spoken timelines resolve to their target date from the call start',
+    manager.formatValueForField('by next spring', dateField, null, { now }) === '2027-03-31' &&
+    manager.formatValueForField('within 3 months', dateField, null, { now: new Date('2026-03-02T12:00:00Z') }) === '2026-06-02');
+check('Loose date strings are read as timelines, not by Date()',
+    manager.formatValueForField('March 2027', dateField, null, { now }) === '2027-03-31' &&
+    manager.formatValueForField('sometime in 2028', dateField, null, { now }) === '2028-12-31');
+check('Impossible ISO dates are rejected', manager.formatValueForField('2027-02-30', dateField) === null);
+check('Answers without a timeframe are rejected', manager.formatValueForField('we need to talk it over', dateField) === null);
+
+finish();
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+// Test the speaker-aware transcript model and that extraction only reads customer turns
+// Runs fully offline
+
+import { buildTranscript, parseTranscriptText, parseTranscriptMessages } from './transcript-model.js';
+import { TranscriptAIExtractor } from './transcript-ai-extractor.js';
+import { IntelligentFieldMapper } from './intelligent-field-mapper.js';
+import { validateCallDataForNotes } from './note-manager.js';
+import { check, finish } from './test-helpers.js';
+
+console.log('🗣️ TRANSCRIPT MODEL TEST');
+console.log('='.repeat(80));
+
+const transcriptText = [
+    "AI: Hi, this is Olivia. A lot of sellers tell me they want to save commission. What's got you thinking about selling?",
+    'User: My husband got a new job,',
+    'so we are relocating to Denver.',
+    'AI: Ideally, when would you like to have your home sold and be moved out?',
+    'User: Within 3 months.'
+].join('\n');
+
+const messages = [
+    { role: 'system', message: 'You are Olivia, a real estate assistant.' },
+    { role: 'bot', message: 'Hi, this is Olivia.', secondsFromStart: 0.4 },
+    { role: 'bot', message: 'Where are you planning to go after you sell?', secondsFromStart: 2.1 },
+    { role: 'user', message: 'Probably Florida.', secondsFromStart: 5.2, time: 1760000005200 },
+    { role: 'tool_calls', toolCalls: [] },
+    { role: 'bot', message: 'And what price are you hoping to get for your home?', secondsFromStart: 8 },
+    { role: 'user', message: 'Around eight fifty.', secondsFromStart: 11.5 }
+];
+
+console.log('');
+console.log('📄 Text format');
+const fromText = parseTranscriptText(transcriptText);
+check('Turns keep their speakers', fromText.turns.map(turn => turn.speaker).join(',') === 'assistant,customer,assistant,customer');
+check('Unlabeled lines continue the previous turn', fromText.turns[1].text === 'My husband got a new job, so we are relocating to Denver.');
+check('Customer text leaves out the assistant', !/commission/.test(fromText.customerText()) && /Denver/.test(fromText.customerText()));
+const flattened = parseTranscriptText('AI: Where are you moving? User: Austin, Texas. AI: Great. User: Yeah.');
+check('Flattened "AI: ... User: ..." text is split into turns', flattened.turns.length === 4 && flattened.turns[1].text === 'Austin, Texas.');
+const timestamped = parseTranscriptText('[00:05] AI: Where to?\n[01:10] User: Boston.');
+check('[mm:ss] timestamps become seconds from start', timestamped.turns[1].secondsFromStart === 70);
+const unlabeled = parseTranscriptText('We want to sell by spring and move to Ohio.');
+check('Unlabeled transcripts are read as customer text', !unlabeled.hasSpeakers && unlabeled.customerText() === 'We want to sell by spring and move to Ohio.');
+
+console.log('');
+console.log('📨 VAPI messages');
+const fromMessages = parseTranscriptMessages(messages);
+check('System and tool messages are dropped', fromMessages.turns.length === 4);
+check('Back-to-back assistant messages are merged', fromMessages.turns[0].text === 'Hi, this is Olivia. Where are you planning to go after you sell?');
+check('Timestamps are kept', fromMessages.turns[1].secondsFromStart === 5.2 && fromMessages.turns[1].time === 1760000005200);
+
+const pairs = fromMessages.questionAnswerPairs();
+check('Questions are paired with the customer reply', pairs.length === 2 &&
+    pairs[0].question === 'Where are you planning to go after you sell?' && pairs[0].answer === 'Probably Florida.');
+check('Pairs carry when the question was asked and answered', pairs[1].askedAt === 8 && pairs[1].answeredAt === 11.5);
+check('toText writes the AI:/User: format', fromMessages.toText().split('\n')[1] === 'User: Probably Florida.');
+
+const callData = { message: { artifact: { messages }, call: { transcript: 'User: something else entirely' } } };
+check('Artifact messages win over transcript text', buildTranscript(callData).turns.length === 4);
+check('Notes see a transcript built from messages alone', validateCallDataForNotes({ call: { id: 'call-1', artifact: { messages } } }).hasTranscript);
+
+console.log('');
+console.log('🎯 Extraction reads customer turns only');
+const extractor = new TranscriptAIExtractor({ extractionProvider: null });
+const direct = extractor.extractUsingDirectMapping(transcriptText);
+check('Assistant saying "save commission" is not the motivation', !/commission/i.test(direct.motivation?.value || ''));
+check('Customer reply gives the destination', /Denver/.test(direct.nextDestination?.value || ''));
+
+const patternFields = new IntelligentFieldMapper().extractFromTranscript(transcriptText);
+check('Pattern mapper motivation comes from the customer', patternFields.motivation?.value === 'Job relocation');
+
+const paired = extractor.extractUsingQuestionPatterns(fromMessages);
+check('Schema questions map answers to fields', paired.nextDestination?.value === 'Florida' && paired.askingPrice?.value === '$850,000');
+
+const transcriptOnly = await extractor.extractDataFromTranscript('', { message: { artifact: { messages } } });
+check('Transcript-only calls extract from the messages', transcriptOnly.nextDestination?.value === 'Florida' &&
+    transcriptOnly.askingPrice?.value === '$850,000');
+
+finish();
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+// Test VAPI webhook verification (x-vapi-secret, x-vapi-signature, replay protection)
+// Runs fully offline - rejected requests never reach GHL
+
+import { verifyVapiRequest, computeVapiSignature } from './vapi-signature.js';
+
+const SECRET = 'test-vapi-secret';
+const now = Date.now();
+
+function buildEvent(body, headers) {
+    return {
+        httpMethod: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    };
+}
+
+const freshPayload = {
+    message: {
+        type: 'end-of-call-report',
+        call: { id: 'signature-test-call' },
+        timestamp: new Date(now).toISOString()
+    }
+};
+
+const stalePayload = {
+    message: {
+        ...freshPayload.message,
+        timestamp: new Date(now - 60 * 60 * 1000).toISOString()
+    }
+};
+
+const freshBody = JSON.stringify(freshPayload);
+const validSignature = computeVapiSignature(freshBody, SECRET);
+const timestampSeconds = Math.floor(now / 1000).toString();
+const validTimestampedSignature = computeVapiSignature(freshBody, SECRET, timestampSeconds);
+
+const TEST_CASES = [
+    {
+        name: 'Valid HMAC signature',
+        event: buildEvent(freshPayload, { 'x-vapi-signature': `sha256=${validSignature}` }),
+        payload: freshPayload,
+        expectValid: true
+    },
+    {
+        name: 'Valid HMAC signature with x-vapi-timestamp header',
+        event: buildEvent(freshPayload, {
+            'X-Vapi-Signature': `sha256=${validTimestampedSignature}`,
+            'X-Vapi-Timestamp': timestampSeconds
+        }),
+        payload: freshPayload,
+        expectValid: true
+    },
+    {
+        name: 'Valid x-vapi-secret header',
+        event: buildEvent(freshPayload, { 'x-vapi-secret': SECRET }),
+        payload: freshPayload,
+        expectValid: true
+    },
+    {
+        name: 'Fixture signature (sha256=test_signature)',
+        event: buildEvent(freshPayload, { 'x-vapi-signature': 'sha256=test_signature', 'x-vapi-secret': '' }),
+        payload: freshPayload,
+        expectValid: false
+    },
+    {
+        name: 'Wrong x-vapi-secret',
+        event: buildEvent(freshPayload, { 'x-vapi-secret': 'not-the-secret' }),
+        payload: freshPayload,
+        expectValid: false
+    },
+    {
+        name: 'Tampered body with original signature',
+        event: { ...buildEvent(freshPayload, { 'x-vapi-signature': `sha256=${validSignature}` }), body: freshBody.replace('signature-test-call', 'forged-call') },
+        payload: freshPayload,
+        expectValid: false
+    },
+    {
+        name: 'Stale timestamp (replay)',
+        event: buildEvent(stalePayload, { 'x-vapi-signature': `sha256=${computeVapiSignature(JSON.stringify(stalePayload), SECRET)}` }),
+        payload: stalePayload,
+        expectValid: false
+    },
+    {
+        name: 'Missing signature headers',
+        event: buildEvent(freshPayload, {}),
+        payload: freshPayload,
+        expectValid: false
+    }
+];
+
+console.log('🔐 VAPI WEBHOOK SIGNATURE VERIFICATION TEST');
+console.log('='.repeat(80));
+
+let passed = 0;
+for (const testCase of TEST_CASES) {
+    const result = verifyVapiRequest(testCase.event, testCase.payload, { secret: SECRET, now });
+    const ok = result.valid === testCase.expectValid;
+    if (ok) passed++;
+    console.log(`   ${ok ? '✅' : '❌'} ${testCase.name}: ${result.valid ? 'accepted' : `rejected (${result.reason})`}`);
+}
+
+// Handler must return 401 with a clear error body for unverified webhooks
+console.log('');
+console.log('📋 Handler rejection check:');
+process.env.VAPI_SECRET_TOKEN = process.env.VAPI_SECRET_TOKEN || SECRET;
+const { handler } = await import('./index.js');
+const response = await handler(buildEvent(freshPayload, { 'x-vapi-signature': 'sha256=test_signature' }));
+const body = JSON.parse(response.body);
+const handlerOk = response.statusCode === 401 && body.error === 'Unauthorized';
+if (handlerOk) passed++;
+console.log(`   ${handlerOk ? '✅' : '❌'} Unsigned end-of-call report -> ${response.statusCode} ${body.message}`);
+
+const total = TEST_CASES.length + 1;
+console.log('');
+console.log(`🎯 ${passed}/${total} checks passed`);
+process.exit(passed === total ? 0 : 1);
@@ -2,179 +2,145 @@
 // Extracts structured data from VAPI call transcripts for GoHighLevel custom fields
 
 import axios from 'axios';
+import { createExtractionProvider, extractWithProvider } from './llm-extraction-provider.js';
+import { getFieldDefinitions } from './field-schema.js';
+import { normalizeMotivation, normalizeDestination, normalizeTimeline, normalizePrice, normalizeFieldValue, callStartTime } from './field-normalizers.js';
+import { findPrice } from './price-parser.js';
+import { buildTranscript, findSentence } from './transcript-model.js';
 
-// Real estate custom field extraction templates based on user's screenshots
-const EXTRACTION_TEMPLATES = {
-    // Primary real estate fields
-    motivation: {
-        fieldType: 'text',
-        prompts: [
-            'Why are they looking to buy/sell?',
-            'What is motivating this decision?',
-            'What prompted them to consider this move?'
-        ],
-        keywords: ['because', 'need to', 'want to', 'looking to', 'reason', 'motivation', 'why', 'due to', 'save', 'commissions'],
-        extractionHint: 'Extract the customer\'s primary motivation or reason for considering real estate transaction'
-    },
-    
-    nextDestination: {
-        fieldType: 'text',
-        prompts: [
-            'Where are they planning to move?',
-            'What is their target location?',
-            'Where do they want to go next?'
-        ],
-        keywords: ['moving to', 'relocating to', 'looking in', 'interested in', 'want to move to', 'destination', 'area', 'neighborhood', 'city', 'state', 'florida', 'go after'],
-        extractionHint: 'Extract where the customer wants to move or their target destination'
-    },
-    
-    expectations: {
-        fieldType: 'text',
-        prompts: [
-            'What are their expectations?',
-            'What do they hope to achieve?',
-            'What are they looking for in a property?'
-        ],
-        keywords: ['expect', 'hoping', 'looking for', 'want', 'need', 'ideal', 'perfect', 'dream', 'requirements'],
-        extractionHint: 'Extract customer expectations for their property or transaction'
-    },
-    
-    timeline: {
-        fieldType: 'text',
-        prompts: [
-            'When do they need to move?',
-            'What is their timeline?',
-            'How urgent is this?'
-        ],
-        keywords: ['by', 'before', 'within', 'months', 'weeks', 'soon', 'urgent', 'immediately', 'timeline', 'when', 'date'],
-        extractionHint: 'Extract the customer\'s timeline or urgency for the transaction'
-    },
-    
-    disappointments: {
-        fieldType: 'text',
-        prompts: [
-            'What has been disappointing in their search?',
-            'What challenges have they faced?',
-            'What hasn\'t worked for them?'
-        ],
-        keywords: ['disappointed', 'frustrated', 'problem', 'issue', 'challenge', 'difficult', 'haven\'t found', 'struggle', 'concern'],
-        extractionHint: 'Extract any disappointments, challenges, or negative experiences mentioned'
-    },
-
-    concerns: {
-        fieldType: 'text',
-        prompts: [
-            'What are they concerned about?',
-            'What worries them about the process?',
-            'What are their main concerns?'
-        ],
-        keywords: ['concerned', 'worried', 'concern', 'issue', 'problem', 'challenge', 'afraid'],
-        extractionHint: 'Extract customer concerns or worries about the real estate process'
-    },
-
-    askingPrice: {
-        fieldType: 'text',
-        prompts: [
-            'What price are they hoping to get?',
-            'What is their target price?',
-            'How much do they want for the property?'
-        ],
-        keywords: ['price', 'cost', 'value', 'worth', '$', 'thousand', 'million', 'hoping to get'],
-        extractionHint: 'Extract the asking price or target price for the property'
-    },
-    
-    // Property-specific fields
-    propertyType: {
-        fieldType: 'select',
-        prompts: [
-            'What type of property are they interested in?',
-            'House, condo, townhome, or other?'
-        ],
-        keywords: ['house', 'home', 'condo', 'townhome', 'apartment', 'single family', 'multi family', 'commercial'],
-        extractionHint: 'Extract the type of property they are interested in'
-    },
-    
-    priceRange: {
-        fieldType: 'text',
-        prompts: [
-            'What is their budget?',
-            'What price range are they considering?'
-        ],
-        keywords: ['budget', 'price', 'cost', 'afford', 'spend', 'range', '$', 'thousand', 'million', 'k'],
-        extractionHint: 'Extract budget or price range mentioned'
-    },
-    
-    bedrooms: {
-        fieldType: 'number',
-        prompts: [
-            'How many bedrooms do they need?'
-        ],
-        keywords: ['bedroom', 'bed', 'room', '2br', '3br', '4br', 'two bedroom', 'three bedroom'],
-        extractionHint: 'Extract number of bedrooms needed'
-    },
-    
-    bathrooms: {
-        fieldType: 'number',
-        prompts: [
-            'How many bathrooms do they need?'
-        ],
-        keywords: ['bathroom', 'bath', 'full bath', 'half bath', '2ba', '3ba', 'two bath'],
-        extractionHint: 'Extract number of bathrooms needed'
-    },
-    
-    // Situational fields
-    currentSituation: {
-        fieldType: 'text',
-        prompts: [
-            'What is their current living situation?',
-            'Are they renting or owning currently?'
-        ],
-        keywords: ['currently', 'right now', 'living', 'renting', 'own', 'lease', 'apartment', 'situation'],
-        extractionHint: 'Extract their current housing situation'
-    },
-    
-    familySize: {
-        fieldType: 'text',
-        prompts: [
-            'How many people in their family?',
-            'Who will be living in the property?'
-        ],
-        keywords: ['family', 'kids', 'children', 'spouse', 'partner', 'people', 'household', 'just me', 'couple'],
-        extractionHint: 'Extract family size or household composition'
-    },
-    
-    // Decision-making fields
-    decisionMakers: {
-        fieldType: 'text',
-        prompts: [
-            'Who is involved in making this decision?',
-            'Do they need to consult with anyone?'
-        ],
-        keywords: ['spouse', 'partner', 'family', 'wife', 'husband', 'decide together', 'discuss', 'consult'],
-        extractionHint: 'Extract who is involved in the decision-making process'
-    },
-    
-    urgency: {
-        fieldType: 'select',
-        prompts: [
-            'How urgent is their need?'
-        ],
-        keywords: ['urgent', 'immediately', 'soon', 'no rush', 'flexible', 'timing', 'emergency'],
-        extractionHint: 'Extract the urgency level of their needs'
+// Real estate custom field extraction templates (field-schema.json prompts/keywords/extractionHint)
+function buildExtractionTemplates() {
+    const templates = {};
+    for (const field of getFieldDefinitions()) {
+        if (field.keywords.length === 0 && field.prompts.length === 0) continue;
+        templates[field.key] = {
+            fieldType: field.type,
+            prompts: field.prompts,
+            keywords: field.keywords,
+            extractionHint: field.extractionHint
+        };
     }
-};
+    return templates;
+}
 
 class TranscriptAIExtractor {
-    constructor() {
-        this.extractionTemplates = EXTRACTION_TEMPLATES;
+    // options.extractionProvider overrides LLM_EXTRACTION_PROVIDER (null = pattern extraction only)
+    constructor(options = {}) {
+        this.extractionTemplates = buildExtractionTemplates();
+        this.extractionProvider = 'extractionProvider' in options ? options.extractionProvider : createExtractionProvider();
+    }
+
+    // Structured extraction through the configured model provider
+    // Returns extracted fields, or null when no provider is set or it failed (callers fall back to patterns)
+    async extractUsingProvider({ summary = '', transcript = '' }) {
+        if (!this.extractionProvider) return null;
+
+        try {
+            console.log(`🤖 Extracting fields with model provider "${this.extractionProvider.name}"...`);
+            const fields = await extractWithProvider(this.extractionProvider, { summary, transcript });
+            console.log(`✅ Model extraction: ${Object.keys(fields).length} fields`);
+            return fields;
+        } catch (error) {
+            console.error(`⚠️ Model extraction failed (${error.message}) - falling back to pattern extraction`);
+            return null;
+        }
     }
 
     // Main extraction function that analyzes transcript and extracts all relevant data
-    // Enhanced to prioritize VAPI AI summary over raw transcript for better accuracy
+    // The timeline is then resolved against the call's start into a target date and urgency bucket
     async extractDataFromTranscript(transcript, callData = {}, existingFieldData = {}) {
+        const extractedData = await this.extractFields(transcript, callData, existingFieldData);
+        this.attachMatchedText(extractedData, transcript, callData);
+        return this.resolveTimelineFields(extractedData, callData);
+    }
+
+    // Point each value at the summary or customer sentence it came from (field history shows it)
+    // Extractors that know their exact match set matchedText themselves
+    attachMatchedText(extractedData, transcript, callData = {}) {
+        const summary = callData?.message?.summary || callData?.call?.analysis?.summary || '';
+        const texts = [summary, this.buildConversation(transcript, callData).customerText()].filter(Boolean);
+
+        for (const [fieldKey, fieldData] of Object.entries(extractedData || {})) {
+            if (fieldKey.startsWith('_') || !fieldData?.value || fieldData.matchedText || fieldData.source === 'system') continue;
+
+            for (const text of texts) {
+                const phrases = [fieldData.rawValue, fieldData.value, normalizeFieldValue(fieldKey, text)?.evidence];
+                const sentence = phrases.map(phrase => findSentence(text, phrase)).find(Boolean);
+                if (sentence) {
+                    fieldData.matchedText = sentence;
+                    break;
+                }
+            }
+        }
+        return extractedData;
+    }
+
+    // Add timelineDate (date custom field) and timelineUrgency from the extracted timeline
+    // Relative answers ("within 3 months") count from when the call started, not when it's processed
+    // The timeline field itself keeps what the caller said; only the two derived fields carry the resolution
+    resolveTimelineFields(extractedData, callData = {}) {
+        const timeline = extractedData?.timeline;
+        if (!timeline?.value) return extractedData;
+
+        const now = callStartTime(callData);
+        const resolved = normalizeTimeline(timeline.rawValue, { now }) || normalizeTimeline(timeline.value, { now });
+        if (!resolved) return extractedData;
+
+        if (timeline.rawValue) {
+            extractedData.timeline = { ...timeline, value: timeline.rawValue };
+        }
+        if (resolved.targetDate) {
+            extractedData.timelineDate = {
+                value: resolved.targetDate,
+                range: resolved.range,
+                confidence: timeline.confidence,
+                source: 'timeline_resolution',
+                matchedText: timeline.matchedText || null
+            };
+        }
+        extractedData.timelineUrgency = {
+            value: resolved.urgency,
+            confidence: timeline.confidence,
+            source: 'timeline_resolution',
+            matchedText: timeline.matchedText || null
+        };
+        console.log(`📅 Timeline "${timeline.rawValue || timeline.value}" → ${resolved.targetDate || 'no date'} (${resolved.urgency})`);
+        return extractedData;
+    }
+
+    // Speaker-aware transcript; VAPI artifact messages win over the flattened text
+    buildConversation(transcript, callData = {}) {
+        const fromCall = buildTranscript(callData || {});
+        return fromCall.hasSpeakers ? fromCall : buildTranscript(typeof transcript === 'string' ? transcript : '');
+    }
+
+    // Provider, then VAPI AI summary (more accurate), then raw transcript extraction
+    async extractFields(transcript, callData = {}, existingFieldData = {}) {
         // First, check if we have VAPI AI summary which is much more accurate
         const vapiSummary = callData?.message?.summary || callData?.call?.analysis?.summary;
         const hasVapiSummary = vapiSummary && vapiSummary.length > 20;
+        const conversation = this.buildConversation(transcript, callData);
+        const conversationText = conversation.toText();
+        
+        // Model extraction when a provider is configured - the pattern paths below are the fallback
+        const providerFields = await this.extractUsingProvider({
+            summary: hasVapiSummary ? vapiSummary : '',
+            transcript: conversationText
+        });
+        if (providerFields && hasVapiSummary) {
+            return await this.extractFromVapiSummary(vapiSummary, existingFieldData, providerFields);
+        }
+        if (providerFields) {
+            return {
+                ...providerFields,
+                _metadata: {
+                    transcriptLength: conversationText.length,
+                    extractionTimestamp: new Date().toISOString(),
+                    callId: callData.call?.id || 'unknown',
+                    fieldsExtracted: Object.keys(providerFields).length
+                }
+            };
+        }
         
         if (hasVapiSummary) {
             console.log('🎯 Found VAPI AI Summary - using for high-accuracy extraction');
@@ -200,9 +166,9 @@ class TranscriptAIExtractor {
             }
             
             // Supplement with transcript data if available (fallback only)
-            if (transcript && transcript.length > 10) {
-                console.log(`📄 Supplementing with transcript (${transcript.length} characters)`);
-                const transcriptData = this.extractUsingDirectMapping(transcript);
+            if (conversationText.length > 10) {
+                console.log(`📄 Supplementing with transcript (${conversationText.length} characters)`);
+                const transcriptData = this.extractUsingDirectMapping(conversation);
                 
                 // Merge data, prioritizing summary results
                 const combinedData = { ...transcriptData, ...summaryData };
@@ -215,21 +181,21 @@ class TranscriptAIExtractor {
         }
         
         // Fallback to transcript analysis if no summary
-        if (!transcript || typeof transcript !== 'string') {
+        if (conversation.isEmpty) {
             console.log('⚠️ No VAPI summary or transcript provided for extraction');
             return {};
         }
 
         console.log('🔄 Fallback: Using transcript-based extraction (VAPI summary not available)');
-        console.log(`📄 Transcript length: ${transcript.length} characters`);
+        console.log(`📄 Transcript length: ${conversationText.length} characters`);
 
         // Try direct mapping from transcript (less accurate than summary)
-        const extractedData = this.extractUsingDirectMapping(transcript);
+        const extractedData = this.extractUsingDirectMapping(conversation);
         
         // Fall back to AI analysis only if direct mapping finds fewer than 3 fields
         if (Object.keys(extractedData).length < 3) {
             console.log('⚡ Direct mapping found < 3 fields, using AI analysis as fallback...');
-            const aiData = await this.extractUsingAIAnalysis(transcript);
+            const aiData = await this.extractUsingAIAnalysis(conversation);
             
             // Merge AI results with direct mapping (direct mapping takes priority)
             Object.keys(aiData).forEach(key => {
@@ -241,7 +207,7 @@ class TranscriptAIExtractor {
 
         // Add call metadata
         extractedData._metadata = {
-            transcriptLength: transcript.length,
+            transcriptLength: conversationText.length,
             extractionTimestamp: new Date().toISOString(),
             callId: callData.call?.id || 'unknown',
             fieldsExtracted: Object.keys(extractedData).filter(key => !key.startsWith('_')).length
@@ -251,6 +217,19 @@ class TranscriptAIExtractor {
         return extractedData;
     }
 
+    // Template keyword extraction over the customer's side of the call
+    async extractUsingAIAnalysis(transcript) {
+        const customerText = buildTranscript(transcript).customerText();
+        const extractedData = {};
+        if (!customerText) return extractedData;
+
+        for (const [fieldName, template] of Object.entries(this.extractionTemplates)) {
+            const fieldData = await this.extractFieldData(customerText, fieldName, template);
+            if (fieldData) extractedData[fieldName] = fieldData;
+        }
+        return extractedData;
+    }
+
     // Extract data for a specific field using AI analysis
     async extractFieldData(transcript, fieldName, template) {
         const transcriptLower = transcript.toLowerCase();
@@ -283,12 +262,70 @@ class TranscriptAIExtractor {
         };
     }
 
+    // First customer sentence mentioning one of the template keywords
+    performPatternExtraction(text, fieldName, template) {
+        const sentences = text.match(/[^.!?\n]+[.!?]?/g) || [];
+        const sentence = sentences.find(candidate => template.keywords.some(keyword =>
+            new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(candidate)));
+        return sentence ? sentence.trim().substring(0, 200) : null;
+    }
+
+    // More template keywords in the customer's words → more confidence
+    calculateExtractionConfidence(text, value, template) {
+        const lower = text.toLowerCase();
+        const hits = template.keywords.filter(keyword => lower.includes(keyword.toLowerCase())).length;
+        return Math.min(60 + hits * 5, 85);
+    }
+
+    // Question/answer pairs: what the assistant asked and what the customer said back
+    parseConversationFlow(transcript) {
+        return buildTranscript(transcript).questionAnswerPairs();
+    }
+
+    // First match of any pattern (its capture group when there is one)
+    extractFromContext(text, patterns, fieldName) {
+        for (const pattern of patterns) {
+            pattern.lastIndex = 0;
+            const match = pattern.exec(text);
+            pattern.lastIndex = 0;
+            if (match) return (match[1] || match[0]).trim();
+        }
+        return null;
+    }
+
+    // Answers to the schema's questions, read from the customer's reply to each assistant question
+    extractUsingQuestionPatterns(transcript, conversationTurns = this.parseConversationFlow(transcript)) {
+        const extractedData = {};
+        const normalize = text => text.toLowerCase().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ').trim();
+
+        for (const { question, answer } of conversationTurns) {
+            const asked = normalize(question);
+            const field = getFieldDefinitions().find(definition => !extractedData[definition.key] &&
+                definition.questions.some(phrase => asked.includes(normalize(phrase))));
+            if (!field) continue;
+
+            const normalized = normalizeFieldValue(field.key, answer);
+            extractedData[field.key] = {
+                value: normalized?.value || answer.substring(0, 200),
+                ...(normalized ? { rawValue: answer } : {}),
+                confidence: 90,
+                matchedText: answer,
+                source: 'conversation_flow',
+                extractionMethod: 'question_answer_pairing'
+            };
+        }
+        return extractedData;
+    }
+
     // Advanced AI analyzer - extracts everything intelligently with flexible context-aware patterns
+    // Only the customer's turns are searched; the assistant's questions never become values
     extractUsingDirectMapping(transcript) {
         console.log('🧠 Using Advanced AI Analyzer...');
         
         const extractedData = {};
-        const conversationTurns = this.parseConversationFlow(transcript);
+        const conversation = buildTranscript(transcript);
+        const customerText = conversation.customerText();
+        const conversationTurns = this.parseConversationFlow(conversation);
         
         // Flexible context-aware extraction using semantic keywords and patterns
         const contextMappings = [
@@ -318,9 +355,7 @@ class TranscriptAIExtractor {
             {
                 fieldName: 'expectations',
                 contextPatterns: [
-                    // Price expectations
-                    /(?:hoping|expect|want|looking for|need|target)\s+(?:to get|for|around)?\s*\$?([\d,]+(?:\.\d+)?(?:\s*(?:k|thousand|million|m))?)/gi,
-                    // Outcome expectations
+                    // Outcome expectations - a stated price is read by price-parser.js below
                     /(?:looking for|want|need|expect|hope for|ideal|perfect)\s+(.+?)(?:\.|,|;|$)/gi,
                     // Quick sale indicators
                     /(?:quick|fast|rapid|immediate)\s*(?:sale|sell|close|deal)/gi
@@ -365,7 +400,7 @@ class TranscriptAIExtractor {
 
         // Extract using flexible context patterns
         for (const mapping of contextMappings) {
-            const contextResults = this.extractFromContext(transcript, mapping.contextPatterns, mapping.fieldName);
+            const contextResults = this.extractFromContext(customerText, mapping.contextPatterns, mapping.fieldName);
             if (contextResults && contextResults.length > 0) {
                 const cleanResult = this.intelligentResponseCleaning(contextResults, mapping.fieldName);
                 if (cleanResult && cleanResult.length > 2) {
@@ -380,14 +415,25 @@ class TranscriptAIExtractor {
             }
         }
 
+        // A stated price beats the outcome phrasing for expectations
+        const statedPrice = findPrice(customerText);
+        if (statedPrice) {
+            extractedData.expectations = {
+                value: statedPrice.display,
+                confidence: 85,
+                source: 'context_aware_analyzer',
+                extractionMethod: 'price_parser'
+            };
+        }
+
         // Fallback to original question-based extraction if context didn't find much
         if (Object.keys(extractedData).length < 3) {
-            const questionResults = this.extractUsingQuestionPatterns(transcript, conversationTurns);
+            const questionResults = this.extractUsingQuestionPatterns(conversation, conversationTurns);
             Object.assign(extractedData, questionResults);
         }
 
-        // Smart property analysis from full conversation
-        const propertyData = this.extractPropertyIntelligence(transcript);
+        // Smart property analysis from what the customer said
+        const propertyData = this.extractPropertyIntelligence(customerText);
         Object.keys(propertyData).forEach(key => {
             if (!extractedData[key] && propertyData[key].value) {
                 extractedData[key] = propertyData[key];
@@ -446,24 +492,15 @@ class TranscriptAIExtractor {
         const propertyData = {};
         const text = transcript.toLowerCase();
         
-        // Smart price detection
-        const pricePatterns = [
-            /(\$?[\d,]+(?:\.\d+)?)\s*(?:thousand|k)/gi,
-            /(\$?[\d,]+(?:\.\d+)?)\s*(?:million|m)/gi,
-            /\$\s*([\d,]+(?:\.\d+)?)/g
-        ];
-        
-        for (const pattern of pricePatterns) {
-            const matches = text.match(pattern);
-            if (matches && !propertyData.priceRange) {
-                propertyData.priceRange = {
-                    value: matches[0],
-                    confidence: 85,
-                    source: 'property_intelligence',
-                    extractionMethod: 'price_pattern_detection'
-                };
-                break;
-            }
+        // Smart price detection - spoken and written amounts, including ranges
+        const price = findPrice(transcript);
+        if (price) {
+            propertyData.priceRange = {
+                value: price.display,
+                confidence: 85,
+                source: 'property_intelligence',
+                extractionMethod: 'price_parser'
+            };
         }
         
         // Smart property type detection
@@ -505,122 +542,12 @@ class TranscriptAIExtractor {
     }
 
     // Structured data extraction using JSON format - much more reliable
+    // Uses the model provider (prompt built from EXTRACTION_SCHEMA) and falls back to summary patterns
     async extractStructuredData(summary) {
         console.log('📊 Attempting structured JSON extraction...');
         
-        // Create a structured prompt for consistent extraction
-        const extractionPrompt = `
-Please analyze this real estate call summary and extract the following information in JSON format.
-Be concise and business-focused. Use "Not mentioned" if information is not available.
-
-Call Summary: "${summary}"
-
-Extract and return ONLY a JSON object with these fields:
-{
-  "motivation": "Why are they selling? (concise, under 30 chars)",
-  "nextDestination": "Where are they moving to?",
-  "timeline": "When do they need to sell/move?",
-  "expectations": "What do they expect from the sale?",
-  "disappointments": "What has disappointed them so far?",
-  "concerns": "What are they worried about?",
-  "Openness to Re-list": "Are they open to working with an agent? (Yes/No/Maybe)",
-  "Last Contact": "${new Date().toISOString().split('T')[0]}",
-  "latest Call Summary": "${summary}",
-  "Voice Memory": "Key business points for realtor reference"
-}`;
-
         try {
-            // For now, let's use a simple parsing approach that extracts key information
-            // In a real implementation, this would call an AI service
-            
-            const extractedData = {};
-            const text = summary.toLowerCase();
-            
-            // Motivation - look for key reasons
-            if (text.includes('connection')) {
-                extractedData['motivation'] = { value: 'Personal connection', confidence: 90, source: 'structured', extractionMethod: 'json_structured' };
-            } else if (text.includes('commission')) {
-                extractedData['motivation'] = { value: 'Save commission', confidence: 90, source: 'structured', extractionMethod: 'json_structured' };
-            } else if (text.includes('moving') || text.includes('relocat')) {
-                extractedData['motivation'] = { value: 'Relocation', confidence: 90, source: 'structured', extractionMethod: 'json_structured' };
-            }
-            
-            // Next Destination - extract location mentioned
-            const locationMatch = summary.match(/(?:moving to|going to|relocating to)\s+([A-Za-z\s,]+?)(?:\.|,|;|$)/i) ||
-                                 summary.match(/\b(Missouri|Texas|California|Florida|Virginia|New York|Jersey|Africa|Austin)\b/i);
-            if (locationMatch) {
-                extractedData['nextDestination'] = { 
-                    value: locationMatch[1] || locationMatch[0], 
-                    confidence: 95, 
-                    source: 'structured', 
-                    extractionMethod: 'json_structured' 
-                };
-            }
-            
-            // Timeline - extract time references
-            const timelineMatch = summary.match(/(?:by|before|in|within)\s+([^.]{1,50}?)(?:\.|,|;|$)/i);
-            if (timelineMatch) {
-                extractedData['timeline'] = { 
-                    value: timelineMatch[1].trim(), 
-                    confidence: 85, 
-                    source: 'structured', 
-                    extractionMethod: 'json_structured' 
-                };
-            }
-            
-            // Expectations - look for what they want
-            let expectations = 'Not clearly specified';
-            if (text.includes('control') && text.includes('process')) {
-                expectations = 'Control over the process';
-            } else if (text.includes('most money') || text.includes('top dollar')) {
-                expectations = 'Get top dollar';
-            } else if (text.includes('connection')) {
-                expectations = 'Personal connection with buyer';
-            }
-            extractedData['expectations'] = { 
-                value: expectations, 
-                confidence: 85, 
-                source: 'structured', 
-                extractionMethod: 'json_structured' 
-            };
-            
-            // Disappointments
-            if (text.includes('quality') && text.includes('buyer')) {
-                extractedData['disappointments'] = { 
-                    value: 'Quality of buyers', 
-                    confidence: 90, 
-                    source: 'structured', 
-                    extractionMethod: 'json_structured' 
-                };
-            }
-            
-            // Concerns - extract main worry
-            const concernMatch = summary.match(/(?:concern|worried|afraid).*?is\s+([^.]{1,50}?)(?:\.|,|;|$)/i);
-            if (concernMatch) {
-                extractedData['concerns'] = { 
-                    value: concernMatch[1].trim(), 
-                    confidence: 85, 
-                    source: 'structured', 
-                    extractionMethod: 'json_structured' 
-                };
-            } else if (text.includes('time frame') || text.includes('timeline')) {
-                extractedData['concerns'] = { 
-                    value: 'Meeting timeline', 
-                    confidence: 80, 
-                    source: 'structured', 
-                    extractionMethod: 'json_structured' 
-                };
-            }
-            
-            // Openness to Re-list - look for agent-related responses
-            if (text.includes('maybe') && (text.includes('agent') || text.includes('work'))) {
-                extractedData['Openness to Re-list'] = { 
-                    value: 'Maybe', 
-                    confidence: 90, 
-                    source: 'structured', 
-                    extractionMethod: 'json_structured' 
-                };
-            }
+            const extractedData = (await this.extractUsingProvider({ summary })) || this.extractStructuredDataWithPatterns(summary);
             
             // System fields - always populate these
             const today = new Date().toISOString().split('T')[0];
@@ -665,8 +592,102 @@ Extract and return ONLY a JSON object with these fields:
         }
     }
 
+    // Pattern-based fallback for extractStructuredData (no model available)
+    extractStructuredDataWithPatterns(summary) {
+        const extractedData = {};
+        const text = summary.toLowerCase();
+        
+        // Motivation - selling reason category
+        const motivation = normalizeMotivation(summary);
+        if (motivation) {
+            extractedData['motivation'] = { value: motivation.value, confidence: 90, source: 'structured', extractionMethod: 'json_structured' };
+        }
+        
+        // Next Destination - city/state they are moving to
+        const destination = normalizeDestination(summary);
+        if (destination) {
+            extractedData['nextDestination'] = { 
+                value: destination.value, 
+                confidence: 95, 
+                source: 'structured', 
+                extractionMethod: 'json_structured' 
+            };
+        }
+        
+        // Timeline - resolved to a target month
+        const timeline = normalizeTimeline(summary);
+        if (timeline) {
+            extractedData['timeline'] = { 
+                value: timeline.value, 
+                confidence: 85, 
+                source: 'structured', 
+                extractionMethod: 'json_structured' 
+            };
+        }
+        
+        // Expectations - price if given, otherwise what they want from the sale
+        let expectations = 'Not clearly specified';
+        const price = normalizePrice(summary);
+        if (price) {
+            expectations = price.value;
+        } else if (text.includes('control') && text.includes('process')) {
+            expectations = 'Control over the process';
+        } else if (text.includes('most money') || text.includes('top dollar')) {
+            expectations = 'Get top dollar';
+        } else if (text.includes('connection')) {
+            expectations = 'Personal connection with buyer';
+        }
+        extractedData['expectations'] = { 
+            value: expectations, 
+            confidence: 85, 
+            source: 'structured', 
+            extractionMethod: 'json_structured' 
+        };
+        
+        // Disappointments
+        if (text.includes('quality') && text.includes('buyer')) {
+            extractedData['disappointments'] = { 
+                value: 'Quality of buyers', 
+                confidence: 90, 
+                source: 'structured', 
+                extractionMethod: 'json_structured' 
+            };
+        }
+        
+        // Concerns - extract main worry
+        const concernMatch = summary.match(/(?:concern|worried|afraid).*?is\s+([^.]{1,50}?)(?:\.|,|;|$)/i);
+        if (concernMatch) {
+            extractedData['concerns'] = { 
+                value: concernMatch[1].trim(), 
+                confidence: 85, 
+                source: 'structured', 
+                extractionMethod: 'json_structured' 
+            };
+        } else if (text.includes('time frame') || text.includes('timeline')) {
+            extractedData['concerns'] = { 
+                value: 'Meeting timeline', 
+                confidence: 80, 
+                source: 'structured', 
+                extractionMethod: 'json_structured' 
+            };
+        }
+        
+        // Openness to Re-list - look for agent-related responses
+        if (text.includes('maybe') && (text.includes('agent') || text.includes('work'))) {
+            extractedData['Openness to Re-list'] = { 
+                value: 'Maybe', 
+                confidence: 90, 
+                source: 'structured', 
+                extractionMethod: 'json_structured' 
+            };
+        }
+        
+        return extractedData;
+    }
+
     // Extract data from VAPI AI Summary using intelligent field mapping
-    async extractFromVapiSummary(summary, existingFieldData = {}) {
+    // providerFields: model-extracted answers that replace the question mapper's
+    async extractFromVapiSummary(summary, existingFieldData = {}, providerFields = null) {
         console.log('🧠 Extracting from VAPI AI Summary using intelligent field mapping');
         
         // Import and use the intelligent field mapper (simple question mapper)
@@ -674,7 +695,7 @@ Extract and return ONLY a JSON object with these fields:
             const { IntelligentFieldMapper } = await import('./intelligent-field-mapper.js');
             const mapper = new IntelligentFieldMapper();
             
-            const intelligentData = await mapper.extractIntelligentFields(summary, '', {}, existingFieldData);
+            const intelligentData = await mapper.extractIntelligentFields(summary, '', {}, existingFieldData, providerFields);
             if (intelligentData && Object.keys(intelligentData).length > 0) {
                 console.log('✅ Using simple question mapper extraction (high accuracy)');
                 console.log(`🎯 Simple mapper extracted ${Object.keys(intelligentData).length} fields - NO FALLBACKS`);
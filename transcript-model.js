@@ -0,0 +1,204 @@
+// transcript-model.js - One model of a call transcript: speaker turns with timestamps and Q/A pairs
+// Built from VAPI artifact.messages or the "AI: ... / User: ..." text format. Extractors read
+// customer turns only, so the assistant's own words ("save on commission?") never become field values
+
+// Speaker labels in the text format and roles in VAPI messages
+const ASSISTANT_LABELS = new Set(['ai', 'assistant', 'bot', 'agent ai']);
+const CUSTOMER_LABELS = new Set(['user', 'customer', 'caller', 'human', 'seller', 'lead', 'client', 'prospect']);
+const ASSISTANT_ROLES = new Set(['assistant', 'bot']);
+const CUSTOMER_ROLES = new Set(['user', 'customer']);
+
+// "AI:" / "User:" can also appear after a sentence when a transcript was flattened onto one line
+const INLINE_LABEL = /([.!?])\s+(AI|User|Assistant|Bot|Customer|Caller):\s+/g;
+// Named speaker at the start of a line ("Michael: ..."), with an optional [mm:ss] timestamp
+const LINE_LABEL = /^\s*(?:\[?(\d{1,2}:\d{2}(?::\d{2})?)\]?\s+)?([A-Za-z][\w .'-]{0,30}?)\s*:\s+(.*)$/;
+
+function speakerForLabel(label) {
+    const lower = label.toLowerCase().trim();
+    if (ASSISTANT_LABELS.has(lower)) return 'assistant';
+    if (CUSTOMER_LABELS.has(lower)) return 'customer';
+    return null;
+}
+
+function clockToSeconds(clock) {
+    if (!clock) return null;
+    return clock.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+class Transcript {
+    // turns: [{ speaker: 'assistant' | 'customer' | 'unknown', text, secondsFromStart, time }]
+    constructor(turns = []) {
+        this.turns = mergeTurns(turns);
+    }
+
+    get isEmpty() {
+        return this.turns.length === 0;
+    }
+
+    // Whether any turn has a known speaker - an unlabeled blob can't be split by speaker
+    get hasSpeakers() {
+        return this.turns.some(turn => turn.speaker !== 'unknown');
+    }
+
+    assistantTurns() {
+        return this.turns.filter(turn => turn.speaker === 'assistant');
+    }
+
+    // Customer turns; an unlabeled transcript is treated as all customer so it can still be read
+    customerTurns() {
+        return this.hasSpeakers
+            ? this.turns.filter(turn => turn.speaker === 'customer')
+            : this.turns;
+    }
+
+    customerText() {
+        return this.customerTurns().map(turn => turn.text).join('\n');
+    }
+
+    // Each assistant question with the customer's reply (every customer turn until the assistant speaks again)
+    // Returns [{ question, answer, askedAt, answeredAt }]; askedAt/answeredAt are seconds from start or null
+    questionAnswerPairs() {
+        const pairs = [];
+        let current = null;
+
+        for (const turn of this.turns) {
+            if (turn.speaker === 'assistant') {
+                if (current?.answer) pairs.push(current);
+                current = { question: lastQuestion(turn.text), answer: '', askedAt: turn.secondsFromStart, answeredAt: null };
+            } else if (turn.speaker === 'customer' && current) {
+                current.answer = current.answer ? `${current.answer} ${turn.text}` : turn.text;
+                current.answeredAt = current.answeredAt ?? turn.secondsFromStart;
+            }
+        }
+        if (current?.answer) pairs.push(current);
+        return pairs;
+    }
+
+    // "AI: ...\nUser: ..." text, the format VAPI uses for artifact.transcript
+    toText() {
+        const labels = { assistant: 'AI', customer: 'User' };
+        return this.turns
+            .map(turn => labels[turn.speaker] ? `${labels[turn.speaker]}: ${turn.text}` : turn.text)
+            .join('\n');
+    }
+}
+
+// The question the assistant ended its turn on ("Great. Where are you moving to?" → "Where are you moving to?")
+function lastQuestion(text) {
+    const sentences = text.match(/[^.!?]+[.!?]*/g) || [text];
+    const questions = sentences.filter(sentence => sentence.includes('?'));
+    return (questions[questions.length - 1] || sentences[sentences.length - 1]).trim();
+}
+
+// Join back-to-back turns from the same speaker (VAPI splits long replies)
+function mergeTurns(turns) {
+    const merged = [];
+    for (const turn of turns) {
+        const text = `${turn.text || ''}`.replace(/\s+/g, ' ').trim();
+        if (!text) continue;
+
+        const previous = merged[merged.length - 1];
+        if (previous && previous.speaker === turn.speaker) {
+            previous.text = `${previous.text} ${text}`;
+            continue;
+        }
+        merged.push({
+            speaker: turn.speaker,
+            text,
+            secondsFromStart: turn.secondsFromStart ?? null,
+            time: turn.time ?? null
+        });
+    }
+    return merged;
+}
+
+// VAPI messages: [{ role: 'bot' | 'assistant' | 'user' | 'system' | 'tool_calls', message | content, time, secondsFromStart }]
+export function parseTranscriptMessages(messages = []) {
+    const turns = messages
+        .filter(message => ASSISTANT_ROLES.has(message?.role) || CUSTOMER_ROLES.has(message?.role))
+        .filter(message => typeof (message.message ?? message.content) === 'string')
+        .map(message => ({
+            speaker: ASSISTANT_ROLES.has(message.role) ? 'assistant' : 'customer',
+            text: message.message ?? message.content,
+            secondsFromStart: typeof message.secondsFromStart === 'number' ? message.secondsFromStart : null,
+            time: message.time ?? null
+        }));
+    return new Transcript(turns);
+}
+
+// "AI: Hi there\nUser: Hello" (also flattened onto one line, named speakers and [mm:ss] timestamps)
+// Lines without a label continue the previous turn; named speakers other than the assistant are the customer
+export function parseTranscriptText(text = '') {
+    const lines = `${text}`.replace(INLINE_LABEL, '$1\n$2: ').split(/\r?\n/);
+    const turns = [];
+    const labeled = lines.some(line => {
+        const match = line.match(LINE_LABEL);
+        return match && speakerForLabel(match[2]);
+    });
+
+    for (const line of lines) {
+        if (!line.trim()) continue;
+        const match = line.match(LINE_LABEL);
+        const speaker = match ? speakerForLabel(match[2]) : null;
+
+        if (match && (speaker || labeled)) {
+            turns.push({ speaker: speaker || 'customer', text: match[3], secondsFromStart: clockToSeconds(match[1]) });
+        } else if (turns.length > 0) {
+            turns[turns.length - 1].text += ` ${line.trim()}`;
+        } else {
+            turns.push({ speaker: 'unknown', text: line, secondsFromStart: null });
+        }
+    }
+    return new Transcript(turns);
+}
+
+// Build from whatever the caller has: a Transcript, text, a messages array, a call or webhook callData
+// Messages win over text because they carry speakers and timestamps
+export function buildTranscript(source) {
+    if (source instanceof Transcript) return source;
+    if (Array.isArray(source)) return parseTranscriptMessages(source);
+    if (typeof source === 'string') return parseTranscriptText(source);
+    if (!source || typeof source !== 'object') return new Transcript();
+
+    const call = source.call || source.message?.call || source;
+    const messages = source.message?.artifact?.messages || call.artifact?.messages || call.messages || source.message?.messages;
+    if (Array.isArray(messages)) {
+        const fromMessages = parseTranscriptMessages(messages);
+        if (!fromMessages.isEmpty) return fromMessages;
+    }
+
+    const text = [call.transcript, call.artifact?.transcript, source.message?.artifact?.transcript,
+        source.message?.transcript, call.analysis?.transcript].find(value => typeof value === 'string' && value.trim());
+    if (text) return parseTranscriptText(text);
+
+    if (Array.isArray(call.transcript)) {
+        return parseTranscriptMessages(call.transcript.map(item => ({
+            role: item.role || 'user',
+            message: item.text || item.message || item
+        })));
+    }
+    return new Transcript();
+}
+
+// The sentence (or line) of text that contains phrase, ignoring case; null when it isn't there
+export function findSentence(text, phrase) {
+    if (!text || !phrase || `${phrase}`.trim().length < 3) return null;
+    const index = text.toLowerCase().indexOf(`${phrase}`.trim().toLowerCase());
+    if (index === -1) return null;
+
+    const before = text.substring(0, index);
+    const start = Math.max(before.search(/[^.!?\n]*$/), 0);
+    const after = text.substring(index + `${phrase}`.trim().length);
+    const end = after.search(/[.!?](\s|$)|\n/);
+    return text.substring(start, index + `${phrase}`.trim().length + (end === -1 ? after.length : end + 1)).trim();
+}
+
+export { Transcript };
+
+export default {
+    Transcript,
+    buildTranscript,
+    findSentence,
+    parseTranscriptText,
+    parseTranscriptMessages
+};
@@ -1,10 +1,15 @@
 // VAPI Function Calling Handlers for GoHighLevel Integration
 // These functions are called in real-time during VAPI conversations
 
-import { PITTokenManager } from './pit-token-manager.js';
+import { PITTokenManager, getGHLBaseUrl } from './pit-token-manager.js';
 import axios from 'axios';
+import { CustomFieldsManager } from './custom-fields-manager.js';
+import { SimpleQuestionMapper } from './simple-question-mapper.js';
+import { LiveAnswerStore, validateLiveAnswer } from './live-answers.js';
+import { findAvailableAgent } from './agent-roster.js';
+import { createContactNote } from './note-manager.js';
+import { getCalendarSlots, getCalendarDetails, parseFreeSlots } from './appointment-scheduler.js';
 
-const GHL_BASE_URL = 'https://services.leadconnectorhq.com';
 const GHL_API_VERSION = '2021-07-28';
 
 // Initialize PIT token manager
@@ -20,11 +25,180 @@ async function initTokenManager() {
 }
 initTokenManager();
 
+// Custom fields manager for writing call results back to the contact (initialized on first use)
+let customFieldsManager = null;
+
+async function getCustomFieldsManager() {
+    if (!customFieldsManager) {
+        const manager = new CustomFieldsManager();
+        if (!await manager.initialize()) {
+            throw new Error('Custom fields manager failed to initialize');
+        }
+        customFieldsManager = manager;
+    }
+    return customFieldsManager;
+}
+
+// Qualifying-question fields the assistant can save live (same keys as post-call extraction)
+const questionMapper = new SimpleQuestionMapper();
+const liveAnswers = new LiveAnswerStore();
+
+// The contact this call was placed for, from the signed webhook (assistantOverrides.variableValues.contactId)
+// The model's contactId argument is only accepted when it names the same contact, so a caller can't
+// steer the assistant into reading or changing another contact's record
+// Returns { contactId } or { response } to send back instead; missingMessage is spoken when the call has no contact
+function resolveCallContact(requestedContactId, call, missingMessage) {
+    const callContactId = call?.assistantOverrides?.variableValues?.contactId || null;
+    if (!callContactId) {
+        return { response: { success: false, message: missingMessage, error: 'contactId is required' } };
+    }
+    if (requestedContactId && requestedContactId !== callContactId) {
+        console.warn(`🚫 Refused contact ${requestedContactId} - call ${call?.id || 'unknown'} is for contact ${callContactId}`);
+        return {
+            response: {
+                success: false,
+                message: "I can only look at the record for the person I'm speaking with.",
+                error: 'contactId does not match the call'
+            }
+        };
+    }
+    return { contactId: callContactId };
+}
+
+// Calendar settings - the calendar is configurable per deployment
+const DEFAULT_CALENDAR_ID = 'voWnlupYGcaswG4ZoCzQ';
+const DEFAULT_TIMEZONE = 'America/New_York';
+const DEFAULT_SLOT_MINUTES = 60;
+const DEFAULT_LOCATION_ID = 'Tty8tmfsIBN4DdOVzgVa';
+
+// Conversational limits: offer 2 slots per day over 2 days
+const MAX_DAYS_OFFERED = 2;
+const MAX_SLOTS_PER_DAY = 2;
+const SEARCH_DAYS = 7;
+
+// Resolve the calendar, its name, timezone and slot length
+// Timezone priority: calendar setting → GHL_CALENDAR_TIMEZONE → America/New_York
+async function getCalendarContext(calendarId = null) {
+    const id = calendarId || process.env.GHL_CALENDAR_ID || DEFAULT_CALENDAR_ID;
+    const context = {
+        calendarId: id,
+        calendarName: 'Appointment Calendar',
+        timezone: process.env.GHL_CALENDAR_TIMEZONE || DEFAULT_TIMEZONE,
+        slotMinutes: DEFAULT_SLOT_MINUTES
+    };
+    
+    try {
+        const calendar = await getCalendarDetails(id, pitTokenManager.pitToken);
+        context.calendarName = calendar.name || context.calendarName;
+        context.timezone = calendar.timezone || calendar.timeZone || context.timezone;
+        
+        if (calendar.slotDuration) {
+            const unit = `${calendar.slotDurationUnit || 'mins'}`.toLowerCase();
+            context.slotMinutes = unit.startsWith('hour') ? calendar.slotDuration * 60 : calendar.slotDuration;
+        }
+    } catch (error) {
+        console.log(`⚠️ Could not load calendar ${id} details, using defaults:`, error.message);
+    }
+    
+    return context;
+}
+
+// Speakable date and time for a slot in the calendar's timezone
+function formatSlotTime(startTime, timezone) {
+    const date = new Date(startTime);
+    return {
+        date: date.toLocaleDateString('en-US', {
+            weekday: 'long',
+            month: 'long',
+            day: 'numeric',
+            timeZone: timezone
+        }),
+        time: date.toLocaleTimeString('en-US', {
+            hour: 'numeric',
+            minute: '2-digit',
+            hour12: true,
+            timeZone: timezone
+        })
+    };
+}
+
+// Pick up to MAX_SLOTS_PER_DAY from one day, spread at least 2 hours apart when possible
+function pickSlotsForDay(daySlots) {
+    const picked = [daySlots[0]];
+    const firstStart = new Date(daySlots[0].startTime).getTime();
+    const spreadSlot = daySlots.find(slot => new Date(slot.startTime).getTime() - firstStart >= 2 * 60 * 60 * 1000);
+    const secondSlot = spreadSlot || daySlots[1];
+    
+    if (secondSlot && picked.length < MAX_SLOTS_PER_DAY) {
+        picked.push(secondSlot);
+    }
+    return picked;
+}
+
+// Fetch free slots and pick the ones to offer (up to 2 per day over the first 2 days with openings)
+// excludeStartTimes drops slots we already know are taken
+async function findOfferedSlots(calendar, excludeStartTimes = []) {
+    const excluded = new Set(excludeStartTimes.map(time => new Date(time).getTime()));
+    const startDate = new Date();
+    const endDate = new Date(startDate.getTime() + SEARCH_DAYS * 24 * 60 * 60 * 1000);
+    
+    console.log(`📅 Fetching free slots from calendar ${calendar.calendarId} (${calendar.timezone})...`);
+    const freeSlots = await getCalendarSlots(
+        calendar.calendarId,
+        startDate.getTime(),
+        endDate.getTime(),
+        pitTokenManager.pitToken,
+        calendar.timezone
+    );
+    
+    // Group the free slots by calendar day and keep the first days that have openings
+    const slotsByDay = new Map();
+    for (const slot of parseFreeSlots(freeSlots)) {
+        const slotStart = new Date(slot.startTime);
+        if (slotStart <= startDate || excluded.has(slotStart.getTime())) continue;
+        if (!slotsByDay.has(slot.day)) slotsByDay.set(slot.day, []);
+        slotsByDay.get(slot.day).push(slot);
+    }
+    
+    const offeredDays = [...slotsByDay.keys()].sort().slice(0, MAX_DAYS_OFFERED);
+    const picked = offeredDays.flatMap(day => pickSlotsForDay(slotsByDay.get(day)));
+    
+    console.log(`⏰ Found ${slotsByDay.size} days with free slots, offering ${picked.length} slots`);
+    
+    // Format slots for VAPI response
+    const slots = picked.map(slot => {
+        const start = new Date(slot.startTime);
+        const end = new Date(start.getTime() + calendar.slotMinutes * 60 * 1000);
+        const { date, time } = formatSlotTime(start, calendar.timezone);
+        
+        return {
+            id: `slot-${start.toISOString()}`,
+            date: date,
+            time: time,
+            startTime: start.toISOString(),
+            endTime: end.toISOString(),
+            description: `${date} at ${time}`
+        };
+    });
+    
+    return { slots, daysOffered: offeredDays.length };
+}
+
+// Numbered slot list plus the closing question, for natural conversation
+function describeSlotChoices(slots) {
+    const slotDescriptions = slots.map((slot, index) => 
+        `${index + 1}. ${slot.description}`
+    ).join('\n');
+    const question = slots.length === 1 ? 'Does that time work for you?' : `Which of these ${slots.length} times works best for you?`;
+    
+    return `${slotDescriptions}\n\n${question}`;
+}
+
 /**
  * Check available appointment slots in GoHighLevel calendar
  * Called by VAPI during conversation: {{ghl_check_availability}}
  */
-export async function ghl_check_availability({ contactId }) {
+export async function ghl_check_availability({ contactId, calendarId } = {}) {
     console.log('📅 VAPI Function Call: ghl_check_availability', { contactId });
     
     try {
@@ -33,108 +207,34 @@ export async function ghl_check_availability({ contactId }) {
             await pitTokenManager.getValidToken();
         }
         
-        // Get available slots for the next few days
-        const startDate = new Date();
-        const endDate = new Date();
-        endDate.setDate(startDate.getDate() + 7); // Next 7 days
-        
-        // Format dates for GHL API
-        const startDateStr = startDate.toISOString().split('T')[0];
-        const endDateStr = endDate.toISOString().split('T')[0];
-        
-        // For now, generate mock slots until we fix the GHL calendar API
-        console.log('📅 Generating available appointment slots...');
-        
-        const slots = [];
-        const now = new Date();
-        
-        // Generate slots for next 2 days (Mon-Fri only), max 2 slots per day
-        let daysWithSlots = 0;
-        for (let dayOffset = 1; dayOffset <= 7 && daysWithSlots < 2; dayOffset++) {
-            const slotDate = new Date(now);
-            slotDate.setDate(now.getDate() + dayOffset);
-            
-            // Skip weekends
-            const dayOfWeek = slotDate.getDay();
-            if (dayOfWeek === 0 || dayOfWeek === 6) continue;
-            
-            // Generate 2 slots per day: one morning, one afternoon
-            const hours = [14, 15]; // 2pm, 3pm (afternoon preference)
-            
-            let slotsForThisDay = 0;
-            for (const hour of hours) {
-                if (slotsForThisDay >= 2) break; // Max 2 slots per day
-                
-                const startTime = new Date(slotDate);
-                startTime.setHours(hour, 0, 0, 0);
-                
-                const endTime = new Date(startTime);
-                endTime.setHours(hour + 1, 0, 0, 0);
-                
-                slots.push({
-                    id: `slot-${dayOffset}-${hour}`,
-                    startTime: startTime.toISOString(),
-                    endTime: endTime.toISOString()
-                });
-                
-                slotsForThisDay++;
-            }
-            
-            if (slotsForThisDay > 0) {
-                daysWithSlots++;
-            }
-        }
-        
-        console.log(`⏰ Generated ${slots.length} available slots`);
-        
-        // Format slots for VAPI response (max 4 slots)
-        const availableSlots = slots.slice(0, 4).map(slot => {
-            const startTime = new Date(slot.startTime);
-            const date = startTime.toLocaleDateString('en-US', { 
-                weekday: 'long', 
-                month: 'long', 
-                day: 'numeric' 
-            });
-            const time = startTime.toLocaleTimeString('en-US', { 
-                hour: 'numeric', 
-                minute: '2-digit',
-                hour12: true 
-            });
-            
-            return {
-                id: slot.id,
-                date: date,
-                time: time,
-                startTime: slot.startTime,
-                endTime: slot.endTime,
-                description: `${date} at ${time}`
-            };
-        });
+        const calendar = await getCalendarContext(calendarId);
+        const { slots: availableSlots, daysOffered } = await findOfferedSlots(calendar);
         
         if (availableSlots.length === 0) {
             return {
                 success: false,
-                message: "No available appointment slots found in the next 7 days. Would you like me to check for later dates?"
+                message: `No available appointment slots found in the next ${SEARCH_DAYS} days. Would you like me to check for later dates?`,
+                calendarId: calendar.calendarId,
+                timezone: calendar.timezone
             };
         }
         
-        // Format response for natural conversation - always show exactly 4 slots over 2 days
-        const slotDescriptions = availableSlots.map((slot, index) => 
-            `${index + 1}. ${slot.description}`
-        ).join('\n');
+        // Format response for natural conversation
+        const dayText = daysOffered === 1 ? 'day' : `${daysOffered} days`;
         
         return {
             success: true,
-            message: `Here are the available appointment times over the next 2 days:\n\n${slotDescriptions}\n\nWhich of these 4 times works best for you?`,
+            message: `Here are the available appointment times over the next ${dayText}:\n\n${describeSlotChoices(availableSlots)}`,
             slots: availableSlots,
-            calendarId: 'rich-calendar-1',
-            calendarName: 'Rich Preview Calendar',
+            calendarId: calendar.calendarId,
+            calendarName: calendar.calendarName,
+            timezone: calendar.timezone,
             totalSlots: availableSlots.length,
-            daysOffered: 2
+            daysOffered: daysOffered
         };
         
     } catch (error) {
-        console.error('❌ Error checking availability:', error.message);
+        console.error('❌ Error checking availability:', error.response?.data || error.message);
         return {
             success: false,
             message: "I'm having trouble checking the calendar right now. Let me get back to you on available times.",
@@ -143,11 +243,34 @@ export async function ghl_check_availability({ contactId }) {
     }
 }
 
+// GHL rejects bookings for slots that were taken after we offered them
+function isSlotUnavailableError(error) {
+    const message = `${error.response?.data?.message || ''}`.toLowerCase();
+    return [400, 409, 422].includes(error.response?.status) &&
+           (message.includes('no longer available') || (message.includes('slot') && message.includes('not available')));
+}
+
+// Write the booked appointment ID back to the contact (Appointment ID + Appointment Booked fields)
+async function recordAppointmentOnContact(contactId, appointmentId) {
+    try {
+        const manager = await getCustomFieldsManager();
+        const result = await manager.updateContactCustomFields(contactId, {
+            appointmentid: { value: appointmentId, confidence: 100 },
+            appointmentbooked: { value: 'true', confidence: 100 }
+        });
+        console.log(`🔗 Appointment ${appointmentId} recorded on contact ${contactId} (${result.fieldsUpdated} fields)`);
+        return result.fieldsUpdated > 0;
+    } catch (error) {
+        console.error('⚠️ Appointment booked but could not be recorded on the contact:', error.message);
+        return false;
+    }
+}
+
 /**
  * Create appointment in GoHighLevel calendar
  * Called by VAPI during conversation: {{ghl_create_event}}
  */
-export async function ghl_create_event({ contactId, slotId, startTime, endTime, title, description }) {
+export async function ghl_create_event({ contactId, slotId, startTime, endTime, title, description, calendarId }) {
     console.log('📝 VAPI Function Call: ghl_create_event', { 
         contactId, 
         slotId, 
@@ -156,6 +279,14 @@ export async function ghl_create_event({ contactId, slotId, startTime, endTime,
         title 
     });
     
+    if (!contactId || !startTime || isNaN(new Date(startTime).getTime())) {
+        return {
+            success: false,
+            message: "I need to confirm which time works for you before I can book it. Which of the times I mentioned would you like?",
+            error: 'contactId and a valid startTime are required'
+        };
+    }
+    
     try {
         // Ensure we have a valid PIT token
         if (!pitTokenManager.pitToken) {
@@ -163,7 +294,7 @@ export async function ghl_create_event({ contactId, slotId, startTime, endTime,
         }
         
         // Get contact details
-        const contactResponse = await axios.get(`${GHL_BASE_URL}/contacts/${contactId}`, {
+        const contactResponse = await axios.get(`${getGHLBaseUrl()}/contacts/${contactId}`, {
             headers: {
                 'Authorization': `Bearer ${pitTokenManager.pitToken}`,
                 'Version': GHL_API_VERSION,
@@ -174,31 +305,69 @@ export async function ghl_create_event({ contactId, slotId, startTime, endTime,
         const contact = contactResponse.data.contact || contactResponse.data;
         console.log(`👤 Creating appointment for: ${contact.firstName} ${contact.lastName}`);
         
-        // For now, simulate appointment creation
-        const appointmentId = `apt-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        console.log('📅 Simulating appointment creation...');
-        console.log('✅ Appointment created successfully:', appointmentId);
-        
-        // Format confirmation for natural conversation
-        const appointmentDate = new Date(startTime);
-        const dateStr = appointmentDate.toLocaleDateString('en-US', { 
-            weekday: 'long', 
-            month: 'long', 
-            day: 'numeric' 
-        });
-        const timeStr = appointmentDate.toLocaleTimeString('en-US', { 
-            hour: 'numeric', 
-            minute: '2-digit',
-            hour12: true 
-        });
+        const calendar = await getCalendarContext(calendarId);
+        const start = new Date(startTime);
+        const end = endTime && !isNaN(new Date(endTime).getTime())
+            ? new Date(endTime)
+            : new Date(start.getTime() + calendar.slotMinutes * 60 * 1000);
+        const { date: dateStr, time: timeStr } = formatSlotTime(start, calendar.timezone);
+        
+        const appointmentData = {
+            calendarId: calendar.calendarId,
+            locationId: contact.locationId || process.env.GHL_LOCATION_ID || DEFAULT_LOCATION_ID,
+            contactId: contactId,
+            startTime: start.toISOString(),
+            endTime: end.toISOString(),
+            title: title || `Property Preview - ${contact.firstName || ''} ${contact.lastName || ''}`.trim(),
+            appointmentStatus: 'confirmed',
+            notes: description || 'Booked live during VAPI call'
+        };
+        
+        let response;
+        try {
+            console.log('📅 Booking appointment: POST /calendars/events/appointments');
+            response = await pitTokenManager.makeGHLRequest('POST', '/calendars/events/appointments', appointmentData);
+        } catch (bookingError) {
+            if (!isSlotUnavailableError(bookingError)) {
+                throw bookingError;
+            }
+            
+            // The slot was taken between offer and booking - offer what is still open
+            console.log(`⚠️ Slot ${start.toISOString()} is no longer available - looking up alternatives`);
+            const { slots: alternativeSlots } = await findOfferedSlots(calendar, [start.toISOString()]);
+            
+            return {
+                success: false,
+                reason: 'slot_unavailable',
+                message: alternativeSlots.length > 0
+                    ? `I'm sorry, ${dateStr} at ${timeStr} was just taken. Here's what's still open:\n\n${describeSlotChoices(alternativeSlots)}`
+                    : `I'm sorry, ${dateStr} at ${timeStr} was just taken and I don't see other openings in the next ${SEARCH_DAYS} days. Let me have Rich reach out to you directly to find a time.`,
+                alternativeSlots: alternativeSlots,
+                calendarId: calendar.calendarId,
+                timezone: calendar.timezone
+            };
+        }
+        
+        const appointment = response.data?.appointment || response.data || {};
+        const appointmentId = appointment.id;
+        console.log('✅ Appointment created successfully:', appointmentId || 'ID not returned');
+        
+        const contactUpdated = appointmentId
+            ? await recordAppointmentOnContact(contactId, appointmentId)
+            : false;
         
         return {
             success: true,
             message: `Perfect! I've scheduled your appointment for ${dateStr} at ${timeStr}. You should receive a confirmation shortly.`,
-            appointmentId: appointmentId,
+            appointmentId: appointmentId || null,
             appointmentDate: dateStr,
             appointmentTime: timeStr,
-            calendarName: 'Rich Preview Calendar'
+            startTime: appointmentData.startTime,
+            endTime: appointmentData.endTime,
+            calendarId: calendar.calendarId,
+            calendarName: calendar.calendarName,
+            timezone: calendar.timezone,
+            contactUpdated: contactUpdated
         };
         
     } catch (error) {
@@ -207,6 +376,657 @@ export async function ghl_create_event({ contactId, slotId, startTime, endTime,
         return {
             success: false,
             message: "I'm having trouble booking the appointment right now. Let me have Rich reach out to you directly to schedule this.",
+            error: error.response?.data?.message || error.message
+        };
+    }
+}
+
+// Appointment statuses that no longer hold a calendar slot
+const INACTIVE_APPOINTMENT_STATUSES = ['cancelled', 'canceled', 'invalid', 'noshow'];
+
+// Get the contact's active appointments (past and upcoming), soonest first, with speakable date/time
+async function getContactAppointments(contactId, timezone) {
+    const response = await pitTokenManager.makeGHLRequest('GET', `/contacts/${contactId}/appointments`);
+    const events = response.data?.events || response.data?.appointments || [];
+    
+    return events
+        .filter(event => event.startTime && !isNaN(new Date(event.startTime).getTime()))
+        .filter(event => !INACTIVE_APPOINTMENT_STATUSES.includes(`${event.appointmentStatus || event.status || ''}`.toLowerCase()))
+        .sort((a, b) => new Date(a.startTime) - new Date(b.startTime))
+        .map(event => {
+            const { date, time } = formatSlotTime(event.startTime, timezone);
+            return {
+                id: event.id,
+                day: new Date(event.startTime).toLocaleDateString('en-CA', { timeZone: timezone }),
+                calendarId: event.calendarId,
+                title: event.title || 'Appointment',
+                status: event.appointmentStatus || event.status || 'confirmed',
+                date: date,
+                time: time,
+                startTime: new Date(event.startTime).toISOString(),
+                endTime: event.endTime ? new Date(event.endTime).toISOString() : null,
+                description: `${date} at ${time}`
+            };
+        });
+}
+
+// Get the contact's upcoming active appointments, soonest first
+async function getUpcomingAppointments(contactId, timezone) {
+    const now = new Date();
+    const appointments = await getContactAppointments(contactId, timezone);
+    return appointments.filter(appointment => new Date(appointment.startTime) > now);
+}
+
+// Month abbreviations in calendar order ("oct" → October)
+const MONTH_ABBREVIATIONS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Day of the month the caller named ("october 23rd", "oct. 23", "the 23rd"), with the month when they said one
+// Bare numbers without a month or ordinal are times ("Thursday at 2"), not days
+function spokenDayOfMonth(spoken) {
+    const withMonth = spoken.match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)?\b/);
+    if (withMonth) return { month: MONTH_ABBREVIATIONS.indexOf(withMonth[1]) + 1, day: parseInt(withMonth[2]) };
+    
+    const ordinal = spoken.match(/\b(\d{1,2})(?:st|nd|rd|th)\b/);
+    return ordinal ? { month: null, day: parseInt(ordinal[1]) } : null;
+}
+
+// Work out which appointment the caller means
+// appointmentId wins; otherwise match appointmentDate ("Thursday", "October 23rd", ISO date); a single upcoming appointment is unambiguous
+function resolveTargetAppointment(appointments, { appointmentId, appointmentDate }) {
+    if (appointmentId) {
+        const match = appointments.find(appointment => appointment.id === appointmentId);
+        return match ? { appointment: match } : { candidates: appointments };
+    }
+    
+    if (appointmentDate) {
+        const spoken = `${appointmentDate}`.toLowerCase();
+        const isoDay = spoken.match(/\d{4}-\d{2}-\d{2}/)?.[0];
+        const dayOfMonth = isoDay ? null : spokenDayOfMonth(spoken);
+        
+        const matches = appointments.filter(appointment => {
+            const weekday = appointment.date.toLowerCase().split(', ')[0];
+            const [, month, day] = appointment.day.split('-').map(part => parseInt(part));
+            if (isoDay) return appointment.day === isoDay;
+            if (dayOfMonth) return dayOfMonth.day === day && (!dayOfMonth.month || dayOfMonth.month === month);
+            return new RegExp(`\\b${weekday}\\b`).test(spoken);
+        });
+        
+        if (matches.length === 1) return { appointment: matches[0] };
+        return { candidates: matches.length > 1 ? matches : appointments };
+    }
+    
+    if (appointments.length === 1) return { appointment: appointments[0] };
+    return { candidates: appointments };
+}
+
+// Conversational list of appointments ("1. Thursday, October 23 at 2:00 PM")
+function describeAppointments(appointments) {
+    return appointments.map((appointment, index) => 
+        `${index + 1}. ${appointment.description}`
+    ).join('\n');
+}
+
+// Look up the appointment the caller is asking about, or build the clarifying response
+async function findCallerAppointment(args, calendar, action) {
+    const appointments = await getUpcomingAppointments(args.contactId, calendar.timezone);
+    
+    if (appointments.length === 0) {
+        return {
+            response: {
+                success: false,
+                reason: 'no_upcoming_appointments',
+                message: "I don't see any upcoming appointments on your calendar. Would you like me to book one?"
+            }
+        };
+    }
+    
+    const { appointment, candidates } = resolveTargetAppointment(appointments, args);
+    if (appointment) {
+        return { appointment };
+    }
+    
+    // A single appointment on another day than the caller said - confirm it rather than list it
+    const message = candidates.length === 1
+        ? `I only see one appointment for you, on ${candidates[0].description}. Is that the one you'd like to ${action}?`
+        : `I see a few appointments for you:\n\n${describeAppointments(candidates)}\n\nWhich one would you like to ${action}?`;
+    
+    return {
+        response: {
+            success: false,
+            reason: 'appointment_ambiguous',
+            message: message,
+            appointments: candidates
+        }
+    };
+}
+
+/**
+ * List the contact's upcoming appointments
+ * Called by VAPI during conversation: {{ghl_list_upcoming_events}}
+ * Only the call's own contact is used (see resolveCallContact)
+ */
+export async function ghl_list_upcoming_events({ contactId: requestedContactId, calendarId } = {}, { call } = {}) {
+    console.log('📋 VAPI Function Call: ghl_list_upcoming_events', { contactId: requestedContactId });
+    
+    const { contactId, response: refused } = resolveCallContact(requestedContactId, call, "I couldn't find your record to look up appointments.");
+    if (refused) return refused;
+    
+    try {
+        // Ensure we have a valid PIT token
+        if (!pitTokenManager.pitToken) {
+            await pitTokenManager.getValidToken();
+        }
+        
+        const calendar = await getCalendarContext(calendarId);
+        const appointments = await getUpcomingAppointments(contactId, calendar.timezone);
+        console.log(`📅 Found ${appointments.length} upcoming appointments for ${contactId}`);
+        
+        if (appointments.length === 0) {
+            return {
+                success: true,
+                message: "You don't have any upcoming appointments right now. Would you like me to book one?",
+                appointments: [],
+                totalAppointments: 0
+            };
+        }
+        
+        const message = appointments.length === 1
+            ? `You have an appointment on ${appointments[0].description}.`
+            : `You have ${appointments.length} upcoming appointments:\n\n${describeAppointments(appointments)}`;
+        
+        return {
+            success: true,
+            message: message,
+            appointments: appointments,
+            totalAppointments: appointments.length,
+            timezone: calendar.timezone
+        };
+        
+    } catch (error) {
+        console.error('❌ Error listing appointments:', error.response?.data || error.message);
+        return {
+            success: false,
+            message: "I'm having trouble pulling up your appointments right now.",
+            error: error.response?.data?.message || error.message
+        };
+    }
+}
+
+/**
+ * Move one of the contact's appointments to a new time
+ * Called by VAPI during conversation: {{ghl_reschedule_event}}
+ * Without a new startTime it returns open slots to offer the caller
+ * Only the call's own contact is used (see resolveCallContact)
+ */
+export async function ghl_reschedule_event({ contactId: requestedContactId, appointmentId, appointmentDate, startTime, endTime, calendarId } = {}, { call } = {}) {
+    console.log('🔄 VAPI Function Call: ghl_reschedule_event', { contactId: requestedContactId, appointmentId, appointmentDate, startTime });
+    
+    const { contactId, response: refused } = resolveCallContact(requestedContactId, call, "I couldn't find your record to look up appointments.");
+    if (refused) return refused;
+    
+    try {
+        // Ensure we have a valid PIT token
+        if (!pitTokenManager.pitToken) {
+            await pitTokenManager.getValidToken();
+        }
+        
+        const calendar = await getCalendarContext(calendarId);
+        const { appointment, response: clarification } = await findCallerAppointment(
+            { contactId, appointmentId, appointmentDate }, calendar, 'move'
+        );
+        if (clarification) return clarification;
+        
+        // No new time yet - offer openings for the caller to choose from
+        if (!startTime || isNaN(new Date(startTime).getTime())) {
+            const { slots } = await findOfferedSlots(calendar, [appointment.startTime]);
+            return {
+                success: false,
+                reason: 'new_time_required',
+                message: slots.length > 0
+                    ? `Sure, I can move your ${appointment.description} appointment. Here's what's open:\n\n${describeSlotChoices(slots)}`
+                    : `I can move your ${appointment.description} appointment, but I don't see openings in the next ${SEARCH_DAYS} days. Let me have Rich reach out to find a time.`,
+                appointmentId: appointment.id,
+                slots: slots
+            };
+        }
+        
+        const start = new Date(startTime);
+        const end = endTime && !isNaN(new Date(endTime).getTime())
+            ? new Date(endTime)
+            : new Date(start.getTime() + calendar.slotMinutes * 60 * 1000);
+        const { date: dateStr, time: timeStr } = formatSlotTime(start, calendar.timezone);
+        
+        try {
+            console.log(`📅 Rescheduling appointment ${appointment.id}: PUT /calendars/events/appointments/${appointment.id}`);
+            await pitTokenManager.makeGHLRequest('PUT', `/calendars/events/appointments/${appointment.id}`, {
+                calendarId: appointment.calendarId || calendar.calendarId,
+                startTime: start.toISOString(),
+                endTime: end.toISOString()
+            });
+        } catch (updateError) {
+            if (!isSlotUnavailableError(updateError)) {
+                throw updateError;
+            }
+            
+            console.log(`⚠️ Slot ${start.toISOString()} is no longer available - looking up alternatives`);
+            const { slots: alternativeSlots } = await findOfferedSlots(calendar, [start.toISOString(), appointment.startTime]);
+            return {
+                success: false,
+                reason: 'slot_unavailable',
+                message: alternativeSlots.length > 0
+                    ? `I'm sorry, ${dateStr} at ${timeStr} was just taken. Your appointment is still on ${appointment.description}. Here's what else is open:\n\n${describeSlotChoices(alternativeSlots)}`
+                    : `I'm sorry, ${dateStr} at ${timeStr} was just taken and I don't see other openings soon. Your appointment is still on ${appointment.description}.`,
+                appointmentId: appointment.id,
+                alternativeSlots: alternativeSlots
+            };
+        }
+        
+        console.log(`✅ Appointment ${appointment.id} moved to ${start.toISOString()}`);
+        return {
+            success: true,
+            message: `All set! I've moved your appointment from ${appointment.description} to ${dateStr} at ${timeStr}.`,
+            appointmentId: appointment.id,
+            previousStartTime: appointment.startTime,
+            appointmentDate: dateStr,
+            appointmentTime: timeStr,
+            startTime: start.toISOString(),
+            endTime: end.toISOString(),
+            timezone: calendar.timezone
+        };
+        
+    } catch (error) {
+        console.error('❌ Error rescheduling appointment:', error.response?.data || error.message);
+        return {
+            success: false,
+            message: "I'm having trouble changing the appointment right now. Let me have Rich reach out to you directly to reschedule.",
+            error: error.response?.data?.message || error.message
+        };
+    }
+}
+
+/**
+ * Cancel one of the contact's appointments
+ * Called by VAPI during conversation: {{ghl_cancel_event}}
+ * Only the call's own contact is used (see resolveCallContact)
+ */
+export async function ghl_cancel_event({ contactId: requestedContactId, appointmentId, appointmentDate, reason, calendarId } = {}, { call } = {}) {
+    console.log('🗑️ VAPI Function Call: ghl_cancel_event', { contactId: requestedContactId, appointmentId, appointmentDate });
+    
+    const { contactId, response: refused } = resolveCallContact(requestedContactId, call, "I couldn't find your record to look up appointments.");
+    if (refused) return refused;
+    
+    try {
+        // Ensure we have a valid PIT token
+        if (!pitTokenManager.pitToken) {
+            await pitTokenManager.getValidToken();
+        }
+        
+        const calendar = await getCalendarContext(calendarId);
+        const { appointment, response: clarification } = await findCallerAppointment(
+            { contactId, appointmentId, appointmentDate }, calendar, 'cancel'
+        );
+        if (clarification) return clarification;
+        
+        // Cancel rather than delete so the appointment history stays in GHL
+        console.log(`📅 Cancelling appointment ${appointment.id}`);
+        await pitTokenManager.makeGHLRequest('PUT', `/calendars/events/appointments/${appointment.id}`, {
+            calendarId: appointment.calendarId || calendar.calendarId,
+            appointmentStatus: 'cancelled',
+            ...(reason ? { notes: `Cancelled during VAPI call: ${reason}` } : {})
+        });
+        
+        // Clear the booked flag when nothing else is on the calendar
+        const remaining = (await getUpcomingAppointments(contactId, calendar.timezone))
+            .filter(upcoming => upcoming.id !== appointment.id);
+        if (remaining.length === 0) {
+            try {
+                const manager = await getCustomFieldsManager();
+                await manager.updateContactCustomFields(contactId, {
+                    appointmentbooked: { value: 'false', confidence: 100 }
+                });
+            } catch (fieldError) {
+                console.error('⚠️ Appointment cancelled but Appointment Booked was not cleared:', fieldError.message);
+            }
+        }
+        
+        console.log(`✅ Appointment ${appointment.id} cancelled`);
+        return {
+            success: true,
+            message: `Okay, I've cancelled your appointment on ${appointment.description}. Would you like to pick a new time?`,
+            appointmentId: appointment.id,
+            cancelledStartTime: appointment.startTime,
+            remainingAppointments: remaining.length
+        };
+        
+    } catch (error) {
+        console.error('❌ Error cancelling appointment:', error.response?.data || error.message);
+        return {
+            success: false,
+            message: "I'm having trouble cancelling the appointment right now. Let me have Rich reach out to you directly.",
+            error: error.response?.data?.message || error.message
+        };
+    }
+}
+
+// Keep recalled text short enough to speak: whole sentences up to maxLength characters
+function speakableExcerpt(text, maxLength = 300) {
+    const clean = `${text || ''}`.replace(/\s+/g, ' ').trim();
+    if (clean.length <= maxLength) return clean;
+    
+    const sentences = clean.match(/[^.!?]+[.!?]+/g) || [];
+    let excerpt = '';
+    for (const sentence of sentences) {
+        if ((excerpt + sentence).length > maxLength) break;
+        excerpt += sentence;
+    }
+    return excerpt.trim() || `${clean.substring(0, maxLength).replace(/\s+\S*$/, '')}...`;
+}
+
+// Numeric price fields read better as "$450,000"
+function speakablePrice(value) {
+    if (/^\d+(\.\d+)?$/.test(`${value ?? ''}`.trim())) {
+        return `$${Number(value).toLocaleString('en-US')}`;
+    }
+    return value;
+}
+
+// Most recent entry of the appended Voice Memory field
+function latestVoiceMemoryEntry(voiceMemory) {
+    const entries = `${voiceMemory || ''}`.split(/\n+/).map(entry => entry.trim()).filter(Boolean);
+    return entries[entries.length - 1] || '';
+}
+
+/**
+ * Recall what we already know about the contact so the assistant can pick up where the last call left off
+ * Called by VAPI during conversation: {{ghl_get_contact_context}}
+ * Only the call's own contact is read (see resolveCallContact)
+ */
+export async function ghl_get_contact_context({ contactId: requestedContactId, calendarId } = {}, { call } = {}) {
+    console.log('🧠 VAPI Function Call: ghl_get_contact_context', { contactId: requestedContactId });
+    
+    const { contactId, response: refused } = resolveCallContact(requestedContactId, call, "I couldn't find a record for this caller.");
+    if (refused) return refused;
+    
+    try {
+        // Ensure we have a valid PIT token
+        if (!pitTokenManager.pitToken) {
+            await pitTokenManager.getValidToken();
+        }
+        
+        const manager = await getCustomFieldsManager();
+        const { contact, fields } = await manager.getContactFieldValues(contactId);
+        const calendar = await getCalendarContext(calendarId);
+        
+        let appointments = [];
+        try {
+            appointments = await getContactAppointments(contactId, calendar.timezone);
+        } catch (error) {
+            console.log('⚠️ Could not load appointments for contact context:', error.message);
+        }
+        
+        const now = new Date();
+        const upcomingAppointment = appointments.find(appointment => new Date(appointment.startTime) > now) || null;
+        const pastAppointment = appointments.filter(appointment => new Date(appointment.startTime) <= now).pop() || null;
+        
+        const name = [contact.firstName, contact.lastName].filter(Boolean).join(' ') || contact.contactName || contact.name || '';
+        const lastCallSummary = speakableExcerpt(fields.latestcallsummary || latestVoiceMemoryEntry(fields.voicememory));
+        
+        const profile = {
+            name: name || null,
+            firstName: contact.firstName || null,
+            motivation: fields.motivation || null,
+            timeline: fields.timeline || null,
+            askingPrice: speakablePrice(fields.askingprice || fields.expectations) || null,
+            nextDestination: fields.nextdestination || null,
+            lastCallSummary: lastCallSummary || null,
+            lastContact: fields.lastcontact || null,
+            callAttempts: parseInt(fields.callattemptcounter) || 0,
+            upcomingAppointment: upcomingAppointment ? { id: upcomingAppointment.id, description: upcomingAppointment.description, startTime: upcomingAppointment.startTime } : null,
+            lastAppointment: pastAppointment ? { id: pastAppointment.id, description: pastAppointment.description, startTime: pastAppointment.startTime } : null
+        };
+        
+        // Speakable profile, one short sentence per known fact
+        const facts = [];
+        if (profile.motivation) facts.push(`Motivation: ${profile.motivation}.`);
+        if (profile.timeline) facts.push(`Timeline: ${profile.timeline}.`);
+        if (profile.askingPrice) facts.push(`Asking price: ${profile.askingPrice}.`);
+        if (profile.nextDestination) facts.push(`Moving to: ${profile.nextDestination}.`);
+        if (profile.lastCallSummary) facts.push(`Last call: ${profile.lastCallSummary}`);
+        if (profile.upcomingAppointment) facts.push(`Upcoming appointment: ${profile.upcomingAppointment.description}.`);
+        else if (profile.lastAppointment) facts.push(`Previous appointment: ${profile.lastAppointment.description}.`);
+        
+        const isReturningContact = facts.length > 0 || profile.callAttempts > 0;
+        const who = name || 'this contact';
+        console.log(`🧠 Context for ${contactId}: ${facts.length} facts, ${profile.callAttempts} prior calls`);
+        
+        return {
+            success: true,
+            message: isReturningContact
+                ? `Here's what we know about ${who}. ${facts.join(' ')}`.trim()
+                : `This is our first conversation with ${who} - we don't have any notes yet.`,
+            isReturningContact: isReturningContact,
+            profile: profile
+        };
+        
+    } catch (error) {
+        console.error('❌ Error getting contact context:', error.response?.data || error.message);
+        return {
+            success: false,
+            message: "I don't have the notes from our previous conversations handy right now.",
+            error: error.response?.data?.message || error.message
+        };
+    }
+}
+
+// Accept the field key ("askingPrice") or its GHL field name ("Asking Price")
+function resolveAnswerField(field) {
+    const normalize = value => `${value || ''}`.toLowerCase().replace(/[^a-z0-9]/g, '');
+    for (const [fieldKey, mapping] of questionMapper.questionMappings) {
+        if ([fieldKey, mapping.fieldName].some(name => normalize(name) === normalize(field))) {
+            return { fieldKey, fieldName: mapping.fieldName };
+        }
+    }
+    return null;
+}
+
+/**
+ * Save the caller's answer to a qualifying question as soon as it is given
+ * Called by VAPI during conversation: {{ghl_record_answer}}
+ * Post-call extraction will not overwrite fields recorded here for the same call
+ * Only the call's own contact is written (see resolveCallContact)
+ */
+export async function ghl_record_answer({ contactId: requestedContactId, field, answer } = {}, { call } = {}) {
+    console.log('🎙️ VAPI Function Call: ghl_record_answer', { contactId: requestedContactId, field, answer });
+    
+    const { contactId, response: refused } = resolveCallContact(requestedContactId, call, 'Answer not saved - continue the conversation.');
+    if (refused) return refused;
+    
+    const answerField = resolveAnswerField(field);
+    if (!answerField) {
+        return {
+            success: false,
+            message: 'Answer not saved - continue the conversation.',
+            error: `Unknown field "${field}"`,
+            availableFields: [...questionMapper.questionMappings.keys()]
+        };
+    }
+    
+    const validation = validateLiveAnswer(answerField.fieldKey, answer);
+    if (!validation.valid) {
+        console.log(`⚠️ Rejected live answer for ${answerField.fieldName}: ${validation.reason}`);
+        return {
+            success: false,
+            message: `Answer not saved: ${validation.reason}. If the caller gives a clearer answer, record it again.`,
+            field: answerField.fieldKey,
+            error: validation.reason
+        };
+    }
+    
+    try {
+        const manager = await getCustomFieldsManager();
+        const result = await manager.updateContactCustomFields(contactId, {
+            [answerField.fieldName]: { value: validation.value, confidence: 100, source: 'live_answer' }
+        }, { callId: call?.id || null });
+        
+        if (result.fieldsUpdated === 0) {
+            return {
+                success: false,
+                message: 'Answer not saved - continue the conversation.',
+                field: answerField.fieldKey,
+                error: result.warnings.join('; ') || 'No matching custom field in GHL'
+            };
+        }
+        
+        await liveAnswers.record(contactId, {
+            callId: call?.id || null,
+            fieldKey: answerField.fieldKey,
+            fieldName: answerField.fieldName,
+            value: validation.value
+        });
+        
+        return {
+            success: true,
+            message: `Saved ${answerField.fieldName}.`,
+            field: answerField.fieldKey,
+            fieldName: answerField.fieldName,
+            value: validation.value
+        };
+        
+    } catch (error) {
+        console.error('❌ Error recording answer:', error.response?.data || error.message);
+        return {
+            success: false,
+            message: 'Answer not saved - continue the conversation.',
+            field: answerField.fieldKey,
+            error: error.message
+        };
+    }
+}
+
+// Log why a transfer was requested and how it ended; a failed note never blocks the transfer
+async function logTransferNote(contactId, lines) {
+    try {
+        const noteBody = ['🔀 Live Transfer Request', ...lines, `Time: ${new Date().toISOString()}`].join('\n');
+        await createContactNote(contactId, noteBody, pitTokenManager.pitToken);
+        return true;
+    } catch (error) {
+        console.error('⚠️ Could not log transfer note:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Warm-transfer the caller to an on-call agent
+ * Called by VAPI during conversation: {{ghl_transfer_to_agent}}
+ * Returns a VAPI transfer destination, or offers/books a callback when nobody is available
+ */
+export async function ghl_transfer_to_agent({ contactId, reason, callbackTime } = {}, { call } = {}) {
+    console.log('🔀 VAPI Function Call: ghl_transfer_to_agent', { contactId, reason, callbackTime });
+    
+    const transferReason = reason || 'Caller asked to speak with an agent';
+    
+    try {
+        // Ensure we have a valid PIT token
+        if (!pitTokenManager.pitToken) {
+            await pitTokenManager.getValidToken();
+        }
+        
+        // Malformed BUSINESS_HOURS or agent hours mean nobody can be confirmed available - offer a callback
+        let availability;
+        try {
+            availability = findAvailableAgent();
+        } catch (hoursError) {
+            console.error('❌ Could not check agent availability:', hoursError.message);
+            availability = { available: false, reason: 'hours_misconfigured' };
+        }
+        
+        if (availability.available) {
+            const { agent } = availability;
+            const agentName = agent.name || 'an agent';
+            console.log(`📞 Transferring ${contactId || 'caller'} to ${agentName} (${agent.phone})`);
+            
+            if (contactId) {
+                await logTransferNote(contactId, [
+                    `Reason: ${transferReason}`,
+                    `Outcome: Warm transfer to ${agentName} (${agent.phone})`,
+                    `Call ID: ${call?.id || 'unknown'}`
+                ]);
+            }
+            
+            return {
+                success: true,
+                message: `Connecting you with ${agentName} now - one moment please.`,
+                transferred: true,
+                agentName: agentName,
+                destination: {
+                    type: 'number',
+                    number: agent.phone,
+                    message: `Connecting you with ${agentName} now - one moment please.`,
+                    transferPlan: {
+                        mode: 'warm-transfer-say-message',
+                        message: `Transferring a caller who wants to talk now. Reason: ${transferReason}.`
+                    }
+                }
+            };
+        }
+        
+        // Nobody can take the call - fall back to a callback
+        const unavailableText = availability.reason === 'outside_business_hours'
+            ? "Rich's team is out of the office right now"
+            : "Rich isn't available to take the call right now";
+        console.log(`⏰ No transfer possible (${availability.reason}) - falling back to a callback`);
+        
+        if (contactId && callbackTime) {
+            const booking = await ghl_create_event({
+                contactId,
+                startTime: callbackTime,
+                title: 'Callback Request',
+                description: `Callback requested during VAPI call (transfer unavailable). Reason: ${transferReason}`
+            });
+            
+            await logTransferNote(contactId, [
+                `Reason: ${transferReason}`,
+                `Outcome: No agent available (${availability.reason}) - ${booking.success ? `callback booked for ${booking.appointmentDate} at ${booking.appointmentTime}` : 'callback booking failed'}`,
+                `Call ID: ${call?.id || 'unknown'}`
+            ]);
+            
+            return {
+                ...booking,
+                transferred: false,
+                unavailableReason: availability.reason,
+                message: booking.success
+                    ? `${unavailableText}, so I've booked a callback for ${booking.appointmentDate} at ${booking.appointmentTime}.`
+                    : booking.message
+            };
+        }
+        
+        const calendar = await getCalendarContext();
+        const { slots } = await findOfferedSlots(calendar);
+        
+        if (contactId) {
+            await logTransferNote(contactId, [
+                `Reason: ${transferReason}`,
+                `Outcome: No agent available (${availability.reason}) - callback offered`,
+                `Call ID: ${call?.id || 'unknown'}`
+            ]);
+        }
+        
+        return {
+            success: false,
+            transferred: false,
+            unavailableReason: availability.reason,
+            message: slots.length > 0
+                ? `${unavailableText}, but I can set up a callback. Here are some times:\n\n${describeSlotChoices(slots)}`
+                : `${unavailableText}. I'll make sure Rich reaches out to you directly as soon as possible.`,
+            callbackSlots: slots
+        };
+        
+    } catch (error) {
+        console.error('❌ Error handling transfer:', error.response?.data || error.message);
+        return {
+            success: false,
+            transferred: false,
+            message: "I'm not able to connect you right now. Let me have Rich reach out to you directly.",
             error: error.message
         };
     }
@@ -215,7 +1035,13 @@ export async function ghl_create_event({ contactId, slotId, startTime, endTime,
 // Export functions for VAPI function calling
 export const vapiFunctions = {
     ghl_check_availability,
-    ghl_create_event
+    ghl_create_event,
+    ghl_list_upcoming_events,
+    ghl_reschedule_event,
+    ghl_cancel_event,
+    ghl_get_contact_context,
+    ghl_record_answer,
+    ghl_transfer_to_agent
 };
 
 export default vapiFunctions;
\ No newline at end of file
@@ -0,0 +1,128 @@
+// vapi-signature.js - Verifies inbound VAPI webhooks (server messages and function calls)
+// Supports the plain x-vapi-secret header and HMAC-SHA256 x-vapi-signature headers
+import crypto from 'crypto';
+
+// Maximum age of a webhook before it is treated as a replay (seconds)
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// Verification is on unless explicitly disabled (local fixture testing only)
+export function isSignatureVerificationEnabled() {
+    const setting = (process.env.VAPI_VERIFY_SIGNATURE || 'true').toLowerCase();
+    return !['false', '0', 'off', 'no'].includes(setting);
+}
+
+// Case-insensitive header lookup (Function URLs lowercase headers, API Gateway does not)
+export function getHeader(headers, name) {
+    if (!headers) return null;
+    const target = name.toLowerCase();
+    for (const [key, value] of Object.entries(headers)) {
+        if (key.toLowerCase() === target) {
+            return value;
+        }
+    }
+    return null;
+}
+
+// Get the exact body bytes the sender signed
+export function getRawBody(event) {
+    if (typeof event.body !== 'string') {
+        return JSON.stringify(event.body || {});
+    }
+    return event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+}
+
+// Parse seconds, milliseconds or ISO timestamps into milliseconds
+function parseTimestamp(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+        const numeric = Number(value);
+        return numeric < 1e12 ? numeric * 1000 : numeric;
+    }
+
+    const parsed = Date.parse(value);
+    return isNaN(parsed) ? null : parsed;
+}
+
+// Constant-time string comparison
+export function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    if (bufferA.length !== bufferB.length) return false;
+    return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Compute the expected x-vapi-signature value for a body
+export function computeVapiSignature(rawBody, secret, timestamp = null) {
+    const signedContent = timestamp ? `${timestamp}.${rawBody}` : rawBody;
+    return crypto.createHmac('sha256', secret).update(signedContent).digest('hex');
+}
+
+// Verify an inbound VAPI webhook event
+// Returns { valid, reason } - reason explains why a request was rejected
+export function verifyVapiRequest(event, payload, options = {}) {
+    const secret = options.secret ?? process.env.VAPI_SECRET_TOKEN;
+    const toleranceSeconds = options.toleranceSeconds ??
+        (parseInt(process.env.VAPI_SIGNATURE_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS);
+    const now = options.now ?? Date.now();
+
+    if (!secret) {
+        console.error('❌ VAPI_SECRET_TOKEN is not configured - cannot verify webhook');
+        return { valid: false, reason: 'Webhook verification is not configured' };
+    }
+
+    const headers = event.headers || {};
+    const secretHeader = getHeader(headers, 'x-vapi-secret');
+    const signatureHeader = getHeader(headers, 'x-vapi-signature');
+    const timestampHeader = getHeader(headers, 'x-vapi-timestamp');
+
+    // 1. Reject stale or missing timestamps (replay protection)
+    const timestampMs = parseTimestamp(timestampHeader) ?? parseTimestamp(payload?.message?.timestamp);
+    if (timestampMs === null) {
+        return { valid: false, reason: 'Missing webhook timestamp' };
+    }
+
+    const ageSeconds = Math.abs(now - timestampMs) / 1000;
+    if (ageSeconds > toleranceSeconds) {
+        console.warn(`⚠️ Stale VAPI webhook rejected (${Math.round(ageSeconds)}s old, tolerance ${toleranceSeconds}s)`);
+        return { valid: false, reason: 'Webhook timestamp outside allowed tolerance' };
+    }
+
+    // 2. Plain shared secret (VAPI serverUrlSecret)
+    if (secretHeader) {
+        if (safeEqual(secretHeader, secret)) {
+            console.log('✅ VAPI webhook verified via x-vapi-secret');
+            return { valid: true, method: 'secret' };
+        }
+        return { valid: false, reason: 'Invalid x-vapi-secret' };
+    }
+
+    // 3. HMAC-SHA256 signature over the raw body
+    if (signatureHeader) {
+        const provided = String(signatureHeader).replace(/^sha256=/i, '').trim();
+        const expected = computeVapiSignature(getRawBody(event), secret, timestampHeader);
+
+        if (safeEqual(provided.toLowerCase(), expected)) {
+            console.log('✅ VAPI webhook verified via x-vapi-signature');
+            return { valid: true, method: 'hmac' };
+        }
+        return { valid: false, reason: 'Invalid x-vapi-signature' };
+    }
+
+    return { valid: false, reason: 'Missing x-vapi-signature header' };
+}
+
+// Build the 401 response returned for rejected webhooks
+export function unauthorizedResponse(reason, source = 'VAPI') {
+    return {
+        statusCode: 401,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            success: false,
+            error: 'Unauthorized',
+            message: `${source} webhook verification failed: ${reason}`
+        })
+    };
+}
+
+export default { verifyVapiRequest, computeVapiSignature, unauthorizedResponse, isSignatureVerificationEnabled, getHeader, getRawBody, safeEqual };